@@ -11,11 +11,42 @@ import {
   setNoiseHeightGain,
   setNoiseWidth,
   getNoiseWidth,
+  setNoiseSeed,
+  getNoiseSeed,
+  setNoiseErosion,
+  getNoiseErosion,
+  enableHeightFieldWorker,
+  onHeightFieldProgress,
+  whenHeightFieldReady,
+  loadHeightmap,
+  clearHeightmap,
+  getHeightmapInfo,
+  setHeightPrecision,
+  setFloatHeightFiltering,
+  getHeightPrecision,
   sampleHeight,
+  setNoiseWorldScale,
+  setStreamedWorldExtent,
+  setWorldStreamed,
+  updateStreamedWorld,
   DEFAULT_NOISE_SMOOTHING,
+  DEFAULT_NOISE_WORLD_SCALE,
+  MIN_NOISE_WORLD_SCALE,
+  MAX_NOISE_WORLD_SCALE,
   MIN_NOISE_WIDTH,
   MAX_NOISE_WIDTH,
+  MAX_NOISE_EROSION_ITERATIONS,
 } from "./noise.js";
+import {
+  captureHeightfield,
+  encodeHeightfieldPng,
+  encodeHeightfieldRaw,
+  createHeightfieldInfo,
+  createTerrainMeshGroup,
+  encodeTerrainObj,
+  encodeTerrainGlb,
+  disposeTerrainMeshGroup,
+} from "./terrainExport.js";
 import {
   renderer,
   setRendererPixelRatio,
@@ -44,6 +75,7 @@ import { applyEnvironment } from "./environment.js";
 import { createEnvironmentToggle } from "./ui/EnvironmentToggle.js";
 import { Game } from "./game/Game.js";
 import { AudioManager } from "./audio/AudioManager.js";
+import { actionMap } from "./utils/ActionMap.js";
 
 const WORLD_UP = new THREE.Vector3(0, 0, 1);
 const SUN_COLOR_COOL = new THREE.Color(0.6, 0.75, 0.98);
@@ -105,11 +137,15 @@ class TerrainApp {
     this.ambientDirection = new THREE.Vector3(1, 0, 0);
     this.normalSmoothFactor = 0.65;
     this.specularStrength = 1.0;
+    this.detailNormalStrength = 0.6; // Bumps on cliffs, see terrainTriplanar.glsl
     this.skyTintStrength = 0.15;
     this.skyTintColor = new THREE.Color(0.62, 0.72, 0.88);
     this.contrastAdjustment = 0.1;
     this.brightnessAdjustment = -0.06;
     this.noiseResolution = getNoiseWidth();
+    this.noiseSeed = getNoiseSeed();
+    this.heightmapInfo = null;
+    this.heightPrecision = getHeightPrecision();
     this.shadowsEnabled = true;
     this.shadowCascadeCount = 3;
     this.shadowResolution = 4192;
@@ -133,6 +169,9 @@ class TerrainApp {
     this.shadowCascadeEnabled = [true, true, true];
     this.shadowDebugEnabled = false;
     this.shadowDebugHelpers = [];
+    this.horizonCullingEnabled = true;
+    this.terrainCullStats = null; // Main pass, from Terrain.cullTiles()
+    this.shadowCullStats = []; // Per cascade
     this.introActive = true;
     this.introElapsed = 0;
     this.introOverlay = null;
@@ -164,6 +203,12 @@ class TerrainApp {
     this.sunMesh = null;
     this.heightSmoothStrength = 0.02;
     this.heightGain = 0.84;
+    this.worldScale = DEFAULT_NOISE_WORLD_SCALE;
+    this.minWorldScale = MIN_NOISE_WORLD_SCALE;
+    this.maxWorldScale = MAX_NOISE_WORLD_SCALE;
+    this.worldStreamed = false; // Non-repeating height pages around the camera
+    this.erosion = getNoiseErosion();
+    this.maxErosionIterations = MAX_NOISE_EROSION_ITERATIONS;
     this.skyKeyframes = SKY_KEYFRAMES;
 
     this.applyShaderEnvironment = this.applyShaderEnvironment.bind(this);
@@ -196,8 +241,15 @@ class TerrainApp {
 
     const isMobile = /Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
     this.terrainResolution = isMobile ? 96 : 192;
+    const heightmapUrl = this.readUrlParam("heightmap");
+    setFloatHeightFiltering(renderer.extensions.has("OES_texture_float_linear"));
+    // Settings before the seed: the seed triggers the one startup build
     setNoiseSmoothing(this.heightSmoothStrength);
     setNoiseHeightGain(this.heightGain);
+    this.setTerrainSeed(this.readUrlParam("seed") ?? this.noiseSeed);
+    // The first field is built inline so terrain and sampleHeight() are ready
+    // for the first frame; later slider changes rebuild in the background
+    enableHeightFieldWorker();
 
     this.createTerrain();
 
@@ -228,6 +280,10 @@ class TerrainApp {
     this.setupGame();
 
     this.applyShaderEnvironment(this.terrain.activeShaderIndex);
+
+    if (heightmapUrl) {
+      this.loadTerrainHeightmap(heightmapUrl);
+    }
   }
 
   setupStats() {
@@ -266,20 +322,7 @@ class TerrainApp {
       : DEFAULT_TERRAIN_INDEX;
 
     if (this.terrain) {
-      const materials = new Set();
-      const geometries = new Set();
-      this.terrain.traverse((child) => {
-        if (child.geometry) geometries.add(child.geometry);
-        if (child.material) materials.add(child.material);
-        if (child.userData?.mainMaterial) {
-          materials.add(child.userData.mainMaterial);
-        }
-        if (child.userData?.depthMaterial) {
-          materials.add(child.userData.depthMaterial);
-        }
-      });
-      materials.forEach((mat) => mat?.dispose?.());
-      geometries.forEach((geo) => geo?.dispose?.());
+      this.terrain.dispose();
       scene.remove(this.terrain);
     }
 
@@ -294,6 +337,7 @@ class TerrainApp {
       }
     );
     scene.add(this.terrain);
+    setStreamedWorldExtent(this.terrain.worldWidth);
 
     this.terrain.setShader(previousShaderIndex);
     this.terrain.setShadowsEnabled(this.shadowsEnabled);
@@ -307,6 +351,7 @@ class TerrainApp {
     );
     this.terrain.updateSmoothFactor(this.normalSmoothFactor);
     this.terrain.updateSpecularStrength(this.specularStrength);
+    this.terrain.updateDetailNormals(this.detailNormalStrength);
     this.terrain.updateSkyTint(this.skyTintColor, this.skyTintStrength);
 
     this.applyShadowUniformsToTerrain();
@@ -1004,12 +1049,18 @@ class TerrainApp {
     renderer.autoClear = true;
     for (let i = 0; i < this.shadowCascades.length; i++) {
       const cascade = this.shadowCascades[i];
-      if (!this.shadowCascadeEnabled[i]) continue;
+      if (!this.shadowCascadeEnabled[i]) {
+        this.shadowCullStats[i] = null;
+        continue;
+      }
+      this.shadowCullStats[i] = this.terrain.cullTiles(cascade.camera);
       renderer.setRenderTarget(cascade.renderTarget);
       renderer.clear(true, true, true);
       renderer.render(scene, cascade.camera);
     }
+    this.shadowCullStats.length = this.shadowCascades.length;
 
+    this.terrain.resetCulling();
     this.terrain.useDepthMaterial(false);
 
     if (this.sky !== undefined) this.sky.visible = skyVisible;
@@ -1020,6 +1071,25 @@ class TerrainApp {
     renderer.autoClear = previousAutoClear;
   }
 
+  setHorizonCullingEnabled(value) {
+    this.horizonCullingEnabled = Boolean(value);
+  }
+
+  // HUD lines for the tiles drawn in the main pass and each shadow cascade
+  formatCullStats() {
+    const main = this.terrainCullStats;
+    if (!main) return "";
+
+    let text = `Tiles: ${main.visible}/${main.total} (culled ${main.frustumCulled} frustum, ${main.horizonCulled} horizon)`;
+    if (this.shadowsEnabled && this.shadowCullStats.length) {
+      const cascades = this.shadowCullStats.map((stats) =>
+        stats ? `${stats.visible}` : "off"
+      );
+      text += `\nShadow tiles: ${cascades.join(" / ")}`;
+    }
+    return text;
+  }
+
   setupIntroOverlay() {
     this.introController = createIntroOverlay({
       container,
@@ -1036,6 +1106,16 @@ class TerrainApp {
       createTerrain: () => this.createTerrain(),
       setTerrainSmoothing: (value) => this.setTerrainSmoothing(value),
       setHeightGain: (value) => this.setHeightGain(value),
+      setTerrainErosion: (settings) => this.setTerrainErosion(settings),
+      setTerrainSeed: (value) => this.setTerrainSeed(value),
+      loadTerrainHeightmap: (source, options) =>
+        this.loadTerrainHeightmap(source, options),
+      useProceduralTerrain: () => this.useProceduralTerrain(),
+      setHeightPrecision: (value) => this.setTerrainHeightPrecision(value),
+      exportHeightmap: (format) => this.exportHeightmap(format),
+      exportTerrainMesh: (format) => this.exportTerrainMesh(format),
+      subscribeHeightFieldProgress: (listener) =>
+        onHeightFieldProgress(listener),
     });
   }
 
@@ -1221,27 +1301,23 @@ class TerrainApp {
         e.preventDefault();
       }
 
-      if (e.code === "ArrowUp") {
+      if (actionMap.matches("lookUp", e.code)) {
         this.cameraRotation.x = Math.min(
           this.cameraRotation.x + 0.1,
           Math.PI / 2
         );
-        e.preventDefault();
       }
-      if (e.code === "ArrowDown") {
+      if (actionMap.matches("lookDown", e.code)) {
         this.cameraRotation.x = Math.max(
           this.cameraRotation.x - 0.1,
           -Math.PI / 2
         );
-        e.preventDefault();
       }
-      if (e.code === "ArrowLeft") {
+      if (actionMap.matches("lookLeft", e.code)) {
         this.cameraRotation.y += 0.1;
-        e.preventDefault();
       }
-      if (e.code === "ArrowRight") {
+      if (actionMap.matches("lookRight", e.code)) {
         this.cameraRotation.y -= 0.1;
-        e.preventDefault();
       }
 
       if (e.code === "KeyC") {
@@ -1270,22 +1346,8 @@ class TerrainApp {
         e.preventDefault();
       }
 
-      const movementKeys = [
-        "KeyW",
-        "KeyA",
-        "KeyS",
-        "KeyD",
-        "KeyQ",
-        "KeyE",
-        "Space",
-        "ShiftLeft",
-        "ArrowUp",
-        "ArrowDown",
-        "ArrowLeft",
-        "ArrowRight",
-      ];
-
-      if (movementKeys.includes(e.code)) {
+      // Keep camera keys from scrolling the page
+      if (actionMap.getActionsForCode(e.code, "camera").length > 0) {
         e.preventDefault();
       }
     });
@@ -1482,32 +1544,36 @@ class TerrainApp {
         camera.up.copy(WORLD_UP);
         camera.lookAt(_tmpLookTarget);
 
-        if (this.keys["KeyW"]) {
+        if (actionMap.isActive("cameraForward", this.keys)) {
           camera.position.addScaledVector(_tmpDirection, moveSpeed);
         }
-        if (this.keys["KeyS"]) {
+        if (actionMap.isActive("cameraBack", this.keys)) {
           camera.position.addScaledVector(_tmpDirection, -moveSpeed);
         }
-        if (this.keys["KeyA"]) {
+        if (actionMap.isActive("cameraLeft", this.keys)) {
           camera.position.addScaledVector(_tmpRight, -moveSpeed);
         }
-        if (this.keys["KeyD"]) {
+        if (actionMap.isActive("cameraRight", this.keys)) {
           camera.position.addScaledVector(_tmpRight, moveSpeed);
         }
-        if (this.keys["KeyQ"] || this.keys["Space"]) {
+        if (actionMap.isActive("cameraUp", this.keys)) {
           camera.position.addScaledVector(WORLD_UP, moveSpeed);
         }
-        if (this.keys["KeyE"] || this.keys["ShiftLeft"]) {
+        if (actionMap.isActive("cameraDown", this.keys)) {
           camera.position.addScaledVector(WORLD_UP, -moveSpeed);
         }
       } else {
-        if (this.keys["KeyW"]) camera.position.y -= moveSpeed;
-        if (this.keys["KeyS"]) camera.position.y += moveSpeed;
-        if (this.keys["KeyA"]) camera.position.x -= moveSpeed;
-        if (this.keys["KeyD"]) camera.position.x += moveSpeed;
-        if (this.keys["KeyQ"] || this.keys["Space"])
+        if (actionMap.isActive("cameraForward", this.keys))
+          camera.position.y -= moveSpeed;
+        if (actionMap.isActive("cameraBack", this.keys))
+          camera.position.y += moveSpeed;
+        if (actionMap.isActive("cameraLeft", this.keys))
+          camera.position.x -= moveSpeed;
+        if (actionMap.isActive("cameraRight", this.keys))
+          camera.position.x += moveSpeed;
+        if (actionMap.isActive("cameraUp", this.keys))
           camera.position.z += moveSpeed;
-        if (this.keys["KeyE"] || this.keys["ShiftLeft"]) {
+        if (actionMap.isActive("cameraDown", this.keys)) {
           camera.position.z -= moveSpeed;
         }
 
@@ -1519,6 +1585,7 @@ class TerrainApp {
 
     this.terrain.offset.x = camera.position.x;
     this.terrain.offset.y = camera.position.y;
+    updateStreamedWorld(camera.position.x, camera.position.y);
 
     if (this.sunWorldPosition && this.sunDirection) {
       this.sunWorldPosition
@@ -1559,6 +1626,13 @@ class TerrainApp {
       this.sunMesh.visible = this.currentSunIntensity > 0.02;
     }
 
+    if (this.shadowsEnabled && this.shadowCascades.length) {
+      this.renderShadowMaps();
+    }
+    this.terrainCullStats = this.terrain.cullTiles(camera, {
+      horizon: this.horizonCullingEnabled,
+    });
+
     _hudEl.textContent = `Camera: ${camera.position.x.toFixed(
       1
     )}, ${camera.position.y.toFixed(1)}, ${camera.position.z.toFixed(
@@ -1567,11 +1641,7 @@ class TerrainApp {
       2
     )}, ${this.cameraRotation.y.toFixed(2)}\nFog: ${
       this.fogEnabled ? "On" : "Off"
-    }\nSun: ${this.sunTime.toFixed(1)}h`;
-
-    if (this.shadowsEnabled && this.shadowCascades.length) {
-      this.renderShadowMaps();
-    }
+    }\nSun: ${this.sunTime.toFixed(1)}h\n${this.formatCullStats()}`;
 
     if (this.composer && this.postProcessingEnabled) {
       const shouldBloom = this.bloomEnabled && this.bloomStrength > 0.001;
@@ -1611,6 +1681,211 @@ class TerrainApp {
     this.heightGain = THREE.MathUtils.clamp(multiplier, 0, 4);
     setNoiseHeightGain(this.heightGain);
   }
+
+  setWorldScale(scale) {
+    this.worldScale = setNoiseWorldScale(scale);
+    return this.worldScale;
+  }
+
+  setWorldStreamingEnabled(enabled) {
+    this.worldStreamed = setWorldStreamed(enabled);
+    console.log(
+      this.worldStreamed
+        ? "🌍 Streaming a non-repeating world"
+        : "🔁 Using the repeating world"
+    );
+    return this.worldStreamed;
+  }
+
+  // { iterations, rain, talusAngle }; partial updates keep the other values
+  setTerrainErosion(settings) {
+    this.erosion = setNoiseErosion(settings);
+    return this.erosion;
+  }
+
+  setTerrainSeed(seed) {
+    this.noiseSeed = setNoiseSeed(seed);
+    this.writeUrlParam("seed", this.noiseSeed);
+    // A new seed regenerates the procedural field and drops any heightmap
+    this.heightmapInfo = getHeightmapInfo();
+    if (!this.heightmapInfo) {
+      this.writeUrlParam("heightmap", null);
+    }
+    return this.noiseSeed;
+  }
+
+  async loadTerrainHeightmap(source, options) {
+    try {
+      this.heightmapInfo = await loadHeightmap(source, options);
+    } catch (error) {
+      console.warn("⚠️ Failed to load heightmap:", error);
+      return null;
+    }
+
+    if (typeof source === "string") {
+      this.writeUrlParam("heightmap", source);
+    }
+    const { width, height, bitDepth, worldSize } = this.heightmapInfo;
+    console.log(
+      `🗺️ Heightmap loaded: ${width}x${height} ${bitDepth}-bit over ${worldSize} units`
+    );
+    return this.heightmapInfo;
+  }
+
+  setTerrainHeightPrecision(precision) {
+    let requested = precision;
+    if (
+      requested === "float" &&
+      !renderer.extensions.has("OES_texture_float_linear")
+    ) {
+      console.warn("⚠️ Float textures are not filterable here, using half");
+      requested = "half";
+    }
+    this.heightPrecision = setHeightPrecision(requested);
+    return this.heightPrecision;
+  }
+
+  useProceduralTerrain() {
+    clearHeightmap();
+    this.heightmapInfo = null;
+    this.writeUrlParam("heightmap", null);
+  }
+
+  // Everything a replay needs to rebuild the same ground and environment.
+  // Heightmaps only replay when they were loaded from a URL.
+  getReplayWorld() {
+    const heightmap = this.heightmapInfo ? this.readUrlParam("heightmap") : null;
+    if (this.heightmapInfo && !heightmap) {
+      console.warn("⚠️ Heightmap was loaded from a file, replay will use the procedural terrain");
+    }
+    return {
+      seed: this.noiseSeed,
+      environmentIndex: this.terrain?.activeShaderIndex ?? DEFAULT_TERRAIN_INDEX,
+      noiseWidth: this.noiseResolution,
+      smoothing: this.heightSmoothStrength,
+      heightGain: this.heightGain,
+      erosion: { ...this.erosion },
+      heightPrecision: this.heightPrecision,
+      worldScale: this.worldScale,
+      worldStreamed: this.worldStreamed,
+      heightmap,
+    };
+  }
+
+  async applyReplayWorld(world) {
+    this.useProceduralTerrain();
+    this.setTerrainHeightPrecision(world.heightPrecision);
+    this.setNoiseResolution(world.noiseWidth);
+    this.setTerrainSmoothing(world.smoothing);
+    this.setHeightGain(world.heightGain);
+    this.setTerrainErosion(world.erosion);
+    // Replays recorded before streaming existed used the repeating 1024 world
+    this.setWorldScale(world.worldScale ?? DEFAULT_NOISE_WORLD_SCALE);
+    this.setWorldStreamingEnabled(world.worldStreamed ?? false);
+    // Seed before the heightmap, since a new seed drops any loaded heightmap
+    this.setTerrainSeed(world.seed);
+    if (world.heightmap) {
+      await this.loadTerrainHeightmap(world.heightmap);
+    }
+
+    if (this.terrain) {
+      const index = this.terrain.setShader(world.environmentIndex);
+      this.applyShaderEnvironment(index);
+    }
+
+    // Collision and spawns sample the field, so it must be rebuilt first
+    await whenHeightFieldReady();
+  }
+
+  // format: "png" (16-bit), "raw" (Float32) or "json" (-info.json sidecar).
+  // All three share a base name so the sidecar is found next to the image.
+  async exportHeightmap(format) {
+    const baseName = this.getExportBaseName();
+    let field;
+    try {
+      await whenHeightFieldReady();
+      field = await captureHeightfield();
+      if (format === "png") {
+        this.downloadBlob(await encodeHeightfieldPng(field), `${baseName}.png`);
+      } else if (format === "raw") {
+        this.downloadBlob(encodeHeightfieldRaw(field), `${baseName}.raw`);
+      } else if (format === "json") {
+        this.downloadBlob(createHeightfieldInfo(field), `${baseName}-info.json`);
+      } else {
+        console.warn(`⚠️ Unknown heightmap export format "${format}"`);
+        return false;
+      }
+    } catch (error) {
+      console.warn("⚠️ Heightmap export failed:", error);
+      return false;
+    }
+    console.log(
+      `💾 Exported ${field.width}x${field.height} heightmap as ${format}`
+    );
+    return true;
+  }
+
+  // format: "obj" or "glb"; exports the LOD tiles around the current view
+  async exportTerrainMesh(format) {
+    if (!this.terrain) return false;
+    const baseName = this.getExportBaseName();
+    let group = null;
+    try {
+      await whenHeightFieldReady();
+      group = createTerrainMeshGroup(this.terrain);
+      if (format === "obj") {
+        this.downloadBlob(encodeTerrainObj(group), `${baseName}.obj`);
+      } else if (format === "glb") {
+        this.downloadBlob(await encodeTerrainGlb(group), `${baseName}.glb`);
+      } else {
+        console.warn(`⚠️ Unknown mesh export format "${format}"`);
+        return false;
+      }
+    } catch (error) {
+      console.warn("⚠️ Terrain mesh export failed:", error);
+      return false;
+    } finally {
+      if (group) disposeTerrainMeshGroup(group);
+    }
+    console.log(
+      `💾 Exported ${group.children.length} terrain tiles as ${format}`
+    );
+    return true;
+  }
+
+  getExportBaseName() {
+    return this.heightmapInfo
+      ? "terrain-heightmap"
+      : `terrain-${this.noiseSeed}`;
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  readUrlParam(name) {
+    const value = new URLSearchParams(window.location.search).get(name);
+    return value === null || value.trim() === "" ? null : value;
+  }
+
+  writeUrlParam(name, value) {
+    // Keep the current world shareable without adding history entries
+    const url = new URL(window.location.href);
+    if (value === null || value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, String(value));
+    }
+    window.history.replaceState(window.history.state, "", url);
+  }
 }
 
 export const app = new TerrainApp();
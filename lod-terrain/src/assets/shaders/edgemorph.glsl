@@ -1,4 +1,4 @@
-uniform int uEdgeMorph;
+attribute float aEdgeMorph; // Per tile, from the instanced geometry
 
 #define EGDE_MORPH_TOP 1
 #define EGDE_MORPH_LEFT 2
@@ -7,7 +7,7 @@ uniform int uEdgeMorph;
 
 // Poor man's bitwise &
 bool edgePresent(int edge) {
-  int e = uEdgeMorph / edge;
+  int e = int(aEdgeMorph + 0.5) / edge;
   return 2 * ( e / 2 ) != e;
 }
 
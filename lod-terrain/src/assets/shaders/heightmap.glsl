@@ -0,0 +1,31 @@
+// Height sources, kept in sync with sampleHeight() in noise.js.
+// Expects uHeightData to be declared by the including shader.
+
+// Authored heightmap
+uniform float uHeightmapEnabled;
+uniform float uHeightmapWorldSize;
+uniform float uHeightmapScale;
+uniform float uHeightmapSeaLevel;
+
+// Procedural field: uWorldScale units per noise texture width. While the
+// world is streamed, the lowest octave reads the non-repeating height pages;
+// the detail octaves keep sampling uHeightData (see setWorldStreamed()).
+uniform float uWorldScale;
+uniform float uHeightPagesEnabled;
+uniform sampler2D uHeightPages;
+uniform float uHeightPageScale;
+
+float getHeightmapHeight(vec2 xy) {
+  // Centered on the origin; the sampler's mirrored repeat tiles beyond it
+  vec2 st = xy / uHeightmapWorldSize + 0.5;
+  float h = texture2D(uHeightData, st).r * uHeightmapScale;
+  return max(h, uHeightmapSeaLevel);
+}
+
+float getBaseOctave(vec2 st) {
+  if (uHeightPagesEnabled > 0.5) {
+    // Pages wrap toroidally, so plain repeat finds any resident texel
+    return texture2D(uHeightPages, st * uHeightPageScale).r;
+  }
+  return texture2D(uHeightData, st).r;
+}
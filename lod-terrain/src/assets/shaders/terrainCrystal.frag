@@ -1,7 +1,6 @@
 precision highp float;
 precision highp sampler2D;
 
-uniform float uScale;
 uniform sampler2D uHeightData;
 uniform vec3 uFogColor;
 uniform float uFogNear;
@@ -24,9 +23,15 @@ varying float vMorphFactor;
 varying vec3 vNormal;
 varying vec3 vPosition;
 
+#include <heightmap.glsl>
+
 float getHeight(vec3 p) {
-  vec2 st = p.xy / 1024.0;
-  float h = 1024.0 * texture2D(uHeightData, st).r;
+  if (uHeightmapEnabled > 0.5) {
+    return getHeightmapHeight(p.xy);
+  }
+
+  vec2 st = p.xy / uWorldScale;
+  float h = 1024.0 * getBaseOctave(st);
   h += 64.0 * texture2D(uHeightData, 16.0 * st).r;
   h += 4.0 * texture2D(uHeightData, 256.0 * st).r;
   return h * h / 2000.0;
@@ -3,22 +3,31 @@ precision highp sampler2D;
 
 uniform vec3 uGlobalOffset;
 uniform sampler2D uHeightData;
-uniform vec2 uTileOffset;
-uniform float uScale;
 uniform float uTileResolution;
+
+// Per tile, from the instanced geometry
+attribute vec2 aTileOffset;
+attribute float aTileScale;
+attribute float aEdgeMorph;
 uniform float uMorphRegion;
 
 varying vec3 vNormal;
 varying vec3 vPosition;
 varying float vMorphFactor;
 
+#include <heightmap.glsl>
+
 float getHeight(vec3 p) {
-  // Assume a 1024x1024 world
-  float lod = 0.0;//log2(uScale) - 6.0;
-  vec2 st = p.xy / 1024.0;
+  if (uHeightmapEnabled > 0.5) {
+    return getHeightmapHeight(p.xy);
+  }
+
+  // One noise texture spans uWorldScale units
+  float lod = 0.0;//log2(aTileScale) - 6.0;
+  vec2 st = p.xy / uWorldScale;
 
   // Sample multiple times to get more detail out of map
-  float h = 1024.0 * texture2D(uHeightData, st).r;
+  float h = 1024.0 * getBaseOctave(st);
   h += 64.0 * texture2D(uHeightData, 16.0 * st).r;
   h += 4.0 * texture2D(uHeightData, 256.0 * st).r;
 
@@ -30,7 +39,7 @@ float getHeight(vec3 p) {
 vec3 getNormal() {
   // Get 2 vectors perpendicular to the unperturbed normal, and create at point at each (relative to position)
   //float delta = 1024.0 / 4.0;
-  float delta = (vMorphFactor + 1.0) * uScale / uTileResolution;
+  float delta = (vMorphFactor + 1.0) * aTileScale / uTileResolution;
   vec3 dA = delta * normalize(cross(normal.yzx, normal));
   vec3 dB = delta * normalize(cross(dA, normal));
   vec3 p = vPosition;
@@ -49,8 +58,6 @@ vec3 getNormal() {
   return normalize(cross(pB - p, pA - p));
 }
 
-uniform int uEdgeMorph;
-
 #define EGDE_MORPH_TOP 1
 #define EGDE_MORPH_LEFT 2
 #define EGDE_MORPH_BOTTOM 4
@@ -58,7 +65,7 @@ uniform int uEdgeMorph;
 
 // Poor man's bitwise &
 bool edgePresent(int edge) {
-  int e = uEdgeMorph / edge;
+  int e = int(aEdgeMorph + 0.5) / edge;
   return 2 * ( e / 2 ) != e;
 }
 
@@ -93,10 +100,10 @@ void main() {
   vMorphFactor = calculateMorph(position);
 
   // Move into correct place
-  vPosition = uScale * position + vec3(uTileOffset, 0.0) + uGlobalOffset;
+  vPosition = aTileScale * position + vec3(aTileOffset, 0.0) + uGlobalOffset;
 
   // Snap to grid
-  float grid = uScale / uTileResolution;
+  float grid = aTileScale / uTileResolution;
   vPosition = floor(vPosition / grid) * grid;
 
   // Morph between zoom layers
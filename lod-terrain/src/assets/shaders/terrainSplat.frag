@@ -0,0 +1,152 @@
+precision highp float;
+precision highp sampler2D;
+
+// Fragment shader for data-driven terrain materials; terrainMaterials.js
+// compiles the material's layers into <terrainLayers.glsl>.
+
+uniform sampler2D uHeightData;
+uniform vec3 uFogColor;
+uniform float uFogNear;
+uniform float uFogFar;
+uniform float uFadeStart;
+uniform float uFadeEnd;
+uniform vec3 uSunDirection;
+uniform float uSunIntensity;
+uniform float uSunWarmth;
+uniform float uSpecularStrength;
+uniform vec3 uAmbientDirection;
+uniform float uAmbientIntensity;
+uniform vec3 uAmbientColor;
+uniform float uSmoothFactor;
+uniform vec3 uSkyTintColor;
+uniform float uSkyTintStrength;
+#include <terrainShadow.glsl>
+#include <terrainTriplanar.glsl>
+
+varying float vMorphFactor;
+varying vec3 vNormal;
+varying vec3 vPosition;
+
+#include <heightmap.glsl>
+
+float getHeight(vec3 p) {
+  if (uHeightmapEnabled > 0.5) {
+    return getHeightmapHeight(p.xy);
+  }
+
+  // One noise texture spans uWorldScale units
+  vec2 st = p.xy / uWorldScale;
+
+  float h = 1024.0 * getBaseOctave(st);
+  h += 64.0 * texture2D(uHeightData, 16.0 * st).r;
+  h += 4.0 * texture2D(uHeightData, 256.0 * st).r;
+  return h * h / 2000.0;
+}
+
+vec3 getNormal() {
+  float height = getHeight(vPosition);
+  vec3 p = vec3(vPosition.xy, height);
+  return normalize(cross(dFdx(p), dFdy(p)));
+}
+
+// Layer weights: 0 below/above the bound, 1 past it, blended over +-blend
+float splatAbove(float value, float bound, float blend) {
+  return smoothstep(bound - blend, bound + blend, value);
+}
+
+float splatBelow(float value, float bound, float blend) {
+  return 1.0 - smoothstep(bound - blend, bound + blend, value);
+}
+
+// Value noise in 0..1 for breaking up layer edges
+float splatHash(vec2 p) {
+  p = fract(p * vec2(123.34, 345.45));
+  p += dot(p, p + 34.23);
+  return fract(p.x * p.y);
+}
+
+float splatNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  float a = splatHash(i);
+  float b = splatHash(i + vec2(1.0, 0.0));
+  float c = splatHash(i + vec2(0.0, 1.0));
+  float d = splatHash(i + vec2(1.0, 1.0));
+  return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+// What the material's layers blend to at a point
+struct SplatSurface {
+  vec3 color;
+  float detail; // Detail normal strength
+  float reflection; // Share of water, reflecting reflectionColor
+  vec3 reflectionColor;
+};
+
+#include <terrainLayers.glsl>
+
+void main() {
+  vec3 normal = normalize(mix(normalize(vNormal), getNormal(), uSmoothFactor));
+  SplatSurface surface = splatSurface(vPosition, normal);
+  vec3 color = surface.color;
+  float viewDistance = length(cameraPosition - vPosition);
+
+#ifdef SPLAT_DETAIL_NORMAL
+  normal = applyDetailNormal(normal, vPosition, SPLAT_DETAIL_NORMAL_SCALE, viewDistance, SPLAT_DETAIL_NORMAL_AMOUNT * surface.detail);
+#endif
+
+  vec3 sunDir = normalize(uSunDirection);
+  float shadowFactor = computeShadowFactor(vPosition);
+  float sunStrength = clamp(uSunIntensity, 0.0, 4.0) * shadowFactor;
+  float diffuse = max(dot(normal, sunDir), 0.0);
+  float lightMix = SPLAT_AMBIENT + SPLAT_DIFFUSE * pow(diffuse, SPLAT_DIFFUSE_EXPONENT) * sunStrength;
+  color = mix(SPLAT_SHADE_COLOR, color, clamp(lightMix, 0.0, 1.2));
+  float sunInfluence = clamp(diffuse * sunStrength, 0.0, 1.0);
+  vec3 sunTint = mix(vec3(0.62, 0.75, 0.98), vec3(1.05, 0.72, 0.48), clamp(uSunWarmth, 0.0, 1.0));
+  color = mix(color, color * sunTint, sunInfluence * SPLAT_SUN_TINT);
+
+  vec3 ambientDir = normalize(uAmbientDirection);
+  float ambientTerm = max(dot(normal, ambientDir), 0.0) * uAmbientIntensity;
+  color += uAmbientColor * ambientTerm;
+
+  float skyFacing = clamp(normal.z, 0.0, 1.0);
+  float skyTintMix = uSkyTintStrength * pow(skyFacing, 0.7);
+  color = mix(color, uSkyTintColor, skyTintMix);
+
+  vec3 viewDir = normalize(cameraPosition - vPosition);
+  vec3 halfVector = normalize(sunDir + viewDir);
+  float specular = pow(max(dot(normal, halfVector), 0.0), SPLAT_SPECULAR_POWER) * sunStrength * uSpecularStrength;
+  vec3 specTint = mix(SPLAT_SPECULAR_COLOR, sunTint, SPLAT_SUN_TINT);
+  color += specTint * (SPLAT_SPECULAR * specular);
+
+#ifdef SPLAT_REFLECTION
+  if (surface.reflection > 0.001) {
+    float fresnel = pow(1.0 - max(dot(normal, viewDir), 0.0), 3.0);
+    vec3 reflectionColor = mix(surface.color, surface.reflectionColor, fresnel);
+    color = mix(color, reflectionColor, surface.reflection * (0.35 + 0.45 * fresnel * sunStrength));
+  }
+#endif
+
+#ifdef SPLAT_HEIGHT_FOG
+  float heightFog = clamp(1.0 - vPosition.z / SPLAT_HEIGHT_FOG_TOP, 0.0, 1.0);
+  heightFog = SPLAT_HEIGHT_FOG_STRENGTH * pow(heightFog, 5.4);
+  color = mix(color, SPLAT_HEIGHT_FOG_COLOR, heightFog);
+#endif
+
+  float fogRange = max(uFogFar - uFogNear, 0.0001);
+  float fogFactor = clamp((viewDistance - uFogNear) / fogRange, 0.0, 1.0);
+  vec3 fogColor = uFogColor;
+#ifdef SPLAT_FOG_TINT
+  fogColor = mix(fogColor, SPLAT_FOG_TINT_COLOR, SPLAT_FOG_TINT_AMOUNT);
+#endif
+  color = mix(color, fogColor, fogFactor);
+
+  float edgeFade = 1.0;
+  if (uFadeEnd > uFadeStart) {
+    edgeFade = 1.0 - clamp((viewDistance - uFadeStart) / (uFadeEnd - uFadeStart), 0.0, 1.0);
+  }
+  color *= edgeFade;
+
+  gl_FragColor = vec4(color, edgeFade);
+}
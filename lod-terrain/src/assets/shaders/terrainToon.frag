@@ -2,7 +2,6 @@
 precision highp float;
 precision highp sampler2D;
 
-uniform float uScale;
 uniform sampler2D uHeightData;
 uniform vec3 uFogColor;
 uniform float uFogNear;
@@ -47,12 +46,18 @@ vec3 colorForScale(float scale) {
   return vec3(0, 0, 0);
 }
 
+#include <heightmap.glsl>
+
 float getHeight( vec3 p ) {
-  // Assume a 1024x1024 world
-  vec2 st = p.xy / 1024.0;
+  if (uHeightmapEnabled > 0.5) {
+    return getHeightmapHeight(p.xy);
+  }
+
+  // One noise texture spans uWorldScale units
+  vec2 st = p.xy / uWorldScale;
 
   // Sample multiple times to get more detail out of map
-  float h = 1024.0 * texture2D(uHeightData, st).r;
+  float h = 1024.0 * getBaseOctave(st);
   h += 64.0 * texture2D(uHeightData, 16.0 * st).r;
   //h += 4.0 * texture2D(uHeightData, 256.0 * st).r;
 
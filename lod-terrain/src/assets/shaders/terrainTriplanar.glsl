@@ -0,0 +1,41 @@
+// Triplanar projection and tiled detail normals for steep terrain. Planar XY
+// sampling stretches textures on cliffs; these project along all three axes
+// and blend by the surface normal instead.
+uniform sampler2D uDetailNormal;
+uniform float uDetailNormalStrength;
+uniform float uDetailNormalDistance; // Detail fades out by this view distance
+
+vec3 triplanarWeights(vec3 normal) {
+  vec3 weights = pow(abs(normal), vec3(4.0));
+  return weights / max(weights.x + weights.y + weights.z, 0.0001);
+}
+
+vec3 triplanarSample(sampler2D tex, vec3 position, vec3 normal, float scale) {
+  vec3 weights = triplanarWeights(normal);
+  vec3 x = texture2D(tex, position.yz * scale).rgb;
+  vec3 y = texture2D(tex, position.xz * scale).rgb;
+  vec3 z = texture2D(tex, position.xy * scale).rgb;
+  return x * weights.x + y * weights.y + z * weights.z;
+}
+
+// Perturbs a world normal by the detail map projected along each axis (a
+// whiteout-style blend); amount scales it, e.g. by a layer's weight
+vec3 applyDetailNormal(
+  vec3 normal,
+  vec3 position,
+  float scale,
+  float viewDistance,
+  float amount
+) {
+  float fade = 1.0 - smoothstep(0.5 * uDetailNormalDistance, uDetailNormalDistance, viewDistance);
+  float strength = uDetailNormalStrength * fade * amount;
+  vec3 weights = triplanarWeights(normal);
+  vec2 x = texture2D(uDetailNormal, position.yz * scale).xy * 2.0 - 1.0;
+  vec2 y = texture2D(uDetailNormal, position.xz * scale).xy * 2.0 - 1.0;
+  vec2 z = texture2D(uDetailNormal, position.xy * scale).xy * 2.0 - 1.0;
+  vec3 detail =
+      vec3(0.0, x.x, x.y) * weights.x +
+      vec3(y.x, 0.0, y.y) * weights.y +
+      vec3(z.x, z.y, 0.0) * weights.z;
+  return normalize(normal + detail * strength);
+}
@@ -8,6 +8,11 @@ export class AudioManager {
     this.effectsVolume = 0.8;
     this.isMuted = false;
 
+    // Synthesized alerts (Web Audio beeps, no sound files)
+    this.audioContext = null;
+    this.currentAlert = null;
+    this.alertInterval = null;
+
     console.log("🔊 Audio Manager initialized");
   }
 
@@ -150,6 +155,56 @@ export class AudioManager {
     console.log(`🔊 Fading in: ${name} over ${duration}ms`);
   }
 
+  // Repeating warning beep, e.g. the ground proximity warning. Playing another
+  // alert replaces the current one.
+  playAlert(name, { frequency = 880, beepDuration = 0.15, interval = 0.5 } = {}) {
+    if (this.currentAlert === name) return;
+    this.stopAlert();
+
+    const context = this.getAudioContext();
+    if (!context) return;
+
+    const beep = () => {
+      const volume = this.effectsVolume * this.masterVolume * 0.3;
+      if (volume <= 0) return;
+
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(volume, context.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + beepDuration);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start();
+      oscillator.stop(context.currentTime + beepDuration);
+    };
+
+    beep();
+    this.alertInterval = setInterval(beep, interval * 1000);
+    this.currentAlert = name;
+    console.log(`🔊 Alert: ${name}`);
+  }
+
+  stopAlert() {
+    if (this.alertInterval) {
+      clearInterval(this.alertInterval);
+      this.alertInterval = null;
+    }
+    this.currentAlert = null;
+  }
+
+  getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      this.audioContext = new AudioContextClass();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+    return this.audioContext;
+  }
+
   // Music-specific methods
   playMusic(name, fadeIn = true) {
     if (fadeIn) {
@@ -172,6 +227,7 @@ export class AudioManager {
   // Stop all audio
   stopAll() {
     console.log("🔊 Stopping all audio");
+    this.stopAlert();
 
     for (const [name, audioData] of this.audioSources) {
       if (audioData.isPlaying) {
@@ -185,6 +241,7 @@ export class AudioManager {
   // Pause all audio
   pauseAll() {
     console.log("🔊 Pausing all audio");
+    this.stopAlert();
 
     for (const [name, audioData] of this.audioSources) {
       if (audioData.isPlaying) {
@@ -1,6 +1,10 @@
 import * as THREE from "three";
 
 import { SKY_KEYFRAMES } from "./sky.js";
+import terrainMaterial from "./assets/materials/terrain.json";
+import snowyMaterial from "./assets/materials/snowy.json";
+import realisticMaterial from "./assets/materials/realistic.json";
+import marsMaterial from "./assets/materials/mars.json";
 
 export const SKY_PRESETS = {
   classic: SKY_KEYFRAMES,
@@ -89,9 +93,13 @@ export const SHADER_SEQUENCE = [
   "Mars",
 ];
 
+// Each environment draws its terrain with either a layered material
+// definition (see terrainMaterials.js) or a hand-written fragment shader for
+// effects layers cannot express. Both are looked up by Terrain.
 export const ENVIRONMENTS = {
   Terrain: {
     name: "Terrain",
+    material: terrainMaterial,
     skyMode: "atmosphere",
     fogColor: 0xbfdcff,
     fogNearScale: 0.9,
@@ -102,6 +110,7 @@ export const ENVIRONMENTS = {
   },
   Snowy: {
     name: "Snowy",
+    material: snowyMaterial,
     skyMode: "atmosphere",
     horizon: 0xbfdcff,
     skyColor: 0xf9f9ff,
@@ -112,6 +121,7 @@ export const ENVIRONMENTS = {
   },
   Toon: {
     name: "Toon",
+    fragmentShader: "terrainToon.frag",
     skyMode: "orange",
     fogColor: 0x8fb5ff,
     fogNearScale: 0.85,
@@ -120,6 +130,7 @@ export const ENVIRONMENTS = {
   },
   Realistic: {
     name: "Realistic",
+    material: realisticMaterial,
     skyMode: "atmosphere",
     horizon: 0xd7f0ff,
     skyColor: 0x87c7ff,
@@ -130,6 +141,7 @@ export const ENVIRONMENTS = {
   },
   Volcanic: {
     name: "Volcanic",
+    fragmentShader: "terrainLava.frag",
     skyMode: "atmosphere",
     horizon: 0x431313,
     skyColor: 0x1c0c0c,
@@ -140,6 +152,7 @@ export const ENVIRONMENTS = {
   },
   Crystal: {
     name: "Crystal",
+    fragmentShader: "terrainCrystal.frag",
     skyMode: "atmosphere",
     horizon: 0x9bd9ff,
     skyColor: 0x5fa8ff,
@@ -150,6 +163,8 @@ export const ENVIRONMENTS = {
   },
   Mars: {
     name: "Mars",
+    material: marsMaterial,
+    vertexShader: "terrainMars.vert", // Flattens the lowlands
     skyMode: "atmosphere",
     horizon: 0xc66b2a,
     skyColor: 0x6b3518,
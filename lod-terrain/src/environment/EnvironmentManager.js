@@ -630,11 +630,13 @@ export class EnvironmentManager {
     for (let i = 0; i < this.shadowCascades.length; i++) {
       const cascade = this.shadowCascades[i];
       if (!this.shadowCascadeEnabled[i]) continue;
+      terrain.cullTiles(cascade.lightCamera);
       renderer.setRenderTarget(cascade.renderTarget);
       renderer.clear(true, true, true);
       renderer.render(scene, cascade.lightCamera);
     }
 
+    terrain.resetCulling();
     terrain.useDepthMaterial(false);
 
     if (this.sky !== undefined) this.sky.visible = skyVisible;
@@ -0,0 +1,211 @@
+// Erosion stage for the procedural height field (see heightfield.js).
+// Heights are normalized so 1.0 is the full texel range; the base noise octave
+// spreads one texture across 1024 units horizontally and ~1024 units
+// vertically, so a slope of tan(angle) / width per texel is roughly that angle.
+
+export const DEFAULT_EROSION = Object.freeze({
+  iterations: 0,
+  rain: 0.35,
+  talusAngle: 35,
+});
+export const MAX_EROSION_ITERATIONS = 20;
+
+// Fraction of texels that receive a droplet per iteration at rain = 1
+const DROPLET_DENSITY = 0.25;
+const DROPLET_LIFETIME = 30;
+const INERTIA = 0.05;
+const SEDIMENT_CAPACITY = 4;
+const MIN_SEDIMENT_CAPACITY = 0.01;
+const ERODE_SPEED = 0.3;
+const DEPOSIT_SPEED = 0.3;
+const EVAPORATE_SPEED = 0.01;
+const GRAVITY = 4;
+// Share of the excess slope moved downhill per thermal pass
+const THERMAL_RATE = 0.5;
+
+const NEIGHBORS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, Math.SQRT2],
+  [-1, 1, Math.SQRT2],
+  [1, -1, Math.SQRT2],
+  [-1, -1, Math.SQRT2],
+];
+
+export function normalizeErosion(settings = {}) {
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+  return {
+    iterations: Math.round(
+      clamp(
+        settings.iterations,
+        0,
+        MAX_EROSION_ITERATIONS,
+        DEFAULT_EROSION.iterations
+      )
+    ),
+    rain: clamp(settings.rain, 0, 1, DEFAULT_EROSION.rain),
+    talusAngle: clamp(settings.talusAngle, 1, 89, DEFAULT_EROSION.talusAngle),
+  };
+}
+
+// Erodes `heights` in place. Each iteration rains droplets (hydraulic erosion)
+// and then slumps anything steeper than the talus angle (thermal erosion).
+// The same seed and settings always produce the same result.
+export function erodeHeightField(
+  heights,
+  width,
+  { iterations, rain, talusAngle },
+  seed,
+  onProgress = () => {}
+) {
+  const droplets = Math.round(rain * width * width * DROPLET_DENSITY);
+  const talus = Math.tan((talusAngle * Math.PI) / 180) / width;
+  const random = mulberry32(seed);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let n = 0; n < droplets; n++) {
+      simulateDroplet(
+        heights,
+        width,
+        1 + random() * (width - 3),
+        1 + random() * (width - 3)
+      );
+    }
+    thermalPass(heights, width, talus);
+    onProgress((iteration + 1) / iterations);
+  }
+
+  return heights;
+}
+
+// Droplet model after Hans Theobald Beyer's "Implementation of a method for
+// hydraulic erosion"; sediment moves through the four texels under the droplet.
+function simulateDroplet(heights, width, startX, startY) {
+  let x = startX;
+  let y = startY;
+  let dirX = 0;
+  let dirY = 0;
+  let speed = 1;
+  let water = 1;
+  let sediment = 0;
+  const sample = { height: 0, gradX: 0, gradY: 0 };
+
+  for (let lifetime = 0; lifetime < DROPLET_LIFETIME; lifetime++) {
+    const nodeX = Math.floor(x);
+    const nodeY = Math.floor(y);
+    const fx = x - nodeX;
+    const fy = y - nodeY;
+
+    sampleBilinear(heights, width, x, y, sample);
+    const height = sample.height;
+
+    dirX = dirX * INERTIA - sample.gradX * (1 - INERTIA);
+    dirY = dirY * INERTIA - sample.gradY * (1 - INERTIA);
+    const length = Math.hypot(dirX, dirY);
+    if (length < 1e-9) {
+      break;
+    }
+    dirX /= length;
+    dirY /= length;
+    x += dirX;
+    y += dirY;
+
+    if (x < 0 || y < 0 || x >= width - 1 || y >= width - 1) {
+      break;
+    }
+
+    const deltaHeight = sampleBilinear(heights, width, x, y, sample).height - height;
+    const capacity = Math.max(
+      -deltaHeight * speed * water * SEDIMENT_CAPACITY,
+      MIN_SEDIMENT_CAPACITY
+    );
+
+    if (sediment > capacity || deltaHeight > 0) {
+      // Fill the pit behind us when moving uphill, otherwise drop the excess
+      const amount =
+        deltaHeight > 0
+          ? Math.min(deltaHeight, sediment)
+          : (sediment - capacity) * DEPOSIT_SPEED;
+      sediment -= amount;
+      distribute(heights, width, nodeX, nodeY, fx, fy, amount);
+    } else {
+      const amount = Math.min((capacity - sediment) * ERODE_SPEED, -deltaHeight);
+      sediment += amount;
+      distribute(heights, width, nodeX, nodeY, fx, fy, -amount);
+    }
+
+    speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * GRAVITY));
+    water *= 1 - EVAPORATE_SPEED;
+  }
+}
+
+function sampleBilinear(heights, width, x, y, out) {
+  const nodeX = Math.floor(x);
+  const nodeY = Math.floor(y);
+  const fx = x - nodeX;
+  const fy = y - nodeY;
+  const i = nodeY * width + nodeX;
+
+  const h00 = heights[i];
+  const h10 = heights[i + 1];
+  const h01 = heights[i + width];
+  const h11 = heights[i + width + 1];
+
+  out.gradX = (h10 - h00) * (1 - fy) + (h11 - h01) * fy;
+  out.gradY = (h01 - h00) * (1 - fx) + (h11 - h10) * fx;
+  out.height =
+    h00 * (1 - fx) * (1 - fy) +
+    h10 * fx * (1 - fy) +
+    h01 * (1 - fx) * fy +
+    h11 * fx * fy;
+  return out;
+}
+
+// Positive amounts deposit, negative amounts erode
+function distribute(heights, width, nodeX, nodeY, fx, fy, amount) {
+  const i = nodeY * width + nodeX;
+  heights[i] += amount * (1 - fx) * (1 - fy);
+  heights[i + 1] += amount * fx * (1 - fy);
+  heights[i + width] += amount * (1 - fx) * fy;
+  heights[i + width + 1] += amount * fx * fy;
+}
+
+function thermalPass(heights, width, talus) {
+  for (let y = 1; y < width - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      let steepest = 0;
+      let target = -1;
+      let excess = 0;
+
+      for (const [dx, dy, distance] of NEIGHBORS) {
+        const j = i + dy * width + dx;
+        const slope = (heights[i] - heights[j]) / distance;
+        if (slope > steepest) {
+          steepest = slope;
+          target = j;
+          excess = (slope - talus) * distance;
+        }
+      }
+
+      if (target >= 0 && steepest > talus) {
+        const amount = excess * 0.5 * THERMAL_RATE;
+        heights[i] -= amount;
+        heights[target] += amount;
+      }
+    }
+  }
+}
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    let t = (state += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -1,5 +1,5 @@
 import * as THREE from "three";
-import { sampleHeight } from "../noise.js";
+import { sampleHeight, sampleNormal } from "../noise.js";
 
 export class CollisionDetector {
   constructor(scene) {
@@ -103,29 +103,63 @@ export class CollisionDetector {
     return null; // No collision
   }
 
-  calculateTerrainNormal = (x, y) => {
-    const delta = 5; // Sample distance for normal calculation
+  // Samples the terrain along the velocity vector for lookAheadTime seconds.
+  // clearance: height above the ground now; minClearance: the lowest point of
+  // the path ahead; timeToImpact: when the path meets the ground (Infinity if
+  // it stays clear within the look-ahead).
+  probeTerrainAhead = (position, velocity, lookAheadTime = 6, samples = 24) => {
+    const clearance = position.z - sampleHeight(position.x, position.y);
+    let minClearance = clearance;
+    let timeToImpact = clearance <= 0 ? 0 : Infinity;
+    let previousClearance = clearance;
+
+    for (let i = 1; i <= samples && timeToImpact === Infinity; i++) {
+        const t = (lookAheadTime * i) / samples;
+        const x = position.x + velocity.x * t;
+        const y = position.y + velocity.y * t;
+        const pathClearance = position.z + velocity.z * t - sampleHeight(x, y);
+        minClearance = Math.min(minClearance, pathClearance);
+
+        if (pathClearance <= 0) {
+            // Interpolate where the path crossed the surface between samples
+            const sampleTime = lookAheadTime / samples;
+            timeToImpact =
+                t - sampleTime * (-pathClearance / (previousClearance - pathClearance));
+        }
+        previousClearance = pathClearance;
+    }
 
-    try {
-      // Sample heights around the point
-      const hL = sampleHeight(x - delta, y); // Left
-      const hR = sampleHeight(x + delta, y); // Right
-      const hD = sampleHeight(x, y - delta); // Down
-      const hU = sampleHeight(x, y + delta); // Up
+    return { clearance, minClearance, timeToImpact };
+  }
 
-      // Calculate gradients
-      const dx = (hR - hL) / (2 * delta);
-      const dy = (hU - hD) / (2 * delta);
+  // First point where a sphere moving from `from` to `to` touches the
+  // terrain, or null. Used for the player's hull each fixed step.
+  checkSweptTerrainImpact = (from, to, radius = 0, stepSize = 5) => {
+    const distance = from.distanceTo(to);
+    const steps = Math.max(1, Math.ceil(distance / stepSize));
+    const testPoint = new THREE.Vector3();
 
-      // Normal vector is (-dx, -dy, 1) normalized
-      const normal = new THREE.Vector3(-dx, -dy, 1);
-      normal.normalize();
+    for (let i = 0; i <= steps; i++) {
+        testPoint.lerpVectors(from, to, i / steps);
+        const terrainHeight = sampleHeight(testPoint.x, testPoint.y);
 
-      return normal;
-    } catch (error) {
-      // Fallback to upward normal if sampling fails
-      return new THREE.Vector3(0, 0, 1);
+        if (testPoint.z - radius <= terrainHeight) {
+            return {
+                hit: true,
+                point: new THREE.Vector3(testPoint.x, testPoint.y, terrainHeight),
+                normal: this.calculateTerrainNormal(testPoint.x, testPoint.y),
+                terrainHeight: terrainHeight,
+                penetration: terrainHeight + radius - testPoint.z
+            };
+        }
     }
+
+    return null;
+  }
+
+  calculateTerrainNormal = (x, y) => {
+    // Analytic normal of the same bilinear surface the vertex shader renders
+    return sampleNormal(x, y, new THREE.Vector3());
   }
 
   calculateReflection = (velocity, normal, energyLoss = 0.8) => {
@@ -187,14 +221,6 @@ export class CollisionDetector {
     return distance <= (radius1 + radius2);
   }
 
-  checkLaserEnemyCollision = (position, radius = 150) => {
-    // This would integrate with enemy manager
-    if (window.game && window.game.enemyManager) {
-      return window.game.enemyManager.damageEnemiesInArea(position, radius, 25);
-    }
-    return [];
-  }
-
   update = () => {
     // Re-find terrain mesh if it was lost
     if (!this.terrainMesh) {
@@ -0,0 +1,171 @@
+import * as THREE from 'three'
+import { sampleHeight } from '../noise.js'
+import { gameClock } from './GameClock.js'
+import { gameRandom } from './GameRandom.js'
+
+// lod-terrain is Z-up; the player flies along its own heading in the XY plane
+const WORLD_UP = new THREE.Vector3(0, 0, 1)
+
+// Resolve the player's flat forward/right axes (Y-forward when no heading is known)
+export function getPlayerFrame(player, forward = new THREE.Vector3(), right = new THREE.Vector3()) {
+  forward.set(0, 1, 0)
+  if (player && player.forwardDirection) {
+    forward.copy(player.forwardDirection)
+    forward.z = 0
+    if (forward.lengthSq() < 1e-6) {
+      forward.set(0, 1, 0)
+    }
+    forward.normalize()
+  }
+  right.crossVectors(forward, WORLD_UP).normalize()
+  return { forward, right }
+}
+
+export class Enemy {
+  constructor(scene, position) {
+    this.scene = scene
+    this.position = position.clone()
+    this.mesh = null
+    this.player = null
+    this.projectiles = null // Shared ProjectileSystem, for enemies that shoot
+    this.health = 100
+    this.maxHealth = 100
+    this.destroyed = false
+    this.speed = 1000
+    this.attackDamage = 25
+    this.points = 100
+    this.flares = 2 // Countermeasure salvos against homing missiles
+    this.minTerrainClearance = 60
+
+    // AI behavior
+    this.targetPosition = new THREE.Vector3()
+    this.velocity = new THREE.Vector3()
+    this.lastAttackTime = 0
+    this.attackCooldown = 2000 // 2 seconds
+
+    // Animation properties
+    this.time = 0
+    this.bobOffset = gameRandom() * Math.PI * 2
+
+    this.frameForward = new THREE.Vector3(0, 1, 0)
+    this.frameRight = new THREE.Vector3(1, 0, 0)
+  }
+
+  setPlayer(player) {
+    this.player = player
+  }
+
+  setProjectiles(projectiles) {
+    this.projectiles = projectiles
+  }
+
+  update(deltaTime, playerPosition) {
+    if (this.destroyed) return
+
+    this.time += deltaTime
+    getPlayerFrame(this.player, this.frameForward, this.frameRight)
+    this.updateAI(deltaTime, playerPosition)
+    this.updateMovement(deltaTime)
+    this.updateAnimation(deltaTime)
+  }
+
+  updateAI(deltaTime, playerPosition) {
+    // Base AI - override in subclasses
+    // Default behavior: move toward player
+    this.targetPosition.copy(playerPosition)
+  }
+
+  // Place target at (side, up, ahead) relative to the player's current heading
+  offsetFromPlayer(playerPosition, side, up, ahead, target = this.targetPosition) {
+    return target
+      .copy(playerPosition)
+      .addScaledVector(this.frameRight, side)
+      .addScaledVector(WORLD_UP, up)
+      .addScaledVector(this.frameForward, ahead)
+  }
+
+  keepAboveTerrain(target, clearance = this.minTerrainClearance) {
+    const ground = sampleHeight(target.x, target.y)
+    if (target.z < ground + clearance) {
+      target.z = ground + clearance
+    }
+    return target
+  }
+
+  updateMovement(deltaTime) {
+    if (!this.mesh) return
+
+    // Move toward target position
+    const direction = this.targetPosition.clone().sub(this.mesh.position)
+    const distance = direction.length()
+
+    if (distance > 10) {
+      direction.normalize()
+      this.velocity.copy(direction).multiplyScalar(this.speed)
+      this.mesh.position.add(this.velocity.clone().multiplyScalar(deltaTime))
+    }
+  }
+
+  updateAnimation(deltaTime) {
+    // Base animation - override in subclasses
+  }
+
+  takeDamage(damage) {
+    this.health -= damage
+    if (this.health <= 0) {
+      this.destroy()
+      return true // Enemy destroyed
+    }
+    return false
+  }
+
+  checkCollision(playerPosition, radius = 100) {
+    if (this.destroyed || !this.mesh) return false
+
+    const distance = this.mesh.position.distanceTo(playerPosition)
+    return distance < radius
+  }
+
+  canAttack() {
+    const now = gameClock.now()
+    return now - this.lastAttackTime > this.attackCooldown
+  }
+
+  attack() {
+    this.lastAttackTime = gameClock.now()
+    return this.attackDamage
+  }
+
+  getPosition() {
+    return this.mesh ? this.mesh.position : this.position
+  }
+
+  isDestroyed() {
+    return this.destroyed
+  }
+
+  getPoints() {
+    return this.points
+  }
+
+  destroy() {
+    this.destroyed = true
+    this.projectiles?.releaseOwnedBy(this)
+    if (this.mesh) {
+      // Disposal logic
+      this.mesh.traverse((child) => {
+        if (child.geometry) child.geometry.dispose()
+        if (child.material) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(material => material.dispose())
+          } else {
+            child.material.dispose()
+          }
+        }
+      })
+
+      this.scene.remove(this.mesh)
+      this.mesh = null
+    }
+  }
+}
@@ -0,0 +1,260 @@
+import * as THREE from "three";
+import { FlyingOrb } from "./FlyingOrb.js";
+import { OrbSnake } from "./OrbSnake.js";
+import { PurpleCylinder } from "./PurpleCylinder.js";
+import { GroundTurret } from "./GroundTurret.js";
+import { getPlayerFrame } from "./Enemy.js";
+import { sampleHeight } from "../noise.js";
+import { gameRandom } from "./GameRandom.js";
+
+export class EnemyManager {
+  constructor(scene, player, projectiles = null, particles = null) {
+    this.scene = scene;
+    this.player = player;
+    this.projectiles = projectiles; // Shared ProjectileSystem for enemy fire
+    this.particles = particles; // Shared ParticleSystem for hit effects
+    this.enemies = [];
+
+    // Spawn settings (lod-terrain scale, relative to the player's heading)
+    this.spawnDistance = 3000; // Distance ahead to spawn enemies
+    this.spawnRadius = 1500; // How far left/right from flight path
+    this.despawnDistance = 3000; // Remove enemies this far behind the player
+    this.minSpawnSpacing = 1500; // Flight distance between spawns
+    this.maxEnemies = 15; // Maximum enemies in world at once (to allow big waves)
+    this.spawnTimer = 0;
+    this.spawnInterval = 500; // Spawn every 6 seconds initially (much more frequent)
+    this.lastSpawnDistance = -Infinity;
+
+    this.playerForward = new THREE.Vector3(0, 1, 0);
+    this.playerRight = new THREE.Vector3(1, 0, 0);
+
+    // Difficulty scaling
+    this.difficultyLevel = 1;
+    this.enemiesKilled = 0;
+    this.playerScore = 0;
+
+    console.log("⚔️ EnemyManager initialized");
+  }
+
+  update(deltaTime) {
+    // Player mesh loads asynchronously
+    if (!this.player || !this.player.mesh) return;
+
+    // Update spawn timer
+    this.spawnTimer += deltaTime * 1000;
+
+    // Get player position and heading
+    const playerPos = this.player.mesh.position.clone();
+    getPlayerFrame(this.player, this.playerForward, this.playerRight);
+
+    // Spawn new enemies if needed
+    if (this.shouldSpawnEnemy(playerPos)) {
+      this.spawnEnemy(playerPos);
+    }
+
+    // Update all enemies
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+
+      // Update enemy
+      enemy.update(deltaTime, playerPos);
+
+      // Check if enemy is too far behind
+      const distanceBehind = playerPos
+        .clone()
+        .sub(enemy.getPosition())
+        .dot(this.playerForward);
+      if (distanceBehind > this.despawnDistance || enemy.isDestroyed()) {
+        if (enemy.isDestroyed()) {
+          this.enemiesKilled++;
+          this.playerScore += enemy.getPoints();
+          console.log(`💀 Enemy destroyed! Score: +${enemy.getPoints()}`);
+        }
+
+        enemy.destroy();
+        this.enemies.splice(i, 1);
+        continue;
+      }
+
+      // Check collision with player
+      if (enemy.checkCollision(playerPos, 80)) {
+        // OrbSnake causes instant death
+        if (enemy instanceof OrbSnake) {
+          console.log("🐍💀 Player hit orb snake - INSTANT DEATH!");
+          this.player.takeDamage(9999); // Instant death
+        } else if (enemy.canAttack()) {
+          const damage = enemy.attack();
+          this.player.takeDamage(damage);
+          console.log(`💥 Player hit for ${damage} damage!`);
+        }
+      }
+    }
+
+    // Update difficulty
+    this.updateDifficulty();
+  }
+
+  shouldSpawnEnemy(playerPos) {
+    // Don't spawn if we have too many enemies
+    if (this.enemies.length >= this.maxEnemies) {
+      return false;
+    }
+
+    // Don't spawn too frequently
+    if (this.spawnTimer < this.spawnInterval) {
+      return false;
+    }
+
+    // Don't spawn too close to last spawn point
+    if (
+      this.player.distanceTraveled - this.lastSpawnDistance <
+      this.minSpawnSpacing
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  spawnEnemy(playerPos) {
+    // Reset spawn timer
+    this.spawnTimer = 0;
+
+    // Calculate spawn position ahead of player
+    const spawnDistance = this.spawnDistance + gameRandom() * 1000; // 3-4km ahead
+
+    // Decide if this should be a wave spawn (30% chance)
+    const isWaveSpawn = gameRandom() < 0.3;
+    const enemiesToSpawn = isWaveSpawn ? 5 + Math.floor(gameRandom() * 6) : 1; // 5-10 enemies or just 1
+
+    console.log(
+      `👹 Spawning ${enemiesToSpawn} enemies${isWaveSpawn ? " (WAVE!)" : ""}`
+    );
+
+    for (let i = 0; i < enemiesToSpawn; i++) {
+      // Random position left/right of flight path
+      const sideOffset = (gameRandom() - 0.5) * this.spawnRadius * 2;
+
+      // For wave spawns, spread them out a bit more
+      const waveSpread = isWaveSpawn ? (i - enemiesToSpawn / 2) * 400 : 0;
+      const spawnPosition = playerPos
+        .clone()
+        .addScaledVector(this.playerRight, sideOffset + waveSpread)
+        .addScaledVector(
+          this.playerForward,
+          spawnDistance + (gameRandom() - 0.5) * 1000
+        );
+
+      // Spawn at similar height to player with some variation, clear of the ground
+      spawnPosition.z = Math.max(
+        playerPos.z + (gameRandom() - 0.5) * 200,
+        sampleHeight(spawnPosition.x, spawnPosition.y) + 100
+      );
+
+      // Create enemy based on chance
+      let enemy;
+
+      const randEnemy = gameRandom();
+      if (randEnemy < 0.4) {
+        // 40% chance for orb snake (deadly enemy)
+        const snakeLength = 15 + Math.floor(gameRandom() * 10); // 15-24 segments (much longer)
+        enemy = new OrbSnake(this.scene, spawnPosition, snakeLength);
+      } else if (randEnemy < 0.5) {
+        // 10% chance for purple cylinder
+        enemy = new PurpleCylinder(this.scene, spawnPosition);
+      } else if (randEnemy < 0.85) {
+        // 35% chance for ground turret (snaps itself to the terrain height)
+        enemy = new GroundTurret(this.scene, spawnPosition);
+      } else {
+        // 15% chance for single flying orb
+        enemy = new FlyingOrb(this.scene, spawnPosition);
+      }
+
+      enemy.setPlayer(this.player);
+      enemy.setProjectiles(this.projectiles);
+      this.enemies.push(enemy);
+
+      console.log(
+        `👹 Enemy ${
+          i + 1
+        }/${enemiesToSpawn} spawned at (${spawnPosition.x.toFixed(
+          0
+        )}, ${spawnPosition.y.toFixed(0)}, ${spawnPosition.z.toFixed(0)})`
+      );
+    }
+
+    this.lastSpawnDistance = this.player.distanceTraveled;
+  }
+
+  updateDifficulty() {
+    // Increase difficulty based on enemies killed
+    const newDifficultyLevel = Math.floor(this.enemiesKilled / 5) + 1;
+
+    if (newDifficultyLevel > this.difficultyLevel) {
+      this.difficultyLevel = newDifficultyLevel;
+
+      // Adjust spawn settings
+      this.maxEnemies = Math.min(20, 15 + Math.floor(this.difficultyLevel)); // More enemies at higher difficulty
+      this.spawnInterval = Math.max(2000, 6000 - this.difficultyLevel * 400); // Faster spawning as difficulty increases
+
+      console.log(`📈 Difficulty increased to level ${this.difficultyLevel}`);
+    }
+  }
+
+  // Method to damage enemies (called from weapon systems)
+  damageEnemiesInArea(position, radius, damage) {
+    const hits = [];
+
+    for (const enemy of this.enemies) {
+      if (enemy.isDestroyed()) continue;
+
+      const enemyPos = enemy.getPosition();
+      const distance = enemyPos.distanceTo(position);
+
+      if (distance <= radius) {
+        console.log(`💥 HIT! Enemy hit by weapon!`);
+        const destroyed = enemy.takeDamage(damage);
+        hits.push({
+          enemy: enemy,
+          destroyed: destroyed,
+          points: destroyed ? enemy.getPoints() : 0,
+        });
+
+        // Create visual hit effect
+        this.createHitEffect(enemyPos);
+      }
+    }
+
+    return hits;
+  }
+
+  createHitEffect(position) {
+    // Bright flash and sparks at the hit location
+    this.particles?.spawnHit(position);
+  }
+
+  getEnemyCount() {
+    return this.enemies.length;
+  }
+
+  getDifficultyLevel() {
+    return this.difficultyLevel;
+  }
+
+  getKillCount() {
+    return this.enemiesKilled;
+  }
+
+  getScore() {
+    return this.playerScore;
+  }
+
+  // Clean up all enemies
+  cleanup() {
+    for (const enemy of this.enemies) {
+      enemy.destroy();
+    }
+    this.enemies = [];
+    console.log("🧹 EnemyManager cleaned up");
+  }
+}
@@ -0,0 +1,200 @@
+import * as THREE from "three";
+
+// Tuned for the game's scale (cruise around 300 units/s), not real units.
+// Forces are accelerations: the jet has unit mass.
+export const DEFAULT_FLIGHT_CONFIG = Object.freeze({
+  gravity: 60,
+  maxThrust: 45, // Full throttle
+  afterburnerThrust: 35, // Added on top of full throttle
+  throttleRate: 0.5, // Throttle travel per second of input
+  airDensity: 0.0035, // Dynamic pressure = airDensity · speed²
+  liftSlope: 4, // Lift coefficient per radian of angle of attack
+  stallAngle: 0.3, // Critical angle of attack (~17°)
+  stallLiftFactor: 0.4, // Share of peak lift left once stalled
+  parasiticDrag: 0.1,
+  inducedDrag: 0.3, // Drag per lift coefficient squared
+  sideForce: 2, // How quickly sideslip is damped (1/s)
+  maxPitchRate: 1.2, // rad/s at full control authority
+  maxRollRate: 2.5,
+  maxYawRate: 0.5,
+  rateResponse: 6, // How quickly body rates follow the stick (1/s)
+  controlSpeed: 250, // Airspeed with full control authority
+  minAuthority: 0.15, // Control left at zero airspeed
+  // How quickly the nose settles to its trimmed angle of attack (1/s). Full
+  // stick holds the nose maxPitchRate / weathervane (~0.3 rad) above trim.
+  weathervane: 4,
+  stalledWeathervane: 3,
+});
+
+const FORWARD = new THREE.Vector3(0, 1, 0);
+const UP = new THREE.Vector3(0, 0, 1);
+const RIGHT = new THREE.Vector3(1, 0, 0);
+const GRAVITY_DIRECTION = new THREE.Vector3(0, 0, -1);
+
+/**
+ * Six-degree-of-freedom flight in the Z-up world, body axes Y forward,
+ * X right, Z up. Thrust, lift, drag and gravity move the jet; pitch, roll and
+ * yaw inputs (-1..1) command body rotation rates whose authority fades at low
+ * airspeed. Past the stall angle lift collapses and the nose falls into the
+ * airflow.
+ */
+export class FlightModel {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_FLIGHT_CONFIG, ...config };
+
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.velocity = new THREE.Vector3();
+    this.angularVelocity = new THREE.Vector3(); // Body rates: x pitch, y roll, z yaw
+    this.throttle = 1;
+
+    // Last step's readings, for HUD and effects
+    this.airspeed = 0;
+    this.angleOfAttack = 0;
+    this.stalled = false;
+
+    this._forward = new THREE.Vector3();
+    this._up = new THREE.Vector3();
+    this._right = new THREE.Vector3();
+    this._airflow = new THREE.Vector3();
+    this._trimmedAirflow = new THREE.Vector3();
+    this._liftDirection = new THREE.Vector3();
+    this._acceleration = new THREE.Vector3();
+    this._targetRates = new THREE.Vector3();
+    this._euler = new THREE.Euler();
+    this._rotation = new THREE.Quaternion();
+    this._identity = new THREE.Quaternion();
+  }
+
+  // Starts from a pose flying straight along the nose at `speed`
+  reset(position, quaternion, speed, throttle = this.throttle) {
+    this.position.copy(position);
+    this.quaternion.copy(quaternion).normalize();
+    this.velocity.copy(FORWARD).applyQuaternion(this.quaternion).multiplyScalar(speed);
+    this.angularVelocity.set(0, 0, 0);
+    this.throttle = THREE.MathUtils.clamp(throttle, 0, 1);
+    this.airspeed = speed;
+    this.angleOfAttack = 0;
+    this.stalled = false;
+  }
+
+  // controls: { pitch, roll, yaw, throttle } in -1..1 (throttle moves the
+  // lever up or down) and { afterburner } as a boolean
+  step(deltaTime, controls) {
+    const config = this.config;
+    const forward = this._forward.copy(FORWARD).applyQuaternion(this.quaternion);
+    const up = this._up.copy(UP).applyQuaternion(this.quaternion);
+    const right = this._right.copy(RIGHT).applyQuaternion(this.quaternion);
+
+    this.throttle = THREE.MathUtils.clamp(
+      this.throttle + (controls.throttle || 0) * config.throttleRate * deltaTime,
+      0,
+      1
+    );
+
+    const speed = this.velocity.length();
+    const airflow =
+      speed > 1e-3
+        ? this._airflow.copy(this.velocity).divideScalar(speed)
+        : this._airflow.copy(forward);
+
+    // Positive when the nose sits above the airflow
+    const angleOfAttack = Math.atan2(
+      -this.velocity.dot(up),
+      Math.max(this.velocity.dot(forward), 1e-3)
+    );
+    const stalled = Math.abs(angleOfAttack) > config.stallAngle;
+    const liftCoefficient = stalled
+      ? Math.sign(angleOfAttack) *
+        config.liftSlope *
+        config.stallAngle *
+        config.stallLiftFactor
+      : config.liftSlope * angleOfAttack;
+    const dynamicPressure = config.airDensity * speed * speed;
+
+    // Lift acts across the airflow in the wings' plane
+    const liftDirection = this._liftDirection.crossVectors(right, airflow);
+    if (liftDirection.lengthSq() > 1e-8) liftDirection.normalize();
+
+    const thrust =
+      this.throttle * config.maxThrust +
+      (controls.afterburner ? config.afterburnerThrust : 0);
+    const drag =
+      dynamicPressure *
+      (config.parasiticDrag + config.inducedDrag * liftCoefficient * liftCoefficient);
+
+    const acceleration = this._acceleration
+      .copy(forward)
+      .multiplyScalar(thrust)
+      .addScaledVector(liftDirection, dynamicPressure * liftCoefficient)
+      .addScaledVector(airflow, -drag)
+      .addScaledVector(GRAVITY_DIRECTION, config.gravity)
+      .addScaledVector(right, -this.velocity.dot(right) * config.sideForce);
+
+    this.velocity.addScaledVector(acceleration, deltaTime);
+    this.position.addScaledVector(this.velocity, deltaTime);
+
+    // Control surfaces need airflow
+    const authority = THREE.MathUtils.clamp(
+      (speed / config.controlSpeed) ** 2,
+      config.minAuthority,
+      1
+    );
+    const pitchAuthority = stalled ? authority * 0.3 : authority;
+    this._targetRates.set(
+      (controls.pitch || 0) * config.maxPitchRate * pitchAuthority,
+      (controls.roll || 0) * config.maxRollRate * authority,
+      -(controls.yaw || 0) * config.maxYawRate * authority
+    );
+    this.angularVelocity.lerp(
+      this._targetRates,
+      1 - Math.exp(-config.rateResponse * deltaTime)
+    );
+
+    this._euler.set(
+      this.angularVelocity.x * deltaTime,
+      this.angularVelocity.y * deltaTime,
+      this.angularVelocity.z * deltaTime
+    );
+    this.quaternion.multiply(this._rotation.setFromEuler(this._euler));
+
+    // Stability: the nose settles into the airflow, trimmed to the angle of
+    // attack whose lift balances gravity across the flight path, so hands off
+    // the jet holds its path like a fly-by-wire jet. Stalled, the trim is lost
+    // and the nose drops.
+    if (speed > 1) {
+      const rate = stalled ? config.stalledWeathervane : config.weathervane * authority;
+      const pathCos = Math.sqrt(Math.max(0, 1 - airflow.z * airflow.z));
+      const trimAngle = stalled
+        ? 0
+        : Math.min(
+            (config.gravity * pathCos) /
+              Math.max(dynamicPressure * config.liftSlope, 1e-3),
+            config.stallAngle * 0.8
+          );
+      const target = this._trimmedAirflow
+        .copy(airflow)
+        .applyAxisAngle(right, trimAngle);
+      forward.copy(FORWARD).applyQuaternion(this.quaternion);
+      this._rotation.setFromUnitVectors(forward, target);
+      this._rotation.slerp(this._identity, Math.exp(-rate * deltaTime));
+      this.quaternion.premultiply(this._rotation);
+    }
+    this.quaternion.normalize();
+
+    this.airspeed = this.velocity.length();
+    this.angleOfAttack = angleOfAttack;
+    this.stalled = stalled;
+  }
+
+  getForward(target = new THREE.Vector3()) {
+    return target.copy(FORWARD).applyQuaternion(this.quaternion);
+  }
+
+  // Bank angle in radians, positive with the right wing down
+  getRoll() {
+    const up = this._up.copy(UP).applyQuaternion(this.quaternion);
+    const right = this._right.copy(RIGHT).applyQuaternion(this.quaternion);
+    return Math.atan2(-right.z, up.z);
+  }
+}
@@ -2,7 +2,31 @@ import * as THREE from "three";
 import { Player } from "./Player.js";
 import { InputManager } from "./InputManager.js";
 import { CollisionDetector } from "./CollisionDetector.js";
+import { EnemyManager } from "./EnemyManager.js";
+import {
+  FACTIONS,
+  ProjectileSystem,
+  getTargetPosition,
+} from "@shared/game/ProjectileSystem.js";
+import { ParticleSystem } from "@shared/game/ParticleSystem.js";
+import { MissileSystem } from "@shared/game/MissileSystem.js";
+import { gameClock } from "./GameClock.js";
+import { GamepadInput } from "@shared/game/GamepadInput.js";
+import {
+  createGameSeed,
+  gameRandom,
+  seedGameRandom,
+} from "./GameRandom.js";
+import {
+  InputRecorder,
+  InputPlayback,
+  compareReplayFinalState,
+  parseReplay,
+  serializeReplay,
+} from "./Replay.js";
 import { UIManager } from "../ui/UIManager.js";
+import { sampleHeight, sampleNormal } from "../noise.js";
+import { userPreferences } from "@shared/utils/UserPreferences.js";
 import { camera } from "../camera.js";
 import { scene } from "../scene.js";
 import { renderer } from "../renderer.js";
@@ -24,9 +48,19 @@ export class Game {
     this.uiManager = new UIManager(this);
     this.inputManager = null; // Will be created after player
     this.player = null;
-    this.enemyManager = null; // Will be added later
+    this.enemyManager = null; // Created per play session
+    this.projectiles = null; // Every shot in flight, created per play session
+    this.particles = null; // Hit and explosion effects, created per play session
+    this.missiles = null; // Missile guidance and enemy flares, per play session
+    this._reticlePosition = new THREE.Vector3(); // Lock-on target on screen
     this.hud = null; // Will be added later
 
+    // Polled every rendered frame so Start and the menus work while paused
+    this.gamepad = new GamepadInput({
+      deadZone: userPreferences.getGamepadDeadZone(),
+      curve: userPreferences.getGamepadCurve(),
+    });
+
     // Game settings
     this.gameMode = "play"; // 'play' or 'float'
 
@@ -38,6 +72,19 @@ export class Game {
     this.lastUpdateTime = 0;
     this.deltaTime = 0;
 
+    // Gameplay advances in fixed steps of simulation time
+    this.clock = gameClock;
+    this.fixedUpdate = this.fixedUpdate.bind(this);
+
+    // Replays: the flight being recorded or played back, and the last finished one
+    this.replayRecorder = null;
+    this.replayPlayback = null;
+    this.replayFinished = false;
+    this.lastReplay = null;
+
+    // Ground proximity warning currently shown and sounded
+    this.groundWarning = null;
+
     // Pause camera rotation
     this.pauseCameraAngle = 0;
     this.pauseCameraDistance = 500;
@@ -46,13 +93,24 @@ export class Game {
     console.log("🎮 Game system initialized");
   }
 
-  async startGame(mode = "play") {
+  // options.replay: a parsed recording to play back instead of live input
+  async startGame(mode = "play", { replay = null } = {}) {
     console.log(`🚀 Starting game in ${mode} mode`);
 
+    if (replay) {
+      await this.app.applyReplayWorld(replay.world);
+    }
+    const randomSeed = replay ? replay.randomSeed : createGameSeed();
+    seedGameRandom(randomSeed);
+
     this.gameMode = mode;
     this.gameStarted = true;
     this.gameOver = false;
     this.gamePaused = false;
+    this.replayFinished = false;
+    // Held until play mode has loaded so every flight starts on tick 0
+    this.clock.reset();
+    this.clock.pause();
 
     // Store original camera state for float mode
     if (!this.originalCameraPosition) {
@@ -63,9 +121,12 @@ export class Game {
 
     if (mode === "play") {
       await this.initializePlayMode();
+      this.startReplay(replay, randomSeed);
     } else if (mode === "float") {
       this.initializeFloatMode();
     }
+    this.clock.reset();
+    this.clock.resume();
 
     // Enable input
     if (this.inputManager) {
@@ -90,12 +151,55 @@ export class Game {
   async initializePlayMode() {
     console.log("🎮 Initializing play mode...");
 
+    // Lasers and bombs from both sides, swept against each other and the terrain
+    this.projectiles = new ProjectileSystem(this.scene, {
+      up: new THREE.Vector3(0, 0, 1),
+      getTerrainHeight: (position) => sampleHeight(position.x, position.y),
+      getTerrainNormal: (position, target) =>
+        sampleNormal(position.x, position.y, target),
+    });
+    this.projectiles.setTargets(FACTIONS.player, () =>
+      this.player ? [this.player] : []
+    );
+    this.projectiles.setTargets(
+      FACTIONS.enemy,
+      () => this.enemyManager?.enemies ?? []
+    );
+
+    this.particles = new ParticleSystem(this.scene, {
+      up: new THREE.Vector3(0, 0, 1),
+    });
+
+    // Flares change where missiles go, so they use the seeded game RNG
+    this.missiles = new MissileSystem(this.projectiles, this.particles, {
+      up: new THREE.Vector3(0, 0, 1),
+      random: gameRandom,
+    });
+
     // Create player
-    this.player = new Player(this.scene, this.camera, this.collisionDetector);
+    this.player = new Player(
+      this.scene,
+      this.camera,
+      this.collisionDetector,
+      this.projectiles,
+      this.particles,
+      this.missiles
+    );
+    this.player.flightAssist = userPreferences.getFlightAssist();
+    this.player.terrainFollowing = userPreferences.getTerrainFollowing();
 
     // Create input manager with player reference
     this.inputManager = new InputManager(this.player);
     this.inputManager.game = this; // Set game reference for pause functionality
+    this.inputManager.gamepad = this.gamepad;
+
+    // Create enemies (spawns once the player mesh is loaded)
+    this.enemyManager = new EnemyManager(
+      this.scene,
+      this.player,
+      this.projectiles,
+      this.particles
+    );
 
     // Wait for player to load
     let attempts = 0;
@@ -151,6 +255,7 @@ export class Game {
     if (!this.gameStarted || this.gameOver) return;
 
     this.gamePaused = !this.gamePaused;
+    this.clock.setPaused(this.gamePaused);
 
     if (this.gamePaused) {
       this.inputManager.disable();
@@ -166,8 +271,11 @@ export class Game {
   stopGame() {
     console.log("🛑 Stopping game");
 
+    this.finishReplay();
+
     this.gameStarted = false;
     this.gamePaused = false;
+    this.clock.pause();
     this.inputManager.disable();
 
     // Release pointer lock for main menu interaction
@@ -175,11 +283,34 @@ export class Game {
       document.exitPointerLock();
     }
 
+    // Clean up enemies
+    if (this.enemyManager) {
+      this.enemyManager.cleanup();
+      this.enemyManager = null;
+    }
+
+    if (this.missiles) {
+      this.missiles.dispose();
+      this.missiles = null;
+    }
+
+    if (this.projectiles) {
+      this.projectiles.dispose();
+      this.projectiles = null;
+    }
+
+    if (this.particles) {
+      this.particles.dispose();
+      this.particles = null;
+    }
+
     // Clean up player
     if (this.player && this.player.mesh) {
       this.scene.remove(this.player.mesh);
       this.player = null;
     }
+    this.updateGroundWarning();
+    this.updateLockReticle();
 
     // Restore original camera controls
     if (this.app.controls) {
@@ -201,28 +332,253 @@ export class Game {
     console.log("🔄 Restarting game");
 
     const currentMode = this.gameMode;
+    const replay = this.replayPlayback?.recording ?? null;
     this.stopGame();
 
     // Small delay then restart
     setTimeout(() => {
-      this.startGame(currentMode);
+      this.startGame(currentMode, { replay });
     }, 100);
   }
 
+  // Records this flight's input, or feeds a recording back in its place
+  startReplay(replay, randomSeed) {
+    if (!this.inputManager) return;
+
+    if (replay) {
+      if (replay.step !== this.clock.step) {
+        console.warn("⚠️ Replay was recorded with a different step length and may diverge");
+      }
+      this.replayPlayback = new InputPlayback(replay);
+      this.inputManager.playback = this.replayPlayback;
+      console.log(`📼 Playing back replay (${replay.ticks} ticks)`);
+    } else {
+      this.replayRecorder = new InputRecorder({
+        step: this.clock.step,
+        randomSeed,
+        world: this.app.getReplayWorld(),
+      });
+      this.inputManager.recorder = this.replayRecorder;
+    }
+  }
+
+  // Closes the recording (kept as lastReplay) or checks a finished playback
+  finishReplay() {
+    const finalState = this.getReplayFinalState();
+
+    if (this.replayRecorder) {
+      if (this.replayRecorder.ticks > 0) {
+        this.lastReplay = this.replayRecorder.finish(finalState);
+        console.log(`📼 Recorded replay (${this.lastReplay.ticks} ticks)`);
+      }
+      this.replayRecorder = null;
+    }
+
+    if (this.replayPlayback) {
+      if (this.replayPlayback.done) {
+        const { matched, distance } = compareReplayFinalState(
+          this.replayPlayback.recording.finalState,
+          finalState
+        );
+        if (matched) {
+          console.log("✅ Replay reproduced the recorded flight");
+        } else if (matched === false) {
+          console.warn(
+            `⚠️ Replay diverged from the recording by ${distance.toFixed(3)} units`
+          );
+        }
+      }
+      this.replayPlayback = null;
+    }
+
+    if (this.inputManager) {
+      this.inputManager.recorder = null;
+      this.inputManager.playback = null;
+    }
+  }
+
+  getReplayFinalState() {
+    if (!this.player?.mesh) return null;
+    return {
+      position: this.player.position.toArray(),
+      health: this.player.health,
+    };
+  }
+
+  isReplaying() {
+    return Boolean(this.replayPlayback);
+  }
+
+  async watchReplay(replay = this.lastReplay) {
+    if (!replay) {
+      console.warn("⚠️ No replay to watch");
+      return false;
+    }
+    await this.startGame("play", { replay });
+    return true;
+  }
+
+  exportReplay(replay = this.lastReplay) {
+    if (!replay) {
+      console.warn("⚠️ No replay recorded yet");
+      return false;
+    }
+    const blob = new Blob([serializeReplay(replay)], {
+      type: "application/json",
+    });
+    this.app.downloadBlob(blob, `vibejet-replay-${replay.world.seed}.json`);
+    console.log(`💾 Exported replay (${replay.ticks} ticks)`);
+    return true;
+  }
+
+  // file: a File/Blob from an <input type="file">; becomes lastReplay
+  async importReplay(file) {
+    try {
+      this.lastReplay = parseReplay(await file.text());
+    } catch (error) {
+      console.warn("⚠️ Failed to import replay:", error);
+      return null;
+    }
+    console.log(`📼 Imported replay (${this.lastReplay.ticks} ticks)`);
+    return this.lastReplay;
+  }
+
+  // Called once per rendered frame with real elapsed seconds
   update(deltaTime) {
+    this.updateGamepad();
+
     if (!this.gameStarted || this.gameOver) return;
 
     this.deltaTime = deltaTime;
 
+    // Run whatever fixed steps are due (none while paused unless stepping),
+    // then render the player between the last two of them
+    this.player?.beginFixedSteps();
+    const steps = this.clock.advance(deltaTime, this.fixedUpdate);
+    this.player?.interpolate(this.clock.alpha);
+    this.projectiles?.interpolate(this.clock.alpha);
+
+    // Effects are cosmetic, so they move every frame by the game time it
+    // covered rather than in fixed-step jumps; single steps still move them
+    this.particles?.update(
+      this.clock.paused ? steps * this.clock.step : this.clock.frameTime
+    );
+
+    if (this.replayFinished) {
+      this.stopGame();
+      return;
+    }
+
+    this.updateGroundWarning();
+    this.updateLockReticle();
+
     // Handle pause camera rotation
     if (this.gamePaused && this.player && this.player.mesh) {
       this.updatePauseCamera(deltaTime);
-      return; // Don't update game logic when paused
+      return;
+    }
+
+    if (this.player && this.gameMode === "play") {
+      this.player.updateCamera(this.clock.frameTime);
+    }
+
+    if (this.hud) {
+      this.hud.update(deltaTime);
+    }
+  }
+
+  // Lock-on reticle over the selected target, hidden when it is off screen
+  updateLockReticle() {
+    const lock = this.player && this.gameStarted ? this.player.targetLock : null;
+    if (!lock || !lock.target) {
+      this.uiManager.setLockReticle(null);
+      return;
+    }
+
+    const screen = this._reticlePosition
+      .copy(getTargetPosition(lock.target))
+      .project(this.camera);
+    if (screen.z > 1) {
+      this.uiManager.setLockReticle(null); // Behind the camera
+      return;
+    }
+
+    this.uiManager.setLockReticle({
+      x: ((screen.x + 1) / 2) * window.innerWidth,
+      y: ((1 - screen.y) / 2) * window.innerHeight,
+      progress: lock.progress,
+      locked: lock.isLocked(),
+    });
+  }
+
+  // HUD text and alert beeps for the player's ground proximity warning;
+  // silent while paused or out of the game
+  updateGroundWarning() {
+    const warning =
+      this.player && this.gameStarted && !this.gamePaused
+        ? this.player.groundWarning
+        : null;
+    if (warning === this.groundWarning) return;
+    this.groundWarning = warning;
+
+    this.uiManager.setGroundWarning(warning);
+    const audio = this.app.audioManager;
+    if (!audio) return;
+    if (warning === "pullUp") {
+      audio.playAlert("pull-up", { frequency: 1200, interval: 0.3 });
+    } else if (warning === "terrain") {
+      audio.playAlert("terrain", { frequency: 700, interval: 0.8 });
+    } else {
+      audio.stopAlert();
+    }
+  }
+
+  // Gamepad buttons that act once per press: pause, toggles and menus.
+  // Held buttons and the stick are read by InputManager on each fixed step.
+  updateGamepad() {
+    const { pressed, connected } = this.gamepad.poll();
+    if (!connected) return;
+
+    if (!this.gameStarted) {
+      this.uiManager.handleGamepad(this.gamepad);
+      return;
+    }
+    if (this.gameOver || this.gameMode !== "play") return;
+
+    if (pressed.pause) {
+      this.pauseGame();
+    } else if (this.gamePaused) {
+      this.uiManager.handleGamepad(this.gamepad);
+    } else {
+      if (pressed.afterburner) this.inputManager?.requestAfterburnerToggle();
+      if (pressed.flightAssist) this.inputManager?.requestFlightAssistToggle();
+      if (pressed.terrainFollow) {
+        this.inputManager?.requestTerrainFollowingToggle();
+      }
+    }
+  }
+
+  // { deadZone, curve }; partial updates keep the other value
+  setGamepadResponse({ deadZone, curve } = {}) {
+    if (deadZone !== undefined) userPreferences.setGamepadDeadZone(deadZone);
+    if (curve !== undefined) userPreferences.setGamepadCurve(curve);
+    return this.gamepad.setConfig({
+      deadZone: userPreferences.getGamepadDeadZone(),
+      curve: userPreferences.getGamepadCurve(),
+    });
+  }
+
+  // One fixed simulation step of gameplay logic
+  fixedUpdate(step) {
+    // Stop on the exact tick the recording ended
+    if (this.replayPlayback?.done || this.replayFinished) {
+      this.replayFinished = true;
+      return;
     }
 
     // Update input manager (handles player input automatically)
     if (this.inputManager && this.gameMode === "play") {
-      this.inputManager.update(deltaTime);
+      this.inputManager.update(step);
     }
 
     // Update collision detector
@@ -230,17 +586,34 @@ export class Game {
 
     // Update player
     if (this.player && this.gameMode === "play") {
-      this.player.update(deltaTime);
+      this.player.update(step);
     }
 
     // Update other game systems
     if (this.enemyManager) {
-      this.enemyManager.update(deltaTime);
+      this.enemyManager.update(step);
     }
 
-    if (this.hud) {
-      this.hud.update(deltaTime);
+    if (this.projectiles) {
+      this.projectiles.update(step);
     }
+
+    if (this.missiles) {
+      this.missiles.update(step);
+    }
+  }
+
+  // Slow motion / fast forward for gameplay; returns the applied scale
+  setTimeScale(scale) {
+    const applied = this.clock.setTimeScale(scale);
+    console.log(`⏱️ Game time scale: ${applied}×`);
+    return applied;
+  }
+
+  // Advance a paused game by whole fixed steps, e.g. to inspect a collision
+  stepSimulation(steps = 1) {
+    if (!this.gameStarted || !this.gamePaused) return;
+    this.clock.requestStep(steps);
   }
 
   handleInput(deltaTime) {
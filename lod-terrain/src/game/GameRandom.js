@@ -0,0 +1,27 @@
+// Seeded random numbers for everything that changes the simulation (spawns,
+// AI choices, bounces). Purely cosmetic effects keep using Math.random so they
+// never shift the sequence a replay depends on.
+let random = mulberry32(createGameSeed());
+
+export function createGameSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+export function seedGameRandom(seed) {
+  random = mulberry32(seed);
+}
+
+// Drop-in for Math.random() in gameplay code: [0, 1)
+export function gameRandom() {
+  return random();
+}
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    let t = (state += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,73 @@
+// Warning levels, most urgent last
+export const GROUND_WARNINGS = Object.freeze({
+  terrain: "TERRAIN",
+  pullUp: "PULL UP",
+});
+
+export const DEFAULT_PROXIMITY_CONFIG = Object.freeze({
+  lookAheadTime: 6, // Seconds of flight path sampled ahead
+  samples: 24,
+  terrainTime: 6, // Path meets the ground within this many seconds: TERRAIN
+  pullUpTime: 3, // ...within this many: PULL UP
+  sinkClearance: 80, // Descending this close to the ground: TERRAIN
+  holdTime: 0.75, // Seconds a warning outlasts its cause, so it doesn't flicker
+});
+
+const WARNING_RANK = { terrain: 1, pullUp: 2 };
+
+/**
+ * Ground proximity warning system. Each fixed step it probes the terrain
+ * along the jet's velocity through the CollisionDetector and answers null,
+ * 'terrain' or 'pullUp'.
+ */
+export class GroundProximity {
+  constructor(collisionDetector, config = {}) {
+    this.collisionDetector = collisionDetector;
+    this.config = { ...DEFAULT_PROXIMITY_CONFIG, ...config };
+    this.reset();
+  }
+
+  reset() {
+    this.warning = null;
+    this.holdTimer = 0;
+    this.clearance = Infinity;
+    this.timeToImpact = Infinity;
+  }
+
+  update(position, velocity, deltaTime) {
+    const { config } = this;
+    const probe = this.collisionDetector.probeTerrainAhead(
+      position,
+      velocity,
+      config.lookAheadTime,
+      config.samples
+    );
+    this.clearance = probe.clearance;
+    this.timeToImpact = probe.timeToImpact;
+
+    let level = null;
+    if (probe.timeToImpact <= config.pullUpTime) {
+      level = "pullUp";
+    } else if (
+      probe.timeToImpact <= config.terrainTime ||
+      (probe.clearance < config.sinkClearance && velocity.z < 0)
+    ) {
+      level = "terrain";
+    }
+
+    // Escalate at once; step down only after the hold time
+    const rank = WARNING_RANK[level] ?? 0;
+    const currentRank = WARNING_RANK[this.warning] ?? 0;
+    if (rank >= currentRank) {
+      this.warning = level;
+      this.holdTimer = config.holdTime;
+    } else {
+      this.holdTimer -= deltaTime;
+      if (this.holdTimer <= 0) {
+        this.warning = level;
+        this.holdTimer = config.holdTime;
+      }
+    }
+    return this.warning;
+  }
+}
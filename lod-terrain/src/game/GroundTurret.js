@@ -0,0 +1,431 @@
+import * as THREE from "three";
+import { Enemy } from "./Enemy.js";
+import { sampleHeight } from "../noise.js";
+import { gameClock } from "./GameClock.js";
+import { FACTIONS } from "@shared/game/ProjectileSystem.js";
+
+// Turret lasers, registered on the game's ProjectileSystem
+const TURRET_LASER = {
+  capacity: 64,
+  speed: 8000,
+  life: 4,
+  radius: 80, // Hit sphere around the player
+  length: 200,
+  coreRadius: 8,
+  glowRadius: 12,
+  color: 0xff0000,
+  emissiveIntensity: 1.2,
+};
+
+// Muzzle flash pool
+class MuzzleFlashPool {
+  constructor() {
+    this.availableFlashes = [];
+    this.geometry = null;
+    this.material = null;
+  }
+
+  initialize() {
+    this.geometry = new THREE.SphereGeometry(8, 6, 6);
+    this.material = new THREE.MeshBasicMaterial({
+      color: 0xffff00,
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+    });
+
+    // Pre-create flash objects
+    for (let i = 0; i < 10; i++) {
+      const flash = new THREE.Mesh(this.geometry, this.material);
+      flash.visible = false;
+      this.availableFlashes.push(flash);
+    }
+  }
+
+  getFlash() {
+    if (this.availableFlashes.length > 0) {
+      return this.availableFlashes.pop();
+    }
+    // Create new if pool is empty
+    const flash = new THREE.Mesh(this.geometry, this.material);
+    flash.visible = false;
+    return flash;
+  }
+
+  returnFlash(flash) {
+    flash.visible = false;
+    this.availableFlashes.push(flash);
+  }
+}
+
+const flashPool = new MuzzleFlashPool();
+
+export class GroundTurret extends Enemy {
+  constructor(scene, position) {
+    super(scene, position);
+
+    // Initialize the flash pool on first turret creation
+    if (!flashPool.geometry) {
+      flashPool.initialize();
+    }
+
+    // Ground turret specific properties
+    this.health = 200;
+    this.maxHealth = 200;
+    this.speed = 0;
+    this.attackDamage = 20;
+    this.points = 300;
+    this.range = 3000;
+
+    // Targeting and rotation
+    this.cannonRotationY = 0;
+    this.cannonRotationX = 0;
+    this.rotationSpeed = 3.0;
+    this.targetPosition = new THREE.Vector3();
+    this.isTargeting = false;
+
+    // Shooting mechanics
+    this.lastShotTime = 0;
+    this.laserCooldown = 600;
+    this.laserSpeed = 8000;
+
+    // Get terrain height for proper placement (Z-up)
+    this.groundHeight = this.getTerrainHeight(position.x, position.y);
+    this.position.z = this.groundHeight;
+
+    // Reused objects for calculations
+    this._tempVector1 = new THREE.Vector3();
+    this._tempVector2 = new THREE.Vector3();
+    this._tempQuaternion = new THREE.Quaternion();
+    this._mountInverse = new THREE.Quaternion();
+
+    this.createTurret();
+  }
+
+  createTurret() {
+    // Create turret group
+    this.turretGroup = new THREE.Group();
+
+    // Base platform
+    const baseGeometry = new THREE.CylinderGeometry(40, 50, 20, 12);
+    const baseMaterial = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      metalness: 0.8,
+      roughness: 0.3,
+    });
+
+    this.baseMesh = new THREE.Mesh(baseGeometry, baseMaterial);
+    this.baseMesh.position.y = 10;
+    this.turretGroup.add(this.baseMesh);
+
+    // Rotating base (turret ring)
+    const ringGeometry = new THREE.CylinderGeometry(35, 35, 15, 12);
+    const ringMaterial = new THREE.MeshStandardMaterial({
+      color: 0x666666,
+      metalness: 0.7,
+      roughness: 0.2,
+    });
+
+    this.ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
+    this.ringMesh.position.y = 27.5;
+    this.turretGroup.add(this.ringMesh);
+
+    // Cannon group (rotates with turret)
+    this.cannonGroup = new THREE.Group();
+    this.cannonGroup.position.y = 35;
+
+    // Cannon base/housing
+    const housingGeometry = new THREE.BoxGeometry(30, 20, 25);
+    const housingMaterial = new THREE.MeshStandardMaterial({
+      color: 0x444444,
+      metalness: 0.8,
+      roughness: 0.2,
+    });
+
+    this.housingMesh = new THREE.Mesh(housingGeometry, housingMaterial);
+    this.cannonGroup.add(this.housingMesh);
+
+    // Cannon barrel (rotates for elevation)
+    this.barrelGroup = new THREE.Group();
+
+    const barrelGeometry = new THREE.CylinderGeometry(4, 4, 60, 12);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x222222,
+      metalness: 0.9,
+      roughness: 0.1,
+    });
+
+    this.barrelMesh = new THREE.Mesh(barrelGeometry, barrelMaterial);
+    this.barrelMesh.rotation.z = Math.PI / 2;
+    this.barrelMesh.position.x = 30;
+    this.barrelGroup.add(this.barrelMesh);
+
+    // Cannon elevation pivot
+    this.barrelGroup.position.set(0, 5, 0);
+    this.cannonGroup.add(this.barrelGroup);
+
+    // Add energy core (targeting laser)
+    const coreGeometry = new THREE.SphereGeometry(8, 12, 12);
+    const coreMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff0000,
+      emissive: 0xff0000,
+      emissiveIntensity: 1.5,
+      transparent: true,
+      opacity: 0.8,
+    });
+
+    this.coreMesh = new THREE.Mesh(coreGeometry, coreMaterial);
+    this.coreMesh.position.set(0, -5, 0);
+    this.cannonGroup.add(this.coreMesh);
+
+    // Radar/targeting dish
+    const dishGeometry = new THREE.ConeGeometry(15, 8, 8);
+    const dishMaterial = new THREE.MeshStandardMaterial({
+      color: 0x555555,
+      metalness: 0.6,
+      roughness: 0.4,
+    });
+
+    this.dishMesh = new THREE.Mesh(dishGeometry, dishMaterial);
+    this.dishMesh.position.set(0, 15, -10);
+    this.cannonGroup.add(this.dishMesh);
+
+    // Warning lights
+    for (let i = 0; i < 4; i++) {
+      const lightGeometry = new THREE.SphereGeometry(3, 6, 6);
+      const lightMaterial = new THREE.MeshStandardMaterial({
+        color: 0xff4400,
+        emissive: 0xff2200,
+        emissiveIntensity: 2.0,
+      });
+
+      const light = new THREE.Mesh(lightGeometry, lightMaterial);
+      const angle = (i / 4) * Math.PI * 2;
+      light.position.set(Math.cos(angle) * 25, -8, Math.sin(angle) * 25);
+
+      this.ringMesh.add(light);
+    }
+
+    this.turretGroup.add(this.cannonGroup);
+
+    // Geometry is built Y-up; stand it upright in the Z-up world
+    this.turretGroup.rotation.x = Math.PI / 2;
+    this._mountInverse.copy(this.turretGroup.quaternion).invert();
+
+    // Position turret on ground
+    this.turretGroup.position.copy(this.position);
+    this.mesh = this.turretGroup;
+    this.scene.add(this.turretGroup);
+
+    console.log("Ground Turret deployed at", this.position);
+  }
+
+  setProjectiles(projectiles) {
+    super.setProjectiles(projectiles);
+    projectiles?.ensureType("turretLaser", TURRET_LASER);
+  }
+
+  updateAI(deltaTime, playerPosition) {
+    if (!this.mesh) return;
+
+    // Reuse temp vector for distance calculation
+    const distanceToPlayer = this.mesh.position.distanceTo(playerPosition);
+    this.isTargeting = distanceToPlayer <= this.range;
+
+    if (this.isTargeting) {
+      this.targetPosition.copy(playerPosition);
+
+      // Add prediction for moving target
+      if (this.player && this.player.velocity) {
+        const timeToTarget = distanceToPlayer / this.laserSpeed;
+        this._tempVector1
+          .copy(this.player.velocity)
+          .multiplyScalar(timeToTarget);
+        this.targetPosition.add(this._tempVector1);
+      }
+
+      this.updateTargeting(deltaTime);
+      this.updateShooting(deltaTime);
+    }
+  }
+
+  updateTargeting(deltaTime) {
+    // Aim in the turret's local Y-up mount space
+    const turretPos = this.cannonGroup.getWorldPosition(this._tempVector1);
+    const direction = this._tempVector2
+      .copy(this.targetPosition)
+      .sub(turretPos)
+      .applyQuaternion(this._mountInverse);
+    const distance = direction.length();
+
+    if (distance > 0) {
+      direction.normalize();
+
+      const targetY = Math.atan2(direction.x, direction.z);
+      const horizontalDistance = Math.sqrt(
+        direction.x * direction.x + direction.z * direction.z
+      );
+      const targetX = -Math.atan2(direction.y, horizontalDistance);
+
+      const rotationDelta = this.rotationSpeed * deltaTime;
+
+      // Rotate cannon horizontally
+      const yDiff = targetY - this.cannonRotationY;
+      let yAdjustment = yDiff;
+
+      if (Math.abs(yDiff) > Math.PI) {
+        yAdjustment = yDiff > 0 ? yDiff - Math.PI * 2 : yDiff + Math.PI * 2;
+      }
+
+      if (Math.abs(yAdjustment) < rotationDelta) {
+        this.cannonRotationY = targetY;
+      } else {
+        this.cannonRotationY += Math.sign(yAdjustment) * rotationDelta;
+      }
+
+      // Rotate cannon vertically (elevation limits)
+      const maxElevation = Math.PI / 6;
+      const minElevation = -Math.PI / 12;
+      const clampedTargetX = Math.max(
+        minElevation,
+        Math.min(maxElevation, targetX)
+      );
+
+      const xDiff = clampedTargetX - this.cannonRotationX;
+      if (Math.abs(xDiff) < rotationDelta) {
+        this.cannonRotationX = clampedTargetX;
+      } else {
+        this.cannonRotationX += Math.sign(xDiff) * rotationDelta;
+      }
+
+      // Apply rotations
+      this.cannonGroup.rotation.y = this.cannonRotationY;
+      this.barrelGroup.rotation.z = this.cannonRotationX;
+    }
+  }
+
+  updateShooting(deltaTime) {
+    const tolerance = 0.15;
+    const turretPos = this.cannonGroup.getWorldPosition(this._tempVector1);
+    const direction = this._tempVector2
+      .copy(this.targetPosition)
+      .sub(turretPos)
+      .applyQuaternion(this._mountInverse)
+      .normalize();
+
+    const targetY = Math.atan2(direction.x, direction.z);
+    const horizontalDistance = Math.sqrt(
+      direction.x * direction.x + direction.z * direction.z
+    );
+    const targetX = -Math.atan2(direction.y, horizontalDistance);
+
+    const yDiff = Math.abs(targetY - this.cannonRotationY);
+    const xDiff = Math.abs(targetX - this.cannonRotationX);
+
+    const isAimed = yDiff < tolerance && xDiff < tolerance;
+
+    const now = gameClock.now();
+    if (isAimed && now - this.lastShotTime > this.laserCooldown) {
+      this.fireLaser();
+      this.lastShotTime = now;
+    }
+  }
+
+  fireLaser() {
+    if (!this.mesh) return;
+
+    // Get muzzle world position using temp vectors
+    const muzzleWorldPos = this.barrelMesh.getWorldPosition(this._tempVector1);
+
+    // Adjust muzzle position to barrel tip
+    const muzzleDirection = this._tempVector2.set(1, 0, 0);
+    muzzleDirection.applyQuaternion(
+      this.barrelMesh.getWorldQuaternion(this._tempQuaternion)
+    );
+    muzzleWorldPos.add(muzzleDirection.multiplyScalar(30));
+
+    // Calculate shooting direction towards target
+    const direction = this.targetPosition
+      .clone()
+      .sub(muzzleWorldPos)
+      .normalize();
+
+    this.projectiles?.spawn("turretLaser", muzzleWorldPos, direction, {
+      owner: this,
+      faction: FACTIONS.enemy,
+      speed: this.laserSpeed,
+      damage: this.attackDamage,
+    });
+    this.createOptimizedMuzzleFlash(muzzleWorldPos);
+  }
+
+  createOptimizedMuzzleFlash(position) {
+    const flash = flashPool.getFlash();
+    flash.position.copy(position);
+    flash.visible = true;
+
+    if (!flash.parent) {
+      this.scene.add(flash);
+    }
+
+    // Return to pool after delay
+    setTimeout(() => {
+      if (flash.parent) {
+        this.scene.remove(flash);
+      }
+      flashPool.returnFlash(flash);
+    }, 100);
+  }
+
+  updateAnimation(deltaTime) {
+    if (!this.mesh) return;
+
+    this.dishMesh.rotation.y += deltaTime * 4;
+
+    if (this.isTargeting) {
+      const pulse = Math.sin(this.time * 6) * 0.5 + 1;
+      this.coreMesh.material.emissiveIntensity = 1.5 + pulse * 0.5;
+      this.coreMesh.scale.setScalar(0.8 + pulse * 0.2);
+    } else {
+      this.coreMesh.material.emissiveIntensity = 0.5;
+      this.coreMesh.scale.setScalar(1.0);
+    }
+  }
+
+  getTerrainHeight(x, y) {
+    return sampleHeight(x, y);
+  }
+
+  takeDamage(damage) {
+    this.flashWhite();
+    return super.takeDamage(damage);
+  }
+
+  flashWhite() {
+    if (!this.originalColors) {
+      this.originalColors = {
+        housingEmissive:
+          this.housingMesh.material.emissive?.clone() ||
+          new THREE.Color(0x000000),
+        barrelEmissive:
+          this.barrelMesh.material.emissive?.clone() ||
+          new THREE.Color(0x000000),
+      };
+    }
+
+    this.housingMesh.material.emissive = new THREE.Color(0xffffff);
+    this.barrelMesh.material.emissive = new THREE.Color(0xffffff);
+
+    setTimeout(() => {
+      if (
+        this.housingMesh &&
+        this.housingMesh.material &&
+        this.originalColors
+      ) {
+        this.housingMesh.material.emissive =
+          this.originalColors.housingEmissive;
+        this.barrelMesh.material.emissive = this.originalColors.barrelEmissive;
+      }
+    }, 100);
+  }
+}
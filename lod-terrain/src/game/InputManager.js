@@ -1,3 +1,7 @@
+import { createEmptyInputFrame } from './Replay.js'
+import { actionMap } from '../utils/ActionMap.js'
+import { userPreferences } from '@shared/utils/UserPreferences.js'
+
 export class InputManager {
   constructor(player) {
     this.player = player
@@ -14,6 +18,20 @@ export class InputManager {
     this.steerTouchId = null // ID of the touch being used for steering
     this.steerCenter = { x: 0, y: 0 } // Dynamic center point for steering
 
+    // Toggle states the next fixed step should apply
+    this.afterburnerRequested = player.afterburner
+    this.flightAssistRequested = player.flightAssist
+    this.terrainFollowingRequested = player.terrainFollowing
+
+    // GamepadInput polled by Game each frame (null without one)
+    this.gamepad = null
+
+    // Replay: every step's input frame goes to the recorder, and while a
+    // playback is set its frames replace live input entirely
+    this.inputFrame = createEmptyInputFrame()
+    this.recorder = null
+    this.playback = null
+
     this.setupEventListeners()
   }
 
@@ -37,28 +55,63 @@ export class InputManager {
   }
 
   onKeyDown(event) {
+    const isPause = actionMap.matches('pause', event.code)
+
+    // A replay only listens for pause and single-stepping
+    if (this.playback && !isPause && event.code !== 'Period') return
+
     this.keys[event.code] = true
 
-    switch(event.code) {
-      case 'Escape':
-        // Pause the game when Escape is pressed
-        if (this.game && this.game.isGameActive()) {
-          this.game.pauseGame()
-        }
-        if (this.isMouseLocked) {
-          document.exitPointerLock()
-        }
-        break
-      case 'ShiftLeft':
-      case 'ShiftRight':
-        // Toggle afterburner
-        if (!this.keys['ShiftLeft'] && !this.keys['ShiftRight']) {
-          this.player.toggleAfterburner()
-        }
-        break
+    if (isPause) {
+      // Pause the game with the pause binding (Escape by default)
+      if (this.game && this.game.isGameActive()) {
+        this.game.pauseGame()
+      }
+    }
+
+    if (event.code === 'Escape' && this.isMouseLocked) {
+      document.exitPointerLock()
+    }
+
+    if (event.code === 'Period') {
+      // Single-step the simulation while paused
+      if (this.game && this.game.gamePaused) {
+        this.game.stepSimulation()
+      }
+    }
+
+    if (actionMap.matches('afterburner', event.code) && !event.repeat) {
+      this.requestAfterburnerToggle()
+    }
+
+    if (actionMap.matches('flightAssist', event.code) && !event.repeat) {
+      this.requestFlightAssistToggle()
+    }
+
+    if (actionMap.matches('terrainFollow', event.code) && !event.repeat) {
+      this.requestTerrainFollowingToggle()
     }
   }
 
+  // Toggle afterburner (applied on the next fixed step)
+  requestAfterburnerToggle() {
+    if (this.playback) return
+    this.afterburnerRequested = !this.afterburnerRequested
+  }
+
+  // Flight assist and terrain following are remembered between games
+  requestFlightAssistToggle() {
+    if (this.playback) return
+    this.flightAssistRequested = !this.flightAssistRequested
+    userPreferences.setFlightAssist(this.flightAssistRequested)
+  }
+
+  requestTerrainFollowingToggle() {
+    if (this.playback) return
+    this.terrainFollowingRequested = !this.terrainFollowingRequested
+    userPreferences.setTerrainFollowing(this.terrainFollowingRequested)
+  }
+
   onKeyUp(event) {
     this.keys[event.code] = false
   }
@@ -191,34 +244,88 @@ export class InputManager {
     }
   }
 
+  // One fixed step of input: sample (or replay) a frame, record it, apply it
   update(deltaTime = 1/60) {
-    // Use passed deltaTime or fallback to 60fps
+    const frame = this.playback ? this.playback.next() : this.sampleInput()
+    if (!frame) return
+
+    this.recorder?.record(frame)
+    this.applyInput(frame, deltaTime)
+  }
+
+  // Live controls as a plain input frame
+  sampleInput() {
+    const hud = window.game && window.game.hud
+    const pad = this.gamepad && this.gamepad.connected ? this.gamepad.state : null
+    const frame = this.inputFrame
+    frame.left = actionMap.isActive('steerLeft', this.keys)
+    frame.right = actionMap.isActive('steerRight', this.keys)
+    frame.fire = Boolean(actionMap.isActive('fire', this.keys) || (hud && hud.shootButtonPressed) || (pad && pad.fire))
+    frame.bomb = Boolean(actionMap.isActive('bomb', this.keys) || (hud && hud.bombButtonPressed) || (pad && pad.bomb))
+    frame.lockTarget = Boolean(actionMap.isActive('lockTarget', this.keys) || (pad && pad.lockTarget))
+    frame.missile = Boolean(actionMap.isActive('missile', this.keys) || (pad && pad.missile))
+    frame.afterburner = this.afterburnerRequested
+    frame.pitchUp = Boolean(actionMap.isActive('pitchUp', this.keys))
+    frame.pitchDown = Boolean(actionMap.isActive('pitchDown', this.keys))
+    frame.yawLeft = Boolean(actionMap.isActive('yawLeft', this.keys) || (pad && pad.yawLeft))
+    frame.yawRight = Boolean(actionMap.isActive('yawRight', this.keys) || (pad && pad.yawRight))
+    frame.throttleUp = Boolean(actionMap.isActive('throttleUp', this.keys) || (pad && pad.throttleUp))
+    frame.throttleDown = Boolean(actionMap.isActive('throttleDown', this.keys) || (pad && pad.throttleDown))
+    frame.assistOff = !this.flightAssistRequested
+    frame.terrainFollowing = this.terrainFollowingRequested
+    frame.touchSteer = this.touchActive ? this.touchSteerInput : 0
+    // Quantized so a held stick doesn't add a replay entry every step
+    frame.stickSteer = pad ? Math.round(pad.steer * 100) / 100 : 0
+    frame.stickPitch = pad ? Math.round(pad.pitch * 100) / 100 : 0
+    return frame
+  }
 
+  applyInput(frame, deltaTime) {
     let hasSteeringInput = false
 
+    // Mode switches first so this step already flies the new way
+    if (!frame.assistOff !== this.player.flightAssist) {
+      this.player.setFlightAssist(!frame.assistOff)
+    }
+    if (frame.terrainFollowing !== this.player.terrainFollowing) {
+      this.player.setTerrainFollowing(frame.terrainFollowing)
+    }
+
+    // Pitch keys win over the stick, like steering
+    const pitchKeys = (frame.pitchUp ? 1 : 0) - (frame.pitchDown ? 1 : 0)
+    this.player.setPitch(pitchKeys !== 0 ? pitchKeys : frame.stickPitch)
+    this.player.setYaw((frame.yawRight ? 1 : 0) - (frame.yawLeft ? 1 : 0))
+    this.player.adjustThrottle((frame.throttleUp ? 1 : 0) - (frame.throttleDown ? 1 : 0))
+
     // Keyboard steering controls
-    if (this.keys['KeyA'] || this.keys['ArrowLeft']) {
+    if (frame.left) {
       this.player.steerLeft(deltaTime)
       hasSteeringInput = true
     }
 
-    if (this.keys['KeyD'] || this.keys['ArrowRight']) {
+    if (frame.right) {
       this.player.steerRight(deltaTime)
       hasSteeringInput = true
     }
 
-    // Touch steering controls (only if no keyboard input) - match desktop behavior
-    if (!hasSteeringInput && this.touchActive && this.touchSteerInput !== 0) {
-      if (this.touchSteerInput < 0) {
+    // Analog stick steering (only if no keyboard input)
+    if (!hasSteeringInput && frame.stickSteer !== 0) {
+      this.player.steer(frame.stickSteer)
+      hasSteeringInput = true
+    }
+
+    // Touch steering controls (only if no keyboard or stick input) - match desktop behavior
+    if (!hasSteeringInput && frame.touchSteer !== 0) {
+      if (frame.touchSteer < 0) {
         // Steering left - same as desktop keyboard behavior
-        const intensity = Math.abs(this.touchSteerInput)
+        const intensity = Math.abs(frame.touchSteer)
         const adjustedIntensity = Math.ceil(intensity * 1.0) // Match desktop: single call per frame
         for (let i = 0; i < adjustedIntensity; i++) {
           this.player.steerLeft(deltaTime) // Match desktop: use normal deltaTime
         }
-      } else if (this.touchSteerInput > 0) {
+      } else if (frame.touchSteer > 0) {
         // Steering right - same as desktop keyboard behavior
-        const intensity = this.touchSteerInput
+        const intensity = frame.touchSteer
         const adjustedIntensity = Math.ceil(intensity * 1.0) // Match desktop: single call per frame
         for (let i = 0; i < adjustedIntensity; i++) {
           this.player.steerRight(deltaTime) // Match desktop: use normal deltaTime
@@ -228,15 +335,25 @@ export class InputManager {
     }
 
     // Laser firing (keyboard or virtual button)
-    if (this.keys['Space'] || (window.game && window.game.hud && window.game.hud.shootButtonPressed)) {
+    if (frame.fire) {
       this.player.fireLasers()
     }
 
     // Bomb firing (keyboard or virtual button)
-    if (this.keys['KeyB'] || (window.game && window.game.hud && window.game.hud.bombButtonPressed)) {
+    if (frame.bomb) {
       this.player.fireBomb()
     }
 
+    // Lock-on first, so a missile fired this step uses the new lock
+    this.player.updateTargetLock(deltaTime, frame.lockTarget)
+    if (frame.missile) {
+      this.player.fireMissile()
+    }
+
+    if (frame.afterburner !== this.player.afterburner) {
+      this.player.toggleAfterburner()
+    }
+
     // Only stabilize if no steering input is being given
     if (!hasSteeringInput) {
       this.player.stabilize(deltaTime)
@@ -245,11 +362,23 @@ export class InputManager {
 
   getControlsHelp() {
     return [
-      'A/D or Arrow Keys: Steer Left/Right',
+      `${actionMap.describe('steerLeft')} / ${actionMap.describe('steerRight')}: Steer Left/Right`,
       'Touch (bottom half): Steer Left/Right',
-      'Space: Fire Lasers',
-      'B: Fire Bomb',
-      'Shift: Afterburner',
+      `${actionMap.describe('fire')}: Fire Lasers`,
+      `${actionMap.describe('bomb')}: Fire Bomb`,
+      `${actionMap.describe('lockTarget')} (hold): Lock On / Cycle Targets`,
+      `${actionMap.describe('missile')}: Fire Homing Missile`,
+      `${actionMap.describe('afterburner')}: Afterburner`,
+      `${actionMap.describe('pitchUp')} / ${actionMap.describe('pitchDown')}: Pitch Up/Down`,
+      `${actionMap.describe('yawLeft')} / ${actionMap.describe('yawRight')}: Yaw Left/Right`,
+      `${actionMap.describe('throttleUp')} / ${actionMap.describe('throttleDown')}: Throttle Up/Down`,
+      `${actionMap.describe('flightAssist')}: Flight Assist On/Off`,
+      `${actionMap.describe('terrainFollow')}: Terrain Following On/Off`,
+      `${actionMap.describe('pause')}: Pause`,
+      'Gamepad: Left stick steers and pitches, LB/RB yaw, D-pad throttle, RT lasers, LT bomb, A afterburner',
+      'Gamepad: D-pad left locks on (hold to cycle), D-pad right fires a missile',
+      'Gamepad: Y flight assist, X terrain following, Start pause',
+      '. (while paused): Step one simulation frame',
       'Fighter jet flies forward automatically!'
     ]
   }
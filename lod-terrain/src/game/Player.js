@@ -3,12 +3,80 @@ import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
 import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
 import { degToRad } from "three/src/math/MathUtils.js";
 import { sampleHeight } from "../noise.js";
+import { gameClock } from "./GameClock.js";
+import { gameRandom } from "./GameRandom.js";
+import { FlightModel } from "./FlightModel.js";
+import { GroundProximity } from "./GroundProximity.js";
+import { FACTIONS } from "@shared/game/ProjectileSystem.js";
+import { TargetLock } from "@shared/game/TargetLock.js";
+
+// Player weapons, registered on the game's ProjectileSystem
+const PLAYER_LASER = {
+  capacity: 64,
+  speed: 2000,
+  life: 3,
+  radius: 150, // Generous hit sphere around the beam
+  damage: 25,
+  maxBounces: 3,
+  restitution: 0.8, // 80% energy retained per bounce
+  length: 100,
+  coreRadius: 0.5,
+  glowRadius: 3,
+  color: 0x00ff00,
+  emissiveIntensity: 8.0, // Intense laser bloom
+  // Bounce always up with slight variation rather than mirroring the slope
+  onRicochet: (laser) => {
+    const speed = laser.velocity.length();
+    laser.velocity
+      .set((gameRandom() - 0.5) * 0.5, (gameRandom() - 0.5) * 0.5, 1)
+      .normalize()
+      .multiplyScalar(speed);
+  },
+  onHit: (laser, enemy) => {
+    console.log("🔫💥 Laser hit an enemy!");
+    window.game?.enemyManager?.createHitEffect(enemy.getPosition());
+  },
+};
+
+const PLAYER_BOMB = {
+  capacity: 16,
+  speed: 12000,
+  life: 0.5, // Fuse: explodes after half a second unless it hits first
+  radius: 100, // Proximity trigger
+  damage: 0, // All damage comes from the blast
+  splashRadius: 300,
+  splashDamage: 9999, // Instant kill
+  detonateOnExpire: true,
+  length: 400,
+  coreRadius: 6,
+  glowRadius: 12,
+  color: 0xff0000, // Bright red
+  glowColor: 0xff4400, // Orange-red glow
+  emissiveIntensity: 4.5,
+  onSplash: (bomb, point, hits) => {
+    console.log(`💣💥 Bomb hit ${hits.length} enemies!`);
+    bomb.owner?.createExplosion(point);
+    for (const { target } of hits) {
+      window.game?.enemyManager?.createHitEffect(target.getPosition());
+    }
+  },
+};
 
 export class Player {
-  constructor(scene, camera, collisionDetector = null) {
+  constructor(
+    scene,
+    camera,
+    collisionDetector = null,
+    projectiles = null,
+    particles = null,
+    missiles = null
+  ) {
     this.scene = scene;
     this.camera = camera;
     this.collisionDetector = collisionDetector;
+    this.projectiles = projectiles;
+    this.particles = particles; // Shared ParticleSystem for explosions
+    this.missiles = missiles; // Shared MissileSystem for guided missiles
     this.mesh = null;
     this.velocity = new THREE.Vector3();
     // Find a good spawn position with low terrain
@@ -51,12 +119,37 @@ export class Player {
     // Steering input state
     this.steeringInput = 0; // -1 for left, 0 for none, 1 for right
     this.targetYawRate = 0; // Target yaw rotation rate
+    this.pitchInput = 0; // -1 nose down to 1 nose up
+    this.yawInput = 0; // -1 left to 1 right
+    this.throttleInput = 0; // -1 pulls the throttle back, 1 pushes it forward
+    this.throttle = 1.0; // Throttle lever (0..1), separate from afterburner
+
+    // Flight assist keeps the arcade handling: level turns, climbs and dives
+    // at a fixed rate, and altitude hold (or terrain following) when the stick
+    // is centered. Without it the FlightModel flies the jet.
+    this.flightAssist = true;
+    this.terrainFollowing = false;
+    this.flightModel = new FlightModel();
+    this.flightModelSynced = false; // Seeded from the mesh on the next step
+    this.forwardDirection = new THREE.Vector3(0, 1, 0);
+    this.verticalSpeed = 0;
+    this.climbRate = 120; // Assisted climb/dive speed at full pitch input
+    this.yawRate = 0.6; // Assisted rudder turn rate (rad/s)
+    this.minAssistThrottle = 0.3;
+    this.holdAltitude = null; // Altitude captured when the stick centers
+    this.altitudeHoldGain = 1.5; // Vertical speed per unit of altitude error
+    this.terrainLookAhead = 1.5; // Seconds of flight to look ahead for terrain
 
     // Smooth camera system (Y is forward, Z is up)
     this.cameraPosition = new THREE.Vector3(0, -1900, 1500);
     this.cameraLookAt = new THREE.Vector3();
     this.cameraRotation = new THREE.Quaternion(); // Smooth camera rotation
 
+    // Fixed-step pose and the one before it; the mesh renders between the two
+    this.quaternion = new THREE.Quaternion();
+    this._previousPosition = this.position.clone();
+    this._previousQuaternion = new THREE.Quaternion();
+
     // Auto-descent configuration
     this.autoDescentEnabled = true; // Enable/disable auto-descent
     this.startAltitude = 800; // High starting altitude
@@ -68,41 +161,46 @@ export class Player {
 
     // Status
     this.health = 100;
+    this.destroyed = false;
     this.distanceTraveled = 0;
     this.startY = 0; // Y is forward direction
 
+    // Terrain: proximity warnings and impacts (see updateTerrainCollision)
+    this.groundProximity = collisionDetector
+      ? new GroundProximity(collisionDetector)
+      : null;
+    this.groundWarning = null; // null, 'terrain' or 'pullUp'
+    this.hullRadius = 8;
+    this.crashSpeed = 80; // Speed into the ground that destroys the jet
+    this.scrapeDamage = 15; // Least damage from a glancing impact
+    this.bounceRestitution = 0.3;
+
     // Effects
     this.exhaustGlows = [];
 
-    // Laser system
-    this.lasers = [];
+    // Laser system (projectiles live in the shared ProjectileSystem)
     this.laserSpeed = 2000; // Very fast laser speed
-    this.lastLaserTime = 0;
+    this.lastLaserTime = -Infinity; // Simulation ms, see gameClock.now()
     this.laserCooldown = 150; // 150ms between shots
 
     // Bomb system
-    this.bombs = [];
     this.bombSpeed = 12000; // Slower than lasers
-    this.lastBombTime = 0;
+    this.lastBombTime = -Infinity;
     this.bombCooldown = 500; // 2 second cooldown between bombs
-    this.explosions = [];
+
+    // Homing missiles, guided to whatever the lock-on holds when fired
+    this.lastMissileTime = -Infinity;
+    this.missileCooldown = 1000;
+    this.targetLock = new TargetLock();
 
     // Reusable vectors for performance (avoid allocating new ones each frame)
     this._tempVector1 = new THREE.Vector3();
     this._tempVector2 = new THREE.Vector3();
-    this._tempVector3 = new THREE.Vector3();
 
-    // Shared geometries and materials for lasers (reuse instead of creating new ones)
-    this._laserCoreGeometry = null;
-    this._laserGlowGeometry = null;
-    this._laserCoreMaterial = null;
-    this._laserGlowMaterial = null;
-
-    // Shared geometries and materials for bombs
-    this._bombCoreGeometry = null;
-    this._bombGlowGeometry = null;
-    this._bombCoreMaterial = null;
-    this._bombGlowMaterial = null;
+    if (projectiles) {
+      projectiles.ensureType("playerLaser", PLAYER_LASER);
+      projectiles.ensureType("playerBomb", PLAYER_BOMB);
+    }
 
     this.loadJetModel();
   }
@@ -293,25 +391,54 @@ export class Player {
     });
   }
 
+  // One fixed simulation step; Game calls it from gameClock.advance()
   update(deltaTime) {
-    // Enhanced physics update
-    this.updateFlightDynamics(deltaTime);
+    if (this.mesh) {
+      this._previousPosition.copy(this.mesh.position);
+      this._previousQuaternion.copy(this.mesh.quaternion);
+    }
 
-    // Only auto-fly if game has started
-    if (window.game && window.game.gameStarted) {
-      this.autoFlyForward(deltaTime);
+    // A destroyed jet stays where it went down
+    if (!this.destroyed) {
+      // Enhanced physics update
+      this.updateFlightDynamics(deltaTime);
+
+      // Only auto-fly if game has started
+      if (window.game && window.game.gameStarted) {
+        this.autoFlyForward(deltaTime);
+        this.updateTerrainCollision(deltaTime);
+      }
     }
 
     // Keep position property in sync with mesh position
     if (this.mesh) {
       this.position.copy(this.mesh.position);
+      this.quaternion.copy(this.mesh.quaternion);
     }
     this.updateAdvancedEffects(deltaTime);
-    this.updateLasers(deltaTime);
-    this.updateBombs(deltaTime);
-    this.updateExplosions(deltaTime);
+  }
+
+  // Puts the mesh back on the last simulated pose before the next fixed steps
+  beginFixedSteps() {
+    if (!this.mesh) return;
+    this.mesh.position.copy(this.position);
+    this.mesh.quaternion.copy(this.quaternion);
+  }
 
-    // Camera update
+  // Render-time pose between the last two fixed steps (alpha 0..1)
+  interpolate(alpha) {
+    if (this.mesh) {
+      this.mesh.position.lerpVectors(this._previousPosition, this.position, alpha);
+      this.mesh.quaternion.slerpQuaternions(
+        this._previousQuaternion,
+        this.quaternion,
+        alpha
+      );
+    }
+  }
+
+  // Per rendered frame, after interpolate(); deltaTime is scaled game time
+  updateCamera(deltaTime) {
     if (window.game && window.game.gameStarted) {
       this.updateAdvancedCamera(deltaTime);
     }
@@ -321,9 +448,24 @@ export class Player {
     // Don't update if mesh isn't loaded yet
     if (!this.mesh) return;
 
+    if (!this.flightAssist) {
+      if (window.game && window.game.gameStarted) {
+        this.updateSimulatedFlight(deltaTime);
+      }
+      return;
+    }
+
     // Assume 60 FPS target for per-frame equivalents
     const frameEquivalentDt = deltaTime * 60;
 
+    // Throttle lever; the afterburner overrides it
+    this.throttle = THREE.MathUtils.clamp(
+      this.throttle + this.throttleInput * this.flightModel.config.throttleRate * deltaTime,
+      this.minAssistThrottle,
+      1
+    );
+    this.targetThrust = this.afterburner ? 1.5 : this.throttle;
+
     // Smooth thrust changes
     this.thrust = THREE.MathUtils.lerp(
       this.thrust,
@@ -342,6 +484,9 @@ export class Player {
       Math.min(this.maxSpeed, this.forwardSpeed + accel)
     );
 
+    // Rudder turns the heading flat, without banking
+    this.worldZRotation += -this.yawInput * this.yawRate * deltaTime;
+
     // Steering dynamics
     if (this.steeringInput !== 0) {
       // Add banking into turns for more realistic flight
@@ -354,7 +499,6 @@ export class Player {
         targetBank,
         maxBankRate * deltaTime
       );
-      this.mesh.rotation.y = this.bankAngle;
 
       // Add Z-axis turning based on banking angle (world Z-axis)
       const maxTurnRate = 1.5; // Maximum turn rate in radians per second
@@ -366,12 +510,6 @@ export class Player {
       );
       // Update world Z rotation
       this.worldZRotation += -this.currentTurnRate * deltaTime;
-
-      // Apply rotations in order: world Z first, then banking
-      this.mesh.rotation.set(0, this.bankAngle, 0);
-
-      const myAxis = new THREE.Vector3(0, 0, 1);
-      this.mesh.rotateOnWorldAxis(myAxis, this.worldZRotation);
     } else {
       console.log("auto stabilizing", this.mesh.rotation.y);
       // No steering input - stabilize
@@ -391,30 +529,188 @@ export class Player {
         0,
         turnStabilizeRate * deltaTime
       );
+    }
 
-      // Apply rotations in order: banking first, then world Z rotation
-      this.mesh.rotation.set(0, this.bankAngle, 0);
+    this.updateAssistedAltitude(deltaTime);
 
-      const myAxis = new THREE.Vector3(0, 0, 1);
-      this.mesh.rotateOnWorldAxis(myAxis, this.worldZRotation);
+    // Nose follows the flight path angle, for looks only
+    const targetPitch = THREE.MathUtils.clamp(
+      Math.atan2(this.verticalSpeed, this.forwardSpeed),
+      -this.maxPitchAngle,
+      this.maxPitchAngle
+    );
+    this.pitchAngle = THREE.MathUtils.lerp(
+      this.pitchAngle,
+      targetPitch,
+      3.0 * deltaTime
+    );
+
+    // Apply rotations in order: banking and pitch first, then world Z rotation
+    this.mesh.rotation.set(this.pitchAngle, this.bankAngle, 0);
+
+    const myAxis = new THREE.Vector3(0, 0, 1);
+    this.mesh.rotateOnWorldAxis(myAxis, this.worldZRotation);
+
+    // Fly along the heading; climbs and dives come from verticalSpeed
+    this.forwardDirection.set(
+      -Math.sin(this.worldZRotation),
+      Math.cos(this.worldZRotation),
+      0
+    );
+    this.velocity
+      .copy(this.forwardDirection)
+      .multiplyScalar(this.forwardSpeed);
+    this.velocity.z = this.verticalSpeed;
+  }
+
+  // Assisted vertical speed: the stick climbs or dives, a centered stick
+  // holds the current altitude or follows the terrain at targetAltitude
+  updateAssistedAltitude(deltaTime) {
+    let targetVerticalSpeed;
+    if (this.pitchInput !== 0) {
+      targetVerticalSpeed = this.pitchInput * this.climbRate;
+      this.holdAltitude = null;
+    } else {
+      let targetZ;
+      if (this.terrainFollowing) {
+        // Clear whichever is higher: the ground here or just ahead
+        const lookAhead = this.forwardSpeed * this.terrainLookAhead;
+        const ground = Math.max(
+          this.getTerrainHeightAtPosition(),
+          this.getTerrainHeightAtPosition(
+            this.mesh.position.x + this.forwardDirection.x * lookAhead,
+            this.mesh.position.y + this.forwardDirection.y * lookAhead
+          )
+        );
+        targetZ = ground + this.targetAltitude;
+      } else {
+        if (this.holdAltitude === null) {
+          this.holdAltitude = this.mesh.position.z;
+        }
+        targetZ = this.holdAltitude;
+      }
+      targetVerticalSpeed = THREE.MathUtils.clamp(
+        (targetZ - this.mesh.position.z) * this.altitudeHoldGain,
+        -this.climbRate,
+        this.climbRate
+      );
     }
 
-    // Calculate the forward direction vector based on current rotations
-    this.forwardDirection = new THREE.Vector3(0, 1, 0); // Start with world Y (forward)
-    this.forwardDirection.applyQuaternion(this.mesh.quaternion); // Apply current rotations
+    this.verticalSpeed = THREE.MathUtils.lerp(
+      this.verticalSpeed,
+      targetVerticalSpeed,
+      Math.min(1, 3.0 * deltaTime)
+    );
+  }
+
+  // Unassisted: the FlightModel owns position and attitude
+  updateSimulatedFlight(deltaTime) {
+    const model = this.flightModel;
+    if (!this.flightModelSynced) {
+      model.reset(
+        this.mesh.position,
+        this.mesh.quaternion,
+        this.forwardSpeed,
+        this.throttle
+      );
+      this.flightModelSynced = true;
+    }
+
+    model.step(deltaTime, {
+      pitch: this.pitchInput,
+      roll: this.steeringInput,
+      yaw: this.yawInput,
+      throttle: this.throttleInput,
+      afterburner: this.afterburner,
+    });
+
+    this.mesh.position.copy(model.position);
+    this.mesh.quaternion.copy(model.quaternion);
+    model.getForward(this.forwardDirection);
+
+    this.throttle = model.throttle;
+    this.targetThrust = this.afterburner ? 1.5 : this.throttle;
+    this.thrust = THREE.MathUtils.lerp(
+      this.thrust,
+      this.targetThrust,
+      deltaTime * 2
+    );
+    this.velocity.copy(model.velocity);
+    this.forwardSpeed = model.airspeed;
+    this.verticalSpeed = model.velocity.z;
+    this.bankAngle = model.getRoll();
+    this.distanceTraveled += model.airspeed * deltaTime;
   }
 
   autoFlyForward(deltaTime) {
-    if (!this.mesh || !this.forwardDirection) return;
+    // Unassisted flight moves the jet in updateSimulatedFlight()
+    if (!this.mesh || !this.flightAssist) return;
 
     // Move in the direction the plane is facing
     const movement = this.forwardDirection
       .clone()
       .multiplyScalar(this.forwardSpeed * deltaTime);
+    movement.z += this.verticalSpeed * deltaTime;
     this.mesh.position.add(movement);
     this.distanceTraveled += this.forwardSpeed * deltaTime;
   }
 
+  // Ground proximity warnings and terrain impact, once the jet has moved
+  updateTerrainCollision(deltaTime) {
+    if (!this.groundProximity || !this.mesh) return;
+
+    const hit = this.collisionDetector.checkSweptTerrainImpact(
+      this._previousPosition,
+      this.mesh.position,
+      this.hullRadius
+    );
+    if (hit) {
+      this.handleTerrainImpact(hit);
+    }
+
+    this.groundWarning = this.destroyed
+      ? null
+      : this.groundProximity.update(this.mesh.position, this.velocity, deltaTime);
+  }
+
+  // Flying into the ground destroys the jet; a glancing blow scrapes it and
+  // bounces it back into the air
+  handleTerrainImpact(hit) {
+    // Speed into the surface; the sink rate counts too, as normals are rough
+    // across steep terrain cells
+    const impactSpeed = Math.max(
+      0,
+      -this.velocity.dot(hit.normal),
+      -this.velocity.z
+    );
+    this.mesh.position.copy(hit.point);
+    this.mesh.position.z += this.hullRadius + 1;
+
+    if (impactSpeed > this.crashSpeed) {
+      console.log(
+        `💥 Terrain impact at ${impactSpeed.toFixed(0)} u/s - jet destroyed!`
+      );
+      this.takeDamage(this.health);
+      return;
+    }
+
+    console.log(`🪨 Scraped the terrain at ${impactSpeed.toFixed(0)} u/s`);
+    this.velocity.addScaledVector(
+      hit.normal,
+      impactSpeed * (1 + this.bounceRestitution)
+    );
+    if (this.flightAssist) {
+      this.verticalSpeed = Math.max(this.velocity.z, this.climbRate * 0.5);
+      this.holdAltitude = null;
+    } else {
+      this.flightModel.position.copy(this.mesh.position);
+      this.flightModel.velocity.copy(this.velocity);
+    }
+    this.takeDamage(
+      Math.round(this.scrapeDamage + (impactSpeed / this.crashSpeed) * this.scrapeDamage)
+    );
+  }
+
   updateAdvancedEffects(deltaTime) {
     this.updateExhaustGlow(deltaTime);
     this.updateEngineGlow();
@@ -423,7 +719,7 @@ export class Player {
   updateExhaustGlow(deltaTime) {
     if (!this.exhaustGlows) return;
 
-    const time = Date.now() * 0.001;
+    const time = gameClock.now() * 0.001;
     const thrustIntensity = this.thrust;
     const speedFactor = Math.min(this.forwardSpeed / this.maxSpeed, 1.0);
 
@@ -571,25 +867,76 @@ export class Player {
     console.log("turning left");
   }
 
+  // Analog steering from -1 (full left) to 1 (full right), e.g. a gamepad stick
+  steer(amount) {
+    if (!this.mesh) return;
+    this.steeringInput = THREE.MathUtils.clamp(amount, -1, 1);
+  }
+
   stabilize(deltaTime) {
     this.steeringInput = 0;
     console.log("stabilize");
   }
 
+  // Pitch from -1 (nose down) to 1 (nose up); assisted, it climbs or dives
+  setPitch(amount) {
+    this.pitchInput = THREE.MathUtils.clamp(amount, -1, 1);
+  }
+
+  // Rudder from -1 (left) to 1 (right)
+  setYaw(amount) {
+    this.yawInput = THREE.MathUtils.clamp(amount, -1, 1);
+  }
+
+  // Moves the throttle lever this step: -1 back, 0 hold, 1 forward
+  adjustThrottle(direction) {
+    this.throttleInput = THREE.MathUtils.clamp(direction, -1, 1);
+  }
+
+  setFlightAssist(enabled) {
+    if (this.flightAssist === enabled) return;
+    this.flightAssist = enabled;
+
+    if (enabled) {
+      // Carry heading and speed back into the arcade handling
+      if (this.mesh) {
+        this.worldZRotation = Math.atan2(
+          -this.forwardDirection.x,
+          this.forwardDirection.y
+        );
+      }
+      this.throttle = Math.max(this.throttle, this.minAssistThrottle);
+      this.forwardSpeed = THREE.MathUtils.clamp(this.forwardSpeed, 80, this.maxSpeed);
+      this.currentTurnRate = 0;
+      this.holdAltitude = null;
+    } else {
+      this.flightModelSynced = false;
+    }
+    console.log(`✈️ Flight assist ${enabled ? "on" : "off"}`);
+  }
+
+  setTerrainFollowing(enabled) {
+    if (this.terrainFollowing === enabled) return;
+    this.terrainFollowing = enabled;
+    this.holdAltitude = null;
+    console.log(`⛰️ Terrain following ${enabled ? "on" : "off"}`);
+  }
+
   // Afterburner control
   toggleAfterburner() {
     this.afterburner = !this.afterburner;
-    this.targetThrust = this.afterburner ? 1.5 : 1.0;
+    this.targetThrust = this.afterburner ? 1.5 : this.throttle;
   }
 
   // Bomb firing system
   fireBomb() {
     if (!this.mesh) return;
 
-    const currentTime = Date.now();
+    const currentTime = gameClock.now();
     if (currentTime - this.lastBombTime < this.bombCooldown) return;
 
     this.lastBombTime = currentTime;
+    this.mesh.updateMatrixWorld();
 
     // Get plane's forward direction - reuse temp vector
     this._tempVector1.set(0, 1, 0); // Y is forward in this coordinate system
@@ -602,84 +949,23 @@ export class Player {
     this._tempVector2.copy(bombPosition);
     this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-    this.createBomb(this._tempVector2, this._tempVector1);
-  }
-
-  createBomb(position, direction) {
-    const bombLength = 400; // Larger than lasers
-
-    // Create shared geometries and materials only once
-    if (!this._bombCoreGeometry) {
-      this._bombCoreGeometry = new THREE.CylinderGeometry(6, 6, bombLength, 8); // Thicker than lasers
-      this._bombGlowGeometry = new THREE.CylinderGeometry(
-        12,
-        12,
-        bombLength,
-        8
-      ); // Much thicker glow
-
-      this._bombCoreMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff0000, // Bright red
-        transparent: true,
-        opacity: 1.0,
-        emissive: 0xff0000,
-        emissiveIntensity: 4.5, // Very bright for bloom
-        metalness: 0,
-        roughness: 1,
-      });
-
-      this._bombGlowMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff4400, // Orange-red glow
-        transparent: true,
-        opacity: 0.4,
-        emissive: 0xff4400,
-        emissiveIntensity: 3.0,
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
-      });
-    }
-
-    // Reuse geometries and materials
-    const core = new THREE.Mesh(this._bombCoreGeometry, this._bombCoreMaterial);
-    const glow = new THREE.Mesh(this._bombGlowGeometry, this._bombGlowMaterial);
-
-    // Position and orient both cylinders
-    core.position.copy(position);
-    glow.position.copy(position);
-
-    // Orient cylinders along the direction vector - reuse temp vector
-    this._tempVector3.set(0, 1, 0);
-    const quaternion = new THREE.Quaternion();
-    quaternion.setFromUnitVectors(this._tempVector3, direction.normalize());
-
-    core.quaternion.copy(quaternion);
-    glow.quaternion.copy(quaternion);
-
-    // Bomb projectile data
-    const bombData = {
-      mesh: core,
-      glow: glow,
-      position: position.clone(),
-      direction: direction.clone().normalize(),
-      velocity: direction.clone().normalize().multiplyScalar(this.bombSpeed),
-      creationTime: Date.now(),
-      exploded: false,
-    };
-
-    this.bombs.push(bombData);
-    this.scene.add(core);
-    this.scene.add(glow);
+    this.projectiles?.spawn("playerBomb", this._tempVector2, this._tempVector1, {
+      owner: this,
+      faction: FACTIONS.player,
+      speed: this.bombSpeed,
+    });
   }
 
   // Laser firing system
   fireLasers() {
     if (!this.mesh) return;
 
-    const currentTime = Date.now();
+    const currentTime = gameClock.now();
     if (currentTime - this.lastLaserTime < this.laserCooldown) return;
 
     this.lastLaserTime = currentTime;
+    // Spawn from the simulated pose, not last frame's interpolated one
+    this.mesh.updateMatrixWorld();
 
     // Get plane's forward direction - reuse temp vector
     this._tempVector1.set(0, 1, 0); // Y is forward in this coordinate system
@@ -696,411 +982,82 @@ export class Player {
       this._tempVector2.copy(localPos);
       this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-      this.createLaser(this._tempVector2, this._tempVector1);
+      this.projectiles?.spawn("playerLaser", this._tempVector2, this._tempVector1, {
+        owner: this,
+        faction: FACTIONS.player,
+        speed: this.laserSpeed,
+      });
     });
   }
 
-  createLaser(position, direction) {
-    const laserLength = 100; // Much longer lasers
-
-    // Create shared geometries and materials only once
-    if (!this._laserCoreGeometry) {
-      this._laserCoreGeometry = new THREE.CylinderGeometry(
-        0.5,
-        0.5,
-        laserLength,
-        3
-      ); // Reduced segments from 80 to 8
-      this._laserGlowGeometry = new THREE.CylinderGeometry(
-        3,
-        3,
-        laserLength,
-        4
-      );
-
-      this._laserCoreMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00, // Bright green
-        transparent: true,
-        opacity: 1.0,
-        emissive: 0x00ff00,
-        emissiveIntensity: 8.0, // Much higher for intense laser bloom
-        metalness: 0,
-        roughness: 1,
-      });
-
-      this._laserGlowMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 0.4,
-        emissive: 0x00ff00,
-        emissiveIntensity: 12.0, // Super bright for dramatic bloom effect
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
-      });
-    }
+  // Lock-on selection, every step so targets leaving the cone are dropped;
+  // `held` is the lock control, which cycles targets while down
+  updateTargetLock(deltaTime, held) {
+    if (!this.mesh) return;
 
-    // Reuse geometries and materials
-    const core = new THREE.Mesh(
-      this._laserCoreGeometry,
-      this._laserCoreMaterial
-    );
-    const glow = new THREE.Mesh(
-      this._laserGlowGeometry,
-      this._laserGlowMaterial
+    this._tempVector1.set(0, 1, 0); // Y is forward in this coordinate system
+    this._tempVector1.applyQuaternion(this.mesh.quaternion);
+    const enemies = window.game?.enemyManager?.enemies ?? [];
+    this.targetLock.update(
+      deltaTime,
+      this.mesh.position,
+      this._tempVector1,
+      enemies,
+      held
     );
-
-    // Position and orient both cylinders
-    core.position.copy(position);
-    glow.position.copy(position);
-
-    // Orient cylinders along the direction vector - reuse temp vector
-    this._tempVector3.set(0, 1, 0);
-    const quaternion = new THREE.Quaternion();
-    quaternion.setFromUnitVectors(this._tempVector3, direction.normalize());
-
-    core.quaternion.copy(quaternion);
-    glow.quaternion.copy(quaternion);
-
-    // Laser projectile data
-    const laserData = {
-      mesh: core,
-      glow: glow,
-      position: position.clone(),
-      direction: direction.clone().normalize(),
-      velocity: direction.clone().normalize().multiplyScalar(this.laserSpeed),
-      life: 3000, // 3 seconds lifetime
-      creationTime: Date.now(),
-    };
-
-    this.lasers.push(laserData);
-    this.scene.add(core);
-    this.scene.add(glow);
   }
 
-  updateLasers(deltaTime) {
-    const currentTime = Date.now();
-
-    // Update laser positions and remove expired lasers
-    for (let i = this.lasers.length - 1; i >= 0; i--) {
-      const laser = this.lasers[i];
+  // Missile firing system: guided with a lock, straight ahead without one
+  fireMissile() {
+    if (!this.mesh || !this.missiles) return;
 
-      // Check if laser has expired
-      if (currentTime - laser.creationTime > laser.life) {
-        this.scene.remove(laser.mesh);
-        this.scene.remove(laser.glow);
-        // Don't dispose shared geometries and materials - they're reused
-        this.lasers.splice(i, 1);
-        continue;
-      }
-
-      if (laser.justBounced) {
-        laser.justBounced = false;
-      } else {
-        // Check terrain collision using CollisionDetector
-        let collision = null;
-        if (this.collisionDetector) {
-          collision = this.collisionDetector.checkLaserTerrainCollision(
-            laser.position,
-            laser.velocity,
-            deltaTime
-          );
-        }
+    const currentTime = gameClock.now();
+    if (currentTime - this.lastMissileTime < this.missileCooldown) return;
 
-        if (collision) {
-          console.log("🎯 Laser hit terrain!", collision.point);
-
-          // New bounce logic: always up with slight variation
-          const upVector = new THREE.Vector3(0, 0, 1);
-          const randomVector = new THREE.Vector3(
-              (Math.random() - 0.5) * 0.5, // x variation
-              (Math.random() - 0.5) * 0.5, // y variation
-              0
-          );
-          const bounceDirection = upVector.add(randomVector).normalize();
-          const bounceSpeed = laser.velocity.length() * 0.8; // 80% energy retained
-          const newVelocity = bounceDirection.multiplyScalar(bounceSpeed);
-
-          // Update laser properties
-          laser.velocity = newVelocity;
-          laser.position.copy(collision.point);
-          // Move the laser slightly away from the surface to avoid immediate re-collision
-          laser.position.addScaledVector(newVelocity.clone().normalize(), 5.0);
-          laser.bounces = (laser.bounces || 0) + 1;
-          laser.justBounced = true;
-
-          // Limit bounces to prevent infinite reflections
-          if (laser.bounces > 3) {
-            console.log("🔫💥 Laser expired after 3 bounces");
-            this.scene.remove(laser.mesh);
-            this.scene.remove(laser.glow);
-            this.lasers.splice(i, 1);
-            continue;
-          }
+    this.lastMissileTime = currentTime;
+    this.mesh.updateMatrixWorld();
 
-          // The laser color no longer changes on bounce to avoid material issues.
-
-          // Add some visual effects for impact
-          laser.mesh.material.emissiveIntensity = Math.min(
-            15.0,
-            laser.mesh.material.emissiveIntensity * 1.2
-          );
-          laser.glow.material.emissiveIntensity = Math.min(
-            20.0,
-            laser.glow.material.emissiveIntensity * 1.2
-          );
-        }
-      }
-      
-      // Move normally
-      const velocityStep = laser.velocity.clone().multiplyScalar(deltaTime);
-      laser.position.add(velocityStep);
-
-      // Update laser and glow positions
-      laser.mesh.position.copy(laser.position);
-      laser.glow.position.copy(laser.position);
-
-      // Check collision with enemies using CollisionDetector
-      if (this.collisionDetector) {
-        const enemyHits = this.collisionDetector.checkLaserEnemyCollision(
-          laser.position,
-          150
-        );
-        if (enemyHits.length > 0) {
-          console.log(`🔫💥 Laser hit ${enemyHits.length} enemies!`);
-          // Remove laser on hit
-          this.scene.remove(laser.mesh);
-          this.scene.remove(laser.glow);
-          this.lasers.splice(i, 1);
-          continue;
-        }
-      }
-
-      // Add slight pulsing effect to make it more visible
-      const pulse = 1 + Math.sin(currentTime * 0.01) * 0.2;
-      laser.mesh.material.emissiveIntensity = 0.8 * pulse;
-      laser.glow.material.opacity = 0.3 * pulse;
-    }
-  }
-
-  updateBombs(deltaTime) {
-    const currentTime = Date.now();
-
-    // Update bomb positions and check for explosions
-    for (let i = this.bombs.length - 1; i >= 0; i--) {
-      const bomb = this.bombs[i];
-
-      // Check if bomb should explode (after 0.5 seconds) or hit enemy
-      if (
-        !bomb.exploded &&
-        (currentTime - bomb.creationTime > 500 ||
-          this.checkBombEnemyCollision(bomb))
-      ) {
-        this.createExplosion(bomb.position.clone());
-
-        // Damage enemies in explosion area
-        if (window.game && window.game.enemyManager) {
-          console.log(`💣 Bomb exploding at:`, bomb.position);
-          const bombHits = window.game.enemyManager.damageEnemiesInArea(
-            bomb.position,
-            300,
-            9999
-          ); // Instant kill damage
-          console.log(`💣💥 Bomb hit ${bombHits.length} enemies!`);
-        }
-
-        // Remove bomb visuals
-        this.scene.remove(bomb.mesh);
-        this.scene.remove(bomb.glow);
-        this.bombs.splice(i, 1);
-        continue;
-      }
-
-      if (!bomb.exploded) {
-        // Move bomb forward
-        bomb.position.add(bomb.velocity.clone().multiplyScalar(deltaTime));
-
-        // Update bomb and glow positions
-        bomb.mesh.position.copy(bomb.position);
-        bomb.glow.position.copy(bomb.position);
-
-        // Add pulsing effect to make it more dramatic
-        const pulse = 1 + Math.sin(currentTime * 0.02) * 0.3;
-        bomb.mesh.material.emissiveIntensity = 1.5 * pulse;
-        bomb.glow.material.opacity = 0.4 * pulse;
-      }
-    }
-  }
+    // Get plane's forward direction - reuse temp vector
+    this._tempVector1.set(0, 1, 0); // Y is forward in this coordinate system
+    this._tempVector1.applyQuaternion(this.mesh.quaternion);
 
-  createExplosion(position) {
-    const explosionData = {
-      position: position.clone(),
-      creationTime: Date.now(),
-      duration: 800, // 2 second explosion duration
-      effects: [],
-    };
+    // Missile spawn position (under the nose, Y is forward, Z is up)
+    this._tempVector2.set(0, 30, -8);
+    this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-    // Main explosion sphere (bright core)
-    const coreGeometry = new THREE.SphereGeometry(50, 16, 16);
-    const coreMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffaa00, // Bright orange
-      transparent: true,
-      opacity: 1.0,
-      emissive: 0xffaa00,
-      emissiveIntensity: 3.0, // Very bright for massive bloom
-      metalness: 0,
-      roughness: 1,
-    });
-    const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    core.position.copy(position);
-    this.scene.add(core);
-    explosionData.effects.push({ type: "core", mesh: core });
-
-    // Outer explosion glow
-    const glowGeometry = new THREE.SphereGeometry(100, 12, 12);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff4400, // Red-orange
-      transparent: true,
-      opacity: 0.6,
-      emissive: 0xff4400,
-      emissiveIntensity: 2.0,
-      blending: THREE.AdditiveBlending,
-      metalness: 0,
-      roughness: 1,
+    const target = this.targetLock.getLockedTarget();
+    this.missiles.fire(this._tempVector2, this._tempVector1, {
+      owner: this,
+      faction: FACTIONS.player,
+      target,
     });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    glow.position.copy(position);
-    this.scene.add(glow);
-    explosionData.effects.push({ type: "glow", mesh: glow });
-
-    // Shockwave rings
-    for (let i = 0; i < 3; i++) {
-      const ringGeometry = new THREE.RingGeometry(10 + i * 20, 15 + i * 25, 16);
-      const ringMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffff88, // Bright yellow
-        transparent: true,
-        opacity: 0.8,
-        emissive: 0xffff88,
-        emissiveIntensity: 1.5,
-        side: THREE.DoubleSide,
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
-      });
-      const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.copy(position);
-      ring.position.y += (i - 1) * 10; // Slightly offset rings
-      this.scene.add(ring);
-      explosionData.effects.push({
-        type: "shockwave",
-        mesh: ring,
-        startTime: Date.now() + i * 20,
-      });
-    }
-
-    this.explosions.push(explosionData);
+    console.log(target ? "🚀 Missile away, locked" : "🚀 Missile away, no lock");
   }
 
-  updateExplosions(deltaTime) {
-    const currentTime = Date.now();
-
-    for (let i = this.explosions.length - 1; i >= 0; i--) {
-      const explosion = this.explosions[i];
-      const age = currentTime - explosion.creationTime;
-      const progress = age / explosion.duration;
-
-      if (progress > 1.0) {
-        // Remove expired explosion
-        explosion.effects.forEach((effect) => {
-          this.scene.remove(effect.mesh);
-          effect.mesh.geometry.dispose();
-          effect.mesh.material.dispose();
-        });
-        this.explosions.splice(i, 1);
-        continue;
-      }
-
-      // Update explosion effects
-      explosion.effects.forEach((effect) => {
-        const mesh = effect.mesh;
-
-        switch (effect.type) {
-          case "core":
-            // Expand and fade core
-            const coreScale = 1 + progress * 3;
-            mesh.scale.setScalar(coreScale);
-            mesh.material.opacity = Math.max(0, 1 - progress * 1.5);
-            mesh.material.emissiveIntensity = Math.max(0, 3.0 * (1 - progress));
-            break;
-
-          case "glow":
-            // Expand glow more slowly
-            const glowScale = 1 + progress * 2;
-            mesh.scale.setScalar(glowScale);
-            mesh.material.opacity = Math.max(0, 0.6 * (1 - progress * 0.8));
-            mesh.material.emissiveIntensity = Math.max(
-              0,
-              2.0 * (1 - progress * 0.5)
-            );
-            break;
-
-          case "shockwave":
-            // Expanding shockwave rings with delay
-            const ringAge =
-              currentTime - (effect.startTime || explosion.creationTime);
-            if (ringAge > 0) {
-              const ringProgress = Math.min(ringAge / 1000, 1); // 1 second ring expansion
-              const ringScale = 1 + ringProgress * 8;
-              mesh.scale.setScalar(ringScale);
-              mesh.material.opacity = Math.max(0, 0.8 * (1 - ringProgress));
-              mesh.material.emissiveIntensity = Math.max(
-                0,
-                1.5 * (1 - ringProgress * 0.7)
-              );
-              mesh.rotation.z += deltaTime * 2; // Rotate for effect
-            }
-            break;
-        }
-      });
-    }
-  }
-
-  getTerrainHeightAtPosition(x = null, z = null) {
-    if (
-      window.game &&
-      window.game.terrain &&
-      window.game.terrain.getHeightAtPosition
-    ) {
-      const queryX = x !== null ? x : this.mesh.position.x;
-      const queryZ = z !== null ? z : this.mesh.position.z;
-      return window.game.terrain.getHeightAtPosition(queryX, queryZ);
-    }
-    return 0;
+  createExplosion(position) {
+    this.particles?.spawnExplosion(position);
   }
 
-  checkBombEnemyCollision(bomb) {
-    if (!window.game || !window.game.enemyManager) return false;
+  getTerrainHeightAtPosition(x = null, y = null) {
+    if (!this.mesh && (x === null || y === null)) return 0;
 
-    // Check if bomb is close to any enemy
-    for (const enemy of window.game.enemyManager.enemies) {
-      if (!enemy.isDestroyed()) {
-        const distance = bomb.position.distanceTo(enemy.getPosition());
-        if (distance < 100) {
-          // 100 unit trigger distance
-          return true;
-        }
-      }
-    }
-    return false;
+    // Z-up world: terrain height is a function of x/y
+    const queryX = x !== null ? x : this.mesh.position.x;
+    const queryY = y !== null ? y : this.mesh.position.y;
+    return sampleHeight(queryX, queryY);
   }
 
   takeDamage(damage) {
+    if (this.destroyed) return true;
+
     this.health = Math.max(0, this.health - damage);
     console.log(`💥 Player took ${damage} damage! Health: ${this.health}`);
 
     // Check if player is dead
     if (this.health <= 0) {
       console.log("💀 Player destroyed!");
+      this.destroyed = true;
+      this.groundWarning = null;
 
       // Create massive explosion effect
       this.createPlayerDeathExplosion();
@@ -1121,158 +1078,10 @@ export class Player {
 
     const explosionPos = this.mesh.position.clone();
     console.log("💥🔥 Creating player death explosion at:", explosionPos);
-
-    // Main explosion sphere
-    const mainExplosionGeometry = new THREE.SphereGeometry(100, 16, 16);
-    const mainExplosionMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffaa00,
-      transparent: true,
-      opacity: 1.0,
-      blending: THREE.AdditiveBlending,
-    });
-
-    const mainExplosion = new THREE.Mesh(
-      mainExplosionGeometry,
-      mainExplosionMaterial
-    );
-    mainExplosion.position.copy(explosionPos);
-    this.scene.add(mainExplosion);
-
-    // Secondary explosion rings
-    const explosionRings = [];
-    for (let i = 0; i < 5; i++) {
-      const ringGeometry = new THREE.TorusGeometry(50 + i * 30, 10, 8, 16);
-      const ringMaterial = new THREE.MeshBasicMaterial({
-        color: i % 2 === 0 ? 0xff4400 : 0xffff00,
-        transparent: true,
-        opacity: 0.8,
-        blending: THREE.AdditiveBlending,
-      });
-
-      const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.copy(explosionPos);
-      ring.rotation.x = Math.random() * Math.PI;
-      ring.rotation.y = Math.random() * Math.PI;
-      ring.rotation.z = Math.random() * Math.PI;
-
-      explosionRings.push(ring);
-      this.scene.add(ring);
-    }
-
-    // Debris particles
-    const debrisParticles = [];
-    for (let i = 0; i < 30; i++) {
-      const debrisGeometry = new THREE.BoxGeometry(
-        Math.random() * 20 + 5,
-        Math.random() * 20 + 5,
-        Math.random() * 20 + 5
-      );
-      const debrisMaterial = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? 0x444444 : 0x888888,
-        transparent: true,
-        opacity: 1.0,
-      });
-
-      const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
-      debris.position.copy(explosionPos);
-      debris.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2000,
-        (Math.random() - 0.5) * 2000,
-        (Math.random() - 0.5) * 2000
-      );
-      debris.angularVelocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10
-      );
-
-      debrisParticles.push(debris);
-      this.scene.add(debris);
-    }
-
-    // Sparkle effects
-    const sparkles = [];
-    for (let i = 0; i < 50; i++) {
-      const sparkleGeometry = new THREE.SphereGeometry(
-        Math.random() * 5 + 2,
-        4,
-        4
-      );
-      const sparkleMaterial = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? 0xffff00 : 0xff8800,
-        transparent: true,
-        opacity: 1.0,
-        blending: THREE.AdditiveBlending,
-      });
-
-      const sparkle = new THREE.Mesh(sparkleGeometry, sparkleMaterial);
-      sparkle.position.copy(explosionPos);
-      sparkle.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 1500,
-        (Math.random() - 0.5) * 1500,
-        (Math.random() - 0.5) * 1500
-      );
-
-      sparkles.push(sparkle);
-      this.scene.add(sparkle);
-    }
+    this.particles?.spawnDeathExplosion(explosionPos);
 
     // Hide the player mesh
-    if (this.mesh) {
-      this.mesh.visible = false;
-    }
-
-    // Animate explosion
-    let explosionTime = 0;
-    const animateExplosion = () => {
-      explosionTime += 16; // ~60fps
-      const progress = explosionTime / 3000; // 3 second explosion
-
-      if (progress > 1) {
-        // Clean up explosion effects
-        this.scene.remove(mainExplosion);
-        explosionRings.forEach((ring) => this.scene.remove(ring));
-        debrisParticles.forEach((debris) => this.scene.remove(debris));
-        sparkles.forEach((sparkle) => this.scene.remove(sparkle));
-        return;
-      }
-
-      // Animate main explosion
-      mainExplosion.scale.setScalar(1 + progress * 4);
-      mainExplosion.material.opacity = 1 - progress;
-
-      // Animate rings
-      explosionRings.forEach((ring, index) => {
-        ring.scale.setScalar(1 + progress * (2 + index * 0.5));
-        ring.material.opacity = 0.8 - progress;
-        ring.rotation.x += 0.05;
-        ring.rotation.y += 0.03;
-        ring.rotation.z += 0.02;
-      });
-
-      // Animate debris
-      debrisParticles.forEach((debris) => {
-        debris.position.add(debris.velocity.clone().multiplyScalar(0.016));
-        debris.rotation.x += debris.angularVelocity.x * 0.016;
-        debris.rotation.y += debris.angularVelocity.y * 0.016;
-        debris.rotation.z += debris.angularVelocity.z * 0.016;
-        debris.material.opacity = 1 - progress;
-
-        // Apply gravity to debris
-        debris.velocity.y -= 500 * 0.016;
-      });
-
-      // Animate sparkles
-      sparkles.forEach((sparkle) => {
-        sparkle.position.add(sparkle.velocity.clone().multiplyScalar(0.016));
-        sparkle.material.opacity = 1 - progress;
-        sparkle.scale.setScalar(1 - progress * 0.5);
-      });
-
-      requestAnimationFrame(animateExplosion);
-    };
-
-    animateExplosion();
+    this.mesh.visible = false;
   }
 
   getStats() {
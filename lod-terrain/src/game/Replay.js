@@ -0,0 +1,201 @@
+export const REPLAY_FORMAT = "vibejet-replay";
+export const REPLAY_VERSION = 1;
+
+// One bit per digital control sampled each fixed step
+export const INPUT_FLAGS = Object.freeze({
+  left: 1,
+  right: 2,
+  fire: 4,
+  bomb: 8,
+  afterburner: 16,
+  pitchUp: 32,
+  pitchDown: 64,
+  yawLeft: 128,
+  yawRight: 256,
+  throttleUp: 512,
+  throttleDown: 1024,
+  // Inverted so recordings from before flight assist existed replay with it on
+  assistOff: 2048,
+  terrainFollowing: 4096,
+  lockTarget: 8192,
+  missile: 16384,
+});
+
+const FLAG_NAMES = Object.keys(INPUT_FLAGS);
+const FINAL_POSITION_TOLERANCE = 1e-3;
+
+export function createEmptyInputFrame() {
+  return {
+    left: false,
+    right: false,
+    fire: false,
+    bomb: false,
+    afterburner: false,
+    pitchUp: false,
+    pitchDown: false,
+    yawLeft: false,
+    yawRight: false,
+    throttleUp: false,
+    throttleDown: false,
+    assistOff: false,
+    terrainFollowing: false,
+    lockTarget: false,
+    missile: false,
+    touchSteer: 0,
+    stickSteer: 0,
+    stickPitch: 0,
+  };
+}
+
+function encodeFlags(frame) {
+  return FLAG_NAMES.reduce(
+    (flags, name) => (frame[name] ? flags | INPUT_FLAGS[name] : flags),
+    0
+  );
+}
+
+function decodeFrame(flags, touchSteer, stickSteer, stickPitch, target) {
+  for (const name of FLAG_NAMES) {
+    target[name] = (flags & INPUT_FLAGS[name]) !== 0;
+  }
+  target.touchSteer = touchSteer;
+  target.stickSteer = stickSteer;
+  target.stickPitch = stickPitch;
+  return target;
+}
+
+/**
+ * Records the input frame of every fixed step. Only changes are stored, as
+ * [tick, flags, touchSteer, stickSteer, stickPitch] entries, so a long flight
+ * stays a small JSON file.
+ * header: { step, world, randomSeed } from Game.startRecording().
+ */
+export class InputRecorder {
+  constructor(header) {
+    this.header = header;
+    this.inputs = [];
+    this.ticks = 0;
+    this.lastFlags = -1;
+    this.lastTouchSteer = 0;
+    this.lastStickSteer = 0;
+    this.lastStickPitch = 0;
+  }
+
+  record(frame) {
+    const flags = encodeFlags(frame);
+    const touchSteer = Number(frame.touchSteer) || 0;
+    const stickSteer = Number(frame.stickSteer) || 0;
+    const stickPitch = Number(frame.stickPitch) || 0;
+    if (
+      flags !== this.lastFlags ||
+      touchSteer !== this.lastTouchSteer ||
+      stickSteer !== this.lastStickSteer ||
+      stickPitch !== this.lastStickPitch
+    ) {
+      this.inputs.push([this.ticks, flags, touchSteer, stickSteer, stickPitch]);
+      this.lastFlags = flags;
+      this.lastTouchSteer = touchSteer;
+      this.lastStickSteer = stickSteer;
+      this.lastStickPitch = stickPitch;
+    }
+    this.ticks++;
+  }
+
+  // finalState: { position: [x, y, z], health } to verify playback against
+  finish(finalState = null) {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      createdAt: new Date().toISOString(),
+      ...this.header,
+      ticks: this.ticks,
+      inputs: this.inputs.map((entry) => [...entry]),
+      finalState,
+    };
+  }
+}
+
+// Hands a recording's input frames back one fixed step at a time
+export class InputPlayback {
+  constructor(recording) {
+    this.recording = recording;
+    this.tick = 0;
+    this.cursor = 0;
+    this.frame = createEmptyInputFrame();
+  }
+
+  get done() {
+    return this.tick >= this.recording.ticks;
+  }
+
+  // Frame for the next step, or null once the recording is exhausted
+  next() {
+    if (this.done) return null;
+
+    const { inputs } = this.recording;
+    while (this.cursor < inputs.length && inputs[this.cursor][0] <= this.tick) {
+      const [, flags, touchSteer, stickSteer = 0, stickPitch = 0] =
+        inputs[this.cursor];
+      decodeFrame(flags, touchSteer, stickSteer, stickPitch, this.frame);
+      this.cursor++;
+    }
+    this.tick++;
+    return this.frame;
+  }
+}
+
+export function serializeReplay(recording) {
+  return JSON.stringify(recording);
+}
+
+// Validates imported JSON; throws an Error explaining what is wrong
+export function parseReplay(json) {
+  const data = typeof json === "string" ? JSON.parse(json) : json;
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error("Not a VibeJet replay file");
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version}`);
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    throw new Error("Replay has no valid tick count");
+  }
+  if (!Number.isFinite(data.step) || data.step <= 0) {
+    throw new Error("Replay has no valid step length");
+  }
+  if (!data.world || !Number.isInteger(data.randomSeed)) {
+    throw new Error("Replay is missing its world or random seed");
+  }
+
+  let previousTick = -1;
+  for (const entry of data.inputs ?? []) {
+    const [tick, flags, touchSteer, stickSteer = 0, stickPitch = 0] =
+      Array.isArray(entry) ? entry : [];
+    if (
+      !Number.isInteger(tick) ||
+      tick <= previousTick ||
+      !Number.isInteger(flags) ||
+      !Number.isFinite(touchSteer) ||
+      !Number.isFinite(stickSteer) ||
+      !Number.isFinite(stickPitch)
+    ) {
+      throw new Error("Replay input stream is malformed");
+    }
+    previousTick = tick;
+  }
+
+  return { ...data, inputs: data.inputs ?? [] };
+}
+
+// Compares where playback ended with where the recording ended
+export function compareReplayFinalState(expected, actual) {
+  if (!expected || !actual) return { matched: null, distance: null };
+  const distance = Math.hypot(
+    ...expected.position.map((value, i) => value - actual.position[i])
+  );
+  return {
+    matched:
+      distance <= FINAL_POSITION_TOLERANCE && expected.health === actual.health,
+    distance,
+  };
+}
@@ -0,0 +1,340 @@
+// Procedural height field generation shared by noise.js and heightfield.worker.js.
+// Everything here is DOM-free so it runs unchanged in a worker or in Node.
+import { DataUtils, MathUtils } from "three";
+import { ImprovedNoise } from "./ImprovedNoise.js";
+import { erodeHeightField, normalizeErosion } from "./erosion.js";
+
+const MAX_SMOOTH_PASSES = 120;
+export const NOISE_ITERATIONS = 4; // Octaves in generateBaseHeight()
+
+// Typed array behind the noise DataTexture for each height precision
+export const HEIGHT_PRECISION_ARRAYS = Object.freeze({
+  uint8: Uint8Array,
+  half: Uint16Array,
+  float: Float32Array,
+});
+
+// textureData is uploaded as-is; heightValues (0..1) is what the GPU samples back
+export function createHeightStorage(precision, count) {
+  return {
+    textureData: new HEIGHT_PRECISION_ARRAYS[precision](count),
+    heightValues: new Float32Array(count),
+  };
+}
+
+// value is in 0..255 texel units
+export function storeHeight(storage, precision, index, value) {
+  const { textureData, heightValues } = storage;
+  switch (precision) {
+    case "half": {
+      const bits = DataUtils.toHalfFloat(value / 255);
+      textureData[index] = bits;
+      heightValues[index] = DataUtils.fromHalfFloat(bits);
+      break;
+    }
+    case "float":
+      textureData[index] = value / 255;
+      heightValues[index] = textureData[index];
+      break;
+    default: {
+      const byte = Math.round(value);
+      textureData[index] = byte;
+      heightValues[index] = byte / 255;
+    }
+  }
+}
+
+// Summed |perlin| octaves; heightScale maps the result onto 0..255
+export function generateBaseHeight(width, seed, onProgress = () => {}) {
+  const size = width * width;
+  const baseHeight = new Float32Array(size);
+  const perlin = new ImprovedNoise(seed);
+  const z = (seed % 10000) / 100;
+
+  let quality = 1;
+  let maxValue = 0;
+
+  for (let iteration = 0; iteration < NOISE_ITERATIONS; iteration++) {
+    for (let i = 0; i < size; i++) {
+      const x = i % width;
+      const y = Math.floor(i / width);
+      const value = Math.abs(perlin.noise(x / quality, y / quality, z));
+      baseHeight[i] += value * quality;
+      if (baseHeight[i] > maxValue) {
+        maxValue = baseHeight[i];
+      }
+    }
+    quality *= 5;
+    onProgress((iteration + 1) / NOISE_ITERATIONS);
+  }
+
+  return {
+    baseHeight,
+    heightScale: maxValue > 0 ? 255 / maxValue : 1,
+  };
+}
+
+// Returns a smoothed copy; baseHeight is left untouched so it can be reused
+export function smoothHeightField(
+  baseHeight,
+  width,
+  strength,
+  onProgress = () => {}
+) {
+  const clampedStrength = MathUtils.clamp(strength, 0, 1);
+  const passes = Math.round(clampedStrength * MAX_SMOOTH_PASSES);
+
+  let src = Float32Array.from(baseHeight);
+  if (passes === 0) {
+    onProgress(1);
+    return src;
+  }
+
+  let dst = new Float32Array(baseHeight.length);
+  for (let p = 0; p < passes; p++) {
+    const t = passes > 1 ? p / Math.max(passes - 1, 1) : 1;
+    const blend = MathUtils.lerp(0.15, 0.85, Math.max(clampedStrength, t));
+    smoothPass(src, dst, width, blend);
+    const temp = src;
+    src = dst;
+    dst = temp;
+    onProgress((p + 1) / passes);
+  }
+
+  return src;
+}
+
+export function quantizeHeightField(source, heightScale, gain, precision) {
+  const storage = createHeightStorage(precision, source.length);
+  for (let i = 0; i < source.length; i++) {
+    const value = Math.max(0, Math.min(255, source[i] * heightScale * gain));
+    storeHeight(storage, precision, i, value);
+  }
+  return storage;
+}
+
+// Caches the noise (and its eroded copy) so smoothing/gain changes skip regeneration
+export class HeightFieldBuilder {
+  constructor() {
+    this.baseKey = null;
+    this.base = null;
+    this.erodedKey = null;
+    this.eroded = null;
+  }
+
+  // onProgress receives 0..1 across every stage of this build
+  build(
+    { width, seed, erosion, smoothStrength, gain, precision },
+    onProgress = () => {}
+  ) {
+    const erosionSettings = normalizeErosion(erosion);
+    const baseKey = `${width}:${seed}`;
+    const erodedKey = `${baseKey}:${JSON.stringify(erosionSettings)}`;
+    const regenerate = this.baseKey !== baseKey;
+    const erode = erosionSettings.iterations > 0 && this.erodedKey !== erodedKey;
+
+    // Split the progress range across whichever stages actually run
+    const erodeStart = regenerate ? (erode ? 0.15 : 0.4) : 0;
+    const smoothStart = erode ? 0.75 : erodeStart;
+    const quantizeStart = 0.95;
+
+    if (regenerate) {
+      this.base = generateBaseHeight(width, seed, (progress) =>
+        onProgress(progress * erodeStart)
+      );
+      this.baseKey = baseKey;
+    }
+
+    let field = this.base;
+    if (erosionSettings.iterations > 0) {
+      if (erode) {
+        this.eroded = erodeBaseHeight(
+          this.base,
+          width,
+          erosionSettings,
+          seed,
+          (progress) =>
+            onProgress(erodeStart + progress * (smoothStart - erodeStart))
+        );
+        this.erodedKey = erodedKey;
+      }
+      field = this.eroded;
+    }
+
+    const smoothed = smoothHeightField(
+      field.baseHeight,
+      width,
+      smoothStrength,
+      (progress) =>
+        onProgress(smoothStart + progress * (quantizeStart - smoothStart))
+    );
+    const storage = quantizeHeightField(
+      smoothed,
+      field.heightScale,
+      gain,
+      precision
+    );
+    onProgress(1);
+
+    return { width, precision, ...storage };
+  }
+}
+
+// Min/max mip chain over a height grid, for conservative range queries
+// without touching every texel. Level 0 is the grid itself; each level above
+// halves it (rounding up) and keeps the extremes of its 2x2 children.
+export class HeightRangePyramid {
+  constructor(values, width, height = width) {
+    this.levels = [{ width, height, min: values, max: values }];
+    let level = this.levels[0];
+    while (level.width > 1 || level.height > 1) {
+      level = downsampleRange(level);
+      this.levels.push(level);
+    }
+
+    // Mirrored index intervals, reused by rangeMirrored()
+    this._columns = new Int32Array(6);
+    this._rows = new Int32Array(6);
+  }
+
+  // Extremes over texels [x0..x1] x [y0..y1] (inclusive, in range); may widen
+  // the area to at most 2x2 cells of a coarser level, which stays conservative
+  range(x0, y0, x1, y1, out) {
+    let shift = 0;
+    while (
+      shift < this.levels.length - 1 &&
+      ((x1 >> shift) - (x0 >> shift) > 1 || (y1 >> shift) - (y0 >> shift) > 1)
+    ) {
+      shift++;
+    }
+
+    const { width, min, max } = this.levels[shift];
+    for (let y = y0 >> shift; y <= y1 >> shift; y++) {
+      for (let x = x0 >> shift; x <= x1 >> shift; x++) {
+        const i = y * width + x;
+        if (min[i] < out.min) out.min = min[i];
+        if (max[i] > out.max) out.max = max[i];
+      }
+    }
+    return out;
+  }
+
+  // Extremes of what LinearFilter + MirroredRepeatWrapping can return between
+  // texture coordinates (s0, t0) and (s1, t1). Writes { min, max } in 0..1.
+  rangeMirrored(s0, t0, s1, t1, out = { min: 0, max: 0 }) {
+    const { width, height } = this.levels[0];
+    const columns = mirrorIntervals(s0, s1, width, this._columns);
+    const rows = mirrorIntervals(t0, t1, height, this._rows);
+
+    out.min = Infinity;
+    out.max = -Infinity;
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < columns; c++) {
+        this.range(
+          this._columns[c * 2],
+          this._rows[r * 2],
+          this._columns[c * 2 + 1],
+          this._rows[r * 2 + 1],
+          out
+        );
+      }
+    }
+    return out;
+  }
+}
+
+function downsampleRange(level) {
+  const width = Math.ceil(level.width / 2);
+  const height = Math.ceil(level.height / 2);
+  const min = new Float32Array(width * height);
+  const max = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = y * 2;
+    const y1 = Math.min(y0 + 1, level.height - 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = x * 2;
+      const x1 = Math.min(x0 + 1, level.width - 1);
+      const a = y0 * level.width;
+      const b = y1 * level.width;
+      const i = y * width + x;
+      min[i] = Math.min(
+        level.min[a + x0],
+        level.min[a + x1],
+        level.min[b + x0],
+        level.min[b + x1]
+      );
+      max[i] = Math.max(
+        level.max[a + x0],
+        level.max[a + x1],
+        level.max[b + x0],
+        level.max[b + x1]
+      );
+    }
+  }
+  return { width, height, min, max };
+}
+
+// Texels a bilinear fetch can touch between coordinates s0..s1, folded by
+// mirrored repeat into at most three [first, last] intervals. Returns the count.
+function mirrorIntervals(s0, s1, count, out) {
+  const first = Math.floor(s0 * count - 0.5);
+  const last = Math.floor(s1 * count - 0.5) + 1;
+  if (last - first + 1 >= count * 2) {
+    out[0] = 0;
+    out[1] = count - 1;
+    return 1;
+  }
+
+  let intervals = 0;
+  for (let start = first; start <= last; ) {
+    const end = Math.min(last, (Math.floor(start / count) + 1) * count - 1);
+    const a = mirrorTexel(start, count);
+    const b = mirrorTexel(end, count);
+    out[intervals * 2] = Math.min(a, b);
+    out[intervals * 2 + 1] = Math.max(a, b);
+    intervals++;
+    start = end + 1;
+  }
+  return intervals;
+}
+
+function mirrorTexel(index, count) {
+  const period = count * 2;
+  const wrapped = ((index % period) + period) % period;
+  return wrapped < count ? wrapped : period - 1 - wrapped;
+}
+
+// Erosion runs on 0..1 heights; the result quantizes with a 0..255 scale
+function erodeBaseHeight(base, width, settings, seed, onProgress) {
+  const normalize = base.heightScale / 255;
+  const heights = base.baseHeight.map((value) => value * normalize);
+  erodeHeightField(heights, width, settings, seed, onProgress);
+  return { baseHeight: heights, heightScale: 255 };
+}
+
+function smoothPass(src, dst, width, blend) {
+  for (let x = 0; x < width; x++) {
+    dst[x] = src[x];
+    dst[(width - 1) * width + x] = src[(width - 1) * width + x];
+  }
+
+  for (let y = 1; y < width - 1; y++) {
+    const row = y * width;
+    dst[row] = src[row];
+    dst[row + width - 1] = src[row + width - 1];
+
+    for (let x = 1; x < width - 1; x++) {
+      const i = row + x;
+      const center = src[i];
+      const cross = src[i - 1] + src[i + 1] + src[i - width] + src[i + width];
+      const diagonals =
+        src[i - width - 1] +
+        src[i - width + 1] +
+        src[i + width - 1] +
+        src[i + width + 1];
+      const neighborAvg = (center * 4 + cross * 2 + diagonals) / 16;
+      dst[i] = MathUtils.lerp(center, neighborAvg, blend);
+    }
+  }
+}
@@ -0,0 +1,28 @@
+// heightfield.worker.js
+// Builds the procedural height field off the main thread for noise.js.
+
+import { HeightFieldBuilder } from "./heightfield.js";
+
+const PROGRESS_STEP = 0.02;
+const builder = new HeightFieldBuilder();
+
+self.onmessage = (event) => {
+  const { id, params } = event.data;
+  let lastProgress = 0;
+
+  try {
+    const result = builder.build(params, (progress) => {
+      if (progress - lastProgress >= PROGRESS_STEP) {
+        lastProgress = progress;
+        self.postMessage({ id, type: "progress", progress });
+      }
+    });
+
+    self.postMessage(
+      { id, type: "result", ...result },
+      [result.textureData.buffer, result.heightValues.buffer]
+    ); // Transfer buffer ownership for zero-copy
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
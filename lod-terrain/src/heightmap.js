@@ -0,0 +1,298 @@
+// Heightmap image decoding for noise.js (8/16-bit PGM and PNG), plus the
+// 16-bit grayscale PNG encoder used by terrainExport.js.
+// PNG is handled by hand because canvas drawImage/toBlob truncate 16-bit data.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// Returns { width, height, bitDepth, data } with data normalized to 0..1
+export async function parseHeightmap(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  if (isPng(bytes)) {
+    return parsePng(bytes);
+  }
+  if (bytes[0] === 0x50 && (bytes[1] === 0x35 || bytes[1] === 0x32)) {
+    return parsePgm(bytes);
+  }
+
+  throw new Error("Unsupported heightmap format (expected PNG or PGM)");
+}
+
+// values are 0..1, row-major, row 0 first. Returns the PNG file bytes.
+export async function encodePng16(width, height, values) {
+  const stride = width * 2 + 1;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride; // filter byte 0 (none) stays zero
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(
+        Math.min(Math.max(values[y * width + x], 0), 1) * 65535
+      );
+      raw[row + 1 + x * 2] = value >> 8;
+      raw[row + 2 + x * 2] = value & 0xff;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 16; // bit depth
+  header[9] = 0; // grayscale; compression, filter and interlace stay 0
+
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", await deflate(raw)),
+    pngChunk("IEND", new Uint8Array(0)),
+  ]);
+}
+
+function isPng(bytes) {
+  return PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+function parsePgm(bytes) {
+  const binary = bytes[1] === 0x35; // P5 raw, P2 ascii
+  let offset = 2;
+
+  const readToken = () => {
+    // Skip whitespace and # comments
+    while (offset < bytes.length) {
+      const c = bytes[offset];
+      if (c === 0x23) {
+        while (offset < bytes.length && bytes[offset] !== 0x0a) offset++;
+      } else if (c === 0x20 || c === 0x09 || c === 0x0a || c === 0x0d) {
+        offset++;
+      } else {
+        break;
+      }
+    }
+    let token = "";
+    while (offset < bytes.length && bytes[offset] > 0x20) {
+      token += String.fromCharCode(bytes[offset++]);
+    }
+    return Number(token);
+  };
+
+  const width = readToken();
+  const height = readToken();
+  const maxValue = readToken();
+  if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) {
+    throw new Error("Invalid PGM header");
+  }
+
+  const count = width * height;
+  const data = new Float32Array(count);
+  const wide = maxValue > 255;
+
+  if (binary) {
+    offset++; // single whitespace after maxval
+    const needed = count * (wide ? 2 : 1);
+    if (bytes.length - offset < needed) {
+      throw new Error("PGM pixel data is truncated");
+    }
+    for (let i = 0; i < count; i++) {
+      const value = wide
+        ? (bytes[offset + i * 2] << 8) | bytes[offset + i * 2 + 1]
+        : bytes[offset + i];
+      data[i] = Math.min(value / maxValue, 1);
+    }
+  } else {
+    for (let i = 0; i < count; i++) {
+      data[i] = Math.min(readToken() / maxValue, 1);
+    }
+  }
+
+  return { width, height, bitDepth: wide ? 16 : 8, data };
+}
+
+async function parsePng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  const idat = [];
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const start = offset + 8;
+    const chunk = bytes.subarray(start, start + length);
+    offset = start + length + 4; // skip CRC
+
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(start),
+        height: view.getUint32(start + 4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error("PNG is missing its IHDR chunk");
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(
+      `Unsupported PNG layout (color type ${colorType}, ${bitDepth}-bit)`
+    );
+  }
+  if (interlace !== 0) {
+    throw new Error("Interlaced PNG heightmaps are not supported");
+  }
+
+  const raw = await inflate(idat);
+  const bytesPerPixel = (channels * bitDepth) / 8;
+  const stride = width * bytesPerPixel;
+  if (raw.length < (stride + 1) * height) {
+    throw new Error("PNG pixel data is truncated");
+  }
+
+  const pixels = unfilterScanlines(raw, width, height, bytesPerPixel);
+  const maxValue = bitDepth === 16 ? 65535 : 255;
+  const data = new Float32Array(width * height);
+
+  const readSample = (index) =>
+    bitDepth === 16
+      ? (pixels[index] << 8) | pixels[index + 1]
+      : pixels[index];
+  const sampleSize = bitDepth / 8;
+
+  for (let i = 0; i < width * height; i++) {
+    const base = i * bytesPerPixel;
+    let value;
+    if (channels >= 3) {
+      // Same luminance weights as src/game/heightmap-parser.js
+      value =
+        readSample(base) * 0.2126 +
+        readSample(base + sampleSize) * 0.7152 +
+        readSample(base + sampleSize * 2) * 0.0722;
+    } else {
+      value = readSample(base);
+    }
+    data[i] = Math.min(value / maxValue, 1);
+  }
+
+  return { width, height, bitDepth, data };
+}
+
+async function inflate(chunks) {
+  // PNG IDAT is a zlib stream, which DecompressionStream calls "deflate"
+  const stream = new Blob(chunks)
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function unfilterScanlines(raw, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const out = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const value = raw[src + x];
+      const left = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft =
+        y > 0 && x >= bytesPerPixel ? out[prev + x - bytesPerPixel] : 0;
+
+      let predicted;
+      switch (filter) {
+        case 0:
+          predicted = 0;
+          break;
+        case 1:
+          predicted = left;
+          break;
+        case 2:
+          predicted = up;
+          break;
+        case 3:
+          predicted = (left + up) >> 1;
+          break;
+        case 4:
+          predicted = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      out[row + x] = (value + predicted) & 0xff;
+    }
+  }
+
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
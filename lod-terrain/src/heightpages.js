@@ -0,0 +1,221 @@
+// Streamed height pages for noise.js: a non-repeating procedural field, kept
+// resident in a square window of pages around the camera.
+// DOM-free like heightfield.js so it can be tested in Node.
+import { ImprovedNoise } from "./ImprovedNoise.js";
+import {
+  NOISE_ITERATIONS,
+  createHeightStorage,
+  storeHeight,
+} from "./heightfield.js";
+
+export const DEFAULT_PAGE_SIZE = 64; // Texels per page side
+export const DEFAULT_PAGES_PER_SIDE = 32;
+const MIN_PAGES_PER_SIDE = 8;
+// 4096 texels a side: 16M texels is as much as the window may hold
+export const MAX_PAGES_PER_SIDE = 64;
+// Summed octaves rarely pass this anywhere; it maps them onto 0..255 the way
+// the repeating field's own maximum does
+const STREAMED_HEIGHT_RANGE = 120;
+
+/**
+ * The same summed |perlin| octaves as generateBaseHeight(), evaluated at
+ * global texel coordinates instead of over one tile, so the field never
+ * repeats or mirrors. Erosion and smoothing need the whole field and do not
+ * apply here.
+ *
+ * Pages live in one texture-sized storage addressed toroidally: global texel
+ * (x, y) sits at (x mod size, y mod size), so a page entering the window
+ * takes the slot of the one leaving it and the GPU can sample with repeat
+ * wrapping. update() keeps pages near the centre resident straight away and
+ * streams the rest a few per call.
+ */
+export class HeightPageCache {
+  constructor({
+    seed,
+    gain = 1.0,
+    precision = "uint8",
+    pageSize = DEFAULT_PAGE_SIZE,
+    pagesPerSide = DEFAULT_PAGES_PER_SIDE,
+    syncRadius = 2, // Pages around the centre that never wait for a budget
+    texelStride = 1, // Noise texels per page texel, see pageWindowFor()
+  } = {}) {
+    this.seed = seed;
+    this.gain = gain;
+    this.precision = precision;
+    this.pageSize = pageSize;
+    this.pagesPerSide = pagesPerSide;
+    this.syncRadius = syncRadius;
+    this.texelStride = texelStride;
+    this.size = pageSize * pagesPerSide;
+
+    this.storage = createHeightStorage(precision, this.size * this.size);
+    const slots = pagesPerSide * pagesPerSide;
+    this.pageX = new Float64Array(slots).fill(NaN); // Resident page per slot
+    this.pageY = new Float64Array(slots).fill(NaN);
+    this.pageMin = new Float32Array(slots); // 0..1, like heightValues
+    this.pageMax = new Float32Array(slots);
+    this.pending = []; // [pageX, pageY], farthest first
+    this.centerX = NaN;
+    this.centerY = NaN;
+
+    this.perlin = new ImprovedNoise(seed);
+    this.z = (seed % 10000) / 100;
+    this._scratch = createHeightStorage(precision, 1);
+  }
+
+  // Centres the window on a global texel position and fills pages. Returns
+  // the slots written, for partial texture uploads.
+  update(texelX, texelY, budget = 8) {
+    const centerX = Math.floor(texelX / this.pageSize);
+    const centerY = Math.floor(texelY / this.pageSize);
+    if (centerX !== this.centerX || centerY !== this.centerY) {
+      this.centerX = centerX;
+      this.centerY = centerY;
+      this.queueMissingPages();
+    }
+
+    const written = [];
+    while (this.pending.length) {
+      const [x, y] = this.pending[this.pending.length - 1];
+      const near =
+        Math.max(Math.abs(x - centerX), Math.abs(y - centerY)) <=
+        this.syncRadius;
+      if (!near && budget <= 0) break;
+
+      this.pending.pop();
+      if (this.isResident(x, y)) continue;
+      written.push(this.generatePage(x, y));
+      if (!near) budget--;
+    }
+    return written;
+  }
+
+  queueMissingPages() {
+    const half = this.pagesPerSide / 2;
+    this.pending.length = 0;
+    for (let y = this.centerY - half; y < this.centerY + half; y++) {
+      for (let x = this.centerX - half; x < this.centerX + half; x++) {
+        if (!this.isResident(x, y)) this.pending.push([x, y]);
+      }
+    }
+    const distance = ([x, y]) =>
+      Math.max(Math.abs(x - this.centerX), Math.abs(y - this.centerY));
+    this.pending.sort((a, b) => distance(b) - distance(a));
+  }
+
+  slotOf(pageX, pageY) {
+    const count = this.pagesPerSide;
+    return wrap(pageY, count) * count + wrap(pageX, count);
+  }
+
+  isResident(pageX, pageY) {
+    const slot = this.slotOf(pageX, pageY);
+    return this.pageX[slot] === pageX && this.pageY[slot] === pageY;
+  }
+
+  generatePage(pageX, pageY) {
+    const { pageSize, size, storage, precision } = this;
+    const slot = this.slotOf(pageX, pageY);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let row = 0; row < pageSize; row++) {
+      const y = pageY * pageSize + row;
+      const rowStart = wrap(y, size) * size;
+      for (let column = 0; column < pageSize; column++) {
+        const x = pageX * pageSize + column;
+        const index = rowStart + wrap(x, size);
+        storeHeight(storage, precision, index, this.texelValue(x, y));
+        const value = storage.heightValues[index];
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+
+    this.pageX[slot] = pageX;
+    this.pageY[slot] = pageY;
+    this.pageMin[slot] = min;
+    this.pageMax[slot] = max;
+    return slot;
+  }
+
+  // 0..255 texel units, before quantization
+  texelValue(x, y) {
+    const noiseX = x * this.texelStride;
+    const noiseY = y * this.texelStride;
+    let value = 0;
+    let quality = 1;
+    for (let iteration = 0; iteration < NOISE_ITERATIONS; iteration++) {
+      value +=
+        Math.abs(this.perlin.noise(noiseX / quality, noiseY / quality, this.z)) *
+        quality;
+      quality *= 5;
+    }
+    return Math.min(255, (value * 255 * this.gain) / STREAMED_HEIGHT_RANGE);
+  }
+
+  // 0..1 height of a global texel: from its page when resident, otherwise
+  // computed to the same quantized value
+  heightAt(x, y) {
+    const { pageSize, size } = this;
+    if (this.isResident(Math.floor(x / pageSize), Math.floor(y / pageSize))) {
+      return this.storage.heightValues[wrap(y, size) * size + wrap(x, size)];
+    }
+    storeHeight(this._scratch, this.precision, 0, this.texelValue(x, y));
+    return this._scratch.heightValues[0];
+  }
+
+  // Extremes over global texels [x0..x1] x [y0..y1], from per-page ranges.
+  // Pages that are not resident count as the full 0..1.
+  range(x0, y0, x1, y1, out = { min: 0, max: 0 }) {
+    const { pageSize } = this;
+    out.min = Infinity;
+    out.max = -Infinity;
+    for (
+      let pageY = Math.floor(y0 / pageSize);
+      pageY <= Math.floor(y1 / pageSize);
+      pageY++
+    ) {
+      for (
+        let pageX = Math.floor(x0 / pageSize);
+        pageX <= Math.floor(x1 / pageSize);
+        pageX++
+      ) {
+        if (!this.isResident(pageX, pageY)) {
+          out.min = 0;
+          out.max = 1;
+          return out;
+        }
+        const slot = this.slotOf(pageX, pageY);
+        out.min = Math.min(out.min, this.pageMin[slot]);
+        out.max = Math.max(out.max, this.pageMax[slot]);
+      }
+    }
+    return out;
+  }
+}
+
+/**
+ * Pages per side and texel stride for a window spanning `extent` noise
+ * texels, with a page of margin either side since the window snaps to whole
+ * pages. Past MAX_PAGES_PER_SIDE each page texel covers 2, 4, ... noise
+ * texels instead; that only drops the finest, faintest noise iteration.
+ */
+export function pageWindowFor(extent, pageSize = DEFAULT_PAGE_SIZE) {
+  let texelStride = 1;
+  for (;;) {
+    let pagesPerSide = Math.ceil(extent / texelStride / pageSize) + 2;
+    pagesPerSide += pagesPerSide % 2; // The window is centred, so even
+    if (pagesPerSide <= MAX_PAGES_PER_SIDE) {
+      return {
+        pagesPerSide: Math.max(pagesPerSide, MIN_PAGES_PER_SIDE),
+        texelStride,
+      };
+    }
+    texelStride *= 2;
+  }
+}
+
+function wrap(index, count) {
+  return ((index % count) + count) % count;
+}
@@ -1,23 +1,97 @@
 import * as THREE from "three";
-import { ImprovedNoise } from "./ImprovedNoise.js";
+import { parseHeightmap } from "./heightmap.js";
+import {
+  DEFAULT_EROSION,
+  MAX_EROSION_ITERATIONS,
+  normalizeErosion,
+} from "./erosion.js";
+import { HeightPageCache, pageWindowFor } from "./heightpages.js";
+import {
+  HeightFieldBuilder,
+  HeightRangePyramid,
+  createHeightStorage,
+  storeHeight,
+} from "./heightfield.js";
 
 const DEFAULT_WIDTH = 256;
 const MIN_WIDTH = 64;
 const MAX_WIDTH = 1024;
 const DEFAULT_SMOOTH_STRENGTH = 0.25;
-const MAX_SMOOTH_PASSES = 120;
+const MAX_SEED = 0xffffffff;
+const DEFAULT_WORLD_SCALE = 1024;
+const MIN_WORLD_SCALE = 256;
+const MAX_WORLD_SCALE = 16384;
+const STREAMED_PAGE_BUDGET = 8; // Far pages generated per updateStreamedWorld()
+const DEFAULT_STREAMED_EXTENT = 8192; // The app's terrain width
+// Defaults match tools/generate-advanced-heightmap.js when no info JSON is found
+const DEFAULT_HEIGHTMAP_INFO = Object.freeze({
+  worldSize: 10000,
+  heightScale: 700,
+  seaLevel: 0,
+});
+// Texture type per precision; sampleHeight() reads back the same quantization
+const HEIGHT_PRECISION_TYPES = Object.freeze({
+  uint8: THREE.UnsignedByteType,
+  half: THREE.HalfFloatType,
+  float: THREE.FloatType,
+});
 
 let noiseWidth = DEFAULT_WIDTH;
-let size = noiseWidth * noiseWidth;
 
-let baseHeight = new Float32Array(size);
-let workingA = new Float32Array(size);
-let workingB = new Float32Array(size);
-let textureData = new Uint8Array(size);
+let textureData = new Uint8Array(noiseWidth * noiseWidth);
+let heightValues = new Float32Array(noiseWidth * noiseWidth); // 0..1, exactly what the GPU samples
+let heightPrecision = "uint8";
+let floatFilterable = false; // OES_texture_float_linear, set by the app
 
-let heightScale = 1.0;
 let currentSmoothStrength = DEFAULT_SMOOTH_STRENGTH;
 let heightGain = 1.0;
+let erosionSettings = { ...DEFAULT_EROSION };
+let noiseSeed = randomSeed();
+// The first build waits for setNoiseSeed() or the first sample, so startup
+// does not generate a field from the random seed only to throw it away
+let heightFieldPending = true;
+let heightmap = null; // Active authored heightmap, null while procedural
+let heightFieldVersion = 0; // Bumped whenever sampleHeight() would change
+// Bumped as streamed pages land: they tighten sampleHeightRange(), but a page
+// holds exactly what sampleHeight() computed before it arrived
+let pageRangeVersion = 0;
+let rangePyramid = null; // Min/max over heightValues, built on first range query
+// World units the lowest octave spans across one noise texture width
+let worldScale = DEFAULT_WORLD_SCALE;
+let streamedPages = null; // HeightPageCache while the world is streamed
+let pageTextureUploaded = false;
+let streamedExtent = DEFAULT_STREAMED_EXTENT; // World units the pages must cover
+const streamCenter = new THREE.Vector2();
+
+// Synchronous builds until enableHeightFieldWorker(); the worker then owns them
+const builder = new HeightFieldBuilder();
+let worker = null;
+let workerJobId = 0;
+let workerBusy = false;
+let queuedBuild = null;
+const progressListeners = new Set();
+
+// Octaves summed by getHeight() in the terrain shaders
+const NOISE_OCTAVES = [
+  { frequency: 1.0, amplitude: 1024.0 },
+  { frequency: 16.0, amplitude: 64.0 },
+  { frequency: 256.0, amplitude: 4.0 },
+];
+const texelSample = { value: 0, du: 0, dv: 0 };
+const texelRange = { min: 0, max: 0 };
+const scratchGradient = new THREE.Vector2();
+
+// Shared by every terrain tile so switching height source never rebuilds tiles
+export const heightSourceUniforms = {
+  uHeightmapEnabled: { value: 0 },
+  uHeightmapWorldSize: { value: DEFAULT_HEIGHTMAP_INFO.worldSize },
+  uHeightmapScale: { value: DEFAULT_HEIGHTMAP_INFO.heightScale },
+  uHeightmapSeaLevel: { value: DEFAULT_HEIGHTMAP_INFO.seaLevel },
+  uWorldScale: { value: DEFAULT_WORLD_SCALE },
+  uHeightPagesEnabled: { value: 0 },
+  uHeightPages: { value: null },
+  uHeightPageScale: { value: 1 }, // Noise texture widths per page texture
+};
 
 export const noise = new THREE.DataTexture(
   textureData,
@@ -34,12 +108,15 @@ noise.minFilter = THREE.LinearMipMapLinearFilter;
 noise.generateMipmaps = true;
 noise.needsUpdate = true;
 
-initializeHeightField();
-
 export const DEFAULT_NOISE_SMOOTHING = DEFAULT_SMOOTH_STRENGTH;
+export const DEFAULT_NOISE_WORLD_SCALE = DEFAULT_WORLD_SCALE;
+export const MIN_NOISE_WORLD_SCALE = MIN_WORLD_SCALE;
+export const MAX_NOISE_WORLD_SCALE = MAX_WORLD_SCALE;
 export const DEFAULT_NOISE_WIDTH = DEFAULT_WIDTH;
 export const MIN_NOISE_WIDTH = MIN_WIDTH;
 export const MAX_NOISE_WIDTH = MAX_WIDTH;
+export const MAX_NOISE_EROSION_ITERATIONS = MAX_EROSION_ITERATIONS;
+export const HEIGHT_PRECISIONS = Object.keys(HEIGHT_PRECISION_TYPES);
 
 export function getNoiseWidth() {
   return noiseWidth;
@@ -55,28 +132,230 @@ export function setNoiseWidth(width) {
   }
 
   noiseWidth = clamped;
-  size = noiseWidth * noiseWidth;
+  if (!heightmap) {
+    rebuildHeightField();
+  }
+  if (!resizeStreamedPages()) {
+    updatePageScale();
+  }
 
-  baseHeight = new Float32Array(size);
-  workingA = new Float32Array(size);
-  workingB = new Float32Array(size);
-  textureData = new Uint8Array(size);
+  return noiseWidth;
+}
 
-  if (typeof noise.dispose === "function") {
-    noise.dispose();
+export function getNoiseSeed() {
+  return noiseSeed;
+}
+
+// Same seed (and width/smoothing/gain) always regenerates identical textureData,
+// whether the field is built on the main thread or in the worker
+export function setNoiseSeed(seed) {
+  const normalized = normalizeSeed(seed);
+  if (normalized === noiseSeed && !heightFieldPending) {
+    return noiseSeed;
   }
 
-  noise.image = {
-    data: textureData,
-    width: noiseWidth,
-    height: noiseWidth,
-  };
-  noise.mipmaps = [];
-  noise.needsUpdate = true;
+  noiseSeed = normalized;
+  initializeHeightField();
+  resetStreamedPages();
 
+  return noiseSeed;
+}
+
+export function getHeightPrecision() {
+  return heightPrecision;
+}
+
+// "uint8" (default), "half" or "float" storage for the height texture.
+// "float" needs OES_texture_float_linear for the sampler's linear filtering.
+// 16-bit heightmaps store "uint8" as "float" so no source bits are lost, or
+// as "half" without float filtering (see setFloatHeightFiltering()).
+export function setHeightPrecision(precision) {
+  if (!HEIGHT_PRECISION_TYPES[precision]) {
+    console.warn(`⚠️ Unknown height precision "${precision}"`);
+    return heightPrecision;
+  }
+  if (precision === heightPrecision) {
+    return heightPrecision;
+  }
+
+  heightPrecision = precision;
+  if (heightmap) {
+    writeHeightmapData(heightmap.data);
+  } else {
+    rebuildHeightField();
+  }
+  resetStreamedPages();
+
+  return heightPrecision;
+}
+
+// Whether the renderer can linearly filter float textures. Without it a
+// float height texture samples as 0, so 16-bit heightmaps fall back to half.
+export function setFloatHeightFiltering(supported) {
+  const filterable = Boolean(supported);
+  if (filterable === floatFilterable) {
+    return;
+  }
+  floatFilterable = filterable;
+  if (heightmap) {
+    writeHeightmapData(heightmap.data);
+  }
+}
+
+export function getHeightmapInfo() {
+  return heightmap
+    ? {
+        width: heightmap.width,
+        height: heightmap.height,
+        bitDepth: heightmap.bitDepth,
+        precision: getHeightmapPrecision(),
+        worldSize: heightmap.worldSize,
+        heightScale: heightmap.heightScale,
+        seaLevel: heightmap.seaLevel,
+      }
+    : null;
+}
+
+// Replace the procedural field with an authored 8/16-bit PGM or PNG heightmap.
+// URLs pick up a sibling "<name>-info.json" unless `info` is given (object or URL).
+export async function loadHeightmap(source, { info } = {}) {
+  let buffer = source;
+  let resolvedInfo = info;
+
+  if (typeof source === "string") {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch heightmap ${source}: ${response.status} ${response.statusText}`
+      );
+    }
+    buffer = await response.arrayBuffer();
+    if (resolvedInfo === undefined) {
+      resolvedInfo = await fetchHeightmapInfo(
+        source.replace(/\.(pgm|png)(\?.*)?$/i, "-info.json")
+      );
+    }
+  }
+
+  if (typeof resolvedInfo === "string") {
+    resolvedInfo = await fetchHeightmapInfo(resolvedInfo);
+  }
+
+  const image = await parseHeightmap(buffer);
+  applyHeightmap(image, resolvedInfo || {});
+  return getHeightmapInfo();
+}
+
+// Drop an authored heightmap and regenerate the seeded procedural field
+export function clearHeightmap() {
+  if (!heightmap) {
+    return;
+  }
   initializeHeightField();
+}
 
-  return noiseWidth;
+export function getNoiseWorldScale() {
+  return worldScale;
+}
+
+// World units one noise texture width covers; larger spreads the same
+// mountains wider. Heights are unchanged.
+export function setNoiseWorldScale(scale) {
+  if (!Number.isFinite(scale) || scale <= 0) {
+    console.warn(`⚠️ World scale must be a positive number, got ${scale}`);
+    return worldScale;
+  }
+
+  const clamped = THREE.MathUtils.clamp(scale, MIN_WORLD_SCALE, MAX_WORLD_SCALE);
+  if (clamped === worldScale) {
+    return worldScale;
+  }
+
+  worldScale = clamped;
+  heightSourceUniforms.uWorldScale.value = worldScale;
+  heightFieldVersion++;
+  resizeStreamedPages();
+  return worldScale;
+}
+
+// Width of the visible terrain, which the streamed window has to span so
+// distant tiles never sample a page slot that holds another page
+export function setStreamedWorldExtent(width) {
+  if (!Number.isFinite(width) || width <= 0) {
+    console.warn(`⚠️ Streamed extent must be a positive number, got ${width}`);
+    return;
+  }
+  streamedExtent = width;
+  resizeStreamedPages();
+}
+
+export function isWorldStreamed() {
+  return streamedPages !== null;
+}
+
+// Streamed: the lowest octave comes from height pages generated around
+// updateStreamedWorld()'s position, so the landforms never repeat or mirror.
+// Only that octave streams: the detail octaves still read the repeating
+// texture, as pages at their 16× and 256× frequencies would need that many
+// times the texels, and their repeats are too small and faint to notice.
+// Erosion and smoothing only shape the repeating field. Authored heightmaps
+// take precedence either way.
+export function setWorldStreamed(enabled) {
+  if (Boolean(enabled) === isWorldStreamed()) {
+    return isWorldStreamed();
+  }
+
+  if (enabled) {
+    streamedPages = createPageCache();
+    updateStreamedWorld(streamCenter.x, streamCenter.y);
+  } else {
+    disposePageTexture();
+    streamedPages = null;
+    heightSourceUniforms.uHeightPagesEnabled.value = 0;
+    heightFieldVersion++;
+  }
+  return isWorldStreamed();
+}
+
+// Moves the streamed window to a world position (the camera's). Pages near
+// it are generated at once so sampleHeight() there never waits; farther ones
+// a few per call. Returns how many pages were written.
+export function updateStreamedWorld(x, y, budget = STREAMED_PAGE_BUDGET) {
+  streamCenter.set(x, y);
+  if (!streamedPages) {
+    return 0;
+  }
+
+  const texelSize = worldScale / pageTexelsPerScale();
+  const written = streamedPages.update(x / texelSize, y / texelSize, budget);
+  if (written.length === 0) {
+    return 0;
+  }
+
+  const texture = heightSourceUniforms.uHeightPages.value;
+  if (pageTextureUploaded) {
+    // Rows of each written page only. WebGLTextures counts update ranges in
+    // RGBA components, hence the factor of 4 for this single-channel texture.
+    const { pageSize, pagesPerSide, size } = streamedPages;
+    for (const slot of written) {
+      const column = (slot % pagesPerSide) * pageSize;
+      const firstRow = Math.floor(slot / pagesPerSide) * pageSize;
+      for (let row = firstRow; row < firstRow + pageSize; row++) {
+        texture.addUpdateRange((row * size + column) * 4, pageSize * 4);
+      }
+    }
+  }
+  texture.needsUpdate = true;
+  pageRangeVersion++;
+  return written.length;
+}
+
+export function getNoiseSmoothing() {
+  return currentSmoothStrength;
+}
+
+export function getNoiseHeightGain() {
+  return heightGain;
 }
 
 export function setNoiseSmoothing(strength) {
@@ -85,7 +364,10 @@ export function setNoiseSmoothing(strength) {
     return;
   }
   currentSmoothStrength = clamped;
-  applySmoothing(clamped);
+  // Smoothing and gain only shape the procedural field
+  if (!heightmap) {
+    rebuildHeightField();
+  }
 }
 
 export function setNoiseHeightGain(gain) {
@@ -94,144 +376,597 @@ export function setNoiseHeightGain(gain) {
     return;
   }
   heightGain = clamped;
-  applySmoothing(currentSmoothStrength);
+  if (!heightmap) {
+    rebuildHeightField();
+  }
+  resetStreamedPages();
+}
+
+export function getNoiseErosion() {
+  return { ...erosionSettings };
+}
+
+// Partial updates are merged: { iterations, rain (0..1), talusAngle (degrees) }.
+// Zero iterations leaves the noise uneroded.
+export function setNoiseErosion(settings) {
+  const next = normalizeErosion({ ...erosionSettings, ...settings });
+  if (
+    next.iterations === erosionSettings.iterations &&
+    Math.abs(next.rain - erosionSettings.rain) < 1e-4 &&
+    Math.abs(next.talusAngle - erosionSettings.talusAngle) < 1e-4
+  ) {
+    return getNoiseErosion();
+  }
+
+  erosionSettings = next;
+  if (!heightmap) {
+    rebuildHeightField();
+  }
+  return getNoiseErosion();
 }
 
-function mirroredRepeat(x) {
-    const floorX = Math.floor(x);
-    let t = x - floorX;
-    if (floorX % 2 !== 0) {
-        t = 1.0 - t;
+// Move procedural rebuilds to a worker so slider changes no longer stall
+// rendering. Until the new field arrives the previous one stays on screen and
+// in sampleHeight(). Returns false where module workers are unavailable.
+export function enableHeightFieldWorker() {
+  ensureHeightField();
+  if (worker) {
+    return true;
+  }
+  if (typeof Worker === "undefined") {
+    return false;
+  }
+
+  try {
+    worker = new Worker(new URL("./heightfield.worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (error) {
+    console.warn("⚠️ Height field worker unavailable, building inline:", error);
+    worker = null;
+    return false;
+  }
+
+  worker.onmessage = handleWorkerMessage;
+  worker.onerror = (event) => {
+    console.warn("⚠️ Height field worker failed, building inline:", event.message);
+    stopHeightFieldWorker();
+    if (!heightmap) {
+      rebuildHeightField();
     }
-    return t;
+  };
+  return true;
 }
 
-export function sampleHeight(x, y) {
-  // Same height calculation as used in the shaders
-  const st = { x: x / 1024.0, y: y / 1024.0 };
-
-  // Sample the base texture with mirrored repeat wrapping
-  const u = mirroredRepeat(st.x) * noiseWidth;
-  const v = mirroredRepeat(st.y) * noiseWidth;
-  const index = Math.min(size - 1, Math.max(0, Math.floor(v) * noiseWidth + Math.floor(u)));
-  let h = (textureData[index] / 255.0) * 1024.0;
-
-  // Add detail layer (16x scale)
-  const u16 = mirroredRepeat(st.x * 16.0) * noiseWidth;
-  const v16 = mirroredRepeat(st.y * 16.0) * noiseWidth;
-  const index16 = Math.min(size - 1, Math.max(0, Math.floor(v16) * noiseWidth + Math.floor(u16)));
-  h += (textureData[index16] / 255.0) * 64.0;
-
-  // Add detail layer (256x scale)
-  const u256 = mirroredRepeat(st.x * 256.0) * noiseWidth;
-  const v256 = mirroredRepeat(st.y * 256.0) * noiseWidth;
-  const index256 = Math.min(size - 1, Math.max(0, Math.floor(v256) * noiseWidth + Math.floor(u256)));
-  h += (textureData[index256] / 255.0) * 4.0;
-
-  // Apply the same transformation as in shaders: h * h / 2000.0
-  return (h * h) / 2000.0;
+export function isHeightFieldBuilding() {
+  return workerBusy;
 }
 
-function initializeHeightField() {
-  generateBaseHeight();
-  applySmoothing(currentSmoothStrength);
+// Resolves once no worker build is pending, so readers see the latest field
+export function whenHeightFieldReady() {
+  if (!workerBusy) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const unsubscribe = onHeightFieldProgress(({ building }) => {
+      if (!building) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
 }
 
-function generateBaseHeight() {
-  const perlin = new ImprovedNoise();
-  const z = Math.random() * 100;
+// listener({ building, progress }) fires as worker builds advance; returns an unsubscribe
+export function onHeightFieldProgress(listener) {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+}
 
-  baseHeight.fill(0);
+export function sampleHeight(x, y) {
+  return evaluateHeight(x, y, null);
+}
 
-  let quality = 1;
-  let maxValue = 0;
+// Lowest and highest sampleHeight() over the rectangle [minX, maxX] x
+// [minY, maxY]. Conservative: the true extremes lie inside, but the range may
+// be wider. Writes { min, max } into target.
+export function sampleHeightRange(
+  minX,
+  minY,
+  maxX,
+  maxY,
+  target = { min: 0, max: 0 }
+) {
+  ensureHeightField();
+  if (!rangePyramid || rangePyramid.levels[0].min !== heightValues) {
+    const { width, height } = noise.image;
+    rangePyramid = new HeightRangePyramid(heightValues, width, height);
+  }
 
-  for (let iteration = 0; iteration < 4; iteration++) {
-    for (let i = 0; i < size; i++) {
-      const x = i % noiseWidth;
-      const y = Math.floor(i / noiseWidth);
-      const value = Math.abs(perlin.noise(x / quality, y / quality, z));
-      baseHeight[i] += value * quality;
-      if (baseHeight[i] > maxValue) {
-        maxValue = baseHeight[i];
-      }
+  if (heightmap) {
+    const { worldSize, heightScale, seaLevel } = heightmap;
+    rangePyramid.rangeMirrored(
+      minX / worldSize + 0.5,
+      minY / worldSize + 0.5,
+      maxX / worldSize + 0.5,
+      maxY / worldSize + 0.5,
+      texelRange
+    );
+    target.min = Math.max(texelRange.min * heightScale, seaLevel);
+    target.max = Math.max(texelRange.max * heightScale, seaLevel);
+    return target;
+  }
+
+  // Octaves are bounded independently; the sum is never negative, so
+  // squaring keeps the order
+  let low = 0;
+  let high = 0;
+  for (const [octave, { frequency, amplitude }] of NOISE_OCTAVES.entries()) {
+    if (octave === 0 && streamedPages) {
+      const texels = pageTexelsPerScale() / worldScale;
+      streamedPages.range(
+        Math.floor(minX * texels - 0.5),
+        Math.floor(minY * texels - 0.5),
+        Math.floor(maxX * texels - 0.5) + 1,
+        Math.floor(maxY * texels - 0.5) + 1,
+        texelRange
+      );
+    } else {
+      rangePyramid.rangeMirrored(
+        (minX / worldScale) * frequency,
+        (minY / worldScale) * frequency,
+        (maxX / worldScale) * frequency,
+        (maxY / worldScale) * frequency,
+        texelRange
+      );
     }
-    quality *= 5;
+    low += texelRange.min * amplitude;
+    high += texelRange.max * amplitude;
   }
+  target.min = (low * low) / 2000.0;
+  target.max = (high * high) / 2000.0;
+  return target;
+}
 
-  heightScale = maxValue > 0 ? 255 / maxValue : 1;
+// Changes whenever the height source or its data does, so callers caching
+// sampled heights know to refresh
+export function getHeightFieldVersion() {
+  return heightFieldVersion;
 }
 
-function applySmoothing(strength) {
-  const clampedStrength = THREE.MathUtils.clamp(strength, 0, 1);
-  const passes = Math.round(clampedStrength * MAX_SMOOTH_PASSES);
+// Changes whenever sampleHeightRange() might, for callers caching ranges.
+// Both counts only grow, so their sum changes whenever either does.
+export function getHeightRangeVersion() {
+  return heightFieldVersion + pageRangeVersion;
+}
 
-  workingA.set(baseHeight);
+// Analytic dH/dx, dH/dy of the same surface sampleHeight() returns
+export function sampleHeightGradient(x, y, target = new THREE.Vector2()) {
+  evaluateHeight(x, y, target);
+  return target;
+}
 
-  if (passes > 0 && clampedStrength > 0) {
-    let src = workingA;
-    let dst = workingB;
+// Z-up surface normal from the analytic gradient
+export function sampleNormal(x, y, target = new THREE.Vector3()) {
+  evaluateHeight(x, y, scratchGradient);
+  return target.set(-scratchGradient.x, -scratchGradient.y, 1).normalize();
+}
 
-    for (let p = 0; p < passes; p++) {
-      const t = passes > 1 ? p / Math.max(passes - 1, 1) : 1;
-      const blend = THREE.MathUtils.lerp(
-        0.15,
-        0.85,
-        Math.max(clampedStrength, t)
-      );
-      smoothPass(src, dst, blend);
-      const temp = src;
-      src = dst;
-      dst = temp;
+// Same height calculation as getHeight() in terrain.vert / heightmap.glsl.
+// Writes the gradient into `gradient` (a Vector2) when one is passed.
+function evaluateHeight(x, y, gradient) {
+  ensureHeightField();
+  if (heightmap) {
+    const { worldSize, heightScale, seaLevel } = heightmap;
+    sampleTexture(x / worldSize + 0.5, y / worldSize + 0.5, texelSample);
+    const h = texelSample.value * heightScale;
+    if (h <= seaLevel) {
+      gradient?.set(0, 0);
+      return seaLevel;
     }
+    gradient?.set(
+      (texelSample.du * heightScale) / worldSize,
+      (texelSample.dv * heightScale) / worldSize
+    );
+    return h;
+  }
 
-    if (passes % 2 === 1) {
-      workingA.set(workingB);
+  let h = 0;
+  let dhdx = 0;
+  let dhdy = 0;
+  for (const [octave, { frequency, amplitude }] of NOISE_OCTAVES.entries()) {
+    const s = (x / worldScale) * frequency;
+    const t = (y / worldScale) * frequency;
+    if (octave === 0 && streamedPages) {
+      samplePages(s, t, texelSample);
+    } else {
+      sampleTexture(s, t, texelSample);
     }
+    h += texelSample.value * amplitude;
+    dhdx += (texelSample.du * amplitude * frequency) / worldScale;
+    dhdy += (texelSample.dv * amplitude * frequency) / worldScale;
   }
 
-  writeTextureData(workingA);
+  // Shaders square the height: h * h / 2000.0, so d/dx = h / 1000 * dh/dx
+  gradient?.set((h * dhdx) / 1000.0, (h * dhdy) / 1000.0);
+  return (h * h) / 2000.0;
 }
 
-function smoothPass(src, dst, blend) {
-  for (let x = 0; x < noiseWidth; x++) {
-    dst[x] = src[x];
-    dst[(noiseWidth - 1) * noiseWidth + x] =
-      src[(noiseWidth - 1) * noiseWidth + x];
-  }
+// Reproduces LinearFilter + MirroredRepeatWrapping at mip level 0, which is
+// what vertex shaders fetch. du/dv are derivatives per unit of texture coordinate.
+function sampleTexture(s, t, out) {
+  const { width, height } = noise.image;
+  const u = s * width - 0.5;
+  const v = t * height - 0.5;
+  const x0 = Math.floor(u);
+  const y0 = Math.floor(v);
+  const fx = u - x0;
+  const fy = v - y0;
+
+  const ix0 = mirrorIndex(x0, width);
+  const ix1 = mirrorIndex(x0 + 1, width);
+  const row0 = mirrorIndex(y0, height) * width;
+  const row1 = mirrorIndex(y0 + 1, height) * width;
+
+  return bilinear(
+    heightValues[row0 + ix0],
+    heightValues[row0 + ix1],
+    heightValues[row1 + ix0],
+    heightValues[row1 + ix1],
+    fx,
+    fy,
+    width,
+    height,
+    out
+  );
+}
 
-  for (let y = 1; y < noiseWidth - 1; y++) {
-    const row = y * noiseWidth;
-    dst[row] = src[row];
-    dst[row + noiseWidth - 1] = src[row + noiseWidth - 1];
+// The streamed pages' equivalent of sampleTexture(): page texels are global
+// (strided) noise texels, sampled with plain repeat on the GPU, so nothing
+// mirrors
+function samplePages(s, t, out) {
+  const texels = pageTexelsPerScale();
+  const u = s * texels - 0.5;
+  const v = t * texels - 0.5;
+  const x0 = Math.floor(u);
+  const y0 = Math.floor(v);
+
+  return bilinear(
+    streamedPages.heightAt(x0, y0),
+    streamedPages.heightAt(x0 + 1, y0),
+    streamedPages.heightAt(x0, y0 + 1),
+    streamedPages.heightAt(x0 + 1, y0 + 1),
+    u - x0,
+    v - y0,
+    texels,
+    texels,
+    out
+  );
+}
+
+function bilinear(h00, h10, h01, h11, fx, fy, width, height, out) {
+  const top = h00 + (h10 - h00) * fx;
+  const bottom = h01 + (h11 - h01) * fx;
+
+  out.value = top + (bottom - top) * fy;
+  out.du = ((h10 - h00) * (1 - fy) + (h11 - h01) * fy) * width;
+  out.dv = (bottom - top) * height;
+  return out;
+}
 
-    for (let x = 1; x < noiseWidth - 1; x++) {
-      const i = row + x;
-      const center = src[i];
-      const cross =
-        src[i - 1] + src[i + 1] + src[i - noiseWidth] + src[i + noiseWidth];
-      const diagonals =
-        src[i - noiseWidth - 1] +
-        src[i - noiseWidth + 1] +
-        src[i + noiseWidth - 1] +
-        src[i + noiseWidth + 1];
-      const neighborAvg = (center * 4 + cross * 2 + diagonals) / 16;
-      dst[i] = THREE.MathUtils.lerp(center, neighborAvg, blend);
+function mirrorIndex(index, count) {
+  const period = count * 2;
+  const wrapped = ((index % period) + period) % period;
+  return wrapped < count ? wrapped : period - 1 - wrapped;
+}
+
+async function fetchHeightmapInfo(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return null;
     }
+    return await response.json();
+  } catch (error) {
+    console.warn(`⚠️ Could not load heightmap info ${url}:`, error);
+    return null;
   }
 }
 
-function writeTextureData(source) {
-  for (let i = 0; i < size; i++) {
-    const value = Math.max(
-      0,
-      Math.min(255, Math.round(source[i] * heightScale * heightGain))
+function applyHeightmap(image, info) {
+  const positiveOr = (value, fallback) =>
+    Number.isFinite(value) && value > 0 ? value : fallback;
+
+  heightmap = {
+    width: image.width,
+    height: image.height,
+    bitDepth: image.bitDepth,
+    data: image.data, // kept so precision changes can re-upload losslessly
+    worldSize: positiveOr(info.worldSize, DEFAULT_HEIGHTMAP_INFO.worldSize),
+    // Older info files only carry maxHeight
+    heightScale: positiveOr(
+      info.heightScale ?? info.maxHeight,
+      DEFAULT_HEIGHTMAP_INFO.heightScale
+    ),
+    seaLevel: Number.isFinite(info.seaLevel)
+      ? info.seaLevel
+      : DEFAULT_HEIGHTMAP_INFO.seaLevel,
+  };
+
+  writeHeightmapData(image.data);
+  heightFieldPending = false; // The heightmap is the field now
+
+  heightSourceUniforms.uHeightmapEnabled.value = 1;
+  heightSourceUniforms.uHeightmapWorldSize.value = heightmap.worldSize;
+  heightSourceUniforms.uHeightmapScale.value = heightmap.heightScale;
+  heightSourceUniforms.uHeightmapSeaLevel.value = heightmap.seaLevel;
+}
+
+function writeHeightmapData(data) {
+  const { width, height } = heightmap;
+  const precision = getHeightmapPrecision();
+  const storage = createHeightStorage(precision, width * height);
+  for (let i = 0; i < width * height; i++) {
+    storeHeight(
+      storage,
+      precision,
+      i,
+      THREE.MathUtils.clamp(data[i], 0, 1) * 255
     );
-    textureData[i] = value;
+  }
+  swapTextureData(width, height, storage, precision);
+}
+
+// Bytes would cut a 16-bit source to 8 bits; half floats keep only 11, but
+// are the most an unfilterable float texture leaves
+function getHeightmapPrecision() {
+  if (heightmap.bitDepth <= 8 || heightPrecision !== "uint8") {
+    return heightPrecision;
+  }
+  return floatFilterable ? "float" : "half";
+}
+
+// Point the noise texture (and sampleHeight) at freshly built arrays
+function swapTextureData(width, height, storage, precision = heightPrecision) {
+  const type = HEIGHT_PRECISION_TYPES[precision];
+  const resized =
+    noise.image.width !== width ||
+    noise.image.height !== height ||
+    noise.type !== type;
+
+  textureData = storage.textureData;
+  heightValues = storage.heightValues;
+  heightFieldVersion++;
+
+  if (resized && typeof noise.dispose === "function") {
+    noise.dispose();
+  }
+
+  noise.image = {
+    data: textureData,
+    width,
+    height,
+  };
+  if (resized) {
+    noise.type = type;
+    // Float formats are not reliably color-renderable, so skip GPU mip generation
+    const mipmapped = type === THREE.UnsignedByteType;
+    noise.generateMipmaps = mipmapped;
+    noise.minFilter = mipmapped
+      ? THREE.LinearMipMapLinearFilter
+      : THREE.LinearFilter;
+    noise.mipmaps = [];
   }
   noise.needsUpdate = true;
 }
 
+function createPageCache() {
+  const cache = new HeightPageCache({
+    seed: noiseSeed,
+    gain: heightGain,
+    precision: heightPrecision,
+    ...streamedPageWindow(),
+  });
+
+  const texture = new THREE.DataTexture(
+    cache.storage.textureData,
+    cache.size,
+    cache.size,
+    THREE.RedFormat,
+    HEIGHT_PRECISION_TYPES[heightPrecision]
+  );
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter; // Vertex fetches only read level 0
+  texture.generateMipmaps = false;
+  // Later pages upload as update ranges, once the whole texture exists on the GPU
+  pageTextureUploaded = false;
+  texture.onUpdate = () => {
+    pageTextureUploaded = true;
+  };
+
+  disposePageTexture();
+  heightSourceUniforms.uHeightPages.value = texture;
+  heightSourceUniforms.uHeightPagesEnabled.value = 1;
+  updatePageScale(cache);
+  return cache;
+}
+
+// Seed, gain, precision and the window's layout change every page
+function resetStreamedPages() {
+  if (!streamedPages) {
+    return;
+  }
+  streamedPages = createPageCache();
+  updateStreamedWorld(streamCenter.x, streamCenter.y);
+}
+
+// Noise width and world scale set how many texels the extent spans
+function streamedPageWindow() {
+  return pageWindowFor((streamedExtent * noiseWidth) / worldScale);
+}
+
+// Rebuilds the pages when the window no longer fits. Returns whether it did.
+function resizeStreamedPages() {
+  if (!streamedPages) {
+    return false;
+  }
+  const { pagesPerSide, texelStride } = streamedPageWindow();
+  if (
+    pagesPerSide === streamedPages.pagesPerSide &&
+    texelStride === streamedPages.texelStride
+  ) {
+    return false;
+  }
+  resetStreamedPages();
+  return true;
+}
+
+// Page texels per noise texture width
+function pageTexelsPerScale(cache = streamedPages) {
+  return noiseWidth / cache.texelStride;
+}
+
+function updatePageScale(cache = streamedPages) {
+  if (cache) {
+    heightSourceUniforms.uHeightPageScale.value =
+      pageTexelsPerScale(cache) / cache.size;
+    heightFieldVersion++;
+  }
+}
+
+function disposePageTexture() {
+  heightSourceUniforms.uHeightPages.value?.dispose();
+  heightSourceUniforms.uHeightPages.value = null;
+}
+
+function initializeHeightField() {
+  heightFieldPending = false;
+  if (heightmap) {
+    heightmap = null;
+    heightSourceUniforms.uHeightmapEnabled.value = 0;
+    heightFieldVersion++;
+  }
+  rebuildHeightField();
+}
+
+// Builds the deferred first field, for callers that sample before seeding
+function ensureHeightField() {
+  if (heightFieldPending) {
+    initializeHeightField();
+  }
+}
+
+function rebuildHeightField() {
+  // Settings changed before the first build only shape that build
+  if (heightFieldPending) {
+    return;
+  }
+
+  const params = {
+    width: noiseWidth,
+    seed: noiseSeed,
+    erosion: erosionSettings,
+    smoothStrength: currentSmoothStrength,
+    gain: heightGain,
+    precision: heightPrecision,
+  };
+
+  if (!worker) {
+    applyBuildResult(builder.build(params));
+    return;
+  }
+
+  // Only the latest request matters while a build is in flight
+  if (workerBusy) {
+    queuedBuild = params;
+    return;
+  }
+  postBuild(params);
+}
+
+function postBuild(params) {
+  workerJobId++;
+  workerBusy = true;
+  worker.postMessage({ id: workerJobId, params });
+  notifyProgress(0);
+}
+
+function handleWorkerMessage(event) {
+  const message = event.data;
+  if (message.id !== workerJobId) {
+    return;
+  }
+
+  if (message.type === "progress") {
+    notifyProgress(message.progress);
+    return;
+  }
+
+  workerBusy = false;
+  if (message.type === "error") {
+    console.warn("⚠️ Height field build failed:", message.message);
+  } else if (!heightmap && !queuedBuild) {
+    applyBuildResult(message);
+  }
+
+  if (queuedBuild) {
+    const params = queuedBuild;
+    queuedBuild = null;
+    if (!heightmap) {
+      postBuild(params);
+      return;
+    }
+  }
+  notifyProgress(1);
+}
+
+function applyBuildResult(result) {
+  // A precision switch may have landed while this build was running
+  if (result.precision !== heightPrecision) {
+    rebuildHeightField();
+    return;
+  }
+  swapTextureData(result.width, result.width, result);
+}
+
+function stopHeightFieldWorker() {
+  worker?.terminate();
+  worker = null;
+  workerBusy = false;
+  queuedBuild = null;
+  notifyProgress(1);
+}
+
+function notifyProgress(progress) {
+  const state = { building: workerBusy, progress };
+  progressListeners.forEach((listener) => listener(state));
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+
+  const text = String(seed ?? "").trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a so word seeds like "canyon" are shareable too
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
 function clampToPowerOfTwo(value) {
   const exponent = Math.ceil(Math.log2(value));
   return Math.pow(2, exponent);
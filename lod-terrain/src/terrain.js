@@ -3,17 +3,24 @@ import { texture as terrainTextures } from "./texture.js";
 import { scene } from "./scene.js";
 import terrainVert from "./assets/shaders/terrain.vert?raw";
 import terrainMarsVert from "./assets/shaders/terrainMars.vert?raw";
-import terrainFrag from "./assets/shaders/terrain.frag?raw";
-import terrainSnowFrag from "./assets/shaders/terrainSnow.frag?raw";
+import terrainSplatFrag from "./assets/shaders/terrainSplat.frag?raw";
 import terrainToonFrag from "./assets/shaders/terrainToon.frag?raw";
-import terrainRealisticFrag from "./assets/shaders/terrainRealistic.frag?raw";
 import terrainLavaFrag from "./assets/shaders/terrainLava.frag?raw";
 import terrainCrystalFrag from "./assets/shaders/terrainCrystal.frag?raw";
-import terrainMarsFrag from "./assets/shaders/terrainMars.frag?raw";
 import terrainDepthFrag from "./assets/shaders/terrainDepth.frag?raw";
 import colorScaleGlsl from "./assets/shaders/colorScale.glsl?raw";
 import edgemorphGlsl from "./assets/shaders/edgemorph.glsl?raw";
 import terrainShadowGlsl from "./assets/shaders/terrainShadow.glsl?raw";
+import heightmapGlsl from "./assets/shaders/heightmap.glsl?raw";
+import terrainTriplanarGlsl from "./assets/shaders/terrainTriplanar.glsl?raw";
+import {
+  heightSourceUniforms,
+  sampleHeightRange,
+  getHeightRangeVersion,
+} from "./noise.js";
+import { TileCuller } from "./terrainCulling.js";
+import { compileTerrainMaterial } from "./terrainMaterials.js";
+import { ENVIRONMENTS, SHADER_SEQUENCE } from "./environment.js";
 
 // --- Constants ---
 const Edge = Object.freeze({
@@ -28,59 +35,66 @@ const SHADER_INCLUDES = new Map([
   ["colorScale.glsl", colorScaleGlsl],
   ["edgemorph.glsl", edgemorphGlsl],
   ["terrainShadow.glsl", terrainShadowGlsl],
+  ["heightmap.glsl", heightmapGlsl],
+  ["terrainTriplanar.glsl", terrainTriplanarGlsl],
+]);
+
+// Hand-written shaders environments can name instead of a material
+const FRAGMENT_SHADERS = new Map([
+  ["terrainToon.frag", terrainToonFrag],
+  ["terrainLava.frag", terrainLavaFrag],
+  ["terrainCrystal.frag", terrainCrystalFrag],
+]);
+const VERTEX_SHADERS = new Map([
+  ["terrain.vert", terrainVert],
+  ["terrainMars.vert", terrainMarsVert],
 ]);
 
 // --- Shader Pre-Processor ---
-function processShader(shaderSource) {
+function processShader(shaderSource, includes = SHADER_INCLUDES) {
   const includePattern = /#include\s+[<"]?([^>"]+)[">]?/g;
   return shaderSource.replace(
     includePattern,
-    (match, includeName) => SHADER_INCLUDES.get(includeName.trim()) || ""
+    (match, includeName) => includes.get(includeName.trim()) || ""
   );
 }
 
-// Pre-process shaders on load for efficiency
+// Pre-process shaders on load for efficiency. Programs follow
+// SHADER_SEQUENCE, so shader indices match environment indices.
 const PROCESSED_VERT_SHADER = processShader(terrainVert);
-const PROCESSED_MARS_VERT_SHADER = processShader(terrainMarsVert);
-const SHADER_PROGRAMS = [
-  {
-    name: "Volcanic",
-    source: processShader(terrainLavaFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Terrain",
-    source: processShader(terrainFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Snowy",
-    source: processShader(terrainSnowFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Toon",
-    source: processShader(terrainToonFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Realistic",
-    source: processShader(terrainRealisticFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Crystal",
-    source: processShader(terrainCrystalFrag),
-    vertexShader: PROCESSED_VERT_SHADER,
-  },
-  {
-    name: "Mars",
-    source: processShader(terrainMarsFrag),
-    vertexShader: PROCESSED_MARS_VERT_SHADER,
-  },
-];
+const SHADER_PROGRAMS = SHADER_SEQUENCE.map((name) => {
+  const environment = ENVIRONMENTS[name];
+  return {
+    name,
+    source: processFragmentShader(environment),
+    vertexShader: environment.vertexShader
+      ? processShader(VERTEX_SHADERS.get(environment.vertexShader))
+      : PROCESSED_VERT_SHADER,
+  };
+});
+
+function processFragmentShader({ name, material, fragmentShader }) {
+  if (material) {
+    return processShader(
+      terrainSplatFrag,
+      new Map([
+        ...SHADER_INCLUDES,
+        ["terrainLayers.glsl", compileTerrainMaterial(material)],
+      ])
+    );
+  }
+  const source = FRAGMENT_SHADERS.get(fragmentShader);
+  if (!source) {
+    throw new Error(`Environment "${name}" has no terrain material or shader`);
+  }
+  return processShader(source);
+}
 
 // --- Main Terrain Class ---
+// Every tile is one instance of the same grid, drawn in a single call. The
+// instances carry only what differs per tile (offset, scale, edge morph);
+// all other state lives in one uniform set shared by the main and depth
+// materials, so environment updates touch it once.
 export class Terrain extends THREE.Object3D {
   constructor(
     heightData,
@@ -109,9 +123,21 @@ export class Terrain extends THREE.Object3D {
     this.specularStrength = 1.0;
     this.skyTintColor = new THREE.Color(0.62, 0.72, 0.88);
     this.skyTintStrength = 0.15;
+    this.detailNormalStrength = 0.6;
+    this.detailNormalDistance = 400;
     this.shadowsEnabled = enableShadows;
     this._cascadeEnabledVec = new THREE.Vector3(1, 1, 1);
 
+    // { offset, scale, edgeMorph } per tile, in instance order
+    this.tiles = [];
+    // Height-aware bounds per tile (terrain space), refreshed when the
+    // offset or the height field changes; see cullTiles()
+    this.tileBounds = [];
+    this.culler = new TileCuller();
+    this._boundsOffset = new THREE.Vector3(NaN, NaN, NaN);
+    this._boundsVersion = -1;
+    this._heightRange = { min: 0, max: 0 };
+
     this.tileGeometry = new THREE.PlaneGeometry(
       1,
       1,
@@ -120,55 +146,23 @@ export class Terrain extends THREE.Object3D {
     );
     this.tileGeometry.translate(0.5, 0.5, 0);
 
+    this.uniforms = this.createUniforms();
     this.createTileGrid();
+    this.createTileMesh();
   }
 
-  createTileGrid() {
-    const initialScale = this.worldWidth / Math.pow(2, this.levels);
-
-    // Create the central 2x2 grid
-    for (const i of [-1, 0]) {
-      for (const j of [-1, 0]) {
-        this.createTile(
-          i * initialScale,
-          j * initialScale,
-          initialScale,
-          Edge.NONE
-        );
-      }
-    }
-
-    // Create the outer rings
-    for (let level = 0; level < this.levels - 1; level++) {
-      const scale = initialScale * Math.pow(2, level);
-      for (let i = -2; i < 2; i++) {
-        for (let j = -2; j < 2; j++) {
-          if (i > -2 && i < 1 && j > -2 && j < 1) continue; // Skip inner area
-
-          let edgeMorph = Edge.NONE;
-          if (i === -2) edgeMorph |= Edge.LEFT;
-          if (i === 1) edgeMorph |= Edge.RIGHT;
-          if (j === -2) edgeMorph |= Edge.BOTTOM;
-          if (j === 1) edgeMorph |= Edge.TOP;
-
-          this.createTile(i * scale, j * scale, scale, edgeMorph);
-        }
-      }
-    }
-  }
-
-  createTile(x, y, scale, edgeMorph) {
+  createUniforms() {
     const shadowMatrixCount = 3;
-    const uniforms = {
-      uEdgeMorph: { value: edgeMorph },
+    return {
       uGlobalOffset: { value: this.offset },
       uHeightData: { value: this.heightData },
       uGrass: { value: terrainTextures.grass },
       uRock: { value: terrainTextures.rock },
       uSnow: { value: terrainTextures.snow },
       uMars: { value: terrainTextures.mars },
-      uTileOffset: { value: new THREE.Vector2(x, y) },
-      uScale: { value: scale },
+      uDetailNormal: { value: terrainTextures.detailNormal },
+      uDetailNormalStrength: { value: this.detailNormalStrength },
+      uDetailNormalDistance: { value: this.detailNormalDistance },
       uTileResolution: { value: this.resolution },
       uFogColor: {
         value: scene.fog ? scene.fog.color.clone() : new THREE.Color(0x000000),
@@ -176,17 +170,17 @@ export class Terrain extends THREE.Object3D {
       uFogNear: { value: scene.fog ? scene.fog.near : 0 },
       uFogFar: { value: scene.fog ? scene.fog.far : 1 },
       uMorphRegion: { value: this.morphRegion },
-      uSunDirection: { value: this.sunDirection.clone() },
+      uSunDirection: { value: this.sunDirection },
       uSunIntensity: { value: this.sunIntensity },
       uSunWarmth: { value: this.sunWarmth },
-      uAmbientDirection: { value: this.ambientDirection.clone() },
+      uAmbientDirection: { value: this.ambientDirection },
       uAmbientIntensity: { value: this.ambientIntensity },
-      uAmbientColor: { value: this.ambientColor.clone() },
+      uAmbientColor: { value: this.ambientColor },
       uSmoothFactor: { value: this.smoothFactor },
       uSpecularStrength: { value: this.specularStrength },
       uFadeStart: { value: this.fade.start },
       uFadeEnd: { value: this.fade.end },
-      uSkyTintColor: { value: this.skyTintColor.clone() },
+      uSkyTintColor: { value: this.skyTintColor },
       uSkyTintStrength: { value: this.skyTintStrength },
       uViewMatrix: { value: new THREE.Matrix4() },
       uShadowMatrices: {
@@ -199,80 +193,256 @@ export class Terrain extends THREE.Object3D {
       uShadowBias: { value: 0.0015 },
       uShadowStrength: { value: 0.65 },
       uShadowsEnabled: { value: this.shadowsEnabled ? 1.0 : 0.0 },
-      uCascadeEnabled: { value: new THREE.Vector3(1.0, 1.0, 1.0) },
+      uCascadeEnabled: { value: this._cascadeEnabledVec },
       uShadowTexelSize: { value: new THREE.Vector2(1 / 1024, 1 / 1024) },
       uShadowSoftness: { value: 1.0 },
       uShadowMap0: { value: null },
       uShadowMap1: { value: null },
       uShadowMap2: { value: null },
+      ...heightSourceUniforms,
     };
+  }
+
+  createTileGrid() {
+    const initialScale = this.worldWidth / Math.pow(2, this.levels);
+
+    // Create the central 2x2 grid
+    for (const i of [-1, 0]) {
+      for (const j of [-1, 0]) {
+        this.createTile(
+          i * initialScale,
+          j * initialScale,
+          initialScale,
+          Edge.NONE
+        );
+      }
+    }
+
+    // Create the outer rings
+    for (let level = 0; level < this.levels - 1; level++) {
+      const scale = initialScale * Math.pow(2, level);
+      for (let i = -2; i < 2; i++) {
+        for (let j = -2; j < 2; j++) {
+          if (i > -2 && i < 1 && j > -2 && j < 1) continue; // Skip inner area
+
+          let edgeMorph = Edge.NONE;
+          if (i === -2) edgeMorph |= Edge.LEFT;
+          if (i === 1) edgeMorph |= Edge.RIGHT;
+          if (j === -2) edgeMorph |= Edge.BOTTOM;
+          if (j === 1) edgeMorph |= Edge.TOP;
+
+          this.createTile(i * scale, j * scale, scale, edgeMorph);
+        }
+      }
+    }
+  }
+
+  createTile(x, y, scale, edgeMorph) {
+    this.tiles.push({ offset: new THREE.Vector2(x, y), scale, edgeMorph });
+    this.tileBounds.push(new THREE.Box3());
+  }
+
+  createTileMesh() {
+    const count = this.tiles.length;
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.index = this.tileGeometry.index;
+    for (const [name, attribute] of Object.entries(
+      this.tileGeometry.attributes
+    )) {
+      geometry.setAttribute(name, attribute);
+    }
 
-    const currentShaderProgram = SHADER_PROGRAMS[this.activeShaderIndex];
-    const terrainMaterial = new THREE.ShaderMaterial({
-      uniforms,
-      vertexShader: currentShaderProgram.vertexShader || PROCESSED_VERT_SHADER,
-      fragmentShader: currentShaderProgram.source,
+    const instanced = (itemSize) => {
+      const attribute = new THREE.InstancedBufferAttribute(
+        new Float32Array(count * itemSize),
+        itemSize
+      );
+      attribute.setUsage(THREE.DynamicDrawUsage); // Rewritten by culling
+      return attribute;
+    };
+    geometry.setAttribute("aTileOffset", instanced(2));
+    geometry.setAttribute("aTileScale", instanced(1));
+    geometry.setAttribute("aEdgeMorph", instanced(1));
+
+    const shader = SHADER_PROGRAMS[this.activeShaderIndex];
+    const vertexShader = shader.vertexShader || PROCESSED_VERT_SHADER;
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader: shader.source,
       transparent: true,
     });
 
-    const depthMaterial = new THREE.ShaderMaterial({
-      uniforms,
-      vertexShader: currentShaderProgram.vertexShader || PROCESSED_VERT_SHADER,
+    this.depthMaterial = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
       fragmentShader: terrainDepthFrag,
       transparent: false,
       depthWrite: true,
     });
-    depthMaterial.colorWrite = false;
-
-    const plane = new THREE.Mesh(this.tileGeometry, terrainMaterial);
-    plane.frustumCulled = false;
-    plane.matrixAutoUpdate = false;
-    plane.updateMatrix();
-    plane.castShadow = this.shadowsEnabled;
-    plane.receiveShadow = this.shadowsEnabled;
-    plane.userData.mainMaterial = terrainMaterial;
-    plane.userData.depthMaterial = depthMaterial;
-    this.add(plane);
+    this.depthMaterial.colorWrite = false;
+
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    // The grid is flat until terrain.vert displaces it; cullTiles() culls
+    // each tile with real bounds instead
+    this.mesh.frustumCulled = false;
+    this.mesh.matrixAutoUpdate = false;
+    this.mesh.updateMatrix();
+    this.mesh.castShadow = this.shadowsEnabled;
+    this.mesh.receiveShadow = this.shadowsEnabled;
+    this.mesh.userData.mainMaterial = this.material;
+    this.mesh.userData.depthMaterial = this.depthMaterial;
+    this.add(this.mesh);
+
+    this.resetCulling();
+  }
+
+  // CPU copy of terrain.vert's placement: grid-local vertex -> snapped and
+  // edge-morphed world XY (height is left to the caller)
+  getTileVertexPosition(tile, local, target = new THREE.Vector3()) {
+    const { scale, edgeMorph } = tile;
+    const morphRegion = Math.max(this.morphRegion, 0.0001);
+    const morphAmount = (distance) =>
+      1 - THREE.MathUtils.clamp(distance / morphRegion, 0, 1);
+
+    let morph = 0;
+    if (edgeMorph & Edge.TOP && local.y >= 1 - morphRegion) {
+      morph = Math.max(morph, morphAmount(1 - local.y));
+    }
+    if (edgeMorph & Edge.LEFT && local.x <= morphRegion) {
+      morph = Math.max(morph, morphAmount(local.x));
+    }
+    if (edgeMorph & Edge.BOTTOM && local.y <= morphRegion) {
+      morph = Math.max(morph, morphAmount(local.y));
+    }
+    if (edgeMorph & Edge.RIGHT && local.x >= 1 - morphRegion) {
+      morph = Math.max(morph, morphAmount(1 - local.x));
+    }
+
+    const grid = scale / this.resolution;
+    const snap = (value, step) => Math.floor(value / step) * step;
+    const offset = tile.offset;
+    const global = this.offset;
+    let x = snap(scale * local.x + offset.x + global.x, grid);
+    let y = snap(scale * local.y + offset.y + global.y, grid);
+    if (morph > 0) {
+      x = THREE.MathUtils.lerp(x, snap(x, grid * 2), morph);
+      y = THREE.MathUtils.lerp(y, snap(y, grid * 2), morph);
+    }
+
+    return target.set(x, y, snap(global.z, grid));
+  }
+
+  // Box around everything terrain.vert can place in each tile: its footprint
+  // (grown by the snap and morph, which only move vertices down a grid
+  // step or two) and the height range under it
+  updateTileBounds() {
+    const version = getHeightRangeVersion();
+    if (
+      this._boundsVersion === version &&
+      this._boundsOffset.equals(this.offset)
+    ) {
+      return;
+    }
+    this._boundsVersion = version;
+    this._boundsOffset.copy(this.offset);
+
+    this.tiles.forEach((tile, index) => {
+      const { scale } = tile;
+      const grid = scale / this.resolution;
+      const x = tile.offset.x + this.offset.x;
+      const y = tile.offset.y + this.offset.y;
+      const base = Math.floor(this.offset.z / grid) * grid;
+
+      const range = sampleHeightRange(
+        x - grid * 2,
+        y - grid * 2,
+        x + scale,
+        y + scale,
+        this._heightRange
+      );
+      const box = this.tileBounds[index];
+      box.min.set(x - grid * 2, y - grid * 2, base + range.min);
+      box.max.set(x + scale, y + scale, base + range.max);
+    });
+  }
+
+  // Draws only the tiles a camera can see and returns
+  // { total, visible, frustumCulled, horizonCulled }. Horizon culling only
+  // applies to perspective cameras over the terrain, not shadow cascades.
+  cullTiles(camera, { horizon = false } = {}) {
+    this.updateTileBounds();
+    const stats = this.culler.cull(this.tileBounds, camera, {
+      horizon,
+      matrixWorld: this.matrixWorld,
+    });
+    this.writeInstances((index) => this.culler.visible[index] === 1);
+    return { ...stats };
   }
 
+  resetCulling() {
+    this.writeInstances(() => true);
+  }
+
+  // Packs the tiles that pass the filter into the front of the instance
+  // attributes and draws only those
+  writeInstances(filter) {
+    const { geometry } = this.mesh;
+    const offsets = geometry.attributes.aTileOffset;
+    const scales = geometry.attributes.aTileScale;
+    const edgeMorphs = geometry.attributes.aEdgeMorph;
+
+    let count = 0;
+    this.tiles.forEach((tile, index) => {
+      if (!filter(index)) return;
+      offsets.setXY(count, tile.offset.x, tile.offset.y);
+      scales.setX(count, tile.scale);
+      edgeMorphs.setX(count, tile.edgeMorph);
+      count++;
+    });
+
+    geometry.instanceCount = count;
+    offsets.needsUpdate = true;
+    scales.needsUpdate = true;
+    edgeMorphs.needsUpdate = true;
+    this.mesh.visible = count > 0;
+  }
+
+  // One program per material; three.js caches them, so switching back to
+  // an earlier shader does not compile again
   setShader(index = 0) {
     const shaderCount = SHADER_PROGRAMS.length;
     const normalizedIndex = ((index % shaderCount) + shaderCount) % shaderCount;
     this.activeShaderIndex = normalizedIndex;
     const shader = SHADER_PROGRAMS[this.activeShaderIndex];
-
-    this.children.forEach((tile) => {
-      const mainMaterial = tile.userData?.mainMaterial;
-      const depthMaterial = tile.userData?.depthMaterial;
-      if (mainMaterial instanceof THREE.ShaderMaterial) {
-        mainMaterial.fragmentShader = shader.source;
-        mainMaterial.vertexShader =
-          shader.vertexShader || PROCESSED_VERT_SHADER;
-        mainMaterial.needsUpdate = true;
-      }
-      if (depthMaterial instanceof THREE.ShaderMaterial) {
-        depthMaterial.vertexShader =
-          shader.vertexShader || PROCESSED_VERT_SHADER;
-        depthMaterial.needsUpdate = true;
-      }
-    });
+    const vertexShader = shader.vertexShader || PROCESSED_VERT_SHADER;
+
+    if (
+      this.material.fragmentShader !== shader.source ||
+      this.material.vertexShader !== vertexShader
+    ) {
+      this.material.fragmentShader = shader.source;
+      this.material.vertexShader = vertexShader;
+      this.material.needsUpdate = true;
+    }
+    if (this.depthMaterial.vertexShader !== vertexShader) {
+      this.depthMaterial.vertexShader = vertexShader;
+      this.depthMaterial.needsUpdate = true;
+    }
 
     return this.activeShaderIndex;
   }
 
   updateFog(fog) {
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (fog) {
-        uniforms.uFogColor.value.copy(fog.color);
-        uniforms.uFogNear.value = fog.near;
-        uniforms.uFogFar.value = fog.far;
-      } else {
-        uniforms.uFogNear.value = 1e9;
-        uniforms.uFogFar.value = 1e9;
-      }
-    });
+    const uniforms = this.uniforms;
+    if (fog) {
+      uniforms.uFogColor.value.copy(fog.color);
+      uniforms.uFogNear.value = fog.near;
+      uniforms.uFogFar.value = fog.far;
+    } else {
+      uniforms.uFogNear.value = 1e9;
+      uniforms.uFogFar.value = 1e9;
+    }
   }
 
   updateFade(start, end) {
@@ -284,70 +454,35 @@ export class Terrain extends THREE.Object3D {
       this.fade.end = end;
     }
 
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      uniforms.uFadeStart.value = this.fade.start;
-      uniforms.uFadeEnd.value = this.fade.end;
-    });
+    this.uniforms.uFadeStart.value = this.fade.start;
+    this.uniforms.uFadeEnd.value = this.fade.end;
   }
 
   setShadowsEnabled(enabled) {
     this.shadowsEnabled = Boolean(enabled);
-    this.children.forEach((tile) => {
-      tile.castShadow = this.shadowsEnabled;
-      tile.receiveShadow = this.shadowsEnabled;
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (uniforms && uniforms.uShadowsEnabled) {
-        uniforms.uShadowsEnabled.value = this.shadowsEnabled ? 1.0 : 0.0;
-      }
-    });
+    this.mesh.castShadow = this.shadowsEnabled;
+    this.mesh.receiveShadow = this.shadowsEnabled;
+    this.uniforms.uShadowsEnabled.value = this.shadowsEnabled ? 1.0 : 0.0;
   }
 
   updateMorphRegion(value) {
     this.morphRegion = Math.max(value, 0.001);
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      uniforms.uMorphRegion.value = this.morphRegion;
-    });
+    this.uniforms.uMorphRegion.value = this.morphRegion;
   }
 
   updateSun(direction, intensity) {
     this.sunDirection.copy(direction).normalize();
     this.sunIntensity = intensity;
-
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uSunDirection) {
-        uniforms.uSunDirection.value.copy(this.sunDirection);
-      }
-      if (uniforms.uSunIntensity) {
-        uniforms.uSunIntensity.value = this.sunIntensity;
-      }
-      if (uniforms.uSunWarmth) {
-        uniforms.uSunWarmth.value = this.sunWarmth;
-      }
-    });
+    this.uniforms.uSunIntensity.value = this.sunIntensity;
   }
 
   updateSunWarmth(warmth) {
     this.sunWarmth = warmth;
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms || !uniforms.uSunWarmth) return;
-      uniforms.uSunWarmth.value = this.sunWarmth;
-    });
+    this.uniforms.uSunWarmth.value = this.sunWarmth;
   }
 
   useDepthMaterial(useDepth) {
-    this.children.forEach((tile) => {
-      if (!tile.userData?.mainMaterial || !tile.userData?.depthMaterial) return;
-      tile.material = useDepth
-        ? tile.userData.depthMaterial
-        : tile.userData.mainMaterial;
-    });
+    this.mesh.material = useDepth ? this.depthMaterial : this.material;
   }
 
   updateShadowUniforms(
@@ -361,86 +496,50 @@ export class Terrain extends THREE.Object3D {
     shadowResolution,
     softness
   ) {
+    const uniforms = this.uniforms;
     if (cascadeEnabled) {
-      this._cascadeEnabledVec.set(
-        cascadeEnabled[0] ? 1.0 : 0.0,
-        cascadeEnabled[1] ? 1.0 : 0.0,
-        cascadeEnabled[2] ? 1.0 : 0.0
-      );
+      this.updateCascadeEnabled(cascadeEnabled);
     }
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uShadowsEnabled) {
-        uniforms.uShadowsEnabled.value = enabled ? 1.0 : 0.0;
-      }
-      if (uniforms.uShadowBias) {
-        uniforms.uShadowBias.value = bias;
-      }
-      if (uniforms.uShadowStrength) {
-        uniforms.uShadowStrength.value = strength;
-      }
-      if (uniforms.uCascadeSplits && splitsVec) {
-        uniforms.uCascadeSplits.value.copy(splitsVec);
-      }
-      if (uniforms.uShadowMatrices && matrices) {
-        const mats = uniforms.uShadowMatrices.value;
-        for (let i = 0; i < mats.length; i++) {
-          if (matrices[i]) {
-            mats[i].copy(matrices[i]);
-          } else {
-            mats[i].identity();
-          }
+    uniforms.uShadowsEnabled.value = enabled ? 1.0 : 0.0;
+    uniforms.uShadowBias.value = bias;
+    uniforms.uShadowStrength.value = strength;
+    if (splitsVec) {
+      uniforms.uCascadeSplits.value.copy(splitsVec);
+    }
+    if (matrices) {
+      const mats = uniforms.uShadowMatrices.value;
+      for (let i = 0; i < mats.length; i++) {
+        if (matrices[i]) {
+          mats[i].copy(matrices[i]);
+        } else {
+          mats[i].identity();
         }
       }
-      if (shadowMaps) {
-        if (uniforms.uShadowMap0)
-          uniforms.uShadowMap0.value = shadowMaps[0] || null;
-        if (uniforms.uShadowMap1)
-          uniforms.uShadowMap1.value = shadowMaps[1] || null;
-        if (uniforms.uShadowMap2)
-          uniforms.uShadowMap2.value = shadowMaps[2] || null;
-      }
-      if (shadowResolution && uniforms.uShadowTexelSize) {
-        const texel = 1.0 / shadowResolution;
-        uniforms.uShadowTexelSize.value.set(texel, texel);
-      }
-      if (uniforms.uShadowSoftness && softness !== undefined) {
-        uniforms.uShadowSoftness.value = softness;
-      }
-      if (cascadeEnabled && uniforms.uCascadeEnabled) {
-        uniforms.uCascadeEnabled.value.set(
-          cascadeEnabled[0] ? 1.0 : 0.0,
-          cascadeEnabled[1] ? 1.0 : 0.0,
-          cascadeEnabled[2] ? 1.0 : 0.0
-        );
-      } else if (uniforms.uCascadeEnabled) {
-        uniforms.uCascadeEnabled.value.copy(this._cascadeEnabledVec);
-      }
-    });
+    }
+    if (shadowMaps) {
+      uniforms.uShadowMap0.value = shadowMaps[0] || null;
+      uniforms.uShadowMap1.value = shadowMaps[1] || null;
+      uniforms.uShadowMap2.value = shadowMaps[2] || null;
+    }
+    if (shadowResolution) {
+      const texel = 1.0 / shadowResolution;
+      uniforms.uShadowTexelSize.value.set(texel, texel);
+    }
+    if (softness !== undefined) {
+      uniforms.uShadowSoftness.value = softness;
+    }
   }
 
   updateCascadeEnabled(enabledArray) {
-    const vec = this._cascadeEnabledVec || new THREE.Vector3(1, 1, 1);
-    vec.set(
+    this._cascadeEnabledVec.set(
       enabledArray[0] ? 1.0 : 0.0,
       enabledArray[1] ? 1.0 : 0.0,
       enabledArray[2] ? 1.0 : 0.0
     );
-    this._cascadeEnabledVec = vec;
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms || !uniforms.uCascadeEnabled) return;
-      uniforms.uCascadeEnabled.value.copy(vec);
-    });
   }
 
   updateViewMatrix(viewMatrix) {
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms || !uniforms.uViewMatrix) return;
-      uniforms.uViewMatrix.value.copy(viewMatrix);
-    });
+    this.uniforms.uViewMatrix.value.copy(viewMatrix);
   }
 
   updateAmbient(direction, intensity, color) {
@@ -449,42 +548,17 @@ export class Terrain extends THREE.Object3D {
     if (color) {
       this.ambientColor.copy(color);
     }
-
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uAmbientDirection) {
-        uniforms.uAmbientDirection.value.copy(this.ambientDirection);
-      }
-      if (uniforms.uAmbientIntensity) {
-        uniforms.uAmbientIntensity.value = this.ambientIntensity;
-      }
-      if (uniforms.uAmbientColor) {
-        uniforms.uAmbientColor.value.copy(this.ambientColor);
-      }
-    });
+    this.uniforms.uAmbientIntensity.value = this.ambientIntensity;
   }
 
   updateSmoothFactor(value) {
     this.smoothFactor = THREE.MathUtils.clamp(value, 0.0, 1.0);
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uSmoothFactor) {
-        uniforms.uSmoothFactor.value = this.smoothFactor;
-      }
-    });
+    this.uniforms.uSmoothFactor.value = this.smoothFactor;
   }
 
   updateSpecularStrength(value) {
     this.specularStrength = Math.max(value, 0.0);
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uSpecularStrength) {
-        uniforms.uSpecularStrength.value = this.specularStrength;
-      }
-    });
+    this.uniforms.uSpecularStrength.value = this.specularStrength;
   }
 
   updateSkyTint(color, strength) {
@@ -494,21 +568,31 @@ export class Terrain extends THREE.Object3D {
     if (typeof strength === "number") {
       this.skyTintStrength = Math.max(strength, 0.0);
     }
+    this.uniforms.uSkyTintStrength.value = this.skyTintStrength;
+  }
 
-    this.children.forEach((tile) => {
-      const uniforms = tile.userData?.mainMaterial?.uniforms;
-      if (!uniforms) return;
-      if (uniforms.uSkyTintColor) {
-        uniforms.uSkyTintColor.value.copy(this.skyTintColor);
-      }
-      if (uniforms.uSkyTintStrength) {
-        uniforms.uSkyTintStrength.value = this.skyTintStrength;
-      }
-    });
+  // Shaders that include terrainTriplanar.glsl fade detail normals out
+  // between half the distance and the full distance
+  updateDetailNormals(strength, distance) {
+    if (typeof strength === "number") {
+      this.detailNormalStrength = Math.max(strength, 0.0);
+    }
+    if (typeof distance === "number") {
+      this.detailNormalDistance = Math.max(distance, 1.0);
+    }
+    this.uniforms.uDetailNormalStrength.value = this.detailNormalStrength;
+    this.uniforms.uDetailNormalDistance.value = this.detailNormalDistance;
   }
 
   cycleShader() {
     const nextIndex = (this.activeShaderIndex + 1) % SHADER_PROGRAMS.length;
     return this.setShader(nextIndex);
   }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.tileGeometry.dispose();
+    this.material.dispose();
+    this.depthMaterial.dispose();
+  }
 }
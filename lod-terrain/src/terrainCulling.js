@@ -0,0 +1,183 @@
+// CPU culling for the LOD terrain tiles. The tiles share one flat geometry
+// that terrain.vert displaces, so three.js' own culling cannot see where they
+// are; Terrain hands us a height-aware Box3 per tile instead.
+// DOM-free so it can be tested in Node.
+import * as THREE from "three";
+
+const DEFAULT_HORIZON_BINS = 128;
+
+/**
+ * Frustum culling against any camera, plus optional horizon culling for a
+ * perspective camera above Z-up terrain.
+ *
+ * Horizon culling walks the tiles outward from the eye, keeping the highest
+ * terrain slope (rise over horizontal distance) seen so far in each azimuth
+ * bin. A tile is hidden when its top is below that slope in every bin it
+ * spans. Only tiles wholly nearer than it may block it, and a tile only
+ * blocks the bins it fully covers, using its lowest point, so the test never
+ * hides terrain that could be seen.
+ */
+export class TileCuller {
+  constructor({ horizonBins = DEFAULT_HORIZON_BINS } = {}) {
+    this.horizon = new Float32Array(horizonBins);
+    this.binSize = (Math.PI * 2) / horizonBins;
+    this.visible = new Uint8Array(0);
+    this.stats = { total: 0, visible: 0, frustumCulled: 0, horizonCulled: 0 };
+
+    // Per-tile horizon data, grown with the tile count
+    this.near = new Float32Array(0);
+    this.far = new Float32Array(0);
+    this.topSlope = new Float32Array(0);
+    this.blockSlope = new Float32Array(0);
+    this.firstBin = new Int32Array(0);
+    this.lastBin = new Int32Array(0);
+    this.order = [];
+    this.blockers = [];
+
+    // Reusable objects for performance
+    this._frustum = new THREE.Frustum();
+    this._matrix = new THREE.Matrix4();
+    this._inverse = new THREE.Matrix4();
+    this._eye = new THREE.Vector3();
+  }
+
+  // Fills this.visible (1 = draw) for each box and returns this.stats.
+  // Boxes are in terrain space; matrixWorld places that space in the world.
+  cull(boxes, camera, { horizon = false, matrixWorld = null } = {}) {
+    const count = boxes.length;
+    this.ensureCapacity(count);
+
+    this._matrix.multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse
+    );
+    if (matrixWorld) this._matrix.multiply(matrixWorld);
+    this._frustum.setFromProjectionMatrix(this._matrix);
+
+    let frustumCulled = 0;
+    for (let i = 0; i < count; i++) {
+      const inside = this._frustum.intersectsBox(boxes[i]);
+      this.visible[i] = inside ? 1 : 0;
+      if (!inside) frustumCulled++;
+    }
+
+    let horizonCulled = 0;
+    if (horizon && camera.isPerspectiveCamera) {
+      this._eye.setFromMatrixPosition(camera.matrixWorld);
+      if (matrixWorld) {
+        this._eye.applyMatrix4(this._inverse.copy(matrixWorld).invert());
+      }
+      horizonCulled = this.cullBelowHorizon(boxes, this._eye);
+    }
+
+    this.stats.total = count;
+    this.stats.frustumCulled = frustumCulled;
+    this.stats.horizonCulled = horizonCulled;
+    this.stats.visible = count - frustumCulled - horizonCulled;
+    return this.stats;
+  }
+
+  cullBelowHorizon(boxes, eye) {
+    const { order, blockers, near, far } = this;
+    order.length = 0;
+    for (let i = 0; i < boxes.length; i++) {
+      // Tiles under the eye surround it in azimuth; they stay drawn
+      if (this.visible[i] && this.measureTile(i, boxes[i], eye)) {
+        order.push(i);
+      }
+    }
+    blockers.length = 0;
+    blockers.push(...order);
+    order.sort((a, b) => near[a] - near[b]);
+    blockers.sort((a, b) => far[a] - far[b]);
+
+    this.horizon.fill(-Infinity);
+    const bins = this.horizon.length;
+    let culled = 0;
+    let blocker = 0;
+    for (const i of order) {
+      while (blocker < blockers.length && far[blockers[blocker]] <= near[i]) {
+        this.raiseHorizon(blockers[blocker]);
+        blocker++;
+      }
+
+      let hidden = true;
+      for (let bin = this.firstBin[i]; bin <= this.lastBin[i]; bin++) {
+        if (this.horizon[((bin % bins) + bins) % bins] <= this.topSlope[i]) {
+          hidden = false;
+          break;
+        }
+      }
+      if (hidden) {
+        this.visible[i] = 0;
+        culled++;
+      }
+    }
+    return culled;
+  }
+
+  // Distances, slopes and azimuth bins of one tile as seen from the eye.
+  // Returns false when the eye is above the tile.
+  measureTile(i, box, eye) {
+    const { min, max } = box;
+    const dx = Math.max(min.x - eye.x, 0, eye.x - max.x);
+    const dy = Math.max(min.y - eye.y, 0, eye.y - max.y);
+    const near = Math.hypot(dx, dy);
+    if (near <= 0) return false;
+
+    const far = Math.hypot(
+      Math.max(eye.x - min.x, max.x - eye.x),
+      Math.max(eye.y - min.y, max.y - eye.y)
+    );
+    this.near[i] = near;
+    this.far[i] = far;
+
+    // Highest slope any of its points can show, lowest it can block with
+    const rise = max.z - eye.z;
+    this.topSlope[i] = rise / (rise > 0 ? near : far);
+    const drop = min.z - eye.z;
+    this.blockSlope[i] = drop / (drop > 0 ? far : near);
+
+    // Corner azimuths around the direction to the centre; a box the eye is
+    // outside of spans less than half a turn
+    const center = Math.atan2(
+      (min.y + max.y) * 0.5 - eye.y,
+      (min.x + max.x) * 0.5 - eye.x
+    );
+    let from = Infinity;
+    let to = -Infinity;
+    for (let corner = 0; corner < 4; corner++) {
+      const x = corner & 1 ? max.x : min.x;
+      const y = corner & 2 ? max.y : min.y;
+      let angle = Math.atan2(y - eye.y, x - eye.x) - center;
+      if (angle > Math.PI) angle -= Math.PI * 2;
+      if (angle < -Math.PI) angle += Math.PI * 2;
+      from = Math.min(from, angle);
+      to = Math.max(to, angle);
+    }
+    this.firstBin[i] = Math.floor((center + from) / this.binSize);
+    this.lastBin[i] = Math.floor((center + to) / this.binSize);
+    return true;
+  }
+
+  // Lifts the horizon over the bins a tile covers from edge to edge
+  raiseHorizon(i) {
+    const bins = this.horizon.length;
+    const slope = this.blockSlope[i];
+    for (let bin = this.firstBin[i] + 1; bin < this.lastBin[i]; bin++) {
+      const index = ((bin % bins) + bins) % bins;
+      if (slope > this.horizon[index]) this.horizon[index] = slope;
+    }
+  }
+
+  ensureCapacity(count) {
+    if (this.visible.length >= count) return;
+    this.visible = new Uint8Array(count);
+    this.near = new Float32Array(count);
+    this.far = new Float32Array(count);
+    this.topSlope = new Float32Array(count);
+    this.blockSlope = new Float32Array(count);
+    this.firstBin = new Int32Array(count);
+    this.lastBin = new Int32Array(count);
+  }
+}
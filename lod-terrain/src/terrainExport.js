@@ -0,0 +1,168 @@
+// Export the live height field and LOD tiles for Blender or tools/.
+// Heightmaps use the same layout and -info.json schema loadHeightmap() reads,
+// so an exported PNG can be loaded straight back as the height source.
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+import {
+  sampleHeight,
+  sampleNormal,
+  getHeightFieldVersion,
+  getHeightmapInfo,
+  getNoiseSeed,
+  getNoiseWidth,
+  getNoiseSmoothing,
+  getNoiseHeightGain,
+  getNoiseErosion,
+} from "./noise.js";
+import { encodePng16 } from "./heightmap.js";
+
+export const DEFAULT_EXPORT_RESOLUTION = 2048;
+// Matches the Terrain world width created in app.createTerrain()
+export const DEFAULT_EXPORT_WORLD_SIZE = 8192;
+const CAPTURE_ROWS_PER_CHUNK = 64; // Rows sampled between yields to the page
+
+// Samples sampleHeight() at texel centers over a worldSize square centered on
+// the origin. Row 0 is the -Y edge, matching how loadHeightmap() uploads rows.
+// Works through the rows in chunks, yielding between them so a 2048² capture
+// doesn't freeze the page; onProgress(0..1) follows along.
+export async function captureHeightfield({
+  resolution = DEFAULT_EXPORT_RESOLUTION,
+  worldSize = DEFAULT_EXPORT_WORLD_SIZE,
+  onProgress = () => {},
+} = {}) {
+  const heightmap = getHeightmapInfo();
+  // Authored heightmaps keep their own footprint and resolution
+  const width = heightmap ? heightmap.width : resolution;
+  const height = heightmap ? heightmap.height : resolution;
+  const size = heightmap ? heightmap.worldSize : worldSize;
+
+  const version = getHeightFieldVersion();
+  const heights = new Float32Array(width * height);
+  let maxHeight = 0;
+  for (let row = 0; row < height; row++) {
+    if (row > 0 && row % CAPTURE_ROWS_PER_CHUNK === 0) {
+      onProgress(row / height);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (getHeightFieldVersion() !== version) {
+        throw new Error("Height field changed during capture");
+      }
+    }
+    const y = ((row + 0.5) / height - 0.5) * size;
+    for (let column = 0; column < width; column++) {
+      const x = ((column + 0.5) / width - 0.5) * size;
+      const h = sampleHeight(x, y);
+      heights[row * width + column] = h;
+      maxHeight = Math.max(maxHeight, h);
+    }
+  }
+  onProgress(1);
+
+  return {
+    width,
+    height,
+    worldSize: size,
+    heights,
+    maxHeight,
+    heightScale: heightmap ? heightmap.heightScale : Math.max(maxHeight, 1),
+    seaLevel: heightmap ? heightmap.seaLevel : 0,
+  };
+}
+
+export async function encodeHeightfieldPng(field) {
+  const normalized = field.heights.map((h) => h / field.heightScale);
+  const bytes = await encodePng16(field.width, field.height, normalized);
+  return new Blob([bytes], { type: "image/png" });
+}
+
+// Raw little-endian Float32 heights in world units, same row order as the PNG
+export function encodeHeightfieldRaw(field) {
+  const view = new DataView(new ArrayBuffer(field.heights.length * 4));
+  field.heights.forEach((h, i) => view.setFloat32(i * 4, h, true));
+  return new Blob([view.buffer], { type: "application/octet-stream" });
+}
+
+// Same schema as tools/generate-advanced-heightmap.js saveMetadata()
+export function createHeightfieldInfo(field) {
+  const heightmap = getHeightmapInfo();
+  const erosion = getNoiseErosion();
+  const techniques = heightmap
+    ? [`Resampled ${heightmap.bitDepth}-bit authored heightmap`]
+    : [
+        `Seeded Perlin octaves (${getNoiseWidth()}² noise texture)`,
+        erosion.iterations > 0
+          ? `Hydraulic + thermal erosion (${erosion.iterations} iterations, ${Math.round(erosion.rain * 100)}% rain, ${erosion.talusAngle}° talus)`
+          : null,
+        `Smoothing ${Math.round(getNoiseSmoothing() * 100)}%`,
+        `Height gain ${getNoiseHeightGain().toFixed(2)}×`,
+      ].filter(Boolean);
+
+  const info = {
+    width: field.width,
+    height: field.height,
+    maxHeight: field.maxHeight,
+    worldSize: field.worldSize,
+    heightScale: field.heightScale,
+    seaLevel: field.seaLevel,
+    seed: heightmap ? null : getNoiseSeed(),
+    generated: new Date().toISOString(),
+    techniques,
+  };
+  return new Blob([JSON.stringify(info, null, 2)], {
+    type: "application/json",
+  });
+}
+
+// One mesh per LOD tile, displaced on the CPU exactly like terrain.vert.
+// The group is rotated from the terrain's Z-up into glTF/Blender Y-up.
+export function createTerrainMeshGroup(terrain) {
+  const group = new THREE.Group();
+  group.name = "terrain";
+  group.rotation.x = -Math.PI / 2;
+
+  const material = new THREE.MeshStandardMaterial({ name: "terrain" });
+  const source = terrain.tileGeometry;
+  const local = new THREE.Vector3();
+  const world = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  terrain.tiles.forEach((tile, tileIndex) => {
+    const count = source.attributes.position.count;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      local.fromBufferAttribute(source.attributes.position, i);
+      terrain.getTileVertexPosition(tile, local, world);
+      world.z += sampleHeight(world.x, world.y);
+      sampleNormal(world.x, world.y, normal);
+      world.toArray(positions, i * 3);
+      normal.toArray(normals, i * 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    geometry.setIndex(source.index.clone());
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `tile-${tileIndex}`;
+    group.add(mesh);
+  });
+
+  group.updateMatrixWorld(true);
+  return group;
+}
+
+export function encodeTerrainObj(group) {
+  return new Blob([new OBJExporter().parse(group)], { type: "text/plain" });
+}
+
+export async function encodeTerrainGlb(group) {
+  const glb = await new GLTFExporter().parseAsync(group, { binary: true });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
+
+export function disposeTerrainMeshGroup(group) {
+  group.traverse((child) => child.geometry?.dispose());
+  group.children[0]?.material.dispose();
+}
@@ -0,0 +1,259 @@
+// Data-driven terrain materials: a JSON list of splat layers compiled into
+// the GLSL that terrainSplat.frag includes as <terrainLayers.glsl>.
+// DOM-free so definitions can be validated in Node.
+
+// Texture set names a layer may use, and the Terrain uniform holding each
+export const TERRAIN_TEXTURE_UNIFORMS = Object.freeze({
+  grass: "uGrass",
+  rock: "uRock",
+  snow: "uSnow",
+  mars: "uMars",
+});
+
+const DEFAULT_TEXTURE_SCALE = 0.03; // Repeats per world unit
+const DEFAULT_HEIGHT_BLEND = 4; // World units either side of a height bound
+const DEFAULT_SLOPE_BLEND = 3; // Degrees either side of a slope bound
+const DEFAULT_SPECULAR_POWER = 30;
+
+// Lighting terrainSplat.frag applies when a material leaves it unset
+const DEFAULT_LIGHTING = Object.freeze({
+  shade: [0.02, 0.02, 0.03], // Colour of fully unlit ground
+  ambient: 0.03, // Light on ground facing away from the sun
+  diffuse: 0.97,
+  exponent: 0.75, // Softens the diffuse falloff below 1
+  sunTint: 0.55, // How far sunlight tints lit ground and highlights
+  specular: 0.1,
+  specularColor: [0.85, 0.92, 1.0],
+});
+
+/**
+ * Compiles a material definition:
+ *
+ *   {
+ *     name, textureScale?, specularPower?,
+ *     lighting?: { shade?, ambient?, diffuse?, exponent?, sunTint?,
+ *                  specular?, specularColor? }, // See DEFAULT_LIGHTING
+ *     fog?: { color: [r, g, b], tint }, // Pulls distance fog toward color
+ *     heightFog?: { top, color: [r, g, b], strength? },
+ *     detailNormal?: { scale, strength? }, // Tiled bumps, faded by distance
+ *     layers: [{
+ *       name, texture?, color?: [r, g, b], scale?,
+ *       triplanar?, // Projects the texture along all axes, for cliffs
+ *       detail?, // Detail normal strength on this layer, 1 by default
+ *       reflection?: [r, g, b], // Water: reflects this colour at grazing angles
+ *       height?: { min?, max?, blend? },  // world units
+ *       slope?: { min?, max?, blend? },   // degrees from flat
+ *       noise?: { scale, height?, slope? } // breaks up the bounds
+ *     }]
+ *   }
+ *
+ * The first layer is the base and covers everything; each later layer is
+ * painted over the ones before it wherever its height and slope ranges
+ * hold. A layer's colour is its texture, tinted by color when both are set.
+ */
+export function compileTerrainMaterial(definition) {
+  const { name, layers } = definition;
+  if (!Array.isArray(layers) || layers.length === 0) {
+    throw new Error(`Terrain material "${name}" has no layers`);
+  }
+
+  // Detail and reflection only vary, and so only cost anything, when some
+  // layer sets them. The first reflection colour seeds the base so water
+  // edges do not fade toward black.
+  const varies = {
+    detail: layers.some((layer) => layer.detail != null),
+    reflection: layers.find((layer) => layer.reflection != null)?.reflection,
+  };
+  const textures = new Set();
+  const body = layers.map((layer, index) => {
+    const color = layerColor(definition, layer, textures);
+    if (index === 0) {
+      return compileBaseLayer(layer, color, varies);
+    }
+    return compileLayer(layer, color, varies);
+  });
+
+  const samplers = [...textures].map(
+    (texture) => `uniform sampler2D ${TERRAIN_TEXTURE_UNIFORMS[texture]};`
+  );
+  const fog = definition.heightFog;
+  const lighting = { ...DEFAULT_LIGHTING, ...definition.lighting };
+  const constants = [
+    `const float SPLAT_SPECULAR_POWER = ${glslFloat(
+      definition.specularPower ?? DEFAULT_SPECULAR_POWER
+    )};`,
+    `const vec3 SPLAT_SHADE_COLOR = ${glslVec3(lighting.shade)};`,
+    `const float SPLAT_AMBIENT = ${glslFloat(lighting.ambient)};`,
+    `const float SPLAT_DIFFUSE = ${glslFloat(lighting.diffuse)};`,
+    `const float SPLAT_DIFFUSE_EXPONENT = ${glslFloat(lighting.exponent)};`,
+    `const float SPLAT_SUN_TINT = ${glslFloat(lighting.sunTint)};`,
+    `const float SPLAT_SPECULAR = ${glslFloat(lighting.specular)};`,
+    `const vec3 SPLAT_SPECULAR_COLOR = ${glslVec3(lighting.specularColor)};`,
+  ];
+  if (definition.fog) {
+    constants.push(
+      "#define SPLAT_FOG_TINT",
+      `const vec3 SPLAT_FOG_TINT_COLOR = ${glslVec3(definition.fog.color)};`,
+      `const float SPLAT_FOG_TINT_AMOUNT = ${glslFloat(definition.fog.tint)};`
+    );
+  }
+  if (varies.reflection) {
+    constants.push("#define SPLAT_REFLECTION");
+  }
+  const detail = definition.detailNormal;
+  if (detail) {
+    constants.push(
+      "#define SPLAT_DETAIL_NORMAL",
+      `const float SPLAT_DETAIL_NORMAL_SCALE = ${glslFloat(detail.scale)};`,
+      `const float SPLAT_DETAIL_NORMAL_AMOUNT = ${glslFloat(
+        detail.strength ?? 1
+      )};`
+    );
+  }
+  if (fog) {
+    constants.push(
+      "#define SPLAT_HEIGHT_FOG",
+      `const float SPLAT_HEIGHT_FOG_TOP = ${glslFloat(fog.top)};`,
+      `const float SPLAT_HEIGHT_FOG_STRENGTH = ${glslFloat(
+        fog.strength ?? 1
+      )};`,
+      `const vec3 SPLAT_HEIGHT_FOG_COLOR = ${glslVec3(fog.color)};`
+    );
+  }
+
+  return [
+    `// Compiled from terrain material "${name}"`,
+    ...samplers,
+    ...constants,
+    "",
+    "SplatSurface splatSurface(vec3 position, vec3 normal) {",
+    "  float height = position.z;",
+    "  float slope = degrees(acos(clamp(normal.z, 0.0, 1.0)));",
+    "",
+    body.join("\n\n"),
+    "",
+    `  return SplatSurface(color, ${varies.detail ? "detail" : "1.0"}, ${
+      varies.reflection ? "reflection, reflectionColor" : "0.0, vec3(0.0)"
+    });`,
+    "}",
+    "",
+  ].join("\n");
+}
+
+function compileBaseLayer(layer, color, varies) {
+  const lines = [`  // ${layer.name}`, `  vec3 color = ${color};`];
+  if (varies.detail) {
+    lines.push(`  float detail = ${glslFloat(layer.detail ?? 1)};`);
+  }
+  if (varies.reflection) {
+    lines.push(
+      `  float reflection = ${layer.reflection ? "1.0" : "0.0"};`,
+      `  vec3 reflectionColor = ${glslVec3(
+        layer.reflection ?? varies.reflection
+      )};`
+    );
+  }
+  return lines.join("\n");
+}
+
+function compileLayer(layer, color, varies) {
+  const { height, slope, noise } = layer;
+  const lines = [`  // ${layer.name}`, "  {"];
+
+  let heightValue = "height";
+  let slopeValue = "slope";
+  if (noise) {
+    lines.push(
+      `    float breakup = splatNoise(position.xy * ${glslFloat(
+        noise.scale
+      )}) * 2.0 - 1.0;`
+    );
+    if (noise.height) {
+      heightValue = `height + breakup * ${glslFloat(noise.height)}`;
+    }
+    if (noise.slope) {
+      slopeValue = `slope + breakup * ${glslFloat(noise.slope)}`;
+    }
+  }
+
+  const factors = [
+    ...rangeFactors(heightValue, height, DEFAULT_HEIGHT_BLEND),
+    ...rangeFactors(slopeValue, slope, DEFAULT_SLOPE_BLEND),
+  ];
+  lines.push(
+    `    float weight = ${factors.length ? factors.join(" * ") : "1.0"};`,
+    `    color = mix(color, ${color}, weight);`
+  );
+  if (varies.detail) {
+    lines.push(
+      `    detail = mix(detail, ${glslFloat(layer.detail ?? 1)}, weight);`
+    );
+  }
+  if (varies.reflection) {
+    lines.push(
+      `    reflection = mix(reflection, ${layer.reflection ? "1.0" : "0.0"}, weight);`
+    );
+    if (layer.reflection) {
+      lines.push(
+        `    reflectionColor = mix(reflectionColor, ${glslVec3(
+          layer.reflection
+        )}, weight);`
+      );
+    }
+  }
+  lines.push("  }");
+  return lines.join("\n");
+}
+
+// splatAbove()/splatBelow() factors for the bounds a range sets
+function rangeFactors(value, range, defaultBlend) {
+  if (!range) return [];
+  const blend = glslFloat(Math.max(range.blend ?? defaultBlend, 0.001));
+  const factors = [];
+  if (range.min != null) {
+    factors.push(`splatAbove(${value}, ${glslFloat(range.min)}, ${blend})`);
+  }
+  if (range.max != null) {
+    factors.push(`splatBelow(${value}, ${glslFloat(range.max)}, ${blend})`);
+  }
+  return factors;
+}
+
+function layerColor(definition, layer, textures) {
+  const { texture, color } = layer;
+  if (texture == null) {
+    if (!color) {
+      throw new Error(`Terrain layer "${layer.name}" needs a texture or a color`);
+    }
+    return glslVec3(color);
+  }
+
+  const uniform = TERRAIN_TEXTURE_UNIFORMS[texture];
+  if (!uniform) {
+    throw new Error(
+      `Unknown terrain texture "${texture}" in layer "${layer.name}"`
+    );
+  }
+  textures.add(texture);
+  const scale = glslFloat(
+    layer.scale ?? definition.textureScale ?? DEFAULT_TEXTURE_SCALE
+  );
+  const sample = layer.triplanar
+    ? `triplanarSample(${uniform}, position, normal, ${scale})`
+    : `texture2D(${uniform}, position.xy * ${scale}).rgb`;
+  return color ? `${sample} * ${glslVec3(color)}` : sample;
+}
+
+function glslFloat(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Terrain material values must be finite numbers, got ${value}`);
+  }
+  return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+function glslVec3(color) {
+  if (!Array.isArray(color) || color.length !== 3) {
+    throw new Error(`Terrain material colors must be [r, g, b], got ${color}`);
+  }
+  return `vec3(${color.map(glslFloat).join(", ")})`;
+}
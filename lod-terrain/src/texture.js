@@ -24,18 +24,109 @@ mars.onError = (err) => {
   console.error("Failed to load Mars texture:", err);
 };
 
-// Create fallback textures if files don't exist
-const createFallbackTexture = (color) => {
+// Procedural stand-ins for textures without a file: the base colour broken up
+// by tileable value noise, so splat layers do not read as flat colour
+const FALLBACK_SIZE = 256;
+
+const createFallbackTexture = (color, variation, seed) => {
   const canvas = document.createElement("canvas");
-  canvas.width = canvas.height = 64;
+  canvas.width = canvas.height = FALLBACK_SIZE;
   const ctx = canvas.getContext("2d");
-  ctx.fillStyle = color;
-  ctx.fillRect(0, 0, 64, 64);
-  return new THREE.CanvasTexture(canvas);
+  const image = ctx.createImageData(FALLBACK_SIZE, FALLBACK_SIZE);
+  // Canvas pixels are sRGB already, so skip THREE.Color's conversion
+  const base = [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16));
+
+  for (let y = 0; y < FALLBACK_SIZE; y++) {
+    for (let x = 0; x < FALLBACK_SIZE; x++) {
+      // Coarse patches plus fine grain, both wrapping at the edges
+      const shade =
+        0.6 * tileableNoise(x, y, 32, seed) +
+        0.4 * tileableNoise(x, y, 4, seed + 1);
+      const brightness = 1 + (shade - 0.5) * 2 * variation;
+      const i = (y * FALLBACK_SIZE + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        image.data[i + channel] = base[channel] * brightness; // Clamped
+      }
+      image.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.generateMipmaps = true;
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  return tex;
+};
+
+// 0..1 value noise on a grid of cellSize texels that wraps at FALLBACK_SIZE
+function tileableNoise(x, y, cellSize, seed) {
+  const cells = FALLBACK_SIZE / cellSize;
+  const hash = (cx, cy) => {
+    const h =
+      Math.sin((cx % cells) * 127.1 + (cy % cells) * 311.7 + seed * 74.7) *
+      43758.5453;
+    return h - Math.floor(h);
+  };
+  const fx = x / cellSize;
+  const fy = y / cellSize;
+  const cx = Math.floor(fx);
+  const cy = Math.floor(fy);
+  const u = THREE.MathUtils.smoothstep(fx - cx, 0, 1);
+  const v = THREE.MathUtils.smoothstep(fy - cy, 0, 1);
+  const top = THREE.MathUtils.lerp(hash(cx, cy), hash(cx + 1, cy), u);
+  const bottom = THREE.MathUtils.lerp(
+    hash(cx, cy + 1),
+    hash(cx + 1, cy + 1),
+    u
+  );
+  return THREE.MathUtils.lerp(top, bottom, v);
+}
+
+// Tiled tangent-space normals of small bumps, for terrainTriplanar.glsl
+const createDetailNormalTexture = (seed, bumpiness) => {
+  const size = FALLBACK_SIZE;
+  const heights = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      heights[y * size + x] =
+        0.5 * tileableNoise(x, y, 16, seed) +
+        0.35 * tileableNoise(x, y, 8, seed + 1) +
+        0.15 * tileableNoise(x, y, 2, seed + 2);
+    }
+  }
+
+  const data = new Uint8Array(size * size * 4);
+  const at = (x, y) =>
+    heights[((y + size) % size) * size + ((x + size) % size)];
+  const normal = new THREE.Vector3();
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      normal
+        .set(
+          (at(x - 1, y) - at(x + 1, y)) * bumpiness,
+          (at(x, y - 1) - at(x, y + 1)) * bumpiness,
+          1
+        )
+        .normalize();
+      const i = (y * size + x) * 4;
+      data[i] = (normal.x * 0.5 + 0.5) * 255;
+      data[i + 1] = (normal.y * 0.5 + 0.5) * 255;
+      data[i + 2] = (normal.z * 0.5 + 0.5) * 255;
+      data[i + 3] = 255;
+    }
+  }
+
+  const tex = new THREE.DataTexture(data, size, size);
+  tex.generateMipmaps = true;
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
 };
 
-const grass = createFallbackTexture("#4a7c59");
-const snow = createFallbackTexture("#ffffff");
+const grass = createFallbackTexture("#4a7c59", 0.35, 1);
+const snow = createFallbackTexture("#ffffff", 0.08, 7);
+const detailNormal = createDetailNormalTexture(13, 24);
 
 export const texture = {
   sky,
@@ -43,9 +134,10 @@ export const texture = {
   rock,
   snow,
   mars,
+  detailNormal,
 };
 
-[sky, grass, rock, snow, mars].forEach((tex) => {
+[sky, grass, rock, snow, mars, detailNormal].forEach((tex) => {
   tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
 });
 
@@ -5,6 +5,14 @@ export function createControlPanel({
   createTerrain,
   setTerrainSmoothing,
   setHeightGain,
+  setTerrainErosion,
+  setTerrainSeed,
+  loadTerrainHeightmap,
+  useProceduralTerrain,
+  setHeightPrecision,
+  subscribeHeightFieldProgress,
+  exportHeightmap,
+  exportTerrainMesh,
 }) {
   const panel = document.createElement("div");
   panel.style.position = "absolute";
@@ -85,7 +93,86 @@ export function createControlPanel({
       return slider;
     };
 
-    return { addLabel, addSlider, header, body };
+    const addTextInput = ({ value, placeholder = "", onChange }) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = String(value);
+      input.placeholder = placeholder;
+      input.style.width = "100%";
+      input.style.boxSizing = "border-box";
+      input.style.marginBottom = "6px";
+      input.style.background = "rgba(0, 0, 0, 0.4)";
+      input.style.border = "1px solid rgba(255, 255, 255, 0.18)";
+      input.style.color = "#fff";
+      input.style.fontFamily = "inherit";
+      input.style.fontSize = "12px";
+      input.addEventListener("change", (event) => {
+        onChange(event.target.value, input);
+      });
+      // Keep typing from reaching the free-camera/game key handlers
+      input.addEventListener("keydown", (event) => event.stopPropagation());
+      body.appendChild(input);
+      return input;
+    };
+
+    const addButton = ({ text, onClick }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = text;
+      button.style.display = "block";
+      button.style.width = "100%";
+      button.style.background = "rgba(255, 255, 255, 0.08)";
+      button.style.border = "1px solid rgba(255, 255, 255, 0.18)";
+      button.style.color = "#fff";
+      button.style.fontFamily = "inherit";
+      button.style.fontSize = "12px";
+      button.style.padding = "2px 8px";
+      button.style.cursor = "pointer";
+      button.style.borderRadius = "4px";
+      button.style.marginBottom = "6px";
+      button.addEventListener("click", () => onClick(button));
+      body.appendChild(button);
+      return button;
+    };
+
+    const addProgress = () => {
+      const wrapper = document.createElement("div");
+      wrapper.style.margin = "4px 0 6px";
+      wrapper.style.display = "none";
+
+      const label = document.createElement("div");
+      const track = document.createElement("div");
+      track.style.height = "4px";
+      track.style.background = "rgba(255, 255, 255, 0.12)";
+      track.style.borderRadius = "2px";
+      track.style.overflow = "hidden";
+      const bar = document.createElement("div");
+      bar.style.height = "100%";
+      bar.style.width = "0%";
+      bar.style.background = "rgba(120, 200, 255, 0.85)";
+      track.appendChild(bar);
+
+      wrapper.appendChild(label);
+      wrapper.appendChild(track);
+      body.appendChild(wrapper);
+
+      const update = ({ visible, text, progress }) => {
+        wrapper.style.display = visible ? "block" : "none";
+        label.textContent = text;
+        bar.style.width = `${Math.round(progress * 100)}%`;
+      };
+      return { element: wrapper, update };
+    };
+
+    return {
+      addLabel,
+      addSlider,
+      addTextInput,
+      addButton,
+      addProgress,
+      header,
+      body,
+    };
   };
 
   const atmosphere = createSection("Atmosphere", { defaultOpen: true });
@@ -93,6 +180,7 @@ export function createControlPanel({
   const lighting = createSection("Lighting", { defaultOpen: false });
   const shadows = createSection("Shadows", { defaultOpen: false });
   const postFx = createSection("Post FX", { defaultOpen: false });
+  const exportSection = createSection("Export", { defaultOpen: false });
 
   const fogLabel = atmosphere.addLabel("Fog near: 10%");
   atmosphere.addSlider({
@@ -164,6 +252,98 @@ export function createControlPanel({
     },
   });
 
+  const seedLabel = terrain.addLabel(`Seed: ${app.noiseSeed}`);
+  const seedInput = terrain.addTextInput({
+    value: app.noiseSeed,
+    placeholder: "number or word",
+    onChange: (value, input) => {
+      const applied = setTerrainSeed?.(value);
+      if (applied === undefined) return;
+      seedLabel.textContent = `Seed: ${applied}`;
+      input.value = String(applied);
+      if (!app.heightmapInfo) heightmapLabel.textContent = "Source: procedural";
+    },
+  });
+  terrain.addButton({
+    text: "Random seed",
+    onClick: () => {
+      const applied = setTerrainSeed?.(Math.floor(Math.random() * 0xffffffff));
+      if (applied === undefined) return;
+      seedLabel.textContent = `Seed: ${applied}`;
+      seedInput.value = String(applied);
+      if (!app.heightmapInfo) heightmapLabel.textContent = "Source: procedural";
+    },
+  });
+
+  // Height field rebuilds run in a worker; show how far along the current one is
+  const heightFieldProgress = terrain.addProgress();
+  subscribeHeightFieldProgress?.(({ building, progress }) => {
+    heightFieldProgress.update({
+      visible: building,
+      text: `Building terrain… ${Math.round(progress * 100)}%`,
+      progress,
+    });
+  });
+
+  const heightmapLabel = terrain.addLabel(
+    app.heightmapInfo ? "Source: heightmap" : "Source: procedural"
+  );
+  const heightmapFileInput = document.createElement("input");
+  heightmapFileInput.type = "file";
+  heightmapFileInput.multiple = true; // image plus optional -info.json
+  heightmapFileInput.accept = ".png,.pgm,.json";
+  heightmapFileInput.style.display = "none";
+  heightmapFileInput.addEventListener("change", async () => {
+    const files = Array.from(heightmapFileInput.files ?? []);
+    heightmapFileInput.value = "";
+    const file = files.find((entry) => /\.(png|pgm)$/i.test(entry.name));
+    const infoFile = files.find((entry) => /\.json$/i.test(entry.name));
+    if (!file) return;
+    heightmapLabel.textContent = `Source: loading ${file.name}…`;
+    let info = null;
+    try {
+      info = infoFile ? JSON.parse(await infoFile.text()) : null;
+    } catch (error) {
+      console.warn("⚠️ Ignoring unreadable heightmap info:", error);
+    }
+    const loaded = await loadTerrainHeightmap?.(await file.arrayBuffer(), {
+      info,
+    });
+    heightmapLabel.textContent = loaded
+      ? `Source: ${file.name} (${loaded.width}×${loaded.height}, ${loaded.bitDepth}-bit)`
+      : "Source: heightmap failed, see console";
+  });
+  terrain.body.appendChild(heightmapFileInput);
+  terrain.addButton({
+    text: "Load heightmap (PNG/PGM)",
+    onClick: () => heightmapFileInput.click(),
+  });
+  terrain.addButton({
+    text: "Use procedural noise",
+    onClick: () => {
+      useProceduralTerrain?.();
+      heightmapLabel.textContent = "Source: procedural";
+    },
+  });
+
+  const precisionNames = {
+    uint8: "8-bit",
+    half: "16-bit half",
+    float: "32-bit float",
+  };
+  const precisionOrder = Object.keys(precisionNames);
+  const precisionToggle = terrain.addLabel(
+    `Height precision: ${precisionNames[app.heightPrecision]}`
+  );
+  precisionToggle.style.cursor = "pointer";
+  precisionToggle.style.userSelect = "none";
+  precisionToggle.addEventListener("click", () => {
+    const index = precisionOrder.indexOf(app.heightPrecision);
+    const next = precisionOrder[(index + 1) % precisionOrder.length];
+    const applied = setHeightPrecision?.(next) ?? app.heightPrecision;
+    precisionToggle.textContent = `Height precision: ${precisionNames[applied]}`;
+  });
+
   const morphLabel = terrain.addLabel(
     `Morph width: ${Math.round(app.morphRegion * 100)}%`
   );
@@ -178,6 +358,18 @@ export function createControlPanel({
     },
   });
 
+  const horizonCullingToggle = terrain.addLabel(
+    `Horizon culling: ${app.horizonCullingEnabled ? "On" : "Off"}`
+  );
+  horizonCullingToggle.style.cursor = "pointer";
+  horizonCullingToggle.style.userSelect = "none";
+  horizonCullingToggle.addEventListener("click", () => {
+    app.setHorizonCullingEnabled(!app.horizonCullingEnabled);
+    horizonCullingToggle.textContent = `Horizon culling: ${
+      app.horizonCullingEnabled ? "On" : "Off"
+    }`;
+  });
+
   const terrainSmoothLabel = terrain.addLabel(
     `Terrain smooth: ${Math.round(app.heightSmoothStrength * 100)}%`
   );
@@ -207,6 +399,72 @@ export function createControlPanel({
     },
   });
 
+  const worldToggle = terrain.addLabel(
+    `World: ${app.worldStreamed ? "Streamed" : "Repeating"}`
+  );
+  worldToggle.style.cursor = "pointer";
+  worldToggle.style.userSelect = "none";
+  worldToggle.addEventListener("click", () => {
+    app.setWorldStreamingEnabled(!app.worldStreamed);
+    worldToggle.textContent = `World: ${
+      app.worldStreamed ? "Streamed" : "Repeating"
+    }`;
+  });
+
+  // Doubling steps read better than units across a 64x range
+  const worldScaleLabel = terrain.addLabel(
+    `World scale: ${Math.round(app.worldScale)} units`
+  );
+  terrain.addSlider({
+    min: Math.log2(app.minWorldScale),
+    max: Math.log2(app.maxWorldScale),
+    step: 0.25,
+    value: Math.log2(app.worldScale),
+    onInput: (value) => {
+      const scale = app.setWorldScale(Math.round(2 ** value));
+      worldScaleLabel.textContent = `World scale: ${scale} units`;
+    },
+  });
+
+  const erosionIterationsLabel = terrain.addLabel(
+    `Erosion iterations: ${app.erosion.iterations}`
+  );
+  terrain.addSlider({
+    min: 0,
+    max: app.maxErosionIterations,
+    value: app.erosion.iterations,
+    onInput: (value) => {
+      erosionIterationsLabel.textContent = `Erosion iterations: ${value}`;
+      setTerrainErosion?.({ iterations: value });
+    },
+  });
+
+  const rainLabel = terrain.addLabel(
+    `Rain amount: ${Math.round(app.erosion.rain * 100)}%`
+  );
+  terrain.addSlider({
+    min: 0,
+    max: 100,
+    value: Math.round(app.erosion.rain * 100),
+    onInput: (value) => {
+      rainLabel.textContent = `Rain amount: ${value}%`;
+      setTerrainErosion?.({ rain: value / 100 });
+    },
+  });
+
+  const talusLabel = terrain.addLabel(
+    `Talus angle: ${Math.round(app.erosion.talusAngle)}°`
+  );
+  terrain.addSlider({
+    min: 5,
+    max: 85,
+    value: Math.round(app.erosion.talusAngle),
+    onInput: (value) => {
+      talusLabel.textContent = `Talus angle: ${value}°`;
+      setTerrainErosion?.({ talusAngle: value });
+    },
+  });
+
   const lodLabel = terrain.addLabel(`LOD levels: ${app.terrainLevels}`);
   terrain.addSlider({
     min: 2,
@@ -299,6 +557,20 @@ export function createControlPanel({
     },
   });
 
+  const detailNormalLabel = lighting.addLabel(
+    `Detail normals: ${Math.round(app.detailNormalStrength * 100)}%`
+  );
+  lighting.addSlider({
+    min: 0,
+    max: 200,
+    value: Math.round(app.detailNormalStrength * 100),
+    onInput: (value) => {
+      app.detailNormalStrength = value / 100;
+      detailNormalLabel.textContent = `Detail normals: ${value}%`;
+      app.terrain?.updateDetailNormals(app.detailNormalStrength);
+    },
+  });
+
   const sunStrengthLabel = lighting.addLabel(
     `Sun strength: ${Math.round(app.sunStrengthBase * 100)}%`
   );
@@ -656,6 +928,27 @@ export function createControlPanel({
     },
   });
 
+  const exportStatus = exportSection.addLabel("Save the current terrain");
+  const addExportButton = (text, run) => {
+    exportSection.addButton({
+      text,
+      onClick: async (button) => {
+        button.disabled = true;
+        exportStatus.textContent = `Exporting ${text}…`;
+        const ok = await run();
+        exportStatus.textContent = ok
+          ? `Exported ${text}`
+          : `${text} export failed, see console`;
+        button.disabled = false;
+      },
+    });
+  };
+  addExportButton("Heightmap PNG (16-bit)", () => exportHeightmap?.("png"));
+  addExportButton("Heightmap RAW (Float32)", () => exportHeightmap?.("raw"));
+  addExportButton("Heightmap info JSON", () => exportHeightmap?.("json"));
+  addExportButton("Tiles as OBJ", () => exportTerrainMesh?.("obj"));
+  addExportButton("Tiles as glTF (.glb)", () => exportTerrainMesh?.("glb"));
+
   container.appendChild(panel);
 
   return { panel };
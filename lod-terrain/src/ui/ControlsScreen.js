@@ -0,0 +1,279 @@
+import {
+  ACTIONS,
+  ACTION_CONTEXTS,
+  CONTROL_PRESETS,
+  CUSTOM_CONTROLS_LAYOUT,
+  actionMap,
+  formatKeyCode,
+} from "../utils/ActionMap.js";
+import { userPreferences } from "@shared/utils/UserPreferences.js";
+
+const BINDING_SLOTS = 2; // Primary and secondary key per action
+const CONFLICT_COLOR = "#ff4444";
+
+// Key rebinding overlay, opened from the pause screen
+export class ControlsScreen {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.element = null;
+    this.capture = null; // { action, slot } waiting for a key press
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  isOpen() {
+    return Boolean(this.element);
+  }
+
+  show() {
+    if (this.element) return;
+
+    this.element = document.createElement("div");
+    this.element.id = "controls-screen";
+    this.element.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.85);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      overflow-y: auto;
+      z-index: 2100;
+      font-family: monospace;
+      color: #00ff00;
+      padding: 2rem 0;
+      box-sizing: border-box;
+    `;
+    // Clicks here must not reach the pause screen or pointer lock handlers
+    this.element.addEventListener("click", (event) => event.stopPropagation());
+
+    document.body.appendChild(this.element);
+    // Capture phase so bound keys never reach the game while rebinding
+    window.addEventListener("keydown", this.onKeyDown, true);
+
+    this.render();
+    console.log("🎛️ Controls screen shown");
+  }
+
+  hide() {
+    if (!this.element) return;
+
+    window.removeEventListener("keydown", this.onKeyDown, true);
+    this.element.remove();
+    this.element = null;
+    this.capture = null;
+    console.log("🎛️ Controls screen hidden");
+  }
+
+  onKeyDown(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (!this.capture) {
+      if (event.code === "Escape") {
+        this.uiManager.screenManager.closeControls();
+      }
+      return;
+    }
+
+    const { action, slot } = this.capture;
+    this.capture = null;
+    if (event.code === "Backspace" || event.code === "Delete") {
+      this.applyBinding(action, slot, null);
+    } else if (event.code !== "Escape") {
+      this.applyBinding(action, slot, event.code);
+    }
+    this.render();
+  }
+
+  applyBinding(action, slot, code) {
+    if (actionMap.bind(action, slot, code)) {
+      actionMap.savePreferences(userPreferences);
+      console.log(`🎛️ ${ACTIONS[action].label}: ${actionMap.describe(action)}`);
+    }
+  }
+
+  applyPreset(layout) {
+    this.capture = null;
+    actionMap.applyLayout(layout);
+    actionMap.savePreferences(userPreferences);
+    console.log(`🎛️ Controls layout: ${CONTROL_PRESETS[layout].label}`);
+    this.render();
+  }
+
+  render() {
+    if (!this.element) return;
+    this.element.innerHTML = "";
+
+    const title = document.createElement("div");
+    title.textContent = "CONTROLS";
+    title.style.cssText = `
+      font-size: 3rem;
+      font-weight: bold;
+      text-shadow: 0 0 20px #00ff00;
+      letter-spacing: 8px;
+      margin-bottom: 1.5rem;
+    `;
+    this.element.appendChild(title);
+
+    this.element.appendChild(this.createPresetRow());
+
+    const conflicts = actionMap.findConflicts();
+    for (const [context, label] of Object.entries(ACTION_CONTEXTS)) {
+      this.element.appendChild(this.createSection(context, label, conflicts));
+    }
+
+    const status = document.createElement("div");
+    status.style.cssText = `
+      margin-top: 1rem;
+      font-size: 0.9rem;
+      line-height: 1.6;
+      text-align: center;
+    `;
+    if (conflicts.length > 0) {
+      status.style.color = CONFLICT_COLOR;
+      status.innerHTML = conflicts
+        .map(
+          ({ code, actions }) =>
+            `⚠️ ${formatKeyCode(code)} is bound to ${actions
+              .map((action) => ACTIONS[action].label)
+              .join(" and ")}`
+        )
+        .join("<br>");
+    } else {
+      status.style.color = "#00ffff";
+      status.textContent =
+        "Click a key, then press the new one. Backspace clears, Esc cancels.";
+    }
+    this.element.appendChild(status);
+
+    const backButton = this.createButton("BACK", () =>
+      this.uiManager.screenManager.closeControls()
+    );
+    backButton.style.marginTop = "1.5rem";
+    this.element.appendChild(backButton);
+  }
+
+  createPresetRow() {
+    const row = document.createElement("div");
+    row.style.cssText = `
+      display: flex;
+      gap: 1rem;
+      align-items: center;
+      margin-bottom: 1rem;
+    `;
+
+    for (const [layout, preset] of Object.entries(CONTROL_PRESETS)) {
+      const button = this.createButton(preset.label.toUpperCase(), () =>
+        this.applyPreset(layout)
+      );
+      if (actionMap.layout === layout) {
+        button.style.background = "rgba(0, 255, 0, 0.25)";
+      }
+      row.appendChild(button);
+    }
+
+    if (actionMap.layout === CUSTOM_CONTROLS_LAYOUT) {
+      const custom = document.createElement("span");
+      custom.textContent = "CUSTOM";
+      custom.style.cssText = "color: #ffff00; letter-spacing: 2px;";
+      row.appendChild(custom);
+    }
+    return row;
+  }
+
+  createSection(context, label, conflicts) {
+    const section = document.createElement("div");
+    section.style.cssText = `
+      width: 560px;
+      margin-top: 1rem;
+    `;
+
+    const heading = document.createElement("div");
+    heading.textContent = label.toUpperCase();
+    heading.style.cssText = `
+      color: #00ffff;
+      letter-spacing: 3px;
+      border-bottom: 1px solid rgba(0, 255, 255, 0.4);
+      margin-bottom: 0.5rem;
+    `;
+    section.appendChild(heading);
+
+    const actions = Object.keys(ACTIONS).filter(
+      (action) => ACTIONS[action].context === context
+    );
+    for (const action of actions) {
+      const row = document.createElement("div");
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 0.2rem 0;
+      `;
+
+      const name = document.createElement("span");
+      name.textContent = ACTIONS[action].label;
+      row.appendChild(name);
+
+      const slots = document.createElement("div");
+      slots.style.cssText = "display: flex; gap: 0.5rem;";
+      const bindings = actionMap.getBindings(action);
+      for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+        slots.appendChild(
+          this.createSlotButton(action, slot, bindings[slot], conflicts)
+        );
+      }
+      row.appendChild(slots);
+      section.appendChild(row);
+    }
+    return section;
+  }
+
+  createSlotButton(action, slot, code, conflicts) {
+    const capturing =
+      this.capture?.action === action && this.capture?.slot === slot;
+    const conflicting = conflicts.some(
+      (conflict) => conflict.code === code && conflict.actions.includes(action)
+    );
+
+    const button = this.createButton(
+      capturing ? "PRESS A KEY" : formatKeyCode(code),
+      () => {
+        this.capture = { action, slot };
+        this.render();
+      }
+    );
+    button.style.width = "130px";
+    button.style.padding = "0.3rem 0.5rem";
+    if (capturing) {
+      button.style.color = "#ffff00";
+      button.style.borderColor = "#ffff00";
+    } else if (conflicting) {
+      button.style.color = CONFLICT_COLOR;
+      button.style.borderColor = CONFLICT_COLOR;
+    }
+    return button;
+  }
+
+  createButton(text, clickHandler) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.cssText = `
+      padding: 0.5rem 1.2rem;
+      font-size: 0.9rem;
+      font-weight: bold;
+      font-family: monospace;
+      background: transparent;
+      color: #00ff00;
+      border: 2px solid #00ff00;
+      border-radius: 6px;
+      cursor: pointer;
+      letter-spacing: 1px;
+    `;
+    button.addEventListener("click", clickHandler);
+    return button;
+  }
+}
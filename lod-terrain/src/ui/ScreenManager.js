@@ -1,7 +1,7 @@
 export class ScreenManager {
   constructor(uiManager) {
     this.uiManager = uiManager;
-    this.currentScreen = 'main-menu'; // 'main-menu', 'game', 'paused'
+    this.currentScreen = 'main-menu'; // 'main-menu', 'game', 'paused', 'controls'
 
     console.log("📺 Screen Manager initialized");
   }
@@ -39,6 +39,24 @@ export class ScreenManager {
     this.currentScreen = 'paused';
   }
 
+  // Key rebinding, opened from the pause screen
+  showControls() {
+    console.log("📺 Transitioning to controls");
+
+    this.uiManager.showControlsScreen();
+
+    this.currentScreen = 'controls';
+  }
+
+  // Back from controls to the pause screen
+  closeControls() {
+    console.log("📺 Returning to pause from controls");
+
+    this.uiManager.hideControlsScreen();
+
+    this.currentScreen = 'paused';
+  }
+
   // Resume from pause (go back to game)
   resumeGame() {
     console.log("📺 Resuming game from pause");
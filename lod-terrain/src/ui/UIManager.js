@@ -1,10 +1,18 @@
 import { ScreenManager } from "./ScreenManager.js";
+import { ControlsScreen } from "./ControlsScreen.js";
+import { GROUND_WARNINGS } from "../game/GroundProximity.js";
 
 export class UIManager {
   constructor(game) {
     this.game = game;
     this.pauseScreen = null;
+    this.menuButtons = []; // Start screen buttons the gamepad can focus
+    this.gamepadFocus = -1;
     this.screenManager = new ScreenManager(this);
+    this.controlsScreen = new ControlsScreen(this);
+    this.groundWarningElement = null;
+    this.groundWarningStyle = null; // Its flash keyframes, removed with it
+    this.lockReticleElement = null;
 
     console.log("🎨 UI Manager initialized");
   }
@@ -263,6 +271,62 @@ export class UIManager {
       () => this.game.startGame("float")
     );
 
+    // Replays: watch the last flight (or a loaded file), load or save one
+    const replayInput = document.createElement("input");
+    replayInput.type = "file";
+    replayInput.accept = "application/json,.json";
+    replayInput.style.display = "none";
+    replayInput.addEventListener("change", async () => {
+      const file = replayInput.files?.[0];
+      replayInput.value = "";
+      if (file && (await this.game.importReplay(file))) {
+        this.game.watchReplay();
+      }
+    });
+
+    const replayButton = createArcadeButton(
+      ">>> WATCH REPLAY <<<",
+      "#00ff00",
+      "#008000",
+      () => {
+        if (this.game.lastReplay) {
+          this.game.watchReplay();
+        } else {
+          replayInput.click();
+        }
+      }
+    );
+
+    const replayTools = document.createElement("div");
+    replayTools.style.cssText = `
+      display: flex;
+      gap: 2rem;
+      margin-top: -2rem;
+    `;
+    const createReplayLink = (text, clickHandler) => {
+      const link = document.createElement("button");
+      link.textContent = text;
+      link.style.cssText = `
+        background: transparent;
+        border: none;
+        color: #00ff00;
+        font-family: 'Courier New', monospace;
+        font-size: 0.9rem;
+        letter-spacing: 2px;
+        cursor: pointer;
+        text-shadow: 0 0 5px #00ff00;
+        opacity: 0.7;
+      `;
+      link.addEventListener("click", clickHandler);
+      return link;
+    };
+    replayTools.appendChild(
+      createReplayLink("[ LOAD REPLAY ]", () => replayInput.click())
+    );
+    replayTools.appendChild(
+      createReplayLink("[ SAVE LAST REPLAY ]", () => this.game.exportReplay())
+    );
+
     // Add CSS animations
     const style = document.createElement("style");
     style.textContent = `
@@ -310,8 +374,13 @@ export class UIManager {
     startScreen.appendChild(scanlines);
     startScreen.appendChild(title);
     startScreen.appendChild(subtitle);
+    this.menuButtons = [playButton, floatButton, replayButton];
+    this.gamepadFocus = -1;
     buttonContainer.appendChild(playButton);
     buttonContainer.appendChild(floatButton);
+    buttonContainer.appendChild(replayButton);
+    buttonContainer.appendChild(replayTools);
+    buttonContainer.appendChild(replayInput);
     startScreen.appendChild(buttonContainer);
     startScreen.appendChild(insertCoin);
 
@@ -401,7 +470,9 @@ export class UIManager {
 
     // Instruction text
     const instruction = document.createElement("div");
-    instruction.textContent = "PRESS SPACE OR ENTER TO CONTINUE";
+    instruction.textContent = this.game.gamepad?.connected
+      ? "PRESS A OR START TO CONTINUE"
+      : "PRESS SPACE OR ENTER TO CONTINUE";
     instruction.style.cssText = `
       font-size: 1.2rem;
       color: #ffff00;
@@ -445,6 +516,42 @@ export class UIManager {
       this.screenManager.showMainMenu(); // Use screen manager
       this.game.stopGame(); // Exit to main menu
     });
+    this.pauseExitButton = exitButton;
+
+    // Key rebinding
+    const controlsButton = document.createElement("button");
+    controlsButton.textContent = "CONTROLS";
+    controlsButton.style.cssText = `
+      padding: 0.8rem 2rem;
+      font-size: 1rem;
+      font-weight: bold;
+      font-family: monospace;
+      background: transparent;
+      color: #00ff00;
+      border: 2px solid #00ff00;
+      border-radius: 8px;
+      cursor: pointer;
+      text-transform: uppercase;
+      letter-spacing: 2px;
+      margin-top: 1rem;
+      transition: all 0.3s ease;
+      box-shadow: 0 0 15px rgba(0, 255, 0, 0.4);
+    `;
+
+    controlsButton.addEventListener("mouseenter", () => {
+      controlsButton.style.transform = "scale(1.05)";
+      controlsButton.style.boxShadow = "0 0 25px rgba(0, 255, 0, 0.7)";
+    });
+
+    controlsButton.addEventListener("mouseleave", () => {
+      controlsButton.style.transform = "scale(1)";
+      controlsButton.style.boxShadow = "0 0 15px rgba(0, 255, 0, 0.4)";
+    });
+
+    controlsButton.addEventListener("click", (event) => {
+      event.stopPropagation(); // Don't let the pause screen's click resume
+      this.screenManager.showControls();
+    });
 
     // System status (syndicate style) - dynamic typing
     const systemStatus = document.createElement("div");
@@ -511,6 +618,7 @@ export class UIManager {
     // Assemble pause screen
     this.pauseScreen.appendChild(pauseTitle);
     this.pauseScreen.appendChild(instruction);
+    this.pauseScreen.appendChild(controlsButton);
     this.pauseScreen.appendChild(exitButton);
     this.pauseScreen.appendChild(systemStatus);
 
@@ -523,16 +631,39 @@ export class UIManager {
   }
 
   hidePauseScreen() {
+    this.controlsScreen.hide();
     if (this.pauseScreen) {
       // Stop any ongoing message cycling
       this.stopSystemMessageCycle();
       this.pauseScreen.remove();
       this.pauseScreen = null;
+      this.pauseExitButton = null;
       this.removePauseListeners();
       console.log("▶️ Pause screen hidden");
     }
   }
 
+  // The pause screen stays underneath, with its resume keys and clicks off
+  showControlsScreen() {
+    if (!this.pauseScreen) return;
+    this.removePauseListeners();
+    this.pauseScreen.style.display = "none";
+    this.controlsScreen.show();
+  }
+
+  hideControlsScreen() {
+    this.controlsScreen.hide();
+    if (this.pauseScreen) {
+      this.pauseScreen.style.display = "flex";
+      // After the closing click or key has finished propagating
+      setTimeout(() => {
+        if (this.pauseScreen && !this.onPauseKeyDown) {
+          this.setupPauseListeners();
+        }
+      }, 0);
+    }
+  }
+
   setupPauseListeners() {
     this.onPauseKeyDown = (event) => {
       if (
@@ -564,6 +695,140 @@ export class UIManager {
     }
   }
 
+  // Flashing ground proximity warning in the HUD; null hides it
+  setGroundWarning(warning) {
+    if (!warning) {
+      if (this.groundWarningElement) {
+        this.groundWarningElement.style.display = "none";
+      }
+      return;
+    }
+
+    if (!this.groundWarningElement) {
+      this.groundWarningElement = document.createElement("div");
+      this.groundWarningElement.id = "ground-warning";
+      this.groundWarningElement.style.cssText = `
+        position: fixed;
+        top: 30%;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 0.5rem 1.5rem;
+        font-family: monospace;
+        font-size: 2.5rem;
+        font-weight: bold;
+        letter-spacing: 6px;
+        border: 3px solid currentColor;
+        background: rgba(0, 0, 0, 0.4);
+        pointer-events: none;
+        z-index: 1500;
+        animation: groundWarningFlash 0.5s steps(2, start) infinite;
+      `;
+
+      this.groundWarningStyle = document.createElement("style");
+      this.groundWarningStyle.textContent = `
+        @keyframes groundWarningFlash {
+          to { visibility: hidden; }
+        }
+      `;
+      document.head.appendChild(this.groundWarningStyle);
+      document.body.appendChild(this.groundWarningElement);
+    }
+
+    const color = warning === "pullUp" ? "#ff2222" : "#ffaa00";
+    this.groundWarningElement.textContent = GROUND_WARNINGS[warning];
+    this.groundWarningElement.style.color = color;
+    this.groundWarningElement.style.textShadow = `0 0 15px ${color}`;
+    this.groundWarningElement.style.display = "block";
+  }
+
+  // Missile lock-on box over the target: { x, y, progress, locked } in
+  // screen pixels, or null to hide it. It closes in while acquiring and
+  // turns red once locked.
+  setLockReticle(reticle) {
+    if (!reticle) {
+      if (this.lockReticleElement) {
+        this.lockReticleElement.style.display = "none";
+      }
+      return;
+    }
+
+    if (!this.lockReticleElement) {
+      this.lockReticleElement = document.createElement("div");
+      this.lockReticleElement.id = "lock-reticle";
+      this.lockReticleElement.style.cssText = `
+        position: fixed;
+        width: 48px;
+        height: 48px;
+        border: 2px solid currentColor;
+        font-family: monospace;
+        font-size: 0.75rem;
+        font-weight: bold;
+        text-align: center;
+        line-height: 110px;
+        pointer-events: none;
+        z-index: 1400;
+      `;
+      document.body.appendChild(this.lockReticleElement);
+    }
+
+    const element = this.lockReticleElement;
+    const color = reticle.locked ? "#ff2222" : "#ffdd00";
+    const scale = 2 - reticle.progress;
+    element.style.left = `${reticle.x}px`;
+    element.style.top = `${reticle.y}px`;
+    element.style.transform = `translate(-50%, -50%) scale(${scale})`;
+    element.style.color = color;
+    element.style.textShadow = `0 0 6px ${color}`;
+    element.textContent = reticle.locked ? "LOCK" : "";
+    element.style.display = "block";
+  }
+
+  // Gamepad on the start and pause screens: D-pad/stick moves the focus,
+  // A (or Start) picks the focused button, B exits the pause screen
+  handleGamepad(gamepad) {
+    const { pressed } = gamepad;
+
+    if (this.controlsScreen.isOpen()) {
+      if (pressed.cancel) {
+        this.screenManager.closeControls();
+      }
+      return;
+    }
+
+    if (this.pauseScreen) {
+      if (pressed.confirm) {
+        this.game.pauseGame();
+      } else if (pressed.cancel) {
+        this.pauseExitButton?.click();
+      }
+      return;
+    }
+
+    const startScreen = document.getElementById("start-screen");
+    if (!startScreen || startScreen.style.display === "none") return;
+    const count = this.menuButtons.length;
+    if (count === 0) return;
+
+    if (pressed.up || pressed.down) {
+      const next =
+        this.gamepadFocus < 0
+          ? 0
+          : (this.gamepadFocus + (pressed.down ? 1 : count - 1)) % count;
+      this.setGamepadFocus(next);
+    } else if (pressed.confirm || pressed.pause) {
+      const button = this.menuButtons[Math.max(0, this.gamepadFocus)];
+      this.setGamepadFocus(-1);
+      button.click();
+    }
+  }
+
+  // Reuses the buttons' hover styling as the gamepad focus highlight
+  setGamepadFocus(index) {
+    this.menuButtons[this.gamepadFocus]?.dispatchEvent(new Event("mouseleave"));
+    this.gamepadFocus = index;
+    this.menuButtons[index]?.dispatchEvent(new Event("mouseenter"));
+  }
+
   // Dynamic system message cycling
   startSystemMessageCycle() {
     this.typeCurrentMessage();
@@ -611,6 +876,12 @@ export class UIManager {
   dispose() {
     // Use screen manager for proper cleanup
     this.screenManager.dispose();
+    this.groundWarningElement?.remove();
+    this.groundWarningElement = null;
+    this.groundWarningStyle?.remove();
+    this.groundWarningStyle = null;
+    this.lockReticleElement?.remove();
+    this.lockReticleElement = null;
 
     console.log("🗑️ UI Manager disposed");
   }
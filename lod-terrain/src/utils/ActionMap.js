@@ -0,0 +1,323 @@
+import { userPreferences } from '@shared/utils/UserPreferences.js';
+
+// Every rebindable action. Actions only conflict with others in the same
+// context; 'global' actions conflict with everything.
+export const ACTIONS = {
+  steerLeft: { label: 'Steer left', context: 'flight' },
+  steerRight: { label: 'Steer right', context: 'flight' },
+  fire: { label: 'Fire lasers', context: 'flight' },
+  bomb: { label: 'Drop bomb', context: 'flight' },
+  lockTarget: { label: 'Lock on / cycle targets', context: 'flight' },
+  missile: { label: 'Fire missile', context: 'flight' },
+  afterburner: { label: 'Afterburner', context: 'flight' },
+  pitchUp: { label: 'Pitch up', context: 'flight' },
+  pitchDown: { label: 'Pitch down', context: 'flight' },
+  yawLeft: { label: 'Yaw left', context: 'flight' },
+  yawRight: { label: 'Yaw right', context: 'flight' },
+  throttleUp: { label: 'Throttle up', context: 'flight' },
+  throttleDown: { label: 'Throttle down', context: 'flight' },
+  flightAssist: { label: 'Toggle flight assist', context: 'flight' },
+  terrainFollow: { label: 'Toggle terrain following', context: 'flight' },
+  pause: { label: 'Pause', context: 'global' },
+  cameraForward: { label: 'Move forward', context: 'camera' },
+  cameraBack: { label: 'Move back', context: 'camera' },
+  cameraLeft: { label: 'Move left', context: 'camera' },
+  cameraRight: { label: 'Move right', context: 'camera' },
+  cameraUp: { label: 'Move up', context: 'camera' },
+  cameraDown: { label: 'Move down', context: 'camera' },
+  lookUp: { label: 'Look up', context: 'camera' },
+  lookDown: { label: 'Look down', context: 'camera' },
+  lookLeft: { label: 'Look left', context: 'camera' },
+  lookRight: { label: 'Look right', context: 'camera' }
+};
+
+export const ACTION_CONTEXTS = {
+  flight: 'Flight',
+  global: 'General',
+  camera: 'Free camera'
+};
+
+// Keys per action; the first two are shown as primary/secondary
+export const CONTROL_PRESETS = {
+  default: {
+    label: 'Default',
+    bindings: {
+      steerLeft: ['KeyA', 'ArrowLeft'],
+      steerRight: ['KeyD', 'ArrowRight'],
+      fire: ['Space'],
+      bomb: ['KeyB'],
+      lockTarget: ['KeyT'],
+      missile: ['KeyF'],
+      afterburner: ['ShiftLeft', 'ShiftRight'],
+      pitchUp: ['KeyQ'],
+      pitchDown: ['KeyE'],
+      yawLeft: ['KeyZ'],
+      yawRight: ['KeyX'],
+      throttleUp: ['KeyR'],
+      throttleDown: ['KeyV'],
+      flightAssist: ['KeyG'],
+      terrainFollow: ['KeyH'],
+      pause: ['Escape'],
+      cameraForward: ['KeyW'],
+      cameraBack: ['KeyS'],
+      cameraLeft: ['KeyA'],
+      cameraRight: ['KeyD'],
+      cameraUp: ['KeyQ', 'Space'],
+      cameraDown: ['KeyE', 'ShiftLeft'],
+      lookUp: ['ArrowUp'],
+      lookDown: ['ArrowDown'],
+      lookLeft: ['ArrowLeft'],
+      lookRight: ['ArrowRight']
+    }
+  },
+  wasd: {
+    label: 'WASD',
+    bindings: {
+      steerLeft: ['KeyA'],
+      steerRight: ['KeyD'],
+      fire: ['Space'],
+      bomb: ['KeyE'],
+      lockTarget: ['KeyT'],
+      missile: ['KeyF'],
+      afterburner: ['ShiftLeft'],
+      pitchUp: ['KeyS'],
+      pitchDown: ['KeyW'],
+      yawLeft: ['KeyZ'],
+      yawRight: ['KeyX'],
+      throttleUp: ['KeyR'],
+      throttleDown: ['KeyV'],
+      flightAssist: ['KeyG'],
+      terrainFollow: ['KeyH'],
+      pause: ['Escape'],
+      cameraForward: ['KeyW'],
+      cameraBack: ['KeyS'],
+      cameraLeft: ['KeyA'],
+      cameraRight: ['KeyD'],
+      cameraUp: ['Space'],
+      cameraDown: ['ShiftLeft'],
+      lookUp: ['ArrowUp'],
+      lookDown: ['ArrowDown'],
+      lookLeft: ['ArrowLeft'],
+      lookRight: ['ArrowRight']
+    }
+  },
+  arrows: {
+    label: 'Arrows',
+    bindings: {
+      steerLeft: ['ArrowLeft'],
+      steerRight: ['ArrowRight'],
+      fire: ['ControlRight'],
+      bomb: ['AltRight'],
+      lockTarget: ['Insert'],
+      missile: ['Delete'],
+      afterburner: ['ShiftRight'],
+      pitchUp: ['ArrowDown'],
+      pitchDown: ['ArrowUp'],
+      yawLeft: ['Home'],
+      yawRight: ['End'],
+      throttleUp: ['PageUp'],
+      throttleDown: ['PageDown'],
+      flightAssist: ['Numpad0'],
+      terrainFollow: ['NumpadDecimal'],
+      pause: ['Escape'],
+      cameraForward: ['ArrowUp'],
+      cameraBack: ['ArrowDown'],
+      cameraLeft: ['ArrowLeft'],
+      cameraRight: ['ArrowRight'],
+      cameraUp: ['PageUp'],
+      cameraDown: ['PageDown'],
+      lookUp: ['Numpad8'],
+      lookDown: ['Numpad2'],
+      lookLeft: ['Numpad4'],
+      lookRight: ['Numpad6']
+    }
+  },
+  leftHanded: {
+    label: 'Left-handed',
+    bindings: {
+      steerLeft: ['KeyJ'],
+      steerRight: ['KeyL'],
+      fire: ['Space'],
+      bomb: ['KeyN'],
+      lockTarget: ['KeyP'],
+      missile: ['KeyM'],
+      afterburner: ['ShiftRight'],
+      pitchUp: ['KeyK'],
+      pitchDown: ['KeyI'],
+      yawLeft: ['KeyU'],
+      yawRight: ['KeyO'],
+      throttleUp: ['KeyY'],
+      throttleDown: ['KeyH'],
+      flightAssist: ['Digit9'],
+      terrainFollow: ['Digit0'],
+      pause: ['Escape'],
+      cameraForward: ['KeyI'],
+      cameraBack: ['KeyK'],
+      cameraLeft: ['KeyJ'],
+      cameraRight: ['KeyL'],
+      cameraUp: ['KeyU'],
+      cameraDown: ['KeyO'],
+      lookUp: ['ArrowUp'],
+      lookDown: ['ArrowDown'],
+      lookLeft: ['ArrowLeft'],
+      lookRight: ['ArrowRight']
+    }
+  }
+};
+
+export const DEFAULT_CONTROLS_LAYOUT = 'default';
+export const CUSTOM_CONTROLS_LAYOUT = 'custom';
+
+const KEY_LABELS = {
+  Space: 'Space',
+  Escape: 'Esc',
+  Enter: 'Enter',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down'
+};
+
+// Human-readable name for a KeyboardEvent.code
+export function formatKeyCode(code) {
+  if (!code) return '—';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+function copyBindings(bindings) {
+  const copy = {};
+  for (const action of Object.keys(ACTIONS)) {
+    copy[action] = [...(bindings[action] ?? [])];
+  }
+  return copy;
+}
+
+/**
+ * Maps keyboard codes to game actions. Gameplay asks `isActive('fire', keys)`
+ * instead of checking key codes, so layouts can be swapped or rebound.
+ */
+export class ActionMap {
+  constructor(layout = DEFAULT_CONTROLS_LAYOUT, bindings = null) {
+    this.applyLayout(layout, bindings);
+  }
+
+  // A preset name, or 'custom' with its bindings; unknown layouts fall back
+  // to the default preset
+  applyLayout(layout, bindings = null) {
+    if (layout === CUSTOM_CONTROLS_LAYOUT && bindings) {
+      // Actions added since the bindings were saved get their default keys
+      const defaults = CONTROL_PRESETS[DEFAULT_CONTROLS_LAYOUT].bindings;
+      this.bindings = copyBindings({ ...defaults, ...bindings });
+      this.layout = CUSTOM_CONTROLS_LAYOUT;
+      return this.layout;
+    }
+
+    const preset = CONTROL_PRESETS[layout];
+    if (!preset) {
+      console.warn(`⚠️ Unknown controls layout "${layout}", using default`);
+    }
+    this.layout = preset ? layout : DEFAULT_CONTROLS_LAYOUT;
+    this.bindings = copyBindings(CONTROL_PRESETS[this.layout].bindings);
+    return this.layout;
+  }
+
+  getBindings(action) {
+    return this.bindings[action] ?? [];
+  }
+
+  // True while any key bound to the action is held
+  isActive(action, keys) {
+    return this.getBindings(action).some((code) => keys[code]);
+  }
+
+  matches(action, code) {
+    return this.getBindings(action).includes(code);
+  }
+
+  // Actions the key triggers, optionally only those of one context
+  getActionsForCode(code, context = null) {
+    return Object.keys(ACTIONS).filter(
+      (action) =>
+        this.matches(action, code) &&
+        (!context || ACTIONS[action].context === context)
+    );
+  }
+
+  // Sets (or with code null clears) one binding slot; makes the layout custom
+  bind(action, slot, code) {
+    if (!ACTIONS[action]) {
+      console.warn(`⚠️ Unknown action "${action}"`);
+      return false;
+    }
+    const bindings = [...this.getBindings(action)];
+    if (code) {
+      bindings[slot] = code;
+    } else {
+      bindings.splice(slot, 1);
+    }
+    // No duplicates or holes within one action
+    this.bindings[action] = bindings.filter(
+      (value, index) => value && bindings.indexOf(value) === index
+    );
+    this.layout = CUSTOM_CONTROLS_LAYOUT;
+    return true;
+  }
+
+  // Keys bound to more than one action that can be active at the same time:
+  // [{ code, actions: [...] }]
+  findConflicts() {
+    const conflicts = [];
+    const codes = new Set(Object.values(this.bindings).flat());
+    for (const code of codes) {
+      const actions = this.getActionsForCode(code);
+      const clashing = actions.filter((action) =>
+        actions.some(
+          (other) =>
+            other !== action &&
+            (ACTIONS[action].context === ACTIONS[other].context ||
+              ACTIONS[action].context === 'global' ||
+              ACTIONS[other].context === 'global')
+        )
+      );
+      if (clashing.length > 1) {
+        conflicts.push({ code, actions: clashing });
+      }
+    }
+    return conflicts;
+  }
+
+  describe(action) {
+    const bindings = this.getBindings(action);
+    return bindings.length > 0 ? bindings.map(formatKeyCode).join('/') : 'Unbound';
+  }
+
+  loadPreferences(preferences) {
+    return this.applyLayout(
+      preferences.getControlsLayout(),
+      preferences.getControlBindings()
+    );
+  }
+
+  savePreferences(preferences) {
+    preferences.setControlBindings(
+      this.layout === CUSTOM_CONTROLS_LAYOUT ? copyBindings(this.bindings) : null
+    );
+    preferences.setControlsLayout(this.layout);
+  }
+}
+
+// Create a global instance from the saved layout
+export const actionMap = new ActionMap();
+actionMap.loadPreferences(userPreferences);
@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// In-memory localStorage; installed before the shared preferences load
+vi.hoisted(() => {
+  const values = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    clear: () => values.clear(),
+  };
+});
+
+const { ACTIONS, ActionMap, CONTROL_PRESETS, formatKeyCode } = await import(
+  "../src/utils/ActionMap.js"
+);
+const { UserPreferences } = await import("@shared/utils/UserPreferences.js");
+
+describe("ActionMap", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("answers actions from held keys", () => {
+    const map = new ActionMap();
+
+    expect(map.isActive("steerLeft", { ArrowLeft: true })).toBe(true);
+    expect(map.isActive("steerLeft", { KeyD: true })).toBe(false);
+    expect(map.matches("pause", "Escape")).toBe(true);
+  });
+
+  it("binds every action in every preset without conflicts", () => {
+    for (const [layout, preset] of Object.entries(CONTROL_PRESETS)) {
+      const map = new ActionMap(layout);
+
+      expect(Object.keys(preset.bindings).sort()).toEqual(
+        Object.keys(ACTIONS).sort()
+      );
+      expect(map.findConflicts()).toEqual([]);
+    }
+  });
+
+  it("lets flight and free-camera actions share keys", () => {
+    const map = new ActionMap("default");
+
+    expect(map.getActionsForCode("KeyA")).toEqual(["steerLeft", "cameraLeft"]);
+    expect(map.getActionsForCode("KeyA", "camera")).toEqual(["cameraLeft"]);
+    expect(map.findConflicts()).toEqual([]);
+  });
+
+  it("detects keys bound twice in one context or to pause", () => {
+    const map = new ActionMap();
+    map.bind("bomb", 0, "Space");
+    map.bind("cameraForward", 0, "Escape");
+
+    expect(map.findConflicts()).toEqual(
+      expect.arrayContaining([
+        { code: "Space", actions: ["fire", "bomb"] },
+        { code: "Escape", actions: ["pause", "cameraForward"] },
+      ])
+    );
+  });
+
+  it("rebinds and clears slots as a custom layout", () => {
+    const map = new ActionMap();
+    map.bind("fire", 1, "KeyK");
+    expect(map.getBindings("fire")).toEqual(["Space", "KeyK"]);
+    expect(map.layout).toBe("custom");
+
+    map.bind("fire", 0, null);
+    expect(map.getBindings("fire")).toEqual(["KeyK"]);
+
+    map.bind("fire", 1, "KeyK");
+    expect(map.getBindings("fire")).toEqual(["KeyK"]);
+  });
+
+  it("does not share binding arrays with the presets", () => {
+    const map = new ActionMap("wasd");
+    map.bind("fire", 0, "KeyZ");
+
+    expect(CONTROL_PRESETS.wasd.bindings.fire).toEqual(["Space"]);
+  });
+
+  it("persists presets and custom bindings through UserPreferences", () => {
+    const preferences = new UserPreferences();
+    const map = new ActionMap("leftHanded");
+    map.savePreferences(preferences);
+
+    expect(preferences.getControlsLayout()).toBe("leftHanded");
+    expect(preferences.getControlBindings()).toBeNull();
+
+    map.bind("bomb", 0, "KeyM");
+    map.savePreferences(preferences);
+
+    const restored = new ActionMap();
+    restored.loadPreferences(new UserPreferences());
+    expect(restored.layout).toBe("custom");
+    expect(restored.getBindings("bomb")).toEqual(["KeyM"]);
+    expect(restored.getBindings("steerLeft")).toEqual(["KeyJ"]);
+  });
+
+  it("falls back to the default layout for unknown names", () => {
+    const map = new ActionMap("inverted");
+
+    expect(map.layout).toBe("default");
+    expect(map.getBindings("fire")).toEqual(["Space"]);
+  });
+
+  it("names keys for the UI", () => {
+    expect(formatKeyCode("KeyB")).toBe("B");
+    expect(formatKeyCode("ArrowLeft")).toBe("←");
+    expect(formatKeyCode("Numpad8")).toBe("Num 8");
+    expect(new ActionMap().describe("afterburner")).toBe("Left Shift/Right Shift");
+  });
+});
@@ -0,0 +1,143 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import { sampleHeight, sampleNormal, setNoiseSeed } from "../src/noise.js";
+import { CollisionDetector } from "../src/game/CollisionDetector.js";
+
+describe("CollisionDetector.checkLaserTerrainCollision", () => {
+  let detector;
+
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    setNoiseSeed(99);
+  });
+
+  beforeEach(() => {
+    detector = new CollisionDetector(new THREE.Scene());
+  });
+
+  it("hits the terrain under a laser fired straight down", () => {
+    const ground = sampleHeight(250, -120);
+    const start = new THREE.Vector3(250, -120, ground + 40);
+    const velocity = new THREE.Vector3(0, 0, -600);
+
+    const hit = detector.checkLaserTerrainCollision(start, velocity, 0.1);
+
+    expect(hit).not.toBeNull();
+    expect(hit.hit).toBe(true);
+    expect(hit.point.x).toBeCloseTo(250, 6);
+    expect(hit.point.y).toBeCloseTo(-120, 6);
+    expect(hit.point.z).toBeCloseTo(ground, 6);
+    expect(hit.terrainHeight).toBeCloseTo(ground, 6);
+    expect(hit.distance).toBeCloseTo(40, 6);
+  });
+
+  it("snaps the hit point onto the sampled surface with its analytic normal", () => {
+    const start = new THREE.Vector3(-800, 300, sampleHeight(-800, 300) + 20);
+    const velocity = new THREE.Vector3(400, 0, -400);
+
+    const hit = detector.checkLaserTerrainCollision(start, velocity, 0.5);
+
+    expect(hit).not.toBeNull();
+    expect(hit.point.z).toBeCloseTo(sampleHeight(hit.point.x, hit.point.y), 6);
+    const expected = sampleNormal(hit.point.x, hit.point.y);
+    expect(hit.normal.distanceTo(expected)).toBeLessThan(1e-9);
+    expect(hit.normal.length()).toBeCloseTo(1, 6);
+  });
+
+  it("reports the first sample at or below the ground along the path", () => {
+    const start = new THREE.Vector3(1200, 1200, sampleHeight(1200, 1200) + 100);
+    const velocity = new THREE.Vector3(0, 0, -1000);
+
+    const hit = detector.checkLaserTerrainCollision(start, velocity, 1);
+
+    // Samples are 5 units apart, so the hit lies within one step of the surface
+    expect(hit.distance).toBeGreaterThanOrEqual(100 - 1e-6);
+    expect(hit.distance).toBeLessThan(105);
+  });
+
+  it("misses when the whole segment stays above the terrain", () => {
+    const start = new THREE.Vector3(0, 0, sampleHeight(0, 0) + 5000);
+    const velocity = new THREE.Vector3(300, 200, 0);
+
+    expect(detector.checkLaserTerrainCollision(start, velocity, 0.2)).toBeNull();
+  });
+
+  it("catches lasers that passed through the ground just behind them", () => {
+    // The backward steps re-check the last 15 units to avoid tunnelling
+    const ground = sampleHeight(40, 40);
+    const start = new THREE.Vector3(40, 40, ground + 8);
+    const velocity = new THREE.Vector3(0, 0, 1000);
+
+    const hit = detector.checkLaserTerrainCollision(start, velocity, 0.016);
+
+    expect(hit).not.toBeNull();
+    expect(hit.point.z).toBeCloseTo(sampleHeight(hit.point.x, hit.point.y), 6);
+  });
+
+  it("checks the final point even when the step is shorter than the stride", () => {
+    const ground = sampleHeight(-60, 75);
+    const start = new THREE.Vector3(-60, 75, ground + 1);
+    const velocity = new THREE.Vector3(0, 0, -60);
+
+    const hit = detector.checkLaserTerrainCollision(start, velocity, 0.05);
+
+    expect(hit).not.toBeNull();
+    expect(hit.point.z).toBeCloseTo(ground, 6);
+  });
+});
+
+describe("CollisionDetector terrain probes", () => {
+  let detector;
+
+  beforeAll(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    setNoiseSeed(99);
+  });
+
+  beforeEach(() => {
+    detector = new CollisionDetector(new THREE.Scene());
+  });
+
+  it("predicts when a descending path meets the ground", () => {
+    const ground = sampleHeight(300, 300);
+    const position = new THREE.Vector3(300, 300, ground + 200);
+    const velocity = new THREE.Vector3(0, 0, -100);
+
+    const probe = detector.probeTerrainAhead(position, velocity, 6, 24);
+
+    expect(probe.clearance).toBeCloseTo(200, 6);
+    expect(probe.timeToImpact).toBeCloseTo(2, 6);
+    expect(probe.minClearance).toBeLessThanOrEqual(0);
+  });
+
+  it("reports no impact for a path that stays clear", () => {
+    const position = new THREE.Vector3(0, 0, sampleHeight(0, 0) + 5000);
+    const velocity = new THREE.Vector3(0, 300, 0);
+
+    const probe = detector.probeTerrainAhead(position, velocity, 6, 24);
+
+    expect(probe.timeToImpact).toBe(Infinity);
+    expect(probe.minClearance).toBeGreaterThan(0);
+  });
+
+  it("sweeps a sphere into the terrain between two positions", () => {
+    const ground = sampleHeight(-400, 250);
+    const from = new THREE.Vector3(-400, 250, ground + 50);
+    const to = new THREE.Vector3(-400, 250, ground - 20);
+
+    const hit = detector.checkSweptTerrainImpact(from, to, 8);
+
+    expect(hit).not.toBeNull();
+    expect(hit.point.z).toBeCloseTo(ground, 6);
+    expect(hit.penetration).toBeGreaterThanOrEqual(0);
+    expect(hit.penetration).toBeLessThan(5);
+    expect(hit.normal.length()).toBeCloseTo(1, 6);
+  });
+
+  it("misses when the sphere stays above the ground", () => {
+    const from = new THREE.Vector3(0, 0, sampleHeight(0, 0) + 3000);
+    const to = new THREE.Vector3(50, 300, sampleHeight(50, 300) + 3000);
+
+    expect(detector.checkSweptTerrainImpact(from, to, 8)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+
+// The real modules create a WebGLRenderer, load images and read the DOM on import
+vi.mock("../src/renderer.js", () => ({ renderer: {} }));
+vi.mock("../src/texture.js", () => ({ texture: { sky: null } }));
+vi.mock("../src/camera.js", async () => {
+  const THREE = await import("three");
+  return { camera: new THREE.PerspectiveCamera(70, 16 / 9, 1, 30000) };
+});
+
+const { camera } = await import("../src/camera.js");
+const { EnvironmentManager } = await import(
+  "../src/environment/EnvironmentManager.js"
+);
+
+function expectedSplits(near, far, count, lambda) {
+  return Array.from({ length: count }, (_, i) => {
+    const p = (i + 1) / count;
+    return THREE.MathUtils.lerp(
+      near + (far - near) * p,
+      near * Math.pow(far / near, p),
+      lambda
+    );
+  });
+}
+
+describe("EnvironmentManager.calculateShadowCascades", () => {
+  let environment;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    camera.position.set(100, -200, 300);
+    camera.up.set(0, 0, 1);
+    camera.lookAt(100, 800, 250);
+    camera.updateMatrixWorld(true);
+
+    environment = new EnvironmentManager();
+    environment.sunDirection.set(0.3, 0.4, 0.85).normalize();
+    environment.setupShadows();
+  });
+
+  it("uses the shadow distance as the far split", () => {
+    environment.calculateShadowCascades();
+    expect(environment.shadowSplitsVec.w).toBe(environment.shadowMaxDistance);
+
+    environment.shadowMaxDistance = 50000;
+    environment.calculateShadowCascades();
+    expect(environment.shadowSplitsVec.w).toBe(camera.far);
+  });
+
+  it("places splits on the uniform/log blend without overlap", () => {
+    environment.shadowCascadeOverlap = 0;
+    for (const lambda of [0, 0.6, 1]) {
+      environment.shadowLambda = lambda;
+      environment.calculateShadowCascades();
+
+      const far = environment.shadowMaxDistance;
+      const [s0, s1, s2] = expectedSplits(camera.near, far, 3, lambda);
+      expect(environment.shadowSplitsVec.x).toBeCloseTo(s0, 6);
+      expect(environment.shadowSplitsVec.y).toBeCloseTo(s1, 6);
+      expect(environment.shadowSplitsVec.z).toBeCloseTo(s2, 6);
+    }
+  });
+
+  it("pulls split distances in by the cascade overlap", () => {
+    environment.calculateShadowCascades();
+    const far = environment.shadowMaxDistance;
+    const [s0, s1] = expectedSplits(camera.near, far, 3, environment.shadowLambda);
+    const overlap = environment.shadowCascadeOverlap;
+
+    expect(environment.shadowSplitsVec.x).toBeCloseTo(
+      s0 - (s0 - camera.near) * overlap,
+      6
+    );
+    expect(environment.shadowSplitsVec.y).toBeCloseTo(s1 - (s1 - s0) * overlap, 6);
+  });
+
+  it("produces increasing splits within the camera range", () => {
+    environment.calculateShadowCascades();
+    const { x, y, z, w } = environment.shadowSplitsVec;
+
+    expect(x).toBeGreaterThan(camera.near);
+    expect(y).toBeGreaterThan(x);
+    expect(z).toBeGreaterThan(y);
+    expect(z).toBeLessThanOrEqual(w);
+  });
+
+  it("fills missing splits with the far distance for fewer cascades", () => {
+    environment.shadowCascadeCount = 2;
+    environment.setupShadows();
+    environment.calculateShadowCascades();
+
+    expect(environment.shadowSplitsVec.z).toBe(environment.shadowSplitsVec.w);
+    expect(environment.shadowSplitsVec.y).toBeLessThan(environment.shadowSplitsVec.w);
+  });
+
+  it("fits every cascade's light camera around its slice of the view", () => {
+    environment.calculateShadowCascades();
+    const point = new THREE.Vector3();
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+
+    let near = camera.near;
+    environment.shadowCascades.forEach(({ lightCamera }, i) => {
+      lightCamera.updateMatrixWorld(true);
+      lightCamera.updateProjectionMatrix();
+      const split = environment.shadowSplitsVec.getComponent(i);
+
+      // Center of the camera's view at both ends of the slice, in light NDC
+      for (const distance of [near, split]) {
+        point
+          .copy(camera.position)
+          .addScaledVector(forward, distance)
+          .project(lightCamera);
+        expect(Math.abs(point.x)).toBeLessThanOrEqual(1);
+        expect(Math.abs(point.y)).toBeLessThanOrEqual(1);
+        expect(Math.abs(point.z)).toBeLessThanOrEqual(1);
+      }
+      near = split;
+    });
+  });
+
+  it("does nothing while shadows are disabled", () => {
+    environment.shadowSplitsVec.set(1, 2, 3, 4);
+    environment.shadowsEnabled = false;
+    environment.calculateShadowCascades();
+
+    expect(environment.shadowSplitsVec.toArray()).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { FlightModel } from "../src/game/FlightModel.js";
+
+const STEP = 1 / 60;
+const LEVEL = { pitch: 0, roll: 0, yaw: 0, throttle: 0, afterburner: false };
+
+function createModel({ speed = 300, throttle = 1, pitch = 0 } = {}) {
+  const model = new FlightModel();
+  const attitude = new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(1, 0, 0),
+    pitch
+  );
+  model.reset(new THREE.Vector3(0, 0, 1000), attitude, speed, throttle);
+  return model;
+}
+
+function fly(model, seconds, controls = {}) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    model.step(STEP, { ...LEVEL, ...controls });
+  }
+  return model;
+}
+
+describe("FlightModel", () => {
+  it("holds a steady cruise with the stick centered", () => {
+    const model = fly(createModel(), 10);
+
+    expect(model.stalled).toBe(false);
+    expect(model.airspeed).toBeGreaterThan(250);
+    expect(model.airspeed).toBeLessThan(400);
+    expect(Math.abs(model.position.z - 1000)).toBeLessThan(150);
+  });
+
+  it("climbs with the nose pulled up and dives with it pushed down", () => {
+    const climbing = fly(createModel(), 2, { pitch: 0.5 });
+    const diving = fly(createModel(), 2, { pitch: -0.5 });
+
+    expect(climbing.position.z).toBeGreaterThan(1050);
+    expect(diving.position.z).toBeLessThan(950);
+  });
+
+  it("turns toward the lowered wing", () => {
+    const model = fly(createModel(), 0.5, { roll: 1 });
+    expect(model.getRoll()).toBeGreaterThan(0.3);
+
+    fly(model, 2, { pitch: 0.3 });
+    expect(model.position.x).toBeGreaterThan(20);
+  });
+
+  it("yaws the nose with the rudder", () => {
+    const model = fly(createModel(), 1, { yaw: 1 });
+
+    expect(model.getForward().x).toBeGreaterThan(0.05);
+  });
+
+  it("gains speed with more throttle and the afterburner", () => {
+    const idle = fly(createModel({ throttle: 0.2 }), 5);
+    const full = fly(createModel({ throttle: 1 }), 5);
+    const boosted = fly(createModel({ throttle: 1 }), 5, { afterburner: true });
+
+    expect(full.airspeed).toBeGreaterThan(idle.airspeed);
+    expect(boosted.airspeed).toBeGreaterThan(full.airspeed);
+  });
+
+  it("moves the throttle lever with the throttle input", () => {
+    const model = fly(createModel({ throttle: 0.5 }), 0.5, { throttle: 1 });
+    expect(model.throttle).toBeCloseTo(0.75, 5);
+
+    fly(model, 5, { throttle: -1 });
+    expect(model.throttle).toBe(0);
+  });
+
+  it("stalls when too slow and drops the nose", () => {
+    const model = createModel({ speed: 60, throttle: 0, pitch: 0.4 });
+    let stalled = false;
+    for (let i = 0; i < 60; i++) {
+      model.step(STEP, LEVEL);
+      stalled ||= model.stalled;
+    }
+    expect(stalled).toBe(true);
+
+    fly(model, 3);
+    expect(model.getForward().z).toBeLessThan(0);
+    expect(model.velocity.z).toBeLessThan(0);
+  });
+
+  it("is deterministic for the same inputs", () => {
+    const a = fly(createModel(), 3, { pitch: 0.4, roll: -0.6, yaw: 0.2 });
+    const b = fly(createModel(), 3, { pitch: 0.4, roll: -0.6, yaw: 0.2 });
+
+    expect(a.position.toArray()).toEqual(b.position.toArray());
+    expect(a.quaternion.toArray()).toEqual(b.quaternion.toArray());
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { FIXED_TIMESTEP, GameClock } from "../src/game/GameClock.js";
+
+function collectSteps(clock, frames) {
+  const steps = [];
+  for (const frame of frames) {
+    clock.advance(frame, (step) => steps.push(step));
+  }
+  return steps;
+}
+
+describe("GameClock", () => {
+  it("consumes real time in fixed steps and carries the remainder", () => {
+    const clock = new GameClock();
+    const steps = collectSteps(clock, [0.01, 0.01, 0.01]);
+
+    expect(steps).toEqual([FIXED_TIMESTEP]);
+    expect(clock.frame).toBe(1);
+    expect(clock.time).toBeCloseTo(FIXED_TIMESTEP, 9);
+    expect(clock.alpha).toBeCloseTo((0.03 - FIXED_TIMESTEP) / FIXED_TIMESTEP, 6);
+  });
+
+  it("simulates the same steps regardless of frame rate", () => {
+    // Binary fractions keep the accumulator exact
+    const slow = new GameClock(1 / 64);
+    const fast = new GameClock(1 / 64);
+    collectSteps(slow, Array(32).fill(1 / 32));
+    collectSteps(fast, Array(128).fill(1 / 128));
+
+    expect(slow.frame).toBe(64);
+    expect(fast.frame).toBe(slow.frame);
+    expect(fast.now()).toBe(slow.now());
+  });
+
+  it("reports simulation time in milliseconds", () => {
+    const clock = new GameClock();
+    collectSteps(clock, Array(6).fill(0.1));
+
+    expect(clock.now()).toBeCloseTo(clock.frame * FIXED_TIMESTEP * 1000, 6);
+  });
+
+  it("stands still while paused", () => {
+    const clock = new GameClock();
+    clock.pause();
+    const steps = collectSteps(clock, [0.1, 0.1, 0.1]);
+
+    expect(steps).toHaveLength(0);
+    expect(clock.now()).toBe(0);
+    expect(clock.frameTime).toBe(0);
+
+    clock.resume();
+    expect(collectSteps(clock, [FIXED_TIMESTEP])).toHaveLength(1);
+  });
+
+  it("runs requested single steps while paused", () => {
+    const clock = new GameClock();
+    clock.pause();
+    clock.requestStep();
+    clock.requestStep(2);
+
+    expect(collectSteps(clock, [0.5])).toHaveLength(3);
+    expect(collectSteps(clock, [0.5])).toHaveLength(0);
+    expect(clock.alpha).toBe(1);
+  });
+
+  it("slows the simulation down with the time scale", () => {
+    const clock = new GameClock();
+    expect(clock.setTimeScale(0.25)).toBe(0.25);
+    collectSteps(clock, Array(60).fill(1 / 60));
+
+    expect(clock.frame).toBe(15);
+    expect(clock.frameTime).toBeCloseTo(0.25 / 60, 9);
+  });
+
+  it("clamps invalid and extreme time scales", () => {
+    const clock = new GameClock();
+    expect(clock.setTimeScale(0)).toBeGreaterThan(0);
+    expect(clock.setTimeScale(100)).toBeLessThanOrEqual(4);
+    expect(clock.setTimeScale("fast")).toBe(1);
+  });
+
+  it("drops long stalls instead of replaying them", () => {
+    const clock = new GameClock();
+    const steps = collectSteps(clock, [5]);
+
+    expect(steps.length).toBeLessThanOrEqual(8);
+    expect(clock.alpha).toBeLessThan(1);
+    expect(collectSteps(clock, [FIXED_TIMESTEP])).toHaveLength(1);
+  });
+
+  it("starts over on reset", () => {
+    const clock = new GameClock();
+    collectSteps(clock, [0.5]);
+    clock.reset();
+
+    expect(clock.now()).toBe(0);
+    expect(clock.frame).toBe(0);
+    expect(clock.alpha).toBe(0);
+  });
+});
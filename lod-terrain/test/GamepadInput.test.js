@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  GAMEPAD_BUTTONS,
+  GamepadInput,
+  applyStickResponse,
+} from "@shared/game/GamepadInput.js";
+
+function createPad({ axes = [0, 0], down = [], values = {} } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, index) => ({
+    pressed: down.includes(index),
+    value: values[index] ?? (down.includes(index) ? 1 : 0),
+  }));
+  return { id: "Test pad", connected: true, axes, buttons };
+}
+
+describe("applyStickResponse", () => {
+  it("ignores the dead zone", () => {
+    expect(applyStickResponse(0.1, 0.15, 1)).toBe(0);
+    expect(applyStickResponse(-0.15, 0.15, 1)).toBe(0);
+  });
+
+  it("maps the remaining travel onto 0..1 and keeps the sign", () => {
+    expect(applyStickResponse(1, 0.15, 1)).toBe(1);
+    expect(applyStickResponse(-1, 0.15, 2)).toBe(-1);
+    expect(applyStickResponse(0.575, 0.15, 1)).toBeCloseTo(0.5, 9);
+  });
+
+  it("bends the response with the curve", () => {
+    expect(applyStickResponse(0.5, 0, 2)).toBeCloseTo(0.25, 9);
+    expect(applyStickResponse(-0.5, 0, 2)).toBeCloseTo(-0.25, 9);
+  });
+
+  it("treats a missing axis as centered", () => {
+    expect(applyStickResponse(NaN, 0.15, 1)).toBe(0);
+  });
+});
+
+describe("GamepadInput", () => {
+  let pads;
+
+  beforeEach(() => {
+    pads = [null];
+    vi.stubGlobal("navigator", { getGamepads: () => pads });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("reads nothing while no gamepad is connected", () => {
+    const gamepad = new GamepadInput().poll();
+
+    expect(gamepad.connected).toBe(false);
+    expect(gamepad.state.steer).toBe(0);
+    expect(gamepad.state.fire).toBe(false);
+  });
+
+  it("maps the stick and triggers onto flight controls", () => {
+    const gamepad = new GamepadInput({ deadZone: 0, curve: 1 });
+    pads = [
+      createPad({
+        axes: [-0.5, 0],
+        values: {
+          [GAMEPAD_BUTTONS.rightTrigger]: 0.8,
+          [GAMEPAD_BUTTONS.leftTrigger]: 0.1,
+        },
+      }),
+    ];
+    gamepad.poll();
+
+    expect(gamepad.connected).toBe(true);
+    expect(gamepad.state.steer).toBeCloseTo(-0.5, 9);
+    expect(gamepad.state.fire).toBe(true);
+    expect(gamepad.state.bomb).toBe(false);
+  });
+
+  it("reports a press only on the poll it went down", () => {
+    const gamepad = new GamepadInput();
+    pads = [createPad({ down: [GAMEPAD_BUTTONS.start] })];
+
+    expect(gamepad.poll().pressed.pause).toBe(true);
+    expect(gamepad.poll().pressed.pause).toBe(false);
+    expect(gamepad.state.pause).toBe(true);
+
+    pads = [createPad()];
+    gamepad.poll();
+    pads = [createPad({ down: [GAMEPAD_BUTTONS.start] })];
+    expect(gamepad.poll().pressed.pause).toBe(true);
+  });
+
+  it("navigates menus with the D-pad or the stick", () => {
+    const gamepad = new GamepadInput();
+    pads = [createPad({ down: [GAMEPAD_BUTTONS.dpadDown] })];
+    expect(gamepad.poll().pressed.down).toBe(true);
+
+    pads = [createPad({ axes: [0, -0.9] })];
+    const { pressed } = gamepad.poll();
+    expect(pressed.up).toBe(true);
+    expect(pressed.down).toBe(false);
+  });
+
+  it("releases everything when the gamepad disconnects", () => {
+    const gamepad = new GamepadInput({ deadZone: 0 });
+    pads = [createPad({ axes: [1, 0], down: [GAMEPAD_BUTTONS.a] })];
+    gamepad.poll();
+    pads = [null];
+    gamepad.poll();
+
+    expect(gamepad.connected).toBe(false);
+    expect(gamepad.state.steer).toBe(0);
+    expect(gamepad.state.afterburner).toBe(false);
+  });
+
+  it("clamps the dead zone and curve", () => {
+    const gamepad = new GamepadInput({ deadZone: 2, curve: -1 });
+
+    expect(gamepad.config.deadZone).toBe(0.9);
+    expect(gamepad.config.curve).toBe(0.5);
+    expect(gamepad.setConfig({ deadZone: 0.2 }).curve).toBe(0.5);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { GroundProximity } from "../src/game/GroundProximity.js";
+
+const STEP = 1 / 60;
+
+// Flat ground at z = 0 under the same probe the CollisionDetector provides
+const flatGround = {
+  probeTerrainAhead(position, velocity) {
+    const clearance = position.z;
+    const timeToImpact =
+      clearance <= 0 ? 0 : velocity.z < 0 ? clearance / -velocity.z : Infinity;
+    return { clearance, minClearance: clearance, timeToImpact };
+  },
+};
+
+function update(proximity, altitude, sinkRate) {
+  return proximity.update(
+    new THREE.Vector3(0, 0, altitude),
+    new THREE.Vector3(0, 200, -sinkRate),
+    STEP
+  );
+}
+
+describe("GroundProximity", () => {
+  it("stays quiet in level flight", () => {
+    expect(update(new GroundProximity(flatGround), 100, 0)).toBeNull();
+  });
+
+  it("warns TERRAIN, then PULL UP as impact gets closer", () => {
+    const proximity = new GroundProximity(flatGround);
+
+    expect(update(proximity, 500, 100)).toBe("terrain");
+    expect(update(proximity, 250, 100)).toBe("pullUp");
+    expect(proximity.timeToImpact).toBeCloseTo(2.5, 6);
+  });
+
+  it("warns when sinking close to the ground", () => {
+    expect(update(new GroundProximity(flatGround), 50, 5)).toBe("terrain");
+  });
+
+  it("holds a warning briefly after the danger clears", () => {
+    const proximity = new GroundProximity(flatGround, { holdTime: 0.5 });
+    update(proximity, 200, 100);
+
+    for (let i = 0; i < 20; i++) {
+      expect(update(proximity, 200, -50)).toBe("pullUp");
+    }
+    for (let i = 0; i < 20; i++) update(proximity, 200, -50);
+    expect(proximity.warning).toBeNull();
+  });
+
+  it("forgets everything on reset", () => {
+    const proximity = new GroundProximity(flatGround);
+    update(proximity, 100, 100);
+    proximity.reset();
+
+    expect(proximity.warning).toBeNull();
+  });
+});
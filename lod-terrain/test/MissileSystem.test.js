@@ -0,0 +1,149 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { FACTIONS, ProjectileSystem } from "@shared/game/ProjectileSystem.js";
+import { MissileSystem } from "@shared/game/MissileSystem.js";
+import { ParticleSystem } from "@shared/game/ParticleSystem.js";
+
+const STEP = 1 / 60;
+const UP = new THREE.Vector3(0, 0, 1);
+const FORWARD = new THREE.Vector3(0, 1, 0);
+const LAUNCH = new THREE.Vector3(0, 0, 500);
+
+function createTarget(x, y, z, velocity = new THREE.Vector3()) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    velocity,
+    health: 100,
+    destroyed: false,
+    flares: 0,
+    takeDamage(damage) {
+      this.health -= damage;
+      this.destroyed = this.health <= 0;
+      return this.destroyed;
+    },
+  };
+}
+
+function createSystems({ enemies = [], settings = {}, particles = null } = {}) {
+  const projectiles = new ProjectileSystem(null, {
+    up: UP,
+    getTerrainHeight: () => 0,
+  });
+  projectiles.setTargets(FACTIONS.enemy, () => enemies);
+  const missiles = new MissileSystem(projectiles, particles, {
+    up: UP,
+    random: () => 0.25,
+    settings,
+  });
+  return { projectiles, missiles };
+}
+
+// Moves the targets, then steps the missiles like Game.fixedUpdate
+function run({ projectiles, missiles }, targets, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    for (const target of targets) {
+      target.position.addScaledVector(target.velocity, STEP);
+    }
+    projectiles.update(STEP);
+    missiles.update(STEP);
+  }
+}
+
+describe("MissileSystem", () => {
+  it("intercepts a crossing target by proportional navigation", () => {
+    const target = createTarget(2000, 4000, 500, new THREE.Vector3(-600, 0, 0));
+    const systems = createSystems({ enemies: [target] });
+
+    const missile = systems.missiles.fire(LAUNCH, FORWARD, {
+      faction: FACTIONS.player,
+      target,
+    });
+    run(systems, [target], 3);
+
+    expect(target.destroyed).toBe(true);
+    expect(missile.active).toBe(false);
+  });
+
+  it("turns no faster than its turn rate", () => {
+    const target = createTarget(3000, 0, 500); // Square off the wing
+    const systems = createSystems({
+      enemies: [target],
+      settings: { maxTurnRate: 2 },
+    });
+
+    const missile = systems.missiles.fire(LAUNCH, FORWARD, { target });
+    run(systems, [target], 0.25);
+
+    const turned = missile.velocity.angleTo(FORWARD);
+    expect(turned).toBeGreaterThan(0.4);
+    expect(turned).toBeLessThanOrEqual(0.5 + 1e-6);
+    expect(missile.velocity.length()).toBeCloseTo(4000, 5);
+  });
+
+  it("flies straight without a target", () => {
+    const systems = createSystems();
+    const missile = systems.missiles.fire(LAUNCH, FORWARD);
+    run(systems, [], 0.5);
+
+    expect(missile.velocity.angleTo(FORWARD)).toBe(0);
+    expect(missile.position.y).toBeCloseTo(2000, 5);
+  });
+
+  it("can be decoyed by the target's flares", () => {
+    const target = createTarget(0, 2000, 500);
+    target.flares = 1;
+    const systems = createSystems({
+      enemies: [target],
+      settings: { flareRange: 2500, decoyChance: 0.5 },
+    });
+
+    const missile = systems.missiles.fire(LAUNCH, FORWARD, { target });
+    run(systems, [target], STEP);
+
+    expect(target.flares).toBe(0);
+    expect(systems.missiles.getStats().flares).toBe(3);
+    expect(missile.target).not.toBe(target);
+    expect(systems.missiles.flares).toContain(missile.target);
+
+    // The flares fall away and burn out, and the missile misses
+    run(systems, [target], 3);
+    expect(systems.missiles.getStats().flares).toBe(0);
+    expect(target.health).toBe(100);
+  });
+
+  it("stops chasing a flare once it burns out and is reused", () => {
+    const first = createTarget(0, 2000, 500);
+    const second = createTarget(0, -5000, 500);
+    first.flares = 1;
+    second.flares = 1;
+    const systems = createSystems({
+      enemies: [first, second],
+      settings: { flareRange: 2500, decoyChance: 0.5, flareLife: 0.1 },
+    });
+
+    const missile = systems.missiles.fire(LAUNCH, FORWARD, { target: first });
+    run(systems, [], STEP);
+    const decoy = missile.target;
+    expect(systems.missiles.flares).toContain(decoy);
+
+    run(systems, [], 0.15);
+    expect(systems.missiles.getStats().flares).toBe(0);
+    expect(missile.active).toBe(true);
+    expect(missile.target).toBeNull();
+
+    // Another enemy's salvo takes the same pooled flares
+    systems.missiles.deployFlares(second);
+    expect(systems.missiles.flares).toContain(decoy);
+    expect(missile.target).toBeNull();
+  });
+
+  it("leaves a smoke trail", () => {
+    const particles = new ParticleSystem(null, { up: UP });
+    const systems = createSystems({ particles });
+
+    systems.missiles.fire(LAUNCH, FORWARD);
+    run(systems, [], 0.1);
+
+    expect(particles.getStats().smoke).toBeGreaterThanOrEqual(3);
+  });
+});
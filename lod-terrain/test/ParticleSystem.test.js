@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { ParticleSystem } from "@shared/game/ParticleSystem.js";
+
+const STEP = 1 / 60;
+const ORIGIN = new THREE.Vector3(0, 0, 100);
+
+function createSystem() {
+  return new ParticleSystem(null, {
+    up: new THREE.Vector3(0, 0, 1),
+    random: () => 0.75,
+  });
+}
+
+function run(system, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    system.update(STEP);
+  }
+}
+
+function instanceColor(mesh, index) {
+  return new THREE.Color().fromArray(mesh.instanceColor.array, index * 3);
+}
+
+describe("ParticleSystem", () => {
+  it("stops emitting when a layer's pool is empty", () => {
+    const system = createSystem();
+    const capacity = system.layers.ring.mesh.instanceMatrix.count;
+
+    for (let i = 0; i < capacity; i++) {
+      expect(system.emit("ring", { position: ORIGIN })).not.toBeNull();
+    }
+    expect(system.emit("ring", { position: ORIGIN })).toBeNull();
+    expect(system.getStats().ring).toBe(capacity);
+
+    system.clear();
+    expect(system.emit("ring", { position: ORIGIN })).not.toBeNull();
+  });
+
+  it("fades additive particles and returns them when they expire", () => {
+    const system = createSystem();
+    const { mesh } = system.layers.glow;
+    system.emit("glow", { position: ORIGIN, color: 0xffffff, life: 1 });
+
+    run(system, 0.5);
+    expect(mesh.count).toBe(1);
+    expect(instanceColor(mesh, 0).r).toBeCloseTo(0.5, 1);
+
+    run(system, 0.6);
+    expect(mesh.count).toBe(0);
+    expect(system.getStats().glow).toBe(0);
+  });
+
+  it("shrinks opaque debris and pulls it down", () => {
+    const system = createSystem();
+    const { mesh } = system.layers.debris;
+    const debris = system.emit("debris", {
+      position: ORIGIN,
+      size: 10,
+      gravity: 600,
+      life: 2,
+    });
+
+    run(system, 1);
+
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(0, matrix);
+    const scale = new THREE.Vector3().setFromMatrixScale(matrix);
+    expect(scale.x).toBeCloseTo(5, 1);
+    expect(debris.velocity.z).toBeCloseTo(-600, 5);
+    expect(debris.position.z).toBeLessThan(ORIGIN.z);
+  });
+
+  it("holds delayed particles back until they start", () => {
+    const system = createSystem();
+    const { mesh } = system.layers.ring;
+    system.emit("ring", { position: ORIGIN, delay: 0.1, life: 1 });
+
+    run(system, 0.05);
+    expect(mesh.count).toBe(0);
+
+    run(system, 0.1);
+    expect(mesh.count).toBe(1);
+  });
+
+  it("draws a whole death explosion in one call per layer", () => {
+    const system = createSystem();
+    system.spawnDeathExplosion(ORIGIN);
+    system.spawnExplosion(ORIGIN);
+    system.spawnHit(ORIGIN);
+    system.update(STEP);
+
+    expect(system.getStats()).toEqual({
+      glow: 62,
+      ring: 8,
+      debris: 30,
+      smoke: 0,
+    });
+    expect(system.layers.glow.mesh.count).toBe(62);
+    expect(system.layers.ring.mesh.count).toBe(6); // Two rings still delayed
+    expect(system.layers.debris.mesh.count).toBe(30);
+  });
+});
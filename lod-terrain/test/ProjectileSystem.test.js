@@ -0,0 +1,219 @@
+import { describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import { FACTIONS, ProjectileSystem } from "@shared/game/ProjectileSystem.js";
+
+const STEP = 1 / 60;
+const FORWARD = new THREE.Vector3(0, 1, 0);
+
+function createTarget(x, y, z, health = 100) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    health,
+    destroyed: false,
+    takeDamage(damage) {
+      this.health -= damage;
+      this.destroyed = this.health <= 0;
+      return this.destroyed;
+    },
+  };
+}
+
+// Flat ground at z = 0 unless a height function is given
+function createSystem({ ground = () => 0, enemies = [], players = [] } = {}) {
+  const system = new ProjectileSystem(null, {
+    up: new THREE.Vector3(0, 0, 1),
+    getTerrainHeight: ground,
+  });
+  system.setTargets(FACTIONS.enemy, () => enemies);
+  system.setTargets(FACTIONS.player, () => players);
+  return system;
+}
+
+function run(system, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    system.update(STEP);
+  }
+}
+
+describe("ProjectileSystem", () => {
+  it("pools projectiles up to the type's capacity", () => {
+    const system = createSystem();
+    system.registerType("laser", { capacity: 2 });
+    const origin = new THREE.Vector3(0, 0, 100);
+
+    const first = system.spawn("laser", origin, FORWARD);
+    expect(system.spawn("laser", origin, FORWARD)).not.toBeNull();
+    expect(system.spawn("laser", origin, FORWARD)).toBeNull();
+
+    system.release(first);
+    expect(system.spawn("laser", origin, FORWARD)).toBe(first);
+    expect(system.getStats().types.laser).toEqual({ active: 2, capacity: 2 });
+  });
+
+  it("hits a target it would pass through within a single step", () => {
+    const enemy = createTarget(0, 100, 100);
+    const onHit = vi.fn();
+    const system = createSystem({ enemies: [enemy] });
+    system.registerType("laser", { speed: 12000, radius: 5, damage: 30, onHit });
+
+    system.spawn("laser", new THREE.Vector3(0, 0, 100), FORWARD, {
+      faction: FACTIONS.player,
+    });
+    system.update(STEP); // 200 units per step, the enemy is 100 ahead
+
+    expect(enemy.health).toBe(70);
+    expect(onHit).toHaveBeenCalledOnce();
+    expect(onHit.mock.calls[0][2].y).toBeCloseTo(95, 5);
+    expect(system.getActive()).toHaveLength(0);
+  });
+
+  it("ignores its own faction and its owner", () => {
+    const owner = createTarget(0, 0, 100);
+    const wingman = createTarget(0, 100, 100);
+    const enemy = createTarget(0, 300, 100);
+    const system = createSystem({ players: [owner, wingman], enemies: [enemy] });
+    system.registerType("laser", { speed: 6000, radius: 20, damage: 10 });
+
+    system.spawn("laser", owner.position, FORWARD, {
+      owner,
+      faction: FACTIONS.player,
+    });
+    run(system, 0.2);
+
+    expect(owner.health).toBe(100);
+    expect(wingman.health).toBe(100);
+    expect(enemy.health).toBe(90);
+  });
+
+  it("ricochets off the terrain until its bounces run out", () => {
+    const onRicochet = vi.fn();
+    const onTerrainHit = vi.fn();
+    const system = createSystem();
+    system.registerType("laser", {
+      maxBounces: 2,
+      restitution: 0.5,
+      life: 10,
+      onRicochet,
+      onTerrainHit,
+    });
+
+    const laser = system.spawn(
+      "laser",
+      new THREE.Vector3(0, 0, 20),
+      new THREE.Vector3(0, 1, -1),
+      { speed: 1000 }
+    );
+    run(system, 0.1);
+
+    expect(onRicochet).toHaveBeenCalledOnce();
+    expect(laser.bounces).toBe(1);
+    expect(laser.velocity.z).toBeGreaterThan(0);
+    expect(laser.velocity.length()).toBeCloseTo(500, 5);
+
+    // Send it back down twice more: one more bounce, then it is spent
+    laser.velocity.set(0, 0, -1000);
+    run(system, 0.2);
+    laser.velocity.set(0, 0, -1000);
+    run(system, 0.2);
+
+    expect(onRicochet).toHaveBeenCalledTimes(2);
+    expect(onTerrainHit).toHaveBeenCalledOnce();
+    expect(laser.active).toBe(false);
+  });
+
+  it("lets the ricochet hook reshape the bounce", () => {
+    const system = createSystem();
+    system.registerType("laser", {
+      maxBounces: 1,
+      onRicochet: (projectile) => projectile.velocity.set(0, 0, 100),
+    });
+
+    const laser = system.spawn(
+      "laser",
+      new THREE.Vector3(0, 0, 10),
+      new THREE.Vector3(0, 1, -1)
+    );
+    run(system, 0.05);
+
+    expect(laser.velocity.toArray()).toEqual([0, 0, 100]);
+    expect(laser.position.z).toBeGreaterThan(0);
+  });
+
+  it("sweeps uneven terrain between samples", () => {
+    // A ridge the projectile would step over at one sample per step
+    const ridge = (position) => (Math.abs(position.y - 100) < 15 ? 150 : 0);
+    const system = createSystem({ ground: ridge });
+    system.registerType("shell", {});
+
+    const shell = system.spawn("shell", new THREE.Vector3(0, 0, 100), FORWARD, {
+      speed: 12000,
+    });
+    system.update(STEP);
+
+    expect(shell.active).toBe(false);
+  });
+
+  it("splashes every hostile target in range when the fuse runs out", () => {
+    const near = createTarget(0, 600, 120);
+    const far = createTarget(0, 1200, 100);
+    const ally = createTarget(0, 600, 100);
+    const onSplash = vi.fn();
+    const system = createSystem({ enemies: [near, far], players: [ally] });
+    system.registerType("bomb", {
+      speed: 1200,
+      life: 0.5,
+      radius: 1,
+      damage: 0,
+      splashRadius: 300,
+      splashDamage: 9999,
+      detonateOnExpire: true,
+      onSplash,
+    });
+
+    system.spawn("bomb", new THREE.Vector3(-50, 0, 100), FORWARD, {
+      faction: FACTIONS.player,
+    });
+    run(system, 0.6);
+
+    expect(near.destroyed).toBe(true);
+    expect(far.destroyed).toBe(false);
+    expect(ally.health).toBe(100);
+    expect(onSplash).toHaveBeenCalledOnce();
+    expect(onSplash.mock.calls[0][2]).toEqual([
+      { target: near, destroyed: true },
+    ]);
+  });
+
+  it("releases what a destroyed shooter still has in flight", () => {
+    const shooter = {};
+    const system = createSystem();
+    system.registerType("laser", {});
+    const origin = new THREE.Vector3(0, 0, 100);
+
+    system.spawn("laser", origin, FORWARD, { owner: shooter });
+    system.spawn("laser", origin, FORWARD, { owner: shooter });
+    const other = system.spawn("laser", origin, FORWARD);
+    system.releaseOwnedBy(shooter);
+
+    expect(system.getActive()).toEqual([other]);
+  });
+
+  it("draws active projectiles as instances between steps", () => {
+    const system = createSystem();
+    const type = system.registerType("laser", { speed: 600 });
+
+    system.spawn("laser", new THREE.Vector3(0, 0, 100), FORWARD);
+    system.spawn("laser", new THREE.Vector3(10, 0, 100), FORWARD);
+    system.update(STEP);
+    system.interpolate(0.5);
+
+    expect(type.core.count).toBe(2);
+    expect(type.glow.count).toBe(2);
+    const matrix = new THREE.Matrix4();
+    type.core.getMatrixAt(0, matrix);
+    expect(new THREE.Vector3().setFromMatrixPosition(matrix).y).toBeCloseTo(
+      5,
+      5
+    );
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, expect, it } from "vitest";
+import {
+  InputPlayback,
+  InputRecorder,
+  compareReplayFinalState,
+  createEmptyInputFrame,
+  parseReplay,
+  serializeReplay,
+} from "../src/game/Replay.js";
+import { gameRandom, seedGameRandom } from "../src/game/GameRandom.js";
+
+const header = {
+  step: 1 / 60,
+  randomSeed: 1234,
+  world: { seed: 42, environmentIndex: 2, heightmap: null },
+};
+
+function frame(overrides = {}) {
+  return { ...createEmptyInputFrame(), ...overrides };
+}
+
+function recordFrames(frames, finalState = null) {
+  const recorder = new InputRecorder(header);
+  frames.forEach((input) => recorder.record(input));
+  return recorder.finish(finalState);
+}
+
+function playAll(recording) {
+  const playback = new InputPlayback(recording);
+  const frames = [];
+  let input;
+  while ((input = playback.next())) {
+    frames.push({ ...input });
+  }
+  return frames;
+}
+
+describe("InputRecorder", () => {
+  it("stores only the ticks where input changes", () => {
+    const frames = [
+      frame(),
+      frame(),
+      frame({ left: true }),
+      frame({ left: true }),
+      frame({ left: true, fire: true }),
+      frame({ touchSteer: 0.4 }),
+    ];
+    const recording = recordFrames(frames);
+
+    expect(recording.ticks).toBe(6);
+    expect(recording.inputs).toEqual([
+      [0, 0, 0, 0, 0],
+      [2, 1, 0, 0, 0],
+      [4, 5, 0, 0, 0],
+      [5, 0, 0.4, 0, 0],
+    ]);
+  });
+
+  it("plays back exactly the frames that were recorded", () => {
+    const frames = [
+      frame({ afterburner: true }),
+      frame({ afterburner: true, right: true }),
+      frame({ bomb: true }),
+      frame({ touchSteer: -0.6 }),
+      frame({ touchSteer: -0.6 }),
+      frame({ stickSteer: 0.25 }),
+      frame({ stickSteer: -1 }),
+      frame({ pitchUp: true, throttleDown: true }),
+      frame({ yawLeft: true, stickPitch: -0.5 }),
+      frame({ assistOff: true, terrainFollowing: true }),
+      frame(),
+    ];
+
+    expect(playAll(recordFrames(frames))).toEqual(frames);
+  });
+
+  it("survives a JSON round trip", () => {
+    const frames = [frame({ fire: true }), frame(), frame({ left: true })];
+    const recording = recordFrames(frames, { position: [1, 2, 3], health: 80 });
+    const imported = parseReplay(serializeReplay(recording));
+
+    expect(imported).toEqual(recording);
+    expect(playAll(imported)).toEqual(frames);
+  });
+});
+
+describe("InputPlayback", () => {
+  it("reads entries without stick values as centered", () => {
+    const recording = { ...recordFrames([frame(), frame()]), inputs: [[0, 2, 0]] };
+    const [first] = playAll(parseReplay(recording));
+
+    expect(first).toEqual(frame({ right: true }));
+  });
+
+  it("is done after the recorded tick count", () => {
+    const playback = new InputPlayback(recordFrames([frame(), frame()]));
+
+    expect(playback.next()).not.toBeNull();
+    expect(playback.done).toBe(false);
+    expect(playback.next()).not.toBeNull();
+    expect(playback.done).toBe(true);
+    expect(playback.next()).toBeNull();
+  });
+});
+
+describe("parseReplay", () => {
+  const valid = () => recordFrames([frame(), frame({ left: true })]);
+
+  it("rejects files that are not replays", () => {
+    expect(() => parseReplay("{}")).toThrow(/Not a VibeJet replay/);
+    expect(() => parseReplay("not json")).toThrow();
+  });
+
+  it("rejects other versions", () => {
+    expect(() => parseReplay({ ...valid(), version: 99 })).toThrow(/version/);
+  });
+
+  it("rejects a malformed input stream", () => {
+    expect(() => parseReplay({ ...valid(), inputs: [[1, 0, 0], [1, 1, 0]] }))
+      .toThrow(/malformed/);
+    expect(() => parseReplay({ ...valid(), inputs: [[0, "left", 0]] }))
+      .toThrow(/malformed/);
+  });
+
+  it("requires the world and random seed", () => {
+    expect(() => parseReplay({ ...valid(), world: undefined })).toThrow(/world/);
+    expect(() => parseReplay({ ...valid(), randomSeed: 0.5 })).toThrow(/seed/);
+  });
+});
+
+describe("compareReplayFinalState", () => {
+  it("matches identical final states and reports divergence", () => {
+    const expected = { position: [0, 100, 50], health: 100 };
+
+    expect(compareReplayFinalState(expected, { ...expected }).matched).toBe(true);
+
+    const drifted = compareReplayFinalState(expected, {
+      position: [3, 104, 50],
+      health: 100,
+    });
+    expect(drifted.matched).toBe(false);
+    expect(drifted.distance).toBeCloseTo(5, 9);
+  });
+
+  it("cannot compare without both states", () => {
+    expect(compareReplayFinalState(null, { position: [0, 0, 0] }).matched).toBeNull();
+  });
+});
+
+describe("gameRandom", () => {
+  it("repeats its sequence for the same seed", () => {
+    seedGameRandom(99);
+    const first = Array.from({ length: 5 }, gameRandom);
+    seedGameRandom(99);
+    const second = Array.from({ length: 5 }, gameRandom);
+    seedGameRandom(100);
+    const other = Array.from({ length: 5 }, gameRandom);
+
+    expect(second).toEqual(first);
+    expect(other).not.toEqual(first);
+    first.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { TargetLock } from "@shared/game/TargetLock.js";
+
+const STEP = 1 / 60;
+const ORIGIN = new THREE.Vector3(0, 0, 100);
+const FORWARD = new THREE.Vector3(0, 1, 0);
+
+function createEnemy(x, y, z = 100) {
+  return { position: new THREE.Vector3(x, y, z), destroyed: false };
+}
+
+function hold(lock, enemies, seconds, held = true) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    lock.update(STEP, ORIGIN, FORWARD, enemies, held);
+  }
+}
+
+describe("TargetLock", () => {
+  it("selects the candidate closest to the nose", () => {
+    const offAxis = createEnemy(1500, 3000);
+    const ahead = createEnemy(100, 5000);
+    const behind = createEnemy(0, -2000);
+    const outOfRange = createEnemy(0, 40000);
+    const wreck = createEnemy(0, 1000);
+    wreck.destroyed = true;
+    const lock = new TargetLock();
+
+    hold(lock, [offAxis, behind, outOfRange, wreck, ahead], STEP);
+
+    expect(lock.candidates).toEqual([ahead, offAxis]);
+    expect(lock.target).toBe(ahead);
+  });
+
+  it("locks after the lock time and keeps the lock once released", () => {
+    const enemy = createEnemy(0, 3000);
+    const lock = new TargetLock({ lockTime: 0.5 });
+
+    hold(lock, [enemy], 0.25);
+    expect(lock.isLocked()).toBe(false);
+    expect(lock.getLockedTarget()).toBeNull();
+
+    hold(lock, [enemy], 0.5, false);
+    expect(lock.getLockedTarget()).toBe(enemy);
+  });
+
+  it("cycles through targets while held", () => {
+    const first = createEnemy(0, 3000);
+    const second = createEnemy(800, 3000);
+    const lock = new TargetLock({ cycleInterval: 0.75 });
+
+    hold(lock, [first, second], 0.5);
+    expect(lock.target).toBe(first);
+
+    hold(lock, [first, second], 0.5);
+    expect(lock.target).toBe(second);
+    expect(lock.isLocked()).toBe(false); // The new target starts over
+
+    hold(lock, [first, second], 0.1, false);
+    hold(lock, [first, second], STEP); // A fresh press cycles at once
+    expect(lock.target).toBe(first);
+  });
+
+  it("drops a target that leaves the cone or is destroyed", () => {
+    const enemy = createEnemy(0, 3000);
+    const lock = new TargetLock();
+    hold(lock, [enemy], 1);
+    expect(lock.isLocked()).toBe(true);
+
+    enemy.position.set(3000, 0, 100);
+    hold(lock, [enemy], STEP, false);
+    expect(lock.target).toBeNull();
+
+    enemy.position.set(0, 3000, 100);
+    hold(lock, [enemy], STEP);
+    enemy.destroyed = true;
+    hold(lock, [enemy], STEP, false);
+    expect(lock.target).toBeNull();
+  });
+});
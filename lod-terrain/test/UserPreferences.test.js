@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// In-memory localStorage; installed before the module creates its shared instance
+const createStorage = vi.hoisted(() => {
+  const createStorage = () => {
+    const values = new Map();
+    return {
+      getItem: (key) => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: (key) => values.delete(key),
+      clear: () => values.clear(),
+    };
+  };
+  globalThis.localStorage = createStorage();
+  return createStorage;
+});
+
+const { UserPreferences } = await import("@shared/utils/UserPreferences.js");
+
+describe("UserPreferences import/export", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", createStorage());
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("round-trips every preference through export() and import()", () => {
+    const source = new UserPreferences();
+    source.setMusicEnabled(false);
+    source.setSfxVolume(0.25);
+    source.setLastPlayedMap("mars");
+    source.setControlsLayout("inverted");
+
+    localStorage.clear();
+    const target = new UserPreferences();
+    expect(target.import(source.export())).toBe(true);
+
+    expect(target.getAll()).toEqual(source.getAll());
+    expect(target.isMusicEnabled()).toBe(false);
+    expect(target.getSfxVolume()).toBe(0.25);
+    expect(target.getLastPlayedMap()).toBe("mars");
+    expect(target.getControlsLayout()).toBe("inverted");
+  });
+
+  it("exports pretty-printed JSON of the current preferences", () => {
+    const preferences = new UserPreferences();
+    const exported = preferences.export();
+
+    expect(JSON.parse(exported)).toEqual(preferences.getAll());
+    expect(exported).toContain("\n  ");
+  });
+
+  it("persists imported preferences for the next session", () => {
+    const preferences = new UserPreferences();
+    preferences.import(JSON.stringify({ musicVolume: 0.1, sfxEnabled: false }));
+
+    const reloaded = new UserPreferences();
+    expect(reloaded.getMusicVolume()).toBe(0.1);
+    expect(reloaded.isSfxEnabled()).toBe(false);
+  });
+
+  it("fills keys missing from a backup with defaults", () => {
+    const preferences = new UserPreferences();
+    preferences.setMusicVolume(0.2);
+    preferences.import(JSON.stringify({ lastPlayedMap: "mars" }));
+
+    expect(preferences.getAll()).toEqual({
+      ...preferences.defaults,
+      lastPlayedMap: "mars",
+    });
+  });
+
+  it("rejects malformed JSON and keeps the current preferences", () => {
+    const preferences = new UserPreferences();
+    preferences.setMusicVolume(0.3);
+    const before = preferences.getAll();
+
+    expect(preferences.import("{ not json")).toBe(false);
+    expect(preferences.getAll()).toEqual(before);
+    expect(new UserPreferences().getMusicVolume()).toBe(0.3);
+  });
+});
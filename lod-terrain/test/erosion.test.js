@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_EROSION,
+  MAX_EROSION_ITERATIONS,
+  erodeHeightField,
+  normalizeErosion,
+} from "../src/erosion.js";
+
+const WIDTH = 32;
+const SETTINGS = { iterations: 4, rain: 1, talusAngle: 30 };
+
+// Rolling hills with a ridge, 0..1 like the normalized noise field
+function createHills() {
+  const heights = new Float32Array(WIDTH * WIDTH);
+  for (let y = 0; y < WIDTH; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      heights[y * WIDTH + x] =
+        0.5 +
+        0.3 * Math.sin(x * 0.4) * Math.cos(y * 0.3) +
+        0.15 * Math.max(0, 1 - Math.abs(x - y) / 4);
+    }
+  }
+  return heights;
+}
+
+const sum = (heights) => heights.reduce((total, h) => total + h, 0);
+
+describe("erodeHeightField", () => {
+  it("gives identical heights for the same seed", () => {
+    const first = erodeHeightField(createHills(), WIDTH, SETTINGS, 42);
+    const second = erodeHeightField(createHills(), WIDTH, SETTINGS, 42);
+    expect(second).toEqual(first);
+    expect(first).not.toEqual(createHills());
+  });
+
+  it("gives different heights for a different seed", () => {
+    const first = erodeHeightField(createHills(), WIDTH, SETTINGS, 42);
+    const second = erodeHeightField(createHills(), WIDTH, SETTINGS, 43);
+    expect(second).not.toEqual(first);
+  });
+
+  it("slumps steep slopes without creating or losing material", () => {
+    const hills = createHills();
+    const slumped = erodeHeightField(
+      createHills(),
+      WIDTH,
+      { ...SETTINGS, rain: 0 },
+      42
+    );
+
+    expect(slumped).not.toEqual(hills);
+    expect(sum(slumped) / sum(hills)).toBeCloseTo(1, 5);
+  });
+
+  it("roughly conserves material and stays within the original heights", () => {
+    const hills = createHills();
+    const eroded = erodeHeightField(createHills(), WIDTH, SETTINGS, 42);
+
+    // Droplets take the sediment they still carry when they run off the edge
+    // or their lifetime ends, so a little material leaves
+    const ratio = sum(eroded) / sum(hills);
+    expect(ratio).toBeLessThanOrEqual(1 + 1e-6);
+    expect(ratio).toBeGreaterThan(0.85);
+
+    expect(Math.min(...eroded)).toBeGreaterThanOrEqual(Math.min(...hills));
+    expect(Math.max(...eroded)).toBeLessThanOrEqual(Math.max(...hills));
+  });
+});
+
+describe("normalizeErosion", () => {
+  it("clamps settings and fills in defaults", () => {
+    expect(
+      normalizeErosion({ iterations: 99.4, rain: -1, talusAngle: NaN })
+    ).toEqual({
+      iterations: MAX_EROSION_ITERATIONS,
+      rain: 0,
+      talusAngle: DEFAULT_EROSION.talusAngle,
+    });
+    expect(normalizeErosion()).toEqual(DEFAULT_EROSION);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import {
+  HeightPageCache,
+  MAX_PAGES_PER_SIDE,
+  pageWindowFor,
+} from "../src/heightpages.js";
+
+const SEED = 1234;
+
+function createCache(options = {}) {
+  return new HeightPageCache({
+    seed: SEED,
+    pageSize: 8,
+    pagesPerSide: 8,
+    syncRadius: 1,
+    ...options,
+  });
+}
+
+describe("HeightPageCache", () => {
+  it("makes pages near the centre resident at once and streams the rest", () => {
+    const cache = createCache();
+    const written = cache.update(4, 4, 2);
+
+    expect(written.length).toBe(9 + 2);
+    for (let y = -1; y <= 1; y++) {
+      for (let x = -1; x <= 1; x++) {
+        expect(cache.isResident(x, y)).toBe(true);
+      }
+    }
+    expect(cache.pending.length).toBe(64 - written.length);
+
+    cache.update(4, 4, Infinity);
+    expect(cache.pending.length).toBe(0);
+  });
+
+  it("reuses the slot of the page leaving the window", () => {
+    const cache = createCache();
+    cache.update(0, 0, Infinity);
+    expect(cache.slotOf(-4, 0)).toBe(cache.slotOf(4, 0));
+
+    cache.update(8, 0, Infinity);
+    expect(cache.isResident(4, 0)).toBe(true);
+    expect(cache.isResident(-4, 0)).toBe(false);
+  });
+
+  it("returns the same heights whether or not a page is resident", () => {
+    const cache = createCache();
+    const points = [
+      [3, 5],
+      [-17, 2],
+      [40, -33],
+    ];
+    const direct = points.map(([x, y]) => cache.heightAt(x, y));
+
+    points.forEach(([x, y], i) => {
+      cache.update(x, y, 0);
+      expect(cache.isResident(Math.floor(x / 8), Math.floor(y / 8))).toBe(true);
+      expect(cache.heightAt(x, y)).toBe(direct[i]);
+    });
+  });
+
+  it("does not repeat or mirror across the page texture", () => {
+    const cache = createCache();
+    const size = cache.size;
+    const samples = [];
+    for (let i = 0; i < 16; i++) {
+      samples.push(
+        cache.heightAt(i, 3) === cache.heightAt(i + size, 3) &&
+          cache.heightAt(i, 3) === cache.heightAt(-1 - i, 3)
+      );
+    }
+    expect(samples.every(Boolean)).toBe(false);
+  });
+
+  it("bounds resident texels and widens to 0..1 over missing pages", () => {
+    const cache = createCache();
+    cache.update(0, 0, 0);
+
+    const range = cache.range(-8, -8, 15, 15);
+    for (let y = -8; y <= 15; y++) {
+      for (let x = -8; x <= 15; x++) {
+        expect(cache.heightAt(x, y)).toBeGreaterThanOrEqual(range.min);
+        expect(cache.heightAt(x, y)).toBeLessThanOrEqual(range.max);
+      }
+    }
+    expect(range.max - range.min).toBeLessThan(1);
+
+    expect(cache.range(0, 0, 40, 0)).toEqual({ min: 0, max: 1 });
+  });
+
+  it("strides over noise texels without changing their heights", () => {
+    const cache = createCache();
+    const strided = createCache({ texelStride: 4 });
+    for (const [x, y] of [
+      [3, 5],
+      [-17, 2],
+    ]) {
+      expect(strided.heightAt(x, y)).toBe(cache.heightAt(x * 4, y * 4));
+    }
+  });
+});
+
+describe("pageWindowFor", () => {
+  it("spans the extent with a page of margin either side", () => {
+    expect(pageWindowFor(2048)).toEqual({ pagesPerSide: 34, texelStride: 1 });
+    expect(pageWindowFor(100)).toEqual({ pagesPerSide: 8, texelStride: 1 });
+  });
+
+  it("strides texels once the window would pass its cap", () => {
+    const { pagesPerSide, texelStride } = pageWindowFor(32768);
+    expect(pagesPerSide).toBeLessThanOrEqual(MAX_PAGES_PER_SIDE);
+    expect(texelStride).toBe(16);
+    expect(pagesPerSide * 64 * texelStride).toBeGreaterThanOrEqual(32768);
+  });
+});
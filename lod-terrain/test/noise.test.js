@@ -0,0 +1,435 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import {
+  noise,
+  heightSourceUniforms,
+  sampleHeight,
+  sampleHeightGradient,
+  sampleNormal,
+  sampleHeightRange,
+  getHeightFieldVersion,
+  getHeightRangeVersion,
+  getNoiseWidth,
+  setNoiseWidth,
+  getNoiseSmoothing,
+  setNoiseSmoothing,
+  setNoiseSeed,
+  setNoiseWorldScale,
+  setWorldStreamed,
+  updateStreamedWorld,
+  isWorldStreamed,
+  DEFAULT_NOISE_WIDTH,
+  DEFAULT_NOISE_WORLD_SCALE,
+  MAX_NOISE_WORLD_SCALE,
+  DEFAULT_NOISE_SMOOTHING,
+  MIN_NOISE_WIDTH,
+  MAX_NOISE_WIDTH,
+  loadHeightmap,
+  clearHeightmap,
+  getHeightmapInfo,
+  getHeightPrecision,
+  setFloatHeightFiltering,
+} from "../src/noise.js";
+
+const SEED = 1234;
+const SAMPLE_POINTS = [
+  [0, 0],
+  [137.25, -412.5],
+  [-2500.1, 1800.7],
+  [6000.3, 6000.9],
+];
+
+// Independent LinearFilter + MirroredRepeatWrapping lookup on the uint8 texture,
+// summed and squared like getHeight() in terrain.vert
+function referenceHeight(x, y) {
+  const { data, width, height } = noise.image;
+  const mirror = (index, count) => {
+    const period = count * 2;
+    const wrapped = ((index % period) + period) % period;
+    return wrapped < count ? wrapped : period - 1 - wrapped;
+  };
+  const texel = (s, t) => {
+    const u = s * width - 0.5;
+    const v = t * height - 0.5;
+    const x0 = Math.floor(u);
+    const y0 = Math.floor(v);
+    const at = (ix, iy) =>
+      data[mirror(iy, height) * width + mirror(ix, width)] / 255;
+    const top = THREE.MathUtils.lerp(at(x0, y0), at(x0 + 1, y0), u - x0);
+    const bottom = THREE.MathUtils.lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), u - x0);
+    return THREE.MathUtils.lerp(top, bottom, v - y0);
+  };
+
+  const st = [x / 1024, y / 1024];
+  const h =
+    1024 * texel(st[0], st[1]) +
+    64 * texel(st[0] * 16, st[1] * 16) +
+    4 * texel(st[0] * 256, st[1] * 256);
+  return (h * h) / 2000;
+}
+
+// Mean absolute difference between horizontal texel neighbours
+function roughness() {
+  const { data, width } = noise.image;
+  let total = 0;
+  for (let row = 0; row < width; row++) {
+    for (let column = 1; column < width; column++) {
+      total += Math.abs(data[row * width + column] - data[row * width + column - 1]);
+    }
+  }
+  return total / (width * (width - 1));
+}
+
+describe("noise height field", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    setNoiseSeed(SEED);
+    setNoiseWidth(DEFAULT_NOISE_WIDTH);
+    setNoiseSmoothing(DEFAULT_NOISE_SMOOTHING);
+    setWorldStreamed(false);
+    setNoiseWorldScale(DEFAULT_NOISE_WORLD_SCALE);
+  });
+
+  describe("sampleHeight", () => {
+    it("matches the shader's bilinear, mirrored, squared octave sum", () => {
+      for (const [x, y] of SAMPLE_POINTS) {
+        expect(sampleHeight(x, y)).toBeCloseTo(referenceHeight(x, y), 3);
+      }
+    });
+
+    it("is finite and non-negative", () => {
+      for (const [x, y] of SAMPLE_POINTS) {
+        const height = sampleHeight(x, y);
+        expect(Number.isFinite(height)).toBe(true);
+        expect(height).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    it("is symmetric about the origin like MirroredRepeatWrapping", () => {
+      for (const [x, y] of SAMPLE_POINTS) {
+        expect(sampleHeight(-x, y)).toBeCloseTo(sampleHeight(x, y), 6);
+        expect(sampleHeight(x, -y)).toBeCloseTo(sampleHeight(x, y), 6);
+      }
+    });
+
+    it("regenerates identical heights for the same seed", () => {
+      const before = SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y));
+      setNoiseSeed(SEED + 1);
+      const other = SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y));
+      setNoiseSeed(SEED);
+      const after = SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y));
+
+      expect(after).toEqual(before);
+      expect(other).not.toEqual(before);
+    });
+
+    it("has a gradient and normal consistent with finite differences", () => {
+      const eps = 1e-3;
+      const gradient = new THREE.Vector2();
+      const normal = new THREE.Vector3();
+      for (const [x, y] of SAMPLE_POINTS) {
+        sampleHeightGradient(x, y, gradient);
+        const dx = (sampleHeight(x + eps, y) - sampleHeight(x - eps, y)) / (2 * eps);
+        const dy = (sampleHeight(x, y + eps) - sampleHeight(x, y - eps)) / (2 * eps);
+        expect(gradient.x).toBeCloseTo(dx, 3);
+        expect(gradient.y).toBeCloseTo(dy, 3);
+
+        sampleNormal(x, y, normal);
+        expect(normal.length()).toBeCloseTo(1, 6);
+        expect(normal.z).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  describe("sampleHeightRange", () => {
+    // Dense sampling over the rectangle must stay inside the range
+    function expectRangeCovers(minX, minY, maxX, maxY) {
+      const range = sampleHeightRange(minX, minY, maxX, maxY);
+      const steps = 24;
+      for (let i = 0; i <= steps; i++) {
+        for (let j = 0; j <= steps; j++) {
+          const height = sampleHeight(
+            THREE.MathUtils.lerp(minX, maxX, i / steps),
+            THREE.MathUtils.lerp(minY, maxY, j / steps)
+          );
+          expect(height).toBeGreaterThanOrEqual(range.min - 1e-6);
+          expect(height).toBeLessThanOrEqual(range.max + 1e-6);
+        }
+      }
+      return range;
+    }
+
+    it("bounds every height inside small and large regions", () => {
+      expectRangeCovers(10, 20, 42, 52);
+      expectRangeCovers(-300, 800, 200, 1300); // Across a mirror seam
+      expectRangeCovers(-4096, -4096, 4096, 4096);
+    });
+
+    it("is tighter over a small region than over the whole field", () => {
+      const small = sampleHeightRange(100, 100, 116, 116);
+      const large = sampleHeightRange(-4096, -4096, 4096, 4096);
+      expect(small.min).toBeGreaterThanOrEqual(large.min);
+      expect(small.max).toBeLessThanOrEqual(large.max);
+      expect(small.max - small.min).toBeLessThan(large.max - large.min);
+    });
+
+    it("follows rebuilds of the height field", () => {
+      const version = getHeightFieldVersion();
+      setNoiseSeed(SEED + 1);
+      expect(getHeightFieldVersion()).not.toBe(version);
+      expectRangeCovers(-500, -500, 500, 500);
+    });
+  });
+
+  describe("setNoiseWidth", () => {
+    it("rounds up to a power of two within the supported range", () => {
+      expect(setNoiseWidth(100)).toBe(128);
+      expect(getNoiseWidth()).toBe(128);
+      expect(setNoiseWidth(1)).toBe(MIN_NOISE_WIDTH);
+      expect(setNoiseWidth(1e6)).toBe(MAX_NOISE_WIDTH);
+    });
+
+    it("resizes the noise texture and its backing data", () => {
+      setNoiseWidth(128);
+      expect(noise.image.width).toBe(128);
+      expect(noise.image.height).toBe(128);
+      expect(noise.image.data.length).toBe(128 * 128);
+      expect(sampleHeight(10, 20)).toBeCloseTo(referenceHeight(10, 20), 3);
+    });
+
+    it("does not rebuild when the width is unchanged", () => {
+      const data = noise.image.data;
+      expect(setNoiseWidth(DEFAULT_NOISE_WIDTH)).toBe(DEFAULT_NOISE_WIDTH);
+      expect(noise.image.data).toBe(data);
+    });
+  });
+
+  describe("setNoiseSmoothing", () => {
+    it("clamps strength to 0..1", () => {
+      setNoiseSmoothing(-1);
+      expect(getNoiseSmoothing()).toBe(0);
+      setNoiseSmoothing(2);
+      expect(getNoiseSmoothing()).toBe(1);
+    });
+
+    it("makes the field smoother as strength increases", () => {
+      setNoiseSmoothing(0);
+      const rough = roughness();
+      setNoiseSmoothing(0.5);
+      const smoother = roughness();
+      setNoiseSmoothing(1);
+      const smoothest = roughness();
+
+      expect(smoother).toBeLessThan(rough);
+      expect(smoothest).toBeLessThan(smoother);
+    });
+
+    it("keeps sampleHeight in sync with the rebuilt texture", () => {
+      setNoiseSmoothing(0.8);
+      for (const [x, y] of SAMPLE_POINTS) {
+        expect(sampleHeight(x, y)).toBeCloseTo(referenceHeight(x, y), 3);
+      }
+    });
+
+    it("ignores changes below the rebuild threshold", () => {
+      const data = noise.image.data;
+      setNoiseSmoothing(DEFAULT_NOISE_SMOOTHING + 1e-6);
+      expect(noise.image.data).toBe(data);
+    });
+  });
+
+  describe("setNoiseWorldScale", () => {
+    it("stretches the same field across more units", () => {
+      const before = SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y));
+      expect(setNoiseWorldScale(DEFAULT_NOISE_WORLD_SCALE * 2)).toBe(
+        DEFAULT_NOISE_WORLD_SCALE * 2
+      );
+      SAMPLE_POINTS.forEach(([x, y], i) => {
+        expect(sampleHeight(x * 2, y * 2)).toBeCloseTo(before[i], 6);
+      });
+    });
+
+    it("clamps to the supported range and bumps the version", () => {
+      const version = getHeightFieldVersion();
+      expect(setNoiseWorldScale(1e9)).toBe(MAX_NOISE_WORLD_SCALE);
+      expect(getHeightFieldVersion()).toBeGreaterThan(version);
+    });
+
+    it("ignores scales that are not positive finite numbers", () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const version = getHeightFieldVersion();
+      for (const scale of [NaN, Infinity, -Infinity, 0, -512, "wide"]) {
+        expect(setNoiseWorldScale(scale)).toBe(DEFAULT_NOISE_WORLD_SCALE);
+      }
+      expect(getHeightFieldVersion()).toBe(version);
+    });
+  });
+
+  describe("setWorldStreamed", () => {
+    it("stops mirroring the field about the origin", () => {
+      setWorldStreamed(true);
+      expect(isWorldStreamed()).toBe(true);
+      const mirrored = SAMPLE_POINTS.filter(
+        ([x, y]) => x !== 0 && Math.abs(sampleHeight(-x, y) - sampleHeight(x, y)) < 1e-6
+      );
+      expect(mirrored).toEqual([]);
+    });
+
+    it("gives the same heights wherever the pages are centred", () => {
+      setWorldStreamed(true);
+      const [x, y] = SAMPLE_POINTS[2];
+      const before = sampleHeight(x, y);
+      updateStreamedWorld(x, y);
+      expect(sampleHeight(x, y)).toBe(before);
+      updateStreamedWorld(-x * 10, y * 10);
+      expect(sampleHeight(x, y)).toBe(before);
+    });
+
+    it("bumps only the range version as pages land", () => {
+      setWorldStreamed(true);
+      const version = getHeightFieldVersion();
+      const rangeVersion = getHeightRangeVersion();
+      expect(updateStreamedWorld(5000, 5000)).toBeGreaterThan(0);
+      expect(getHeightFieldVersion()).toBe(version);
+      expect(getHeightRangeVersion()).toBeGreaterThan(rangeVersion);
+    });
+
+    it("keeps sampleHeightRange conservative", () => {
+      setWorldStreamed(true);
+      updateStreamedWorld(100, -200);
+      const range = sampleHeightRange(-300, -500, 400, 100);
+      for (let y = -500; y <= 100; y += 25) {
+        for (let x = -300; x <= 400; x += 25) {
+          const height = sampleHeight(x, y);
+          expect(height).toBeGreaterThanOrEqual(range.min - 1e-6);
+          expect(height).toBeLessThanOrEqual(range.max + 1e-6);
+        }
+      }
+    });
+
+    it("sizes the page window to span the terrain", () => {
+      setWorldStreamed(true);
+      for (const [width, scale] of [
+        [DEFAULT_NOISE_WIDTH, DEFAULT_NOISE_WORLD_SCALE],
+        [MAX_NOISE_WIDTH, DEFAULT_NOISE_WORLD_SCALE],
+        [MAX_NOISE_WIDTH, 256],
+      ]) {
+        setNoiseWidth(width);
+        setNoiseWorldScale(scale);
+        // One page texture width spans scale / uHeightPageScale world units
+        const span = scale / heightSourceUniforms.uHeightPageScale.value;
+        expect(span).toBeGreaterThanOrEqual(8192);
+        expect(heightSourceUniforms.uHeightPages.value.image.width).toBeLessThanOrEqual(4096);
+      }
+    });
+
+    it("restores the repeating field when turned off", () => {
+      const before = SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y));
+      setWorldStreamed(true);
+      setWorldStreamed(false);
+      expect(SAMPLE_POINTS.map(([x, y]) => sampleHeight(x, y))).toEqual(before);
+    });
+  });
+
+  describe("loadHeightmap", () => {
+    // Binary PGM whose texels differ by single 16-bit steps
+    function createPgm16(values) {
+      const header = new TextEncoder().encode(`P5\n${values.length} 1\n65535\n`);
+      const bytes = new Uint8Array(header.length + values.length * 2);
+      bytes.set(header);
+      values.forEach((value, i) => {
+        bytes[header.length + i * 2] = value >> 8;
+        bytes[header.length + i * 2 + 1] = value & 0xff;
+      });
+      return bytes.buffer;
+    }
+
+    it("keeps every bit of a 16-bit source", async () => {
+      const values = [30000, 30001, 30002, 30003];
+      setFloatHeightFiltering(true);
+      try {
+        await loadHeightmap(createPgm16(values), { info: {} });
+
+        expect(getHeightPrecision()).toBe("uint8");
+        expect(getHeightmapInfo()).toMatchObject({
+          bitDepth: 16,
+          precision: "float",
+        });
+        expect(noise.type).toBe(THREE.FloatType);
+        values.forEach((value, i) => {
+          expect(noise.image.data[i]).toBeCloseTo(value / 65535, 7);
+        });
+      } finally {
+        clearHeightmap();
+        setFloatHeightFiltering(false);
+      }
+      expect(noise.type).toBe(THREE.UnsignedByteType);
+    });
+
+    it("stores a 16-bit source as half floats without float filtering", async () => {
+      const values = [0, 21845, 43690, 65535];
+      try {
+        await loadHeightmap(createPgm16(values), { info: {} });
+
+        expect(getHeightmapInfo()).toMatchObject({
+          bitDepth: 16,
+          precision: "half",
+        });
+        expect(noise.type).toBe(THREE.HalfFloatType);
+        // Half floats round the 16-bit steps to about three decimals
+        const texels = Array.from(noise.image.data, THREE.DataUtils.fromHalfFloat);
+        values.forEach((value, i) => {
+          expect(texels[i]).toBeCloseTo(value / 65535, 3);
+        });
+
+        // Float filtering turning up later re-uploads at full precision
+        setFloatHeightFiltering(true);
+        expect(noise.type).toBe(THREE.FloatType);
+      } finally {
+        clearHeightmap();
+        setFloatHeightFiltering(false);
+      }
+    });
+  });
+
+  describe("startup", () => {
+    // A fresh noise.js, with the builder spied on before the module loads
+    async function importFresh() {
+      vi.resetModules();
+      const { HeightFieldBuilder } = await import("../src/heightfield.js");
+      const build = vi.spyOn(HeightFieldBuilder.prototype, "build");
+      const module = await import("../src/noise.js");
+      return { build, ...module };
+    }
+
+    it("waits for the seed before building the first field", async () => {
+      const fresh = await importFresh();
+      expect(fresh.build).not.toHaveBeenCalled();
+
+      fresh.setNoiseSmoothing(0.6);
+      fresh.setNoiseHeightGain(1.5);
+      expect(fresh.build).not.toHaveBeenCalled();
+
+      fresh.setNoiseSeed(SEED);
+      expect(fresh.build).toHaveBeenCalledTimes(1);
+      expect(fresh.build.mock.calls[0][0]).toMatchObject({
+        seed: SEED,
+        smoothStrength: 0.6,
+        gain: 1.5,
+      });
+
+      fresh.setNoiseSeed(SEED);
+      fresh.sampleHeight(0, 0);
+      expect(fresh.build).toHaveBeenCalledTimes(1);
+    });
+
+    it("builds on the first sample when nothing seeds it", async () => {
+      const fresh = await importFresh();
+      const seed = fresh.getNoiseSeed();
+
+      expect(Number.isFinite(fresh.sampleHeight(10, 20))).toBe(true);
+      expect(fresh.build).toHaveBeenCalledTimes(1);
+      expect(fresh.build.mock.calls[0][0].seed).toBe(seed);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { SKY_KEYFRAMES, sampleSkyColors, computeSunDirection } from "../src/sky.js";
+
+const elevationDegrees = (direction) =>
+  THREE.MathUtils.radToDeg(Math.asin(direction.z));
+
+describe("sampleSkyColors", () => {
+  it("returns the keyframe colors exactly at keyframe times", () => {
+    for (const keyframe of SKY_KEYFRAMES.slice(0, -1)) {
+      const { horizonColor, skyColor, intensity } = sampleSkyColors(keyframe.time);
+      expect(horizonColor.getHex()).toBe(keyframe.horizon);
+      expect(skyColor.getHex()).toBe(keyframe.sky);
+      expect(intensity).toBeCloseTo(keyframe.intensity, 6);
+    }
+  });
+
+  it("interpolates between neighbouring keyframes", () => {
+    const [, dawn, morning] = SKY_KEYFRAMES;
+    const time = (dawn.time + morning.time) / 2;
+    const { horizonColor, intensity } = sampleSkyColors(time);
+    const expected = new THREE.Color(dawn.horizon).lerp(
+      new THREE.Color(morning.horizon),
+      0.5
+    );
+
+    expect(horizonColor.r).toBeCloseTo(expected.r, 6);
+    expect(horizonColor.g).toBeCloseTo(expected.g, 6);
+    expect(horizonColor.b).toBeCloseTo(expected.b, 6);
+    expect(intensity).toBeCloseTo((dawn.intensity + morning.intensity) / 2, 6);
+  });
+
+  it("wraps times outside 0..24", () => {
+    for (const time of [3, 13.25, 21]) {
+      const base = sampleSkyColors(time);
+      for (const wrapped of [time + 24, time - 24, time + 48]) {
+        const sample = sampleSkyColors(wrapped);
+        expect(sample.horizonColor.equals(base.horizonColor)).toBe(true);
+        expect(sample.skyColor.equals(base.skyColor)).toBe(true);
+        expect(sample.intensity).toBeCloseTo(base.intensity, 6);
+      }
+    }
+  });
+
+  it("is continuous across midnight", () => {
+    const before = sampleSkyColors(23.999);
+    const after = sampleSkyColors(0.001);
+    expect(Math.abs(before.intensity - after.intensity)).toBeLessThan(1e-3);
+  });
+
+  it("accepts custom keyframes", () => {
+    const keyframes = [
+      { time: 0, horizon: 0x000000, sky: 0x000000, intensity: 0 },
+      { time: 24, horizon: 0xffffff, sky: 0xffffff, intensity: 1 },
+    ];
+    const { skyColor, intensity } = sampleSkyColors(6, keyframes);
+    expect(intensity).toBeCloseTo(0.25, 6);
+    expect(skyColor.r).toBeCloseTo(0.25, 6);
+  });
+});
+
+describe("computeSunDirection", () => {
+  it("returns unit vectors", () => {
+    for (let time = 0; time < 24; time += 0.5) {
+      expect(computeSunDirection(time).length()).toBeCloseTo(1, 6);
+    }
+  });
+
+  it("keeps elevation between -20° and 80°", () => {
+    for (let time = 0; time < 24; time += 0.25) {
+      const elevation = elevationDegrees(computeSunDirection(time));
+      expect(elevation).toBeGreaterThanOrEqual(-20 - 1e-6);
+      expect(elevation).toBeLessThanOrEqual(80 + 1e-6);
+    }
+  });
+
+  it("peaks at noon and sits below the horizon at night", () => {
+    expect(elevationDegrees(computeSunDirection(12))).toBeCloseTo(80, 6);
+    expect(elevationDegrees(computeSunDirection(0))).toBeCloseTo(-20, 6);
+    expect(computeSunDirection(9).z).toBeGreaterThan(0);
+    expect(computeSunDirection(22).z).toBeLessThan(0);
+  });
+
+  it("sweeps the azimuth once per day in the Z-up XY plane", () => {
+    const morning = computeSunDirection(6);
+    const evening = computeSunDirection(18);
+    expect(morning.x).toBeGreaterThan(0);
+    expect(evening.x).toBeLessThan(0);
+    expect(computeSunDirection(30).distanceTo(morning)).toBeLessThan(1e-9);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+
+vi.mock("../src/texture.js", () => ({ texture: {} }));
+
+const { Terrain } = await import("../src/terrain.js");
+const { noise } = await import("../src/noise.js");
+
+const LEVELS = 6;
+
+function createTerrain() {
+  return new Terrain(noise, 8192, LEVELS, 16);
+}
+
+// Z-up camera over the origin looking along +Y
+function createCamera() {
+  const camera = new THREE.PerspectiveCamera(60, 1, 1, 100000);
+  camera.up.set(0, 0, 1);
+  camera.position.set(0, 0, 2000);
+  camera.lookAt(0, 1000, 2000);
+  camera.updateMatrixWorld(true);
+  return camera;
+}
+
+describe("Terrain", () => {
+  it("draws every tile as an instance of one mesh", () => {
+    const terrain = createTerrain();
+    const tileCount = 4 + 12 * (LEVELS - 1);
+
+    expect(terrain.children).toEqual([terrain.mesh]);
+    expect(terrain.tiles).toHaveLength(tileCount);
+    expect(terrain.mesh.geometry.instanceCount).toBe(tileCount);
+    expect(terrain.mesh.geometry.attributes.aTileScale.getX(0)).toBe(
+      terrain.tiles[0].scale
+    );
+  });
+
+  it("shares one uniform set between the main and depth materials", () => {
+    const terrain = createTerrain();
+    expect(terrain.material.uniforms).toBe(terrain.uniforms);
+    expect(terrain.depthMaterial.uniforms).toBe(terrain.uniforms);
+
+    terrain.updateSun(new THREE.Vector3(0, 0, 2), 0.4);
+    terrain.updateFog(new THREE.Fog(0xff0000, 10, 20));
+    terrain.updateCascadeEnabled([true, false, true]);
+
+    expect(terrain.uniforms.uSunDirection.value.toArray()).toEqual([0, 0, 1]);
+    expect(terrain.uniforms.uSunIntensity.value).toBe(0.4);
+    expect(terrain.uniforms.uFogFar.value).toBe(20);
+    expect(terrain.uniforms.uCascadeEnabled.value.toArray()).toEqual([
+      1, 0, 1,
+    ]);
+  });
+
+  it("recompiles only the materials whose shaders change", () => {
+    const terrain = createTerrain();
+    terrain.setShader(1); // Terrain: default vertex shader
+    const depthVersion = terrain.depthMaterial.version;
+    const mainVersion = terrain.material.version;
+
+    terrain.setShader(2); // Snowy: same vertex shader
+    expect(terrain.material.version).toBe(mainVersion + 1);
+    expect(terrain.depthMaterial.version).toBe(depthVersion);
+
+    terrain.setShader(6); // Mars: its own vertex shader
+    expect(terrain.depthMaterial.version).toBe(depthVersion + 1);
+
+    terrain.setShader(6);
+    expect(terrain.material.version).toBe(mainVersion + 2);
+  });
+
+  it("packs only the tiles a camera can see into the instances", () => {
+    const terrain = createTerrain();
+    terrain.updateMatrixWorld(true);
+
+    const stats = terrain.cullTiles(createCamera());
+    const { geometry } = terrain.mesh;
+    expect(stats.frustumCulled).toBeGreaterThan(0);
+    expect(geometry.instanceCount).toBe(stats.visible);
+
+    // Every drawn instance is a tile ahead of the camera
+    const offsets = geometry.attributes.aTileOffset;
+    const scales = geometry.attributes.aTileScale;
+    for (let i = 0; i < geometry.instanceCount; i++) {
+      expect(offsets.getY(i) + scales.getX(i)).toBeGreaterThan(0);
+    }
+
+    terrain.resetCulling();
+    expect(geometry.instanceCount).toBe(terrain.tiles.length);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { TileCuller } from "../src/terrainCulling.js";
+
+// Z-up camera looking along +Y from (0, 0, eyeHeight)
+function createCamera(eyeHeight = 100) {
+  const camera = new THREE.PerspectiveCamera(60, 1, 1, 100000);
+  camera.up.set(0, 0, 1);
+  camera.position.set(0, 0, eyeHeight);
+  camera.lookAt(0, 1000, eyeHeight);
+  camera.updateMatrixWorld(true);
+  return camera;
+}
+
+function box(minX, minY, minZ, maxX, maxY, maxZ) {
+  return new THREE.Box3(
+    new THREE.Vector3(minX, minY, minZ),
+    new THREE.Vector3(maxX, maxY, maxZ)
+  );
+}
+
+describe("TileCuller", () => {
+  it("culls tiles outside the camera frustum", () => {
+    const culler = new TileCuller();
+    const boxes = [
+      box(-50, 500, 0, 50, 600, 50), // Ahead
+      box(-50, -600, 0, 50, -500, 50), // Behind
+      box(5000, 100, 0, 5100, 200, 50), // Far off to the side
+    ];
+
+    const stats = culler.cull(boxes, createCamera());
+
+    expect(Array.from(culler.visible)).toEqual([1, 0, 0]);
+    expect(stats).toEqual({
+      total: 3,
+      visible: 1,
+      frustumCulled: 2,
+      horizonCulled: 0,
+    });
+  });
+
+  it("hides low tiles behind a nearer ridge only when asked", () => {
+    const culler = new TileCuller();
+    const boxes = [
+      box(-1000, 200, 150, 1000, 400, 600), // Ridge above the eye
+      box(-100, 2000, 0, 100, 2200, 150), // Valley beyond it
+      box(-100, 3000, 0, 100, 3200, 5000), // Peak rising over the ridge
+    ];
+    const camera = createCamera();
+
+    expect(culler.cull(boxes, camera).horizonCulled).toBe(0);
+
+    const stats = culler.cull(boxes, camera, { horizon: true });
+    expect(Array.from(culler.visible)).toEqual([1, 0, 1]);
+    expect(stats.horizonCulled).toBe(1);
+    expect(stats.visible).toBe(2);
+  });
+
+  it("never lets a tile hide one it overlaps in distance", () => {
+    const culler = new TileCuller();
+    const boxes = [
+      box(-1000, 200, 150, 1000, 2500, 600), // Reaches past the next tile
+      box(-100, 2000, 0, 100, 2200, 150),
+    ];
+
+    culler.cull(boxes, createCamera(), { horizon: true });
+
+    expect(Array.from(culler.visible)).toEqual([1, 1]);
+  });
+
+  it("keeps the tile under the eye and leaves shadow cameras alone", () => {
+    const culler = new TileCuller();
+    const boxes = [
+      box(-100, -100, 0, 100, 100, 600), // Around the eye
+      box(-100, 2000, 0, 100, 2200, 150),
+    ];
+    culler.cull(boxes, createCamera(), { horizon: true });
+    expect(culler.visible[0]).toBe(1);
+
+    const light = new THREE.OrthographicCamera(-5000, 5000, 5000, -5000, 1, 20000);
+    light.position.set(0, 0, 10000);
+    light.lookAt(0, 0, 0);
+    light.updateMatrixWorld(true);
+    const stats = culler.cull(boxes, light, { horizon: true });
+    expect(stats.horizonCulled).toBe(0);
+    expect(stats.visible).toBe(2);
+  });
+});
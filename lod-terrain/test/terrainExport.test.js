@@ -0,0 +1,57 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  sampleHeight,
+  setNoiseSeed,
+  setNoiseSmoothing,
+  setWorldStreamed,
+  updateStreamedWorld,
+  DEFAULT_NOISE_SMOOTHING,
+} from "../src/noise.js";
+import { captureHeightfield } from "../src/terrainExport.js";
+
+describe("captureHeightfield", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    setNoiseSeed(4321);
+    setNoiseSmoothing(DEFAULT_NOISE_SMOOTHING);
+    setWorldStreamed(false);
+  });
+
+  it("samples texel centers in chunks, reporting progress", async () => {
+    const progress = [];
+    const field = await captureHeightfield({
+      resolution: 256,
+      worldSize: 1024,
+      onProgress: (fraction) => progress.push(fraction),
+    });
+
+    expect(field.heights).toHaveLength(256 * 256);
+    expect(field.heights[0]).toBeCloseTo(sampleHeight(-510, -510), 3);
+    expect(field.heights[256 * 256 - 1]).toBeCloseTo(sampleHeight(510, 510), 3);
+    expect(progress).toEqual([0.25, 0.5, 0.75, 1]);
+  });
+
+  it("keeps capturing while streamed pages land", async () => {
+    setWorldStreamed(true);
+    let pagesWritten = 0;
+    // Fly off between chunks, the way frames stream pages during an export
+    const field = await captureHeightfield({
+      resolution: 256,
+      worldSize: 1024,
+      onProgress: (fraction) => {
+        pagesWritten += updateStreamedWorld(fraction * 6000, fraction * -6000);
+      },
+    });
+
+    expect(pagesWritten).toBeGreaterThan(0);
+    expect(field.heights[0]).toBeCloseTo(sampleHeight(-510, -510), 3);
+    expect(field.heights[256 * 256 - 1]).toBeCloseTo(sampleHeight(510, 510), 3);
+  });
+
+  it("fails rather than mixing two fields when the terrain changes", async () => {
+    const capture = captureHeightfield({ resolution: 256, worldSize: 1024 });
+    setNoiseSmoothing(0.9);
+
+    await expect(capture).rejects.toThrow("changed during capture");
+  });
+});
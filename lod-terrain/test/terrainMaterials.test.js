@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { compileTerrainMaterial } from "../src/terrainMaterials.js";
+import { ENVIRONMENTS } from "../src/environment.js";
+
+const MATERIAL = {
+  name: "Test",
+  layers: [
+    { name: "Base", texture: "grass" },
+    {
+      name: "Cliffs",
+      texture: "rock",
+      scale: 0.05,
+      slope: { min: 35, blend: 5 },
+    },
+    {
+      name: "Snow",
+      color: [1, 1, 1],
+      height: { min: 80, max: 200 },
+      noise: { scale: 0.02, height: 10 },
+    },
+  ],
+};
+
+describe("compileTerrainMaterial", () => {
+  it("declares only the samplers its layers use", () => {
+    const glsl = compileTerrainMaterial(MATERIAL);
+    expect(glsl).toContain("uniform sampler2D uGrass;");
+    expect(glsl).toContain("uniform sampler2D uRock;");
+    expect(glsl).not.toContain("uSnow");
+    expect(glsl).toContain("texture2D(uRock, position.xy * 0.05)");
+    expect(glsl).toContain("texture2D(uGrass, position.xy * 0.03)");
+  });
+
+  it("paints later layers over the base by their ranges", () => {
+    const glsl = compileTerrainMaterial(MATERIAL);
+    expect(glsl).toContain("vec3 color = texture2D(uGrass");
+    expect(glsl).toContain("float weight = splatAbove(slope, 35.0, 5.0);");
+    expect(glsl).toContain(
+      "float weight = splatAbove(height + breakup * 10.0, 80.0, 4.0) * " +
+        "splatBelow(height + breakup * 10.0, 200.0, 4.0);"
+    );
+    expect(glsl).toContain("color = mix(color, vec3(1.0, 1.0, 1.0), weight);");
+    expect(glsl.indexOf("// Cliffs")).toBeLessThan(glsl.indexOf("// Snow"));
+  });
+
+  it("only defines height fog when the material asks for it", () => {
+    expect(compileTerrainMaterial(MATERIAL)).not.toContain("SPLAT_HEIGHT_FOG");
+    const glsl = compileTerrainMaterial({
+      ...MATERIAL,
+      heightFog: { top: 25, color: [1, 0.9, 0.8] },
+    });
+    expect(glsl).toContain("#define SPLAT_HEIGHT_FOG");
+    expect(glsl).toContain(
+      "const vec3 SPLAT_HEIGHT_FOG_COLOR = vec3(1.0, 0.9, 0.8);"
+    );
+  });
+
+  it("opts layers into triplanar sampling and detail normals", () => {
+    const glsl = compileTerrainMaterial({
+      ...MATERIAL,
+      detailNormal: { scale: 0.1 },
+      layers: [MATERIAL.layers[0], { ...MATERIAL.layers[1], triplanar: true }],
+    });
+    expect(glsl).toContain(
+      "color = mix(color, triplanarSample(uRock, position, normal, 0.05), weight);"
+    );
+    expect(glsl).toContain("texture2D(uGrass, position.xy * 0.03)");
+    expect(glsl).toContain("#define SPLAT_DETAIL_NORMAL");
+    expect(glsl).toContain("const float SPLAT_DETAIL_NORMAL_SCALE = 0.1;");
+    expect(compileTerrainMaterial(MATERIAL)).not.toContain("SPLAT_DETAIL_NORMAL");
+  });
+
+  it("varies detail and reflection only when a layer sets them", () => {
+    const plain = compileTerrainMaterial(MATERIAL);
+    expect(plain).toContain("return SplatSurface(color, 1.0, 0.0, vec3(0.0));");
+    expect(plain).not.toContain("SPLAT_REFLECTION");
+
+    const glsl = compileTerrainMaterial({
+      ...MATERIAL,
+      layers: [
+        { ...MATERIAL.layers[0], detail: 0.35 },
+        {
+          name: "Water",
+          color: [0.6, 0.65, 0.7],
+          detail: 0,
+          reflection: [0.7, 0.8, 0.9],
+          height: { max: 4 },
+        },
+      ],
+    });
+    expect(glsl).toContain("#define SPLAT_REFLECTION");
+    expect(glsl).toContain("float detail = 0.35;");
+    expect(glsl).toContain("detail = mix(detail, 0.0, weight);");
+    expect(glsl).toContain("reflection = mix(reflection, 1.0, weight);");
+    expect(glsl).toContain(
+      "reflectionColor = mix(reflectionColor, vec3(0.7, 0.8, 0.9), weight);"
+    );
+    expect(glsl).toContain(
+      "return SplatSurface(color, detail, reflection, reflectionColor);"
+    );
+  });
+
+  it("overrides lighting and tints fog per material", () => {
+    const plain = compileTerrainMaterial(MATERIAL);
+    expect(plain).toContain("const float SPLAT_AMBIENT = 0.03;");
+    expect(plain).not.toContain("SPLAT_FOG_TINT");
+
+    const glsl = compileTerrainMaterial({
+      ...MATERIAL,
+      lighting: { ambient: 0.25, shade: [0, 0, 0] },
+      fog: { color: [0.8, 0.5, 0.3], tint: 0.6 },
+    });
+    expect(glsl).toContain("const float SPLAT_AMBIENT = 0.25;");
+    expect(glsl).toContain("const vec3 SPLAT_SHADE_COLOR = vec3(0.0, 0.0, 0.0);");
+    expect(glsl).toContain("const float SPLAT_DIFFUSE = 0.97;");
+    expect(glsl).toContain("#define SPLAT_FOG_TINT");
+    expect(glsl).toContain("const float SPLAT_FOG_TINT_AMOUNT = 0.6;");
+  });
+
+  it("rejects layers it cannot compile", () => {
+    expect(() => compileTerrainMaterial({ name: "Empty", layers: [] })).toThrow(
+      /no layers/
+    );
+    expect(() =>
+      compileTerrainMaterial({
+        name: "Bad",
+        layers: [{ name: "Moss", texture: "moss" }],
+      })
+    ).toThrow(/Unknown terrain texture "moss"/);
+    expect(() =>
+      compileTerrainMaterial({ name: "Bad", layers: [{ name: "Nothing" }] })
+    ).toThrow(/needs a texture or a color/);
+    expect(() =>
+      compileTerrainMaterial({
+        name: "Bad",
+        layers: [{ name: "Base", color: [1, 1, 1] }, { name: "Nan", color: [NaN, 0, 0] }],
+      })
+    ).toThrow(/finite/);
+  });
+
+  it("compiles every environment's material definition", () => {
+    const materials = Object.values(ENVIRONMENTS)
+      .map(({ material }) => material)
+      .filter(Boolean);
+    expect(materials.map(({ name }) => name)).toEqual(
+      expect.arrayContaining(["Terrain", "Snowy", "Realistic", "Mars"])
+    );
+    for (const material of materials) {
+      expect(compileTerrainMaterial(material)).toContain(
+        "SplatSurface splatSurface("
+      );
+    }
+  });
+});
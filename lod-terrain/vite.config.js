@@ -1,4 +1,8 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
+import { fileURLToPath } from 'node:url'
+
+// Game modules shared with the root game
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 export default defineConfig({
   root: '.',
@@ -9,10 +13,16 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), sharedDir]
+    }
   },
   resolve: {
+    // Shared modules sit outside this package; resolve their three from here
+    dedupe: ['three'],
     alias: {
+      '@shared': sharedDir,
       'three': 'three',
       'detector': '/js/lib/Detector.js',
       'stats': '/js/lib/stats.min.js',
@@ -0,0 +1,172 @@
+// Shared by both games; each imports it through its "@shared" alias.
+
+// Standard Gamepad API layout (Xbox naming)
+export const GAMEPAD_BUTTONS = Object.freeze({
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  leftBumper: 4,
+  rightBumper: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  back: 8,
+  start: 9,
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15,
+});
+
+export const DEFAULT_GAMEPAD_CONFIG = Object.freeze({
+  steerAxis: 0, // Left stick X; the axis after it pitches
+  invertPitch: false, // false: pull the stick back to pitch up
+  deadZone: 0.15, // Stick travel ignored around center (0..0.9)
+  curve: 1.5, // Response exponent; 1 is linear, higher is finer near center
+  triggerThreshold: 0.3, // Analog trigger value that counts as pressed
+  fire: GAMEPAD_BUTTONS.rightTrigger,
+  bomb: GAMEPAD_BUTTONS.leftTrigger,
+  afterburner: GAMEPAD_BUTTONS.a,
+  yawLeft: GAMEPAD_BUTTONS.leftBumper,
+  yawRight: GAMEPAD_BUTTONS.rightBumper,
+  throttleUp: GAMEPAD_BUTTONS.dpadUp,
+  throttleDown: GAMEPAD_BUTTONS.dpadDown,
+  lockTarget: GAMEPAD_BUTTONS.dpadLeft, // Hold to cycle targets
+  missile: GAMEPAD_BUTTONS.dpadRight,
+  flightAssist: GAMEPAD_BUTTONS.y,
+  terrainFollow: GAMEPAD_BUTTONS.x,
+  pause: GAMEPAD_BUTTONS.start,
+  confirm: GAMEPAD_BUTTONS.a,
+  cancel: GAMEPAD_BUTTONS.b,
+});
+
+// Menu navigation on the left stick reads as a D-pad press past this
+const STICK_NAVIGATION_THRESHOLD = 0.6;
+const ANALOG_STATES = ["steer", "pitch"];
+
+/**
+ * Rescales a stick axis so the dead zone reads as 0 and the rest of the travel
+ * maps onto 0..1 through the response curve, keeping the sign.
+ */
+export function applyStickResponse(value, deadZone, curve) {
+  const magnitude = Math.abs(value);
+  if (!(magnitude > deadZone)) return 0;
+  const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+  return Math.sign(value) * Math.pow(scaled, curve);
+}
+
+/**
+ * Polls the first connected gamepad once per rendered frame. `state` holds
+ * what is currently down; `pressed` only the buttons that went down on this
+ * poll, for toggles and menus.
+ */
+export class GamepadInput {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_GAMEPAD_CONFIG };
+    this.setConfig(config);
+
+    this.connected = false;
+    this.id = null;
+    this.state = {
+      steer: 0,
+      pitch: 0,
+      fire: false,
+      bomb: false,
+      afterburner: false,
+      yawLeft: false,
+      yawRight: false,
+      throttleUp: false,
+      throttleDown: false,
+      lockTarget: false,
+      missile: false,
+      flightAssist: false,
+      terrainFollow: false,
+      pause: false,
+      confirm: false,
+      cancel: false,
+      up: false,
+      down: false,
+    };
+    this.pressed = { ...this.state };
+    this.previous = { ...this.state };
+  }
+
+  // Partial updates keep the other settings
+  setConfig(config) {
+    const next = { ...this.config, ...config };
+    next.deadZone = Math.min(0.9, Math.max(0, Number(next.deadZone) || 0));
+    next.curve = Math.min(4, Math.max(0.5, Number(next.curve) || 1));
+    this.config = next;
+    return this.config;
+  }
+
+  getGamepad() {
+    const pads = navigator.getGamepads?.() ?? [];
+    for (const pad of pads) {
+      if (pad && pad.connected) return pad;
+    }
+    return null;
+  }
+
+  poll() {
+    const pad = typeof navigator === "undefined" ? null : this.getGamepad();
+
+    if (Boolean(pad) !== this.connected) {
+      this.connected = Boolean(pad);
+      this.id = pad?.id ?? null;
+      if (pad) {
+        console.log(`🎮 Gamepad connected: ${pad.id}`);
+      } else {
+        console.log("🎮 Gamepad disconnected");
+      }
+    }
+
+    Object.assign(this.previous, this.state);
+    if (pad) {
+      this.readGamepad(pad);
+    } else {
+      for (const key of Object.keys(this.state)) {
+        this.state[key] = ANALOG_STATES.includes(key) ? 0 : false;
+      }
+    }
+
+    for (const key of Object.keys(this.pressed)) {
+      this.pressed[key] =
+        !ANALOG_STATES.includes(key) && this.state[key] && !this.previous[key];
+    }
+    return this;
+  }
+
+  readGamepad(pad) {
+    const { config, state } = this;
+    const isDown = (index) => {
+      const button = pad.buttons[index];
+      if (!button) return false;
+      return button.pressed || button.value > config.triggerThreshold;
+    };
+    const stickX = pad.axes[config.steerAxis] ?? 0;
+    const stickY = pad.axes[config.steerAxis + 1] ?? 0;
+
+    state.steer = applyStickResponse(stickX, config.deadZone, config.curve);
+    // Stick Y is positive when pulled back
+    state.pitch =
+      applyStickResponse(stickY, config.deadZone, config.curve) *
+      (config.invertPitch ? -1 : 1);
+    state.fire = isDown(config.fire);
+    state.bomb = isDown(config.bomb);
+    state.afterburner = isDown(config.afterburner);
+    state.yawLeft = isDown(config.yawLeft);
+    state.yawRight = isDown(config.yawRight);
+    state.throttleUp = isDown(config.throttleUp);
+    state.throttleDown = isDown(config.throttleDown);
+    state.lockTarget = isDown(config.lockTarget);
+    state.missile = isDown(config.missile);
+    state.flightAssist = isDown(config.flightAssist);
+    state.terrainFollow = isDown(config.terrainFollow);
+    state.pause = isDown(config.pause);
+    state.confirm = isDown(config.confirm);
+    state.cancel = isDown(config.cancel);
+    state.up = isDown(GAMEPAD_BUTTONS.dpadUp) || stickY < -STICK_NAVIGATION_THRESHOLD;
+    state.down = isDown(GAMEPAD_BUTTONS.dpadDown) || stickY > STICK_NAVIGATION_THRESHOLD;
+  }
+}
@@ -0,0 +1,335 @@
+import * as THREE from "three";
+import { getTargetPosition, isTargetDestroyed } from "./ProjectileSystem.js";
+
+// Shared by both games (lod-terrain is Z-up, the root game is Y-up); each
+// imports it through its "@shared" alias.
+
+export const MISSILE_TYPE = "missile";
+
+export const DEFAULT_MISSILE_SETTINGS = Object.freeze({
+  speed: 4000,
+  life: 5, // Seconds of fuel; an unguided miss flies straight until then
+  radius: 120,
+  damage: 100,
+  navigationGain: 4, // Proportional navigation constant (N)
+  maxTurnRate: 2.5, // Radians per second
+  smokeInterval: 0.03, // Seconds between smoke trail puffs
+  // Countermeasures: a targeted enemy with flares left pops them when a
+  // missile closes within flareRange; each missile on it may take the bait
+  flareRange: 2500,
+  flaresPerSalvo: 3,
+  flareCooldown: 3, // Seconds between one enemy's salvos
+  flareLife: 2.5,
+  flareSpeed: 400,
+  flareGravity: 300,
+  decoyChance: 0.6,
+});
+
+// Drawn by the ProjectileSystem like any other shot
+const MISSILE_VISUALS = {
+  capacity: 32,
+  length: 150,
+  coreRadius: 5,
+  glowRadius: 10,
+  color: 0xffffff,
+  glowColor: 0xff6600,
+  emissiveIntensity: 3,
+  glowOpacity: 0.5,
+};
+
+const MAX_FLARES = 48;
+
+/**
+ * Guided missiles on top of a ProjectileSystem, which moves them and handles
+ * target and terrain hits. Each step a missile with a target steers by
+ * proportional navigation: it turns at N times the rotation rate of its line
+ * of sight, capped at maxTurnRate, and leaves a smoke trail.
+ *
+ * Enemies carry `flares` (a count); when one is chased it drops flares that
+ * can pull missiles off it. Flares fall, burn out, and leave the missile
+ * flying straight.
+ */
+export class MissileSystem {
+  constructor(projectiles, particles = null, options = {}) {
+    this.projectiles = projectiles;
+    this.particles = particles;
+    this.up = (options.up || new THREE.Vector3(0, 0, 1)).clone().normalize();
+    this.random = options.random || Math.random;
+    this.settings = { ...DEFAULT_MISSILE_SETTINGS, ...options.settings };
+
+    this.types = []; // Guided projectile type names
+    this.registerMissile(MISSILE_TYPE);
+
+    this.flares = [];
+    this.flarePool = [];
+    for (let i = 0; i < MAX_FLARES; i++) {
+      this.flarePool.push({
+        position: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        age: 0,
+        destroyed: true,
+      });
+    }
+    this.flareCooldowns = new Map(); // Enemy -> seconds until it can flare
+
+    // Reusable objects for performance
+    this._lineOfSight = new THREE.Vector3();
+    this._relativeVelocity = new THREE.Vector3();
+    this._rotation = new THREE.Vector3();
+    this._command = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+    this._axis = new THREE.Vector3();
+    this._targetVelocity = new THREE.Vector3();
+  }
+
+  // Adds a guided projectile type, e.g. a weapon with its own look and
+  // damage. config overrides the default visuals and speed/life/radius/damage;
+  // its onHit runs after the explosion. Registering a name twice keeps the
+  // first type.
+  registerMissile(name, config = {}) {
+    if (this.types.includes(name)) return name;
+
+    const { speed, life, radius, damage } = this.settings;
+    const { onHit, ...overrides } = config;
+    this.projectiles.registerType(name, {
+      ...MISSILE_VISUALS,
+      speed,
+      life,
+      radius,
+      damage,
+      ...overrides,
+      onUpdate: (missile, deltaTime) => this.guide(missile, deltaTime),
+      onHit: (missile, target, point) => {
+        this.particles?.spawnExplosion(point);
+        onHit?.(missile, target, point);
+      },
+      onTerrainHit: (missile, point) => this.particles?.spawnHit(point),
+    });
+    this.types.push(name);
+    return name;
+  }
+
+  // Fires a missile; without a target it flies straight.
+  // options: { type, owner, faction, speed, target }, type defaulting to
+  // MISSILE_TYPE
+  fire(position, direction, options = {}) {
+    const { type = MISSILE_TYPE, ...spawnOptions } = options;
+    if (!this.types.includes(type)) {
+      console.warn(`⚠️ Unknown missile type: ${type}`);
+      return null;
+    }
+    const missile = this.projectiles.spawn(
+      type,
+      position,
+      direction,
+      spawnOptions
+    );
+    if (!missile) return null;
+
+    // Guidance state lives on the pooled projectile
+    if (!missile.guidance) {
+      missile.guidance = {
+        lastTargetPosition: new THREE.Vector3(),
+        hasLastTarget: false,
+        smokeTimer: 0,
+      };
+    }
+    missile.guidance.hasLastTarget = false;
+    missile.guidance.smokeTimer = 0;
+    return missile;
+  }
+
+  // ProjectileSystem onUpdate hook, before the missile moves
+  guide(missile, deltaTime) {
+    this.emitSmoke(missile, deltaTime);
+
+    const { target, guidance } = missile;
+    if (!target || isTargetDestroyed(target)) return;
+
+    // Target velocity from its last position; targets needn't expose one
+    const targetPosition = getTargetPosition(target);
+    if (guidance.hasLastTarget && deltaTime > 0) {
+      this._targetVelocity
+        .subVectors(targetPosition, guidance.lastTargetPosition)
+        .divideScalar(deltaTime);
+    } else {
+      this._targetVelocity.set(0, 0, 0);
+    }
+    guidance.lastTargetPosition.copy(targetPosition);
+    guidance.hasLastTarget = true;
+
+    // Line-of-sight rotation rate: ω = (R × Vr) / |R|²
+    const range = this._lineOfSight.subVectors(
+      targetPosition,
+      missile.position
+    );
+    const rangeSq = range.lengthSq();
+    if (rangeSq === 0) return;
+    this._relativeVelocity.subVectors(this._targetVelocity, missile.velocity);
+    this._rotation
+      .crossVectors(range, this._relativeVelocity)
+      .divideScalar(rangeSq);
+
+    // Commanded lateral acceleration: a = N ω × Vm
+    this._command
+      .crossVectors(this._rotation, missile.velocity)
+      .multiplyScalar(this.settings.navigationGain);
+
+    this.turn(missile, this._command, deltaTime);
+  }
+
+  // Rotates the velocity toward a lateral acceleration, rate-limited
+  turn(missile, acceleration, deltaTime) {
+    const speed = missile.velocity.length();
+    if (speed === 0) return;
+
+    const direction = this._direction.copy(missile.velocity).divideScalar(speed);
+    acceleration.addScaledVector(direction, -acceleration.dot(direction));
+    const turnRate = Math.min(
+      acceleration.length() / speed,
+      this.settings.maxTurnRate
+    );
+    if (turnRate === 0) return;
+
+    this._axis.crossVectors(direction, acceleration).normalize();
+    missile.velocity.applyAxisAngle(this._axis, turnRate * deltaTime);
+  }
+
+  emitSmoke(missile, deltaTime) {
+    if (!this.particles) return;
+
+    missile.guidance.smokeTimer -= deltaTime;
+    if (missile.guidance.smokeTimer > 0) return;
+    missile.guidance.smokeTimer += this.settings.smokeInterval;
+
+    this.particles.emit("smoke", {
+      position: missile.position,
+      color: 0x999999,
+      size: 12,
+      growth: 3,
+      life: 1.2,
+    });
+  }
+
+  // One fixed step: flares fall and burn, chased enemies react
+  update(deltaTime) {
+    for (const [enemy, remaining] of this.flareCooldowns) {
+      if (remaining <= deltaTime) {
+        this.flareCooldowns.delete(enemy);
+      } else {
+        this.flareCooldowns.set(enemy, remaining - deltaTime);
+      }
+    }
+
+    for (let i = this.flares.length - 1; i >= 0; i--) {
+      const flare = this.flares[i];
+      flare.age += deltaTime;
+      if (flare.age >= this.settings.flareLife) {
+        this.flares[i] = this.flares[this.flares.length - 1];
+        this.flares.pop();
+        this.releaseFlare(flare);
+        continue;
+      }
+
+      flare.velocity.addScaledVector(
+        this.up,
+        -this.settings.flareGravity * deltaTime
+      );
+      flare.position.addScaledVector(flare.velocity, deltaTime);
+      this.particles?.emit("glow", {
+        position: flare.position,
+        color: 0xffdd88,
+        size: 10,
+        life: 0.25,
+      });
+    }
+
+    for (const missile of this.getActiveMissiles()) {
+      const { target } = missile;
+      if (!target || !(target.flares > 0) || isTargetDestroyed(target)) {
+        continue;
+      }
+      if (this.flareCooldowns.has(target)) continue;
+
+      const distance = missile.position.distanceTo(getTargetPosition(target));
+      if (distance <= this.settings.flareRange) {
+        this.deployFlares(target);
+      }
+    }
+  }
+
+  // Drops a salvo of flares from an enemy; missiles on it may switch to one
+  deployFlares(enemy) {
+    enemy.flares--;
+    this.flareCooldowns.set(enemy, this.settings.flareCooldown);
+
+    const origin = getTargetPosition(enemy);
+    const salvo = [];
+    for (let i = 0; i < this.settings.flaresPerSalvo; i++) {
+      const flare = this.flarePool.pop();
+      if (!flare) break;
+
+      flare.position.copy(origin);
+      flare.velocity
+        .set(
+          this.random() - 0.5,
+          this.random() - 0.5,
+          this.random() - 0.5
+        )
+        .addScaledVector(this.up, 0.5) // Popped upward, then falling
+        .normalize()
+        .multiplyScalar(this.settings.flareSpeed);
+      flare.age = 0;
+      flare.destroyed = false;
+      this.flares.push(flare);
+      salvo.push(flare);
+    }
+    if (salvo.length === 0) return;
+
+    for (const missile of this.getActiveMissiles()) {
+      if (missile.target !== enemy) continue;
+      if (this.random() < this.settings.decoyChance) {
+        missile.target = salvo[Math.floor(this.random() * salvo.length)];
+        missile.guidance.hasLastTarget = false;
+      }
+    }
+    console.log(`🎆 Enemy popped ${salvo.length} flares`);
+  }
+
+  // Returns a burnt-out flare to the pool. Missiles chasing it lose their
+  // target, so they do not home on it once another salvo reuses it.
+  releaseFlare(flare) {
+    flare.destroyed = true;
+    this.flarePool.push(flare);
+    for (const missile of this.getActiveMissiles()) {
+      if (missile.target === flare) {
+        missile.target = null;
+      }
+    }
+  }
+
+  // Live missiles of every registered type
+  getActiveMissiles() {
+    return this.types.flatMap((type) => this.projectiles.getActive(type));
+  }
+
+  getStats() {
+    return {
+      missiles: this.getActiveMissiles().length,
+      flares: this.flares.length,
+    };
+  }
+
+  clear() {
+    for (const flare of this.flares) {
+      this.releaseFlare(flare);
+    }
+    this.flares.length = 0;
+    this.flareCooldowns.clear();
+  }
+
+  dispose() {
+    this.clear();
+    console.log("🗑️ Missile system disposed");
+  }
+}
@@ -0,0 +1,342 @@
+import * as THREE from "three";
+
+// Shared by both games (lod-terrain is Z-up, the root game is Y-up); each
+// imports it through its "@shared" alias.
+
+// Instanced layers, one draw call each however many effects are live.
+// Additive layers fade through their instance colour, opaque ones shrink.
+const LAYERS = Object.freeze({
+  glow: { capacity: 512, additive: true }, // Flashes, fireballs and sparks
+  ring: { capacity: 64, additive: true }, // Shockwaves
+  debris: { capacity: 64, additive: false }, // Tumbling wreckage
+  smoke: { capacity: 512, additive: false }, // Missile trails
+});
+
+function createLayerGeometry(name) {
+  switch (name) {
+    case "ring":
+      return new THREE.RingGeometry(0.75, 1, 24);
+    case "debris":
+      return new THREE.BoxGeometry(1, 1, 1);
+    default:
+      return new THREE.SphereGeometry(1, 12, 8);
+  }
+}
+
+const BLACK = new THREE.Color(0x000000);
+
+/**
+ * Pooled effect particles drawn as InstancedMeshes with per-instance
+ * transforms and colours. Each particle grows by `growth` times its size
+ * and fades out over its life; update() advances them and rewrites the
+ * instances. The spawn* presets build the games' hit and explosion effects.
+ */
+export class ParticleSystem {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.up = (options.up || new THREE.Vector3(0, 0, 1)).clone().normalize();
+    // Effects are presentation only, so they need not use the seeded game RNG
+    this.random = options.random || Math.random;
+
+    this.layers = {};
+    for (const [name, layer] of Object.entries(LAYERS)) {
+      this.layers[name] = this.createLayer(name, layer);
+    }
+
+    // Reusable objects for performance
+    this._scale = new THREE.Vector3();
+    this._color = new THREE.Color();
+    this._spin = new THREE.Quaternion();
+    this._euler = new THREE.Euler();
+    this._matrix = new THREE.Matrix4();
+    this._flat = new THREE.Quaternion().setFromUnitVectors(
+      new THREE.Vector3(0, 0, 1), // RingGeometry faces +Z
+      this.up
+    );
+  }
+
+  createLayer(name, { capacity, additive }) {
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff, // Tinted per instance
+      transparent: additive,
+      blending: additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+      depthWrite: !additive,
+      side: name === "ring" ? THREE.DoubleSide : THREE.FrontSide,
+    });
+    const mesh = new THREE.InstancedMesh(
+      createLayerGeometry(name),
+      material,
+      capacity
+    );
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.setColorAt(0, BLACK); // Allocates instance colours before first render
+    mesh.count = 0;
+    mesh.frustumCulled = false;
+    this.scene?.add(mesh);
+
+    const pool = [];
+    for (let i = 0; i < capacity; i++) {
+      pool.push({
+        position: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        spin: new THREE.Vector3(), // Angular velocity, radians/s per axis
+        color: new THREE.Color(),
+        size: 1,
+        growth: 0,
+        opacity: 1,
+        gravity: 0,
+        delay: 0,
+        life: 1,
+        age: 0,
+      });
+    }
+
+    return { mesh, additive, pool, active: [] };
+  }
+
+  // Adds one particle; returns it, or null when the layer is full.
+  // options: { position, velocity, quaternion, spin, color, size, growth,
+  //            opacity, gravity, delay, life } (seconds, units/s)
+  emit(layerName, options) {
+    const layer = this.layers[layerName];
+    const particle = layer.pool.pop();
+    if (!particle) return null;
+
+    particle.position.copy(options.position);
+    if (options.velocity) {
+      particle.velocity.copy(options.velocity);
+    } else {
+      particle.velocity.set(0, 0, 0);
+    }
+    if (options.quaternion) {
+      particle.quaternion.copy(options.quaternion);
+    } else {
+      particle.quaternion.identity();
+    }
+    if (options.spin) {
+      particle.spin.copy(options.spin);
+    } else {
+      particle.spin.set(0, 0, 0);
+    }
+    particle.color.set(options.color ?? 0xffffff);
+    particle.size = options.size ?? 1;
+    particle.growth = options.growth ?? 0;
+    particle.opacity = options.opacity ?? 1;
+    particle.gravity = options.gravity ?? 0;
+    particle.delay = options.delay ?? 0;
+    particle.life = options.life ?? 1;
+    particle.age = 0;
+
+    layer.active.push(particle);
+    return particle;
+  }
+
+  update(deltaTime) {
+    for (const layer of Object.values(this.layers)) {
+      const { mesh, active } = layer;
+      let count = 0;
+
+      for (let i = active.length - 1; i >= 0; i--) {
+        const particle = active[i];
+        particle.age += deltaTime;
+
+        const progress = (particle.age - particle.delay) / particle.life;
+        if (progress >= 1) {
+          active[i] = active[active.length - 1];
+          active.pop();
+          layer.pool.push(particle);
+          continue;
+        }
+        if (progress < 0) continue; // Not started yet
+
+        if (particle.gravity) {
+          particle.velocity.addScaledVector(
+            this.up,
+            -particle.gravity * deltaTime
+          );
+        }
+        particle.position.addScaledVector(particle.velocity, deltaTime);
+        if (particle.spin.lengthSq() > 0) {
+          this._euler.set(
+            particle.spin.x * deltaTime,
+            particle.spin.y * deltaTime,
+            particle.spin.z * deltaTime
+          );
+          particle.quaternion.multiply(this._spin.setFromEuler(this._euler));
+        }
+
+        const fade = Math.max(0, 1 - progress);
+        let size = particle.size * Math.max(0, 1 + particle.growth * progress);
+        if (layer.additive) {
+          this._color
+            .copy(particle.color)
+            .multiplyScalar(particle.opacity * fade);
+        } else {
+          this._color.copy(particle.color);
+          size *= fade;
+        }
+
+        this._matrix.compose(
+          particle.position,
+          particle.quaternion,
+          this._scale.setScalar(size)
+        );
+        mesh.setMatrixAt(count, this._matrix);
+        mesh.setColorAt(count, this._color);
+        count++;
+      }
+
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    }
+  }
+
+  // A random vector in a cube of the given half extent
+  randomVector(halfExtent, target = new THREE.Vector3()) {
+    return target.set(
+      (this.random() - 0.5) * 2 * halfExtent,
+      (this.random() - 0.5) * 2 * halfExtent,
+      (this.random() - 0.5) * 2 * halfExtent
+    );
+  }
+
+  // Small flash and sparks where a shot lands
+  spawnHit(position) {
+    this.emit("glow", {
+      position,
+      color: 0xffff00,
+      size: 15,
+      growth: 2,
+      life: 0.3,
+    });
+
+    const offset = new THREE.Vector3();
+    for (let i = 0; i < 8; i++) {
+      this.randomVector(15, offset);
+      this.emit("glow", {
+        position: offset.clone().add(position),
+        velocity: offset.multiplyScalar(5), // Spread outward
+        color: 0xff8800,
+        size: 2,
+        opacity: 0.8,
+        life: 0.3,
+      });
+    }
+  }
+
+  // Bomb blast: bright core, wider glow and three shockwave rings
+  spawnExplosion(position) {
+    this.emit("glow", {
+      position,
+      color: 0xffaa00,
+      size: 50,
+      growth: 3,
+      life: 0.8,
+    });
+    this.emit("glow", {
+      position,
+      color: 0xff4400,
+      size: 100,
+      growth: 2,
+      opacity: 0.6,
+      life: 0.8,
+    });
+
+    for (let i = 0; i < 3; i++) {
+      this.emit("ring", {
+        position,
+        quaternion: this._flat,
+        spin: new THREE.Vector3(0, 0, 2), // Turn within the ring's plane
+        color: 0xffff88,
+        size: 15 + i * 25,
+        growth: 8,
+        opacity: 0.8,
+        delay: i * 0.02,
+        life: 1,
+      });
+    }
+  }
+
+  // Jet destroyed: fireball, tumbling rings, debris and sparks
+  spawnDeathExplosion(position) {
+    this.emit("glow", {
+      position,
+      color: 0xffaa00,
+      size: 100,
+      growth: 4,
+      life: 3,
+    });
+
+    for (let i = 0; i < 5; i++) {
+      this.emit("ring", {
+        position,
+        quaternion: new THREE.Quaternion().setFromEuler(
+          new THREE.Euler(
+            this.random() * Math.PI,
+            this.random() * Math.PI,
+            this.random() * Math.PI
+          )
+        ),
+        spin: new THREE.Vector3(3, 1.8, 1.2),
+        color: i % 2 === 0 ? 0xff4400 : 0xffff00,
+        size: 60 + i * 30,
+        growth: 2 + i * 0.5,
+        opacity: 0.8,
+        life: 2.4,
+      });
+    }
+
+    for (let i = 0; i < 30; i++) {
+      this.emit("debris", {
+        position,
+        velocity: this.randomVector(1000),
+        spin: this.randomVector(5),
+        color: this.random() > 0.5 ? 0x444444 : 0x888888,
+        size: this.random() * 20 + 5,
+        gravity: 500,
+        life: 3,
+      });
+    }
+
+    for (let i = 0; i < 50; i++) {
+      this.emit("glow", {
+        position,
+        velocity: this.randomVector(750),
+        color: this.random() > 0.5 ? 0xffff00 : 0xff8800,
+        size: this.random() * 5 + 2,
+        growth: -0.5,
+        life: 3,
+      });
+    }
+  }
+
+  // Live particles per layer
+  getStats() {
+    const stats = {};
+    for (const [name, layer] of Object.entries(this.layers)) {
+      stats[name] = layer.active.length;
+    }
+    return stats;
+  }
+
+  clear() {
+    for (const layer of Object.values(this.layers)) {
+      layer.pool.push(...layer.active);
+      layer.active.length = 0;
+      layer.mesh.count = 0;
+    }
+  }
+
+  dispose() {
+    this.clear();
+    for (const { mesh } of Object.values(this.layers)) {
+      this.scene?.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    }
+    console.log("🗑️ Particle system disposed");
+  }
+}
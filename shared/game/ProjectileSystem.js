@@ -0,0 +1,518 @@
+import * as THREE from "three";
+
+// Shared by both games (lod-terrain is Z-up, the root game is Y-up); each
+// imports it through its "@shared" alias.
+
+export const FACTIONS = Object.freeze({
+  player: "player",
+  enemy: "enemy",
+});
+
+// Per-type settings; see ProjectileSystem.registerType()
+export const DEFAULT_PROJECTILE_TYPE = Object.freeze({
+  capacity: 64, // Pooled projectiles, and instances per mesh
+  speed: 2000,
+  life: 3, // Seconds before the projectile expires
+  radius: 10, // Swept-sphere radius against targets (terrain uses the centre)
+  damage: 10, // Direct hit
+  gravity: 0, // Drop along -up, units/s²
+  maxBounces: 0, // Terrain ricochets before the projectile is spent
+  restitution: 0.8, // Speed kept by a ricochet
+  bounceOffset: 5, // Lift off the surface after a ricochet
+  splashRadius: 0, // Splash damage around the detonation point
+  splashDamage: 0,
+  detonateOnExpire: false, // Splash when life runs out, like a fused bomb
+  // Visuals: a core and an additive glow cylinder along the flight direction
+  length: 100,
+  coreRadius: 0.5,
+  glowRadius: 3,
+  color: 0x00ff00,
+  glowColor: null, // Defaults to color
+  emissiveIntensity: 4,
+  glowOpacity: 0.4,
+  // Hooks, all optional:
+  // onUpdate(projectile, deltaTime) before each move; may steer the velocity
+  // onHit(projectile, target, point, destroyed) after a direct hit
+  // onRicochet(projectile, hit) may replace projectile.velocity
+  // onSplash(projectile, point, hits) after splash damage is dealt
+  // onTerrainHit(projectile, point) when the terrain stops the projectile
+  // Points are reused between calls; clone them to keep them.
+  onUpdate: null,
+  onHit: null,
+  onRicochet: null,
+  onSplash: null,
+  onTerrainHit: null,
+});
+
+const BODY_AXIS = new THREE.Vector3(0, 1, 0); // Cylinders are built along +Y
+const UNIT_SCALE = new THREE.Vector3(1, 1, 1);
+
+// First t in [0, 1] where a point moving from → to is within radius of
+// center, or Infinity
+function sweepSphere(from, to, center, radius, delta, offset) {
+  delta.subVectors(to, from);
+  offset.subVectors(from, center);
+  const c = offset.lengthSq() - radius * radius;
+  if (c <= 0) return 0;
+
+  const a = delta.lengthSq();
+  if (a === 0) return Infinity;
+  const b = 2 * offset.dot(delta);
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return Infinity;
+
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return t >= 0 && t <= 1 ? t : Infinity;
+}
+
+/**
+ * Pooled, instanced projectiles with swept collision. Each fixed step every
+ * projectile sweeps from its last position to its next one: the first
+ * hostile target sphere or terrain contact along that segment wins.
+ *
+ * Targets are supplied per faction with setTargets(); a projectile only hits
+ * targets of other factions and never its owner. A target needs
+ * takeDamage(damage) and getPosition() (or a position), and may have
+ * hitRadius and isDestroyed() (or destroyed).
+ *
+ * Terrain comes from options.getTerrainHeight(position), the ground height
+ * along options.up, and the optional options.getTerrainNormal(position,
+ * target).
+ */
+export class ProjectileSystem {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.up = (options.up || new THREE.Vector3(0, 0, 1)).clone().normalize();
+    this.getTerrainHeight = options.getTerrainHeight || null;
+    this.getTerrainNormal = options.getTerrainNormal || null;
+    this.terrainStep = options.terrainStep || 10; // Sample spacing along a sweep
+
+    this.types = new Map();
+    this.active = [];
+    this.targetProviders = new Map();
+    this._stepping = [];
+
+    // Reusable vectors for performance
+    this._to = new THREE.Vector3();
+    this._point = new THREE.Vector3();
+    this._normal = new THREE.Vector3();
+    this._delta = new THREE.Vector3();
+    this._offset = new THREE.Vector3();
+    this._direction = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._matrix = new THREE.Matrix4();
+  }
+
+  registerType(name, config = {}) {
+    const previous = this.types.get(name);
+    if (previous) {
+      this.active = this.active.filter(
+        (projectile) => projectile.type !== previous
+      );
+      this.disposeType(previous);
+    }
+
+    const settings = { ...DEFAULT_PROJECTILE_TYPE, ...config };
+    const type = {
+      name,
+      settings,
+      pool: [],
+      activeCount: 0,
+      core: this.createInstancedCylinder(
+        settings.coreRadius,
+        settings.length,
+        new THREE.MeshStandardMaterial({
+          color: settings.color,
+          emissive: settings.color,
+          emissiveIntensity: settings.emissiveIntensity,
+          metalness: 0,
+          roughness: 1,
+        }),
+        settings.capacity
+      ),
+      glow:
+        settings.glowRadius > 0
+          ? this.createInstancedCylinder(
+              settings.glowRadius,
+              settings.length,
+              new THREE.MeshBasicMaterial({
+                color: settings.glowColor ?? settings.color,
+                transparent: true,
+                opacity: settings.glowOpacity,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+              }),
+              settings.capacity
+            )
+          : null,
+    };
+
+    for (let i = 0; i < settings.capacity; i++) {
+      type.pool.push({
+        type,
+        owner: null,
+        faction: null,
+        target: null,
+        position: new THREE.Vector3(),
+        previousPosition: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        damage: 0,
+        age: 0,
+        bounces: 0,
+        justBounced: false,
+        active: false,
+      });
+    }
+
+    this.types.set(name, type);
+    return type;
+  }
+
+  // Registers the type unless it already is; owners call this before firing
+  ensureType(name, config) {
+    return this.types.get(name) || this.registerType(name, config);
+  }
+
+  createInstancedCylinder(radius, length, material, capacity) {
+    const geometry = new THREE.CylinderGeometry(radius, radius, length, 6);
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = 0;
+    mesh.frustumCulled = false; // Instances spread far beyond the geometry bounds
+    this.scene?.add(mesh);
+    return mesh;
+  }
+
+  // provider() returns the faction's current targets
+  setTargets(faction, provider) {
+    if (provider) {
+      this.targetProviders.set(faction, provider);
+    } else {
+      this.targetProviders.delete(faction);
+    }
+  }
+
+  // Fires a projectile; returns it, or null when the type's pool is empty.
+  // options: { owner, faction, speed, damage, target } (target is for
+  // guidance hooks and otherwise unused)
+  spawn(typeName, position, direction, options = {}) {
+    const type = this.types.get(typeName);
+    if (!type) {
+      console.warn(`⚠️ Unknown projectile type: ${typeName}`);
+      return null;
+    }
+
+    const projectile = type.pool.pop();
+    if (!projectile) return null;
+
+    const { settings } = type;
+    projectile.owner = options.owner ?? null;
+    projectile.faction = options.faction ?? null;
+    projectile.target = options.target ?? null;
+    projectile.damage = options.damage ?? settings.damage;
+    projectile.position.copy(position);
+    projectile.previousPosition.copy(position);
+    projectile.velocity
+      .copy(direction)
+      .normalize()
+      .multiplyScalar(options.speed ?? settings.speed);
+    projectile.age = 0;
+    projectile.bounces = 0;
+    projectile.justBounced = false;
+    projectile.active = true;
+
+    type.activeCount++;
+    this.active.push(projectile);
+    return projectile;
+  }
+
+  release(projectile) {
+    if (!projectile.active) return;
+    projectile.active = false;
+    projectile.owner = null;
+    projectile.target = null;
+
+    const index = this.active.indexOf(projectile);
+    const last = this.active.pop();
+    if (last !== projectile) {
+      this.active[index] = last;
+    }
+
+    projectile.type.activeCount--;
+    projectile.type.pool.push(projectile);
+  }
+
+  // Removes everything a destroyed shooter still has in flight
+  releaseOwnedBy(owner) {
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      if (this.active[i].owner === owner) {
+        this.release(this.active[i]);
+      }
+    }
+  }
+
+  // One fixed simulation step
+  update(deltaTime) {
+    // Hits can release other projectiles (a destroyed shooter's), so walk a
+    // snapshot and skip whatever is no longer active
+    const stepping = this._stepping;
+    stepping.push(...this.active);
+    for (const projectile of stepping) {
+      if (projectile.active) {
+        this.updateProjectile(projectile, deltaTime);
+      }
+    }
+    stepping.length = 0;
+  }
+
+  updateProjectile(projectile, deltaTime) {
+    const { settings } = projectile.type;
+
+    projectile.age += deltaTime;
+    if (projectile.age > settings.life) {
+      if (settings.detonateOnExpire) {
+        this.detonate(projectile, projectile.position);
+      }
+      this.release(projectile);
+      return;
+    }
+
+    settings.onUpdate?.(projectile, deltaTime);
+    if (!projectile.active) return; // The hook released it
+
+    projectile.previousPosition.copy(projectile.position);
+    if (settings.gravity) {
+      projectile.velocity.addScaledVector(this.up, -settings.gravity * deltaTime);
+    }
+    const from = projectile.position;
+    const to = this._to.copy(from).addScaledVector(projectile.velocity, deltaTime);
+
+    const targetHit = this.sweepTargets(projectile, from, to);
+    // Skip the terrain for one step after a ricochet so it can't re-collide
+    const terrainT = projectile.justBounced
+      ? Infinity
+      : this.sweepTerrain(from, to);
+    projectile.justBounced = false;
+
+    if (targetHit && targetHit.t <= terrainT) {
+      const point = this._point.lerpVectors(from, to, targetHit.t);
+      this.hitTarget(projectile, targetHit.target, point);
+    } else if (terrainT !== Infinity) {
+      const point = this._point.lerpVectors(from, to, terrainT);
+      this.hitTerrain(projectile, point);
+    } else {
+      projectile.position.copy(to);
+    }
+  }
+
+  // Earliest hostile target along from → to, or null
+  sweepTargets(projectile, from, to) {
+    let closest = null;
+
+    for (const [faction, provider] of this.targetProviders) {
+      if (faction === projectile.faction) continue;
+
+      for (const target of provider()) {
+        if (target === projectile.owner || isTargetDestroyed(target)) continue;
+
+        const radius = projectile.type.settings.radius + (target.hitRadius || 0);
+        const t = sweepSphere(
+          from,
+          to,
+          getTargetPosition(target),
+          radius,
+          this._delta,
+          this._offset
+        );
+        if (t !== Infinity && (!closest || t < closest.t)) {
+          closest = { target, t };
+        }
+      }
+    }
+
+    return closest;
+  }
+
+  // First t in [0, 1] where from → to meets the terrain, or Infinity
+  sweepTerrain(from, to) {
+    if (!this.getTerrainHeight) return Infinity;
+
+    const steps = Math.max(1, Math.ceil(from.distanceTo(to) / this.terrainStep));
+    let previousClearance = this.getClearance(from);
+    if (previousClearance <= 0) return 0;
+
+    for (let i = 1; i <= steps; i++) {
+      this._point.lerpVectors(from, to, i / steps);
+      const clearance = this.getClearance(this._point);
+      if (clearance <= 0) {
+        // Interpolate where the clearance crossed zero within this sample
+        const fraction = previousClearance / (previousClearance - clearance);
+        return (i - 1 + fraction) / steps;
+      }
+      previousClearance = clearance;
+    }
+    return Infinity;
+  }
+
+  // Height above the terrain along up
+  getClearance(position) {
+    const height = this.getTerrainHeight(position);
+    if (height === null || height === undefined) return Infinity;
+    return position.dot(this.up) - height;
+  }
+
+  hitTarget(projectile, target, point) {
+    const { settings } = projectile.type;
+    const destroyed =
+      projectile.damage > 0 ? target.takeDamage(projectile.damage) : false;
+    settings.onHit?.(projectile, target, point, destroyed);
+
+    this.detonate(projectile, point);
+    this.release(projectile);
+  }
+
+  hitTerrain(projectile, point) {
+    const { settings } = projectile.type;
+
+    if (projectile.bounces < settings.maxBounces) {
+      this.ricochet(projectile, point);
+      return;
+    }
+
+    settings.onTerrainHit?.(projectile, point);
+    this.detonate(projectile, point);
+    this.release(projectile);
+  }
+
+  // Reflects off the surface, then lets the type's hook reshape the bounce
+  ricochet(projectile, point) {
+    const { settings } = projectile.type;
+    const normal = this.getTerrainNormal
+      ? this.getTerrainNormal(point, this._normal)
+      : this._normal.copy(this.up);
+
+    const { velocity } = projectile;
+    velocity
+      .addScaledVector(normal, -2 * velocity.dot(normal))
+      .multiplyScalar(settings.restitution);
+    settings.onRicochet?.(projectile, { point, normal });
+
+    projectile.position
+      .copy(point)
+      .addScaledVector(
+        this._direction.copy(velocity).normalize(),
+        settings.bounceOffset
+      );
+    projectile.bounces++;
+    projectile.justBounced = true;
+  }
+
+  // Splash damage to hostile targets around point, if the type has any
+  detonate(projectile, point) {
+    const { settings } = projectile.type;
+    if (settings.splashRadius <= 0) return;
+
+    const hits = [];
+    for (const [faction, provider] of this.targetProviders) {
+      if (faction === projectile.faction) continue;
+
+      for (const target of provider()) {
+        if (target === projectile.owner || isTargetDestroyed(target)) continue;
+
+        const reach = settings.splashRadius + (target.hitRadius || 0);
+        if (getTargetPosition(target).distanceTo(point) <= reach) {
+          const destroyed = target.takeDamage(settings.splashDamage);
+          hits.push({ target, destroyed });
+        }
+      }
+    }
+
+    settings.onSplash?.(projectile, point, hits);
+  }
+
+  // Writes instance matrices between the last two fixed steps (alpha 0..1)
+  interpolate(alpha = 1) {
+    for (const type of this.types.values()) {
+      type.core.count = 0;
+      if (type.glow) type.glow.count = 0;
+    }
+
+    for (const projectile of this.active) {
+      const { type } = projectile;
+      this._point.lerpVectors(
+        projectile.previousPosition,
+        projectile.position,
+        alpha
+      );
+      this._direction.copy(projectile.velocity).normalize();
+      if (this._direction.lengthSq() > 0) {
+        this._quaternion.setFromUnitVectors(BODY_AXIS, this._direction);
+      } else {
+        this._quaternion.identity();
+      }
+      this._matrix.compose(this._point, this._quaternion, UNIT_SCALE);
+
+      type.core.setMatrixAt(type.core.count++, this._matrix);
+      if (type.glow) type.glow.setMatrixAt(type.glow.count++, this._matrix);
+    }
+
+    for (const type of this.types.values()) {
+      type.core.instanceMatrix.needsUpdate = true;
+      if (type.glow) type.glow.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  // Active projectiles, optionally of one type
+  getActive(typeName = null) {
+    return typeName
+      ? this.active.filter((projectile) => projectile.type.name === typeName)
+      : this.active;
+  }
+
+  getStats() {
+    const stats = { active: this.active.length, types: {} };
+    for (const [name, type] of this.types) {
+      stats.types[name] = {
+        active: type.activeCount,
+        capacity: type.settings.capacity,
+      };
+    }
+    return stats;
+  }
+
+  clear() {
+    for (let i = this.active.length - 1; i >= 0; i--) {
+      this.release(this.active[i]);
+    }
+    this.interpolate();
+  }
+
+  disposeType(type) {
+    for (const mesh of [type.core, type.glow]) {
+      if (!mesh) continue;
+      this.scene?.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    }
+  }
+
+  dispose() {
+    this.clear();
+    for (const type of this.types.values()) {
+      this.disposeType(type);
+    }
+    this.types.clear();
+    this.targetProviders.clear();
+    console.log("🗑️ Projectile system disposed");
+  }
+}
+
+// Target duck typing, shared with the missile guidance and lock-on code
+export function getTargetPosition(target) {
+  return target.getPosition ? target.getPosition() : target.position;
+}
+
+export function isTargetDestroyed(target) {
+  return target.isDestroyed ? target.isDestroyed() : Boolean(target.destroyed);
+}
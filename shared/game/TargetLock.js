@@ -0,0 +1,107 @@
+import * as THREE from "three";
+import { getTargetPosition, isTargetDestroyed } from "./ProjectileSystem.js";
+
+// Shared by both games (lod-terrain is Z-up, the root game is Y-up); each
+// imports it through its "@shared" alias.
+
+export const DEFAULT_LOCK_SETTINGS = Object.freeze({
+  cone: Math.PI / 6, // Half-angle around the nose that targets must be inside
+  range: 25000,
+  lockTime: 0.5, // Seconds a target must stay selected before it locks
+  cycleInterval: 0.75, // Seconds between target switches while held
+});
+
+/**
+ * Missile lock-on. Pressing the lock control selects the candidate closest to
+ * the nose; holding it cycles through the others every cycleInterval. A
+ * selected target locks after lockTime, and is dropped when it is destroyed
+ * or leaves the cone.
+ */
+export class TargetLock {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_LOCK_SETTINGS, ...settings };
+    this.cosCone = Math.cos(this.settings.cone);
+    this.candidates = []; // In the cone, closest to the nose first
+    this.target = null;
+    this.progress = 0; // 0..1 towards a lock
+    this.holdTime = 0;
+    this.wasHeld = false;
+
+    this._offset = new THREE.Vector3();
+  }
+
+  // One step: refresh candidates, follow the lock control, advance the lock
+  update(deltaTime, origin, forward, enemies, held) {
+    this.findCandidates(origin, forward, enemies);
+    if (this.target && !this.candidates.includes(this.target)) {
+      this.clear();
+    }
+
+    if (held && !this.wasHeld) {
+      this.holdTime = 0;
+      this.cycle();
+    } else if (held) {
+      this.holdTime += deltaTime;
+      if (this.holdTime >= this.settings.cycleInterval) {
+        this.holdTime -= this.settings.cycleInterval;
+        this.cycle();
+      }
+    }
+    this.wasHeld = held;
+
+    if (this.target) {
+      this.progress = Math.min(
+        1,
+        this.progress + deltaTime / this.settings.lockTime
+      );
+    }
+  }
+
+  findCandidates(origin, forward, enemies) {
+    const scored = [];
+    for (const enemy of enemies) {
+      if (isTargetDestroyed(enemy)) continue;
+
+      this._offset.subVectors(getTargetPosition(enemy), origin);
+      const distance = this._offset.length();
+      if (distance === 0 || distance > this.settings.range) continue;
+
+      const alignment = this._offset.dot(forward) / distance;
+      if (alignment >= this.cosCone) {
+        scored.push({ enemy, alignment });
+      }
+    }
+
+    scored.sort((a, b) => b.alignment - a.alignment);
+    this.candidates = scored.map(({ enemy }) => enemy);
+  }
+
+  // Selects the next candidate after the current target
+  cycle() {
+    if (this.candidates.length === 0) {
+      this.clear();
+      return;
+    }
+
+    const index = this.candidates.indexOf(this.target);
+    const next = this.candidates[(index + 1) % this.candidates.length];
+    if (next !== this.target) {
+      this.target = next;
+      this.progress = 0;
+    }
+  }
+
+  isLocked() {
+    return this.target !== null && this.progress >= 1;
+  }
+
+  // The target a missile fired now would guide to, or null
+  getLockedTarget() {
+    return this.isLocked() ? this.target : null;
+  }
+
+  clear() {
+    this.target = null;
+    this.progress = 0;
+  }
+}
@@ -1,3 +1,6 @@
+// Shared by both games, which keep their settings under one storage key; the
+// root game only reads the gamepad response.
+
 export class UserPreferences {
   constructor() {
     this.storageKey = 'vibejet-preferences';
@@ -7,7 +10,12 @@ export class UserPreferences {
       musicVolume: 0.7,
       sfxVolume: 0.8,
       lastPlayedMap: 'crystal',
-      controlsLayout: 'default'
+      controlsLayout: 'default',
+      controlBindings: null, // Per-action key codes when controlsLayout is 'custom'
+      gamepadDeadZone: 0.15,
+      gamepadCurve: 1.5,
+      flightAssist: true, // Arcade handling; false flies the full flight model
+      terrainFollowing: false
     };
 
     // Load preferences from localStorage
@@ -125,6 +133,48 @@ export class UserPreferences {
     this.set('controlsLayout', layout);
   }
 
+  getControlBindings() {
+    return this.get('controlBindings');
+  }
+
+  setControlBindings(bindings) {
+    this.set('controlBindings', bindings);
+  }
+
+  // Gamepad stick response
+  getGamepadDeadZone() {
+    return this.get('gamepadDeadZone');
+  }
+
+  setGamepadDeadZone(deadZone) {
+    this.set('gamepadDeadZone', Math.max(0, Math.min(0.9, deadZone)));
+  }
+
+  getGamepadCurve() {
+    return this.get('gamepadCurve');
+  }
+
+  setGamepadCurve(curve) {
+    this.set('gamepadCurve', Math.max(0.5, Math.min(4, curve)));
+  }
+
+  // Flight model preferences
+  getFlightAssist() {
+    return this.get('flightAssist');
+  }
+
+  setFlightAssist(enabled) {
+    this.set('flightAssist', Boolean(enabled));
+  }
+
+  getTerrainFollowing() {
+    return this.get('terrainFollowing');
+  }
+
+  setTerrainFollowing(enabled) {
+    this.set('terrainFollowing', Boolean(enabled));
+  }
+
   // Reset all preferences to defaults
   resetToDefaults() {
     this.preferences = { ...this.defaults };
@@ -1,9 +1,11 @@
 import * as THREE from 'three'
+import { BONUS_TYPES } from './BonusTypes.js'
 
 export class BonusItem {
-  constructor(scene, position) {
+  constructor(scene, position, type = BONUS_TYPES.score) {
     this.scene = scene
     this.position = position.clone()
+    this.type = type // Decides the colour and what collecting it does
     this.collected = false
     this.bobOffset = Math.random() * Math.PI * 2 // Random bob phase
     this.rotationSpeed = 0.02
@@ -20,11 +22,11 @@ export class BonusItem {
     // Create main bonus item group
     this.itemGroup = new THREE.Group()
     
-    // Core crystal/gem shape
+    // Core crystal/gem shape, coloured by pickup type
     const coreGeometry = new THREE.OctahedronGeometry(50, 1)
     const coreMaterial = new THREE.MeshStandardMaterial({
-      color: 0x00ffff,
-      emissive: 0x008888,
+      color: this.type.color,
+      emissive: new THREE.Color(this.type.color).multiplyScalar(0.5),
       emissiveIntensity: 1.5,
       metalness: 0.3,
       roughness: 0.1,
@@ -80,7 +82,7 @@ export class BonusItem {
     // Outer glow shell
     const glowGeometry = new THREE.SphereGeometry(120, 16, 16)
     const glowMaterial = new THREE.MeshBasicMaterial({
-      color: 0x00ffff,
+      color: this.type.color,
       transparent: true,
       opacity: 0.3,
       side: THREE.BackSide
@@ -226,7 +228,7 @@ export class BonusItem {
     animateCollection()
     
     // Play collection sound effect (if you have audio system)
-    console.log('🌟 Bonus item collected!')
+    console.log(`${this.type.icon} ${this.type.label} item collected!`)
   }
 
   destroy() {
@@ -1,10 +1,12 @@
 import * as THREE from 'three'
 import { BonusItem } from './BonusItem.js'
+import { BONUS_TYPES, pickBonusType } from './BonusTypes.js'
 
 export class BonusManager {
-  constructor(scene, player) {
+  constructor(scene, player, enemyManager = null) {
     this.scene = scene
     this.player = player
+    this.enemyManager = enemyManager // Pickup odds follow its difficulty level
     this.bonusItems = []
     this.spawnDistance = 6000 // Distance ahead to spawn items
     this.spawnRadius = 800 // How far left/right from flight path
@@ -18,6 +20,8 @@ export class BonusManager {
   }
 
   update(deltaTime) {
+    if (!this.player.mesh) return
+
     // Update spawn timer
     this.spawnTimer += deltaTime * 1000 // Convert to milliseconds
     
@@ -93,27 +97,36 @@ export class BonusManager {
     
     const spawnPosition = new THREE.Vector3(spawnX, spawnY, spawnZ)
     
-    // Create new bonus item
-    const bonusItem = new BonusItem(this.scene, spawnPosition)
+    // Create new bonus item, rarer kinds becoming likelier with difficulty
+    const type = pickBonusType(this.getDifficultyLevel())
+    const bonusItem = new BonusItem(this.scene, spawnPosition, type)
     this.bonusItems.push(bonusItem)
     
     this.lastSpawnZ = spawnZ
     
-    console.log(`✨ Spawned bonus item at (${spawnX.toFixed(0)}, ${spawnY.toFixed(0)}, ${spawnZ.toFixed(0)})`)
+    console.log(`✨ Spawned ${type.label} item at (${spawnX.toFixed(0)}, ${spawnY.toFixed(0)}, ${spawnZ.toFixed(0)})`)
+  }
+
+  getDifficultyLevel() {
+    return this.enemyManager ? this.enemyManager.getDifficultyLevel() : 1
   }
 
   collectItem(item, index) {
     // Award points
-    const points = 100
+    const { type } = item
+    const points = type.points
     this.score += points
     
+    // Apply the pickup to the player's weapons, shield or health
+    this.player.applyBonus(type)
+    
     // Show collection effect
-    this.showCollectionEffect(item.getPosition(), points)
+    this.showCollectionEffect(item.getPosition(), points, type)
     
     // Remove from array (item will destroy itself)
     this.bonusItems.splice(index, 1)
     
-    console.log(`🌟 Collected bonus item! +${points} points. Total: ${this.score}`)
+    console.log(`🌟 Collected ${type.label} item! +${points} points. Total: ${this.score}`)
     
     // Update HUD if available
     if (window.game && window.game.hud) {
@@ -121,10 +134,12 @@ export class BonusManager {
     }
   }
 
-  showCollectionEffect(position, points) {
+  showCollectionEffect(position, points, type = BONUS_TYPES.score) {
     // Create temporary score popup
     const scorePopup = document.createElement('div')
-    scorePopup.textContent = `+${points}`
+    scorePopup.textContent = type === BONUS_TYPES.score
+      ? `+${points}`
+      : `${type.icon} ${type.label} +${points}`
     scorePopup.style.cssText = `
       position: fixed;
       top: 50%;
@@ -181,8 +196,8 @@ export class BonusManager {
 
   getTerrainHeight(x, z) {
     // Try to get height from terrain system
-    if (window.game && window.game.terrain && window.game.terrain.getHeightAtPosition) {
-      return window.game.terrain.getHeightAtPosition(x, z)
+    if (window.game && window.game.terrain) {
+      return window.game.terrain.getHeightAt(x, z)
     }
     
     // Fallback to simple noise-based height
@@ -199,8 +214,8 @@ export class BonusManager {
   }
 
   // Method to spawn a bonus item at specific location (for testing)
-  spawnAtPosition(position) {
-    const bonusItem = new BonusItem(this.scene, position)
+  spawnAtPosition(position, type = BONUS_TYPES.score) {
+    const bonusItem = new BonusItem(this.scene, position, type)
     this.bonusItems.push(bonusItem)
     console.log(`🎯 Manually spawned bonus item at ${position.x}, ${position.y}, ${position.z}`)
   }
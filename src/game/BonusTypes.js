@@ -0,0 +1,98 @@
+// Pickup kinds dropped by the BonusManager and applied by Player.applyBonus().
+// weight is the drop weight at difficulty level 1 and perLevel how much it
+// changes with every level above that, so survival pickups take over from
+// plain score as the fight gets harder.
+export const BONUS_TYPES = Object.freeze({
+  score: {
+    id: 'score',
+    label: 'Bonus',
+    icon: '🌟',
+    color: 0x00ffff,
+    points: 100,
+    weight: 40,
+    perLevel: -5
+  },
+  spreadShot: {
+    id: 'spreadShot',
+    label: 'Spread Shot',
+    icon: '🔱',
+    color: 0xff8800,
+    points: 50,
+    duration: 15, // Seconds of two extra angled lasers
+    spreadAngle: Math.PI / 24,
+    weight: 12,
+    perLevel: 1
+  },
+  homingMissiles: {
+    id: 'homingMissiles',
+    label: 'Missiles',
+    icon: '🚀',
+    color: 0xff00ff,
+    points: 50,
+    missiles: 4, // Added to the missile rack, which keeps them until fired
+    weight: 8,
+    perLevel: 2
+  },
+  shield: {
+    id: 'shield',
+    label: 'Shield',
+    icon: '🛡️',
+    color: 0x4488ff,
+    points: 50,
+    duration: 10, // Seconds of taking no damage
+    weight: 6,
+    perLevel: 2
+  },
+  repair: {
+    id: 'repair',
+    label: 'Repair',
+    icon: '🔧',
+    color: 0x00ff00,
+    points: 50,
+    health: 35,
+    weight: 8,
+    perLevel: 3
+  },
+  rapidFire: {
+    id: 'rapidFire',
+    label: 'Rapid Fire',
+    icon: '⚡',
+    color: 0xffff00,
+    points: 50,
+    duration: 10, // Seconds of a shorter laser cooldown
+    cooldownScale: 0.5,
+    weight: 12,
+    perLevel: 1
+  },
+  extraBombs: {
+    id: 'extraBombs',
+    label: 'Extra Bombs',
+    icon: '💣',
+    color: 0xff2222,
+    points: 50,
+    bombs: 1, // One more bomb per drop, for the rest of the flight
+    weight: 6,
+    perLevel: 1
+  }
+})
+
+export function getBonusWeight(type, difficultyLevel = 1) {
+  const levelsAbove = Math.max(0, difficultyLevel - 1)
+  return Math.max(0, type.weight + type.perLevel * levelsAbove)
+}
+
+// Weighted random pickup for the given EnemyManager difficulty level
+export function pickBonusType(difficultyLevel = 1, random = Math.random) {
+  const types = Object.values(BONUS_TYPES)
+  const total = types.reduce(
+    (sum, type) => sum + getBonusWeight(type, difficultyLevel),
+    0
+  )
+
+  let roll = random() * total
+  for (const type of types) {
+    roll -= getBonusWeight(type, difficultyLevel)
+    if (roll < 0) return type
+  }
+  return types[types.length - 1]
+}
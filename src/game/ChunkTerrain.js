@@ -49,7 +49,7 @@ export class ChunkTerrain {
     this._tmpFrustum = new THREE.Frustum();
     this._tmpMatrix = new THREE.Matrix4();
 
-    this.init();
+    this.initPromise = this.init();
   }
 
   setCamera(camera) {
@@ -74,7 +74,7 @@ export class ChunkedLODTerrain {
     this.playerPosition = new THREE.Vector3()
     this.lastPlayerChunk = { x: null, z: null }
     
-    this.init()
+    this.initPromise = this.init()
   }
 
   async init() {
@@ -8,8 +8,9 @@ export class DepthMapTerrain {
     this.heightScale = 250
     this.terrain = null
     this.depthMap = null
+    this.structures = []
     
-    this.init()
+    this.initPromise = this.init()
   }
 
   init() {
@@ -252,6 +253,7 @@ export class DepthMapTerrain {
     building.receiveShadow = true
     
     this.scene.add(building)
+    this.structures.push(building)
   }
 
   createTower(x, y, z) {
@@ -271,6 +273,7 @@ export class DepthMapTerrain {
     tower.receiveShadow = true
     
     this.scene.add(tower)
+    this.structures.push(tower)
   }
 
   createCrystal(x, y, z) {
@@ -291,6 +294,7 @@ export class DepthMapTerrain {
     crystal.receiveShadow = true
     
     this.scene.add(crystal)
+    this.structures.push(crystal)
   }
 
   getHeightAtPosition(worldX, worldZ) {
@@ -316,5 +320,12 @@ export class DepthMapTerrain {
       this.terrain.geometry.dispose()
       this.terrain.material.dispose()
     }
+
+    this.structures.forEach((structure) => {
+      this.scene.remove(structure)
+      structure.geometry.dispose()
+      structure.material.dispose()
+    })
+    this.structures = []
   }
 }
\ No newline at end of file
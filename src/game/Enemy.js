@@ -5,12 +5,14 @@ export class Enemy {
     this.scene = scene
     this.position = position.clone()
     this.mesh = null
+    this.projectiles = null // Shared ProjectileSystem, for enemies that shoot
     this.health = 100
     this.maxHealth = 100
     this.destroyed = false
     this.speed = 1000
     this.attackDamage = 25
     this.points = 100
+    this.flares = 2 // Countermeasure salvos against homing missiles
     
     // AI behavior
     this.targetPosition = new THREE.Vector3()
@@ -23,6 +25,10 @@ export class Enemy {
     this.bobOffset = Math.random() * Math.PI * 2
   }
 
+  setProjectiles(projectiles) {
+    this.projectiles = projectiles
+  }
+
   update(deltaTime, playerPosition) {
     if (this.destroyed) return
     
@@ -96,6 +102,7 @@ export class Enemy {
 
   destroy() {
     this.destroyed = true
+    this.projectiles?.releaseOwnedBy(this)
     if (this.mesh) {
       // Disposal logic
       this.mesh.traverse((child) => {
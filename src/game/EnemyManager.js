@@ -5,10 +5,12 @@ import { PurpleCylinder } from "./PurpleCylinder.js";
 import { GroundTurret } from "./GroundTurret.js";
 
 export class EnemyManager {
-  constructor(scene, player, terrain) {
+  constructor(scene, player, terrain, projectiles = null, particles = null) {
     this.scene = scene;
     this.player = player;
     this.terrain = terrain;
+    this.projectiles = projectiles; // Shared ProjectileSystem for enemy fire
+    this.particles = particles; // Shared ParticleSystem for hit effects
     this.enemies = [];
 
     // Spawn settings
@@ -28,6 +30,8 @@ export class EnemyManager {
   }
 
   update(deltaTime) {
+    if (!this.player.mesh) return; // Jet model still loading
+
     // Update spawn timer
     this.spawnTimer += deltaTime * 1000;
 
@@ -151,6 +155,7 @@ export class EnemyManager {
         enemy = new FlyingOrb(this.scene, spawnPosition);
       }
 
+      enemy.setProjectiles(this.projectiles);
       this.enemies.push(enemy);
 
       console.log(
@@ -218,68 +223,8 @@ export class EnemyManager {
   }
 
   createHitEffect(position) {
-    // Create bright explosion effect at hit location
-    const hitEffect = new THREE.Group();
-
-    // Main flash
-    const flashGeometry = new THREE.SphereGeometry(15, 8, 8);
-    const flashMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffff00,
-      transparent: true,
-      opacity: 1.0,
-      blending: THREE.AdditiveBlending,
-    });
-
-    const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-    hitEffect.add(flash);
-
-    // Spark particles
-    for (let i = 0; i < 8; i++) {
-      const sparkGeometry = new THREE.SphereGeometry(2, 4, 4);
-      const sparkMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff8800,
-        transparent: true,
-        opacity: 0.8,
-      });
-
-      const spark = new THREE.Mesh(sparkGeometry, sparkMaterial);
-      spark.position.set(
-        (Math.random() - 0.5) * 30,
-        (Math.random() - 0.5) * 30,
-        (Math.random() - 0.5) * 30
-      );
-
-      hitEffect.add(spark);
-    }
-
-    hitEffect.position.copy(position);
-    this.scene.add(hitEffect);
-
-    // Animate and remove effect
-    let animationTime = 0;
-    const animateEffect = () => {
-      animationTime += 16; // ~60fps
-
-      const progress = animationTime / 300; // 300ms effect
-      flash.material.opacity = 1 - progress;
-      flash.scale.setScalar(1 + progress * 2);
-
-      hitEffect.children.forEach((child, index) => {
-        if (index > 0) {
-          // Skip the main flash
-          child.material.opacity = 1 - progress;
-          child.position.multiplyScalar(1.05); // Expand outward
-        }
-      });
-
-      if (progress < 1) {
-        requestAnimationFrame(animateEffect);
-      } else {
-        this.scene.remove(hitEffect);
-      }
-    };
-
-    animateEffect();
+    // Bright flash and sparks at the hit location
+    this.particles?.spawnHit(position);
   }
 
   getEnemyCount() {
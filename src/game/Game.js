@@ -1,18 +1,28 @@
 import * as THREE from "three";
 // import CSM from "three-csm"; // Disabled due to shader compatibility issues
-import { ChunkTerrain } from "./ChunkTerrain.js";
-// import { QuadChunkTerrain } from "./QuadChunkTerrain.js"; // Temporarily disabled due to syntax error
-// import { LODTerrain } from "./LODTerrain.js"; // Has material cloning issues
-import { SimpleTerrain } from "./SimpleTerrain.js";
-import { FelixTerrain } from "./FelixTerrain.js";
+import {
+  TERRAIN_URL_PARAM,
+  createTerrainProvider,
+  getTerrainBackends,
+  resolveTerrainBackendId,
+} from "./TerrainRegistry.js";
+import {
+  runAllTerrainConformance,
+  runTerrainConformance,
+} from "./TerrainConformance.js";
 import { Player } from "./Player.js";
 import { InputManager } from "./InputManager.js";
+import { GamepadInput } from "@shared/game/GamepadInput.js";
 import { HUD } from "./HUD.js";
 import { Skybox } from "./Skybox.js";
 import { LensFlare } from "./LensFlare.js";
 import { TransparentWater } from "./TransparantWater.js";
 import { BonusManager } from "./BonusManager.js";
 import { EnemyManager } from "./EnemyManager.js";
+import { FACTIONS, ProjectileSystem } from "@shared/game/ProjectileSystem.js";
+import { ParticleSystem } from "@shared/game/ParticleSystem.js";
+import { MissileSystem } from "@shared/game/MissileSystem.js";
+import { userPreferences } from "@shared/utils/UserPreferences.js";
 import Stats from "three/examples/jsm/libs/stats.module.js";
 import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
 import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
@@ -26,15 +36,24 @@ export class Game {
     this.terrain = null;
     this.player = null;
     this.inputManager = null;
+    // Polled every frame, menu included
+    this.gamepad = new GamepadInput({
+      deadZone: userPreferences.getGamepadDeadZone(),
+      curve: userPreferences.getGamepadCurve(),
+    });
     this.hud = null;
     this.skybox = null;
     this.lensFlare = null;
     this.water = null;
     this.bonusManager = null;
     this.enemyManager = null;
+    this.projectiles = null;
+    this.particles = null;
+    this.missiles = null;
     this.clock = new THREE.Clock();
     this.isRunning = false;
     this.gameStarted = false;
+    this.gamePaused = false;
     this.menuCameraAngle = 0;
     this.water = null;
 
@@ -59,19 +78,61 @@ export class Game {
     this.setupCamera();
     this.setupPostProcessing();
 
-    // Create terrain with camera reference
-    // Use the most stable terrain system for now
-    this.terrain = new ChunkTerrain(this.scene, this.camera);
-    console.log("🌍 Using legacy ChunkTerrain system - most stable");
+    // Terrain backend comes from ?terrain=<id>, defaulting to ChunkTerrain
+    this.terrain = createTerrainProvider(resolveTerrainBackendId(), {
+      scene: this.scene,
+      camera: this.camera,
+    });
+    console.log(`🌍 Using terrain backend: ${this.terrain.label}`);
+
+    // Lasers and bombs from both sides, swept against each other and the terrain
+    this.projectiles = new ProjectileSystem(this.scene, {
+      up: new THREE.Vector3(0, 1, 0),
+      getTerrainHeight: (position) =>
+        this.terrain?.getHeightAt(position.x, position.z),
+      getTerrainNormal: (position, target) =>
+        this.terrain.getNormalAt(position.x, position.z, target),
+    });
+    this.projectiles.setTargets(FACTIONS.player, () =>
+      this.player ? [this.player] : []
+    );
+    this.projectiles.setTargets(
+      FACTIONS.enemy,
+      () => this.enemyManager?.enemies ?? []
+    );
 
-    this.player = new Player(this.scene, this.camera);
-    this.hud = new HUD();
+    this.particles = new ParticleSystem(this.scene, {
+      up: new THREE.Vector3(0, 1, 0),
+    });
+
+    this.missiles = new MissileSystem(this.projectiles, this.particles, {
+      up: new THREE.Vector3(0, 1, 0),
+    });
 
-    // Initialize bonus system after player is created
-    this.bonusManager = new BonusManager(this.scene, this.player);
+    this.player = new Player(
+      this.scene,
+      this.camera,
+      this.projectiles,
+      this.particles,
+      this.missiles
+    );
+    this.hud = new HUD();
 
     // Initialize enemy system after player is created
-    this.enemyManager = new EnemyManager(this.scene, this.player, this.terrain);
+    this.enemyManager = new EnemyManager(
+      this.scene,
+      this.player,
+      this.terrain,
+      this.projectiles,
+      this.particles
+    );
+
+    // Initialize bonus system after enemies, whose difficulty sets the odds
+    this.bonusManager = new BonusManager(
+      this.scene,
+      this.player,
+      this.enemyManager
+    );
 
     // Create skybox before lighting
     this.skybox = new Skybox(this.scene, this.renderer);
@@ -294,15 +355,16 @@ export class Game {
       console.log("Shadow map size:", this.sunLight.shadow.mapSize);
       console.log("Shadow bias:", this.sunLight.shadow.bias);
       console.log("Player position:", this.player.position);
-      if (this.terrain && this.terrain.chunks) {
+      const chunks = this.terrain?.backend.chunks;
+      if (chunks) {
         let castingCount = 0;
         let receivingCount = 0;
-        for (const [key, chunk] of this.terrain.chunks.entries()) {
-          if (chunk.mesh.castShadow) castingCount++;
-          if (chunk.mesh.receiveShadow) receivingCount++;
+        for (const [key, chunk] of chunks.entries()) {
+          if (chunk.mesh?.castShadow) castingCount++;
+          if (chunk.mesh?.receiveShadow) receivingCount++;
         }
         console.log(
-          `Terrain chunks: ${this.terrain.chunks.size} total, ${castingCount} casting, ${receivingCount} receiving`
+          `Terrain chunks: ${chunks.size} total, ${castingCount} casting, ${receivingCount} receiving`
         );
       }
       console.log("=== END SHADOW DEBUG ===");
@@ -330,6 +392,20 @@ export class Game {
       }
     };
 
+    // Terrain backend debug functions
+    window.listTerrainBackends = () => {
+      console.table(getTerrainBackends());
+      return this.terrain?.getStats();
+    };
+
+    window.setTerrainBackend = (id) => this.setTerrainBackend(id);
+    window.setGamepadResponse = (response) =>
+      this.setGamepadResponse(response);
+
+    // Runs the TerrainProvider conformance suite, e.g. runTerrainConformance("felix")
+    window.runTerrainConformance = (id) =>
+      id ? runTerrainConformance(id) : runAllTerrainConformance();
+
     // Add lens flare debug functions
     window.toggleLensFlare = () => {
       if (this.lensFlare) {
@@ -374,9 +450,63 @@ export class Game {
     this.boundAnimate();
   }
 
+  getTerrainUpdateContext(deltaTime) {
+    return {
+      position: this.player.position,
+      deltaTime,
+      camera: this.camera,
+    };
+  }
+
+  // Swap the terrain backend at runtime and keep the URL shareable
+  setTerrainBackend(id) {
+    let terrain;
+    try {
+      terrain = createTerrainProvider(id, {
+        scene: this.scene,
+        camera: this.camera,
+      });
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}`);
+      return this.terrain?.id;
+    }
+
+    this.terrain?.dispose();
+    this.terrain = terrain;
+    if (this.enemyManager) {
+      this.enemyManager.terrain = terrain;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set(TERRAIN_URL_PARAM, id);
+    window.history.replaceState(window.history.state, "", url);
+    console.log(`🌍 Switched terrain backend to ${terrain.label}`);
+    return id;
+  }
+
   startGame() {
     this.gameStarted = true;
     this.inputManager = new InputManager(this.player);
+    this.inputManager.gamepad = this.gamepad;
+  }
+
+  // Toggles pause during play; the last frame stays on screen
+  togglePause() {
+    if (!this.gameStarted) return;
+
+    this.gamePaused = !this.gamePaused;
+    this.hud?.setPaused(this.gamePaused);
+    console.log(this.gamePaused ? "⏸️ Game paused" : "▶️ Game resumed");
+  }
+
+  // { deadZone, curve }; partial updates keep the other value
+  setGamepadResponse({ deadZone, curve } = {}) {
+    if (deadZone !== undefined) userPreferences.setGamepadDeadZone(deadZone);
+    if (curve !== undefined) userPreferences.setGamepadCurve(curve);
+    return this.gamepad.setConfig({
+      deadZone: userPreferences.getGamepadDeadZone(),
+      curve: userPreferences.getGamepadCurve(),
+    });
   }
 
   stop() {
@@ -399,6 +529,9 @@ export class Game {
   }
 
   update(deltaTime) {
+    this.updateGamepad();
+    if (this.gamePaused) return;
+
     // Always update player for animations
     this.player.update(deltaTime);
 
@@ -413,7 +546,7 @@ export class Game {
         //     0
         //   )}, ${this.player.position.z.toFixed(0)})`
         // );
-        this.terrain.update(this.player.position);
+        this.terrain.update(this.getTerrainUpdateContext(deltaTime));
       }
 
       // Update skybox in menu phase too
@@ -438,17 +571,31 @@ export class Game {
       this.inputManager.update(deltaTime);
     }
 
-    this.terrain.update(this.player.position);
+    this.terrain.update(this.getTerrainUpdateContext(deltaTime));
     this.hud.update(this.player);
+    this.hud.updateLockReticle(this.player.targetLock, this.camera);
 
     // Update bonus manager
     if (this.bonusManager) {
-      //this.bonusManager.update(deltaTime);
+      this.bonusManager.update(deltaTime);
     }
 
-    // Update enemy manager
+    // Update enemy manager; kills raise the difficulty that pickups follow
     if (this.enemyManager) {
-      //this.enemyManager.update(deltaTime);
+      this.enemyManager.update(deltaTime);
+    }
+
+    if (this.projectiles) {
+      this.projectiles.update(deltaTime);
+      this.projectiles.interpolate();
+    }
+
+    if (this.missiles) {
+      this.missiles.update(deltaTime);
+    }
+
+    if (this.particles) {
+      this.particles.update(deltaTime);
     }
 
     // Update skybox
@@ -470,6 +617,23 @@ export class Game {
     this.updateShadowCamera();
   }
 
+  // Gamepad buttons that act once per press; the stick and held buttons are
+  // read by InputManager
+  updateGamepad() {
+    const { pressed, connected } = this.gamepad.poll();
+    if (!connected) return;
+
+    if (!this.gameStarted) {
+      if ((pressed.confirm || pressed.pause) && this.hud) {
+        this.hud.startGame();
+      }
+    } else if (pressed.pause) {
+      this.togglePause();
+    } else if (pressed.afterburner && !this.gamePaused) {
+      this.player.toggleAfterburner();
+    }
+  }
+
   updateMenuCamera(deltaTime) {
     this.menuCameraAngle += deltaTime * 0.2; // Slower rotation for more cinematic feel
     const radius = 800; // Much wider orbit
@@ -1,90 +1,19 @@
 import * as THREE from "three";
 import { Enemy } from "./Enemy.js";
-
-// Static object pools shared across all turrets
-class LaserPool {
-  constructor() {
-    this.availableLasers = [];
-    this.geometryCache = null;
-    this.materialCache = null;
-  }
-
-  initialize() {
-    // Create shared geometry and materials once
-    const laserLength = 200;
-
-    this.coreGeometry = new THREE.CylinderGeometry(8, 8, laserLength, 12);
-    this.glowGeometry = new THREE.CylinderGeometry(12, 12, laserLength, 15);
-
-    this.coreMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff0000,
-      transparent: true,
-      opacity: 1.0,
-      emissive: 0xff0000,
-      emissiveIntensity: 1.2,
-      metalness: 0,
-      roughness: 1,
-    });
-
-    this.glowMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff0000,
-      transparent: true,
-      opacity: 0.4,
-      emissive: 0xff0000,
-      emissiveIntensity: 15.3,
-      blending: THREE.AdditiveBlending,
-      metalness: 0,
-      roughness: 1,
-    });
-
-    // Pre-create some laser objects
-    for (let i = 0; i < 20; i++) {
-      this.createLaserObject();
-    }
-  }
-
-  createLaserObject() {
-    const core = new THREE.Mesh(this.coreGeometry, this.coreMaterial);
-    const glow = new THREE.Mesh(this.glowGeometry, this.glowMaterial);
-
-    // Hide initially
-    core.visible = false;
-    glow.visible = false;
-
-    const laserObj = {
-      mesh: core,
-      glow: glow,
-      position: new THREE.Vector3(),
-      direction: new THREE.Vector3(),
-      velocity: new THREE.Vector3(),
-      life: 0,
-      creationTime: 0,
-      damage: 0,
-      active: false,
-    };
-
-    this.availableLasers.push(laserObj);
-    return laserObj;
-  }
-
-  getLaser() {
-    if (this.availableLasers.length > 0) {
-      return this.availableLasers.pop();
-    }
-    // Create new if pool is empty
-    return this.createLaserObject();
-  }
-
-  returnLaser(laser) {
-    laser.active = false;
-    laser.mesh.visible = false;
-    laser.glow.visible = false;
-    this.availableLasers.push(laser);
-  }
-}
-
-// Global laser pool
-const laserPool = new LaserPool();
+import { FACTIONS } from "@shared/game/ProjectileSystem.js";
+
+// Turret lasers, registered on the game's ProjectileSystem
+const TURRET_LASER = {
+  capacity: 64,
+  speed: 8000,
+  life: 4,
+  radius: 80, // Hit sphere around the player
+  length: 200,
+  coreRadius: 8,
+  glowRadius: 12,
+  color: 0xff0000,
+  emissiveIntensity: 1.2,
+};
 
 // Muzzle flash pool
 class MuzzleFlashPool {
@@ -133,9 +62,8 @@ export class GroundTurret extends Enemy {
   constructor(scene, position, terrain) {
     super(scene, position);
 
-    // Initialize pools on first turret creation
-    if (!laserPool.geometryCache) {
-      laserPool.initialize();
+    // Initialize the flash pool on first turret creation
+    if (!flashPool.geometry) {
       flashPool.initialize();
     }
 
@@ -154,12 +82,10 @@ export class GroundTurret extends Enemy {
     this.targetPosition = new THREE.Vector3();
     this.isTargeting = false;
 
-    // Shooting mechanics - optimized
-    this.activeLasers = []; // Only track active lasers
+    // Shooting mechanics
     this.lastShotTime = 0;
     this.laserCooldown = 150;
     this.laserSpeed = 8000;
-    this.laserLife = 4000;
 
     // Store terrain and player references
     this.terrain = terrain;
@@ -181,6 +107,11 @@ export class GroundTurret extends Enemy {
     this.player = player;
   }
 
+  setProjectiles(projectiles) {
+    super.setProjectiles(projectiles);
+    projectiles?.ensureType("turretLaser", TURRET_LASER);
+  }
+
   createTurret() {
     // Create turret group
     this.turretGroup = new THREE.Group();
@@ -298,7 +229,6 @@ export class GroundTurret extends Enemy {
   update(deltaTime, playerPosition) {
     super.update(deltaTime, playerPosition);
     this.updateAI(deltaTime, playerPosition);
-    this.updateLasers(deltaTime, playerPosition);
     this.updateAnimation(deltaTime);
   }
 
@@ -423,46 +353,15 @@ export class GroundTurret extends Enemy {
       .sub(muzzleWorldPos)
       .normalize();
 
-    // Get laser from pool instead of creating new
-    this.createOptimizedLaser(muzzleWorldPos, direction);
+    this.projectiles?.spawn("turretLaser", muzzleWorldPos, direction, {
+      owner: this,
+      faction: FACTIONS.enemy,
+      speed: this.laserSpeed,
+      damage: this.attackDamage,
+    });
     this.createOptimizedMuzzleFlash(muzzleWorldPos);
   }
 
-  createOptimizedLaser(startPosition, direction) {
-    // Get laser from pool
-    const laser = laserPool.getLaser();
-
-    // Configure laser
-    laser.position.copy(startPosition);
-    laser.direction.copy(direction);
-    laser.velocity.copy(direction).multiplyScalar(this.laserSpeed);
-    laser.life = this.laserLife;
-    laser.creationTime = Date.now();
-    laser.damage = this.attackDamage;
-    laser.active = true;
-
-    // Position meshes
-    laser.mesh.position.copy(startPosition);
-    laser.glow.position.copy(startPosition);
-
-    // Orient laser
-    const up = this._tempVector1.set(0, 1, 0);
-    this._tempQuaternion.setFromUnitVectors(up, direction);
-    laser.mesh.quaternion.copy(this._tempQuaternion);
-    laser.glow.quaternion.copy(this._tempQuaternion);
-
-    // Make visible and add to scene
-    laser.mesh.visible = true;
-    laser.glow.visible = true;
-
-    if (!laser.mesh.parent) {
-      this.scene.add(laser.mesh);
-      this.scene.add(laser.glow);
-    }
-
-    this.activeLasers.push(laser);
-  }
-
   createOptimizedMuzzleFlash(position) {
     const flash = flashPool.getFlash();
     flash.position.copy(position);
@@ -481,60 +380,6 @@ export class GroundTurret extends Enemy {
     }, 100);
   }
 
-  updateLasers(deltaTime, playerPosition) {
-    // Only iterate through active lasers
-    for (let i = this.activeLasers.length - 1; i >= 0; i--) {
-      const laser = this.activeLasers[i];
-      const now = Date.now();
-
-      // Move laser using temp vector
-      const movement = this._tempVector1
-        .copy(laser.velocity)
-        .multiplyScalar(deltaTime);
-      laser.position.add(movement);
-
-      // Update mesh positions
-      laser.mesh.position.copy(laser.position);
-      laser.glow.position.copy(laser.position);
-
-      // Check collision
-      const distanceToPlayer = laser.position.distanceTo(playerPosition);
-      if (distanceToPlayer < 80) {
-        // Hit player
-        if (this.player && this.player.takeDamage) {
-          this.player.takeDamage(laser.damage);
-        } else if (
-          window.game &&
-          window.game.player &&
-          window.game.player.takeDamage
-        ) {
-          window.game.player.takeDamage(laser.damage);
-        }
-
-        // Return laser to pool
-        this.returnLaserToPool(laser, i);
-        continue;
-      }
-
-      // Remove old lasers
-      if (now - laser.creationTime > laser.life) {
-        this.returnLaserToPool(laser, i);
-      }
-    }
-  }
-
-  returnLaserToPool(laser, index) {
-    // Remove from active list
-    this.activeLasers.splice(index, 1);
-
-    // Don't remove from scene, just hide
-    laser.mesh.visible = false;
-    laser.glow.visible = false;
-
-    // Return to pool
-    laserPool.returnLaser(laser);
-  }
-
   updateAnimation(deltaTime) {
     if (!this.mesh) return;
 
@@ -551,8 +396,8 @@ export class GroundTurret extends Enemy {
   }
 
   getTerrainHeight(x, z) {
-    if (this.terrain && this.terrain.getHeightAtPosition) {
-      return this.terrain.getHeightAtPosition(x, z, true);
+    if (this.terrain) {
+      return this.terrain.getHeightAt(x, z);
     }
     return 0;
   }
@@ -589,14 +434,4 @@ export class GroundTurret extends Enemy {
       }
     }, 100);
   }
-
-  destroy() {
-    // Return all active lasers to pool
-    for (let i = this.activeLasers.length - 1; i >= 0; i--) {
-      this.returnLaserToPool(this.activeLasers[i], i);
-    }
-    this.activeLasers = [];
-
-    super.destroy();
-  }
 }
@@ -1,3 +1,11 @@
+import * as THREE from "three";
+import { BONUS_TYPES } from "./BonusTypes.js";
+import { getTargetPosition } from "@shared/game/ProjectileSystem.js";
+import {
+  getTerrainBackends,
+  resolveTerrainBackendId,
+} from "./TerrainRegistry.js";
+
 export class HUD {
   constructor() {
     this.speedElement = document.getElementById("speed");
@@ -8,11 +16,19 @@ export class HUD {
     this.shootButtonPressed = false
     this.bombButtonPressed = false
 
+    // Missile lock-on box, created on first use
+    this.lockReticleElement = null;
+    this._reticlePosition = new THREE.Vector3();
+
+    // Pause banner, created on first pause
+    this.pauseElement = null;
+
     this.setupHUD();
   }
 
   setupHUD() {
     this.createHealthBar();
+    this.createLoadoutDisplay();
     this.createVirtualButtons();
     this.createInstructions();
   }
@@ -316,6 +332,28 @@ export class HUD {
     this.healthBarElement = healthFill;
   }
 
+  // Active pickups above the health bar: timed effects and ammo
+  createLoadoutDisplay() {
+    const loadout = document.createElement("div");
+    loadout.id = "weapon-loadout";
+    loadout.style.cssText = `
+      position: absolute;
+      bottom: 50px;
+      left: 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      color: #ffffff;
+      font-size: 14px;
+      font-weight: bold;
+      text-shadow: 0 0 4px #000000;
+    `;
+
+    document.getElementById("hud").appendChild(loadout);
+
+    this.loadoutElement = loadout;
+    this.loadoutText = "";
+  }
 
   createInstructions() {
     const instructions = document.createElement("div");
@@ -339,9 +377,22 @@ export class HUD {
     instructions.innerHTML = `
       <h2 style="margin-top: 0; color: #00ffff;">SCROLLING FIGHTER JET</h2>
       <p><strong>A/D</strong> or <strong>Arrow Keys</strong>: Steer Left/Right</p>
+      <p><strong>Space</strong>: Lasers, <strong>B</strong>: Bomb, <strong>M</strong>: Missile, <strong>T</strong>: Lock On</p>
       <p><em>Your jet flies forward automatically!</em></p>
       <br>
       <p style="color: #ffff00;">Enjoy flying over the terrain!</p>
+      <label>
+        Terrain:
+        <select id="terrain-backend" style="
+          background: #000;
+          color: #00ff00;
+          border: 1px solid #00ff00;
+          padding: 4px;
+          font-size: 14px;
+          pointer-events: auto;
+        "></select>
+      </label>
+      <br>
       <button id="start-game" style="
         background: #00ff00;
         color: #000;
@@ -361,6 +412,7 @@ export class HUD {
     document.getElementById("hud").appendChild(instructions);
 
     this.instructionsElement = instructions;
+    this.setupTerrainSelect(document.getElementById("terrain-backend"));
 
     const startButton = document.getElementById("start-game");
     console.log("Start button:", startButton); // Debug log
@@ -393,6 +445,19 @@ export class HUD {
     });
   }
 
+  // Start-menu terrain backend picker; swaps the live terrain on change
+  setupTerrainSelect(select) {
+    for (const { id, label } of getTerrainBackends()) {
+      select.add(new Option(label, id));
+    }
+    select.value = window.game?.terrain?.id ?? resolveTerrainBackendId();
+
+    select.addEventListener("change", () => {
+      // Stays on the current backend if the new one fails to start
+      select.value = window.game?.setTerrainBackend(select.value) ?? select.value;
+    });
+  }
+
   startGame() {
     console.log("startGame() called"); // Debug log
     console.log("window.game:", window.game); // Debug log
@@ -421,6 +486,76 @@ export class HUD {
     this.healthElement.textContent = `Health: ${stats.health}`;
 
     this.updateHealthBar(stats.health);
+    this.updateLoadout(player.loadout);
+  }
+
+  updateLoadout(loadout) {
+    if (!loadout) return;
+
+    const lines = loadout.getStatus().map(({ id, remaining, count }) => {
+      const type = BONUS_TYPES[id];
+      const value =
+        remaining !== undefined ? `${Math.ceil(remaining)}s` : `x${count}`;
+      return `${type.icon} ${type.label} ${value}`;
+    });
+
+    // Only touch the DOM when something changed
+    const text = lines.join("\n");
+    if (text === this.loadoutText) return;
+    this.loadoutText = text;
+
+    this.loadoutElement.replaceChildren(
+      ...lines.map((line) => {
+        const row = document.createElement("div");
+        row.textContent = line;
+        return row;
+      })
+    );
+  }
+
+  // Box over the lock-on target that closes in while acquiring and turns red
+  // once locked; hidden without a target or when it is behind the camera
+  updateLockReticle(targetLock, camera) {
+    const target = targetLock?.target;
+    const screen = target
+      ? this._reticlePosition.copy(getTargetPosition(target)).project(camera)
+      : null;
+    if (!screen || screen.z > 1) {
+      if (this.lockReticleElement) {
+        this.lockReticleElement.style.display = "none";
+      }
+      return;
+    }
+
+    if (!this.lockReticleElement) {
+      const reticle = document.createElement("div");
+      reticle.id = "lock-reticle";
+      reticle.style.cssText = `
+        position: fixed;
+        width: 48px;
+        height: 48px;
+        border: 2px solid currentColor;
+        font-size: 12px;
+        font-weight: bold;
+        text-align: center;
+        line-height: 110px;
+        pointer-events: none;
+        z-index: 1400;
+      `;
+      document.getElementById("hud").appendChild(reticle);
+      this.lockReticleElement = reticle;
+    }
+
+    const reticle = this.lockReticleElement;
+    const locked = targetLock.isLocked();
+    const color = locked ? "#ff2222" : "#ffdd00";
+    reticle.style.left = `${((screen.x + 1) / 2) * window.innerWidth}px`;
+    reticle.style.top = `${((1 - screen.y) / 2) * window.innerHeight}px`;
+    reticle.style.transform = `translate(-50%, -50%) scale(${2 - targetLock.progress})`;
+    reticle.style.color = color;
+    reticle.style.textShadow = `0 0 6px ${color}`;
+    reticle.textContent = locked ? "LOCK" : "";
+    reticle.style.display = "block";
   }
 
   updateHealthBar(health) {
@@ -438,6 +573,34 @@ export class HUD {
     }
   }
 
+  setPaused(paused) {
+    if (!this.pauseElement) {
+      if (!paused) return;
+      this.pauseElement = document.createElement("div");
+      this.pauseElement.style.cssText = `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.7);
+        color: #00ff00;
+        padding: 30px 40px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        text-align: center;
+        font-size: 24px;
+        z-index: 3000;
+        pointer-events: none;
+      `;
+      this.pauseElement.innerHTML = `
+        <h1 style="margin: 0 0 10px;">PAUSED</h1>
+        <p style="margin: 0;">Press P or Start to resume</p>
+      `;
+      document.getElementById("hud").appendChild(this.pauseElement);
+    }
+    this.pauseElement.style.display = paused ? "block" : "none";
+  }
+
 
 
   showGameOver() {
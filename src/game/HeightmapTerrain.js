@@ -13,7 +13,7 @@ export class HeightmapTerrain {
     this.renderDistance = 3; // Load 3 chunks in each direction
     this.unloadDistance = 5; // Unload chunks 5 chunks away
 
-    this.init();
+    this.initPromise = this.init();
   }
 
   async init() {
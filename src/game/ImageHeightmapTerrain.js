@@ -7,7 +7,7 @@ export class ImageHeightmapTerrain {
     this.heightData = null
     this.metadata = null
     
-    this.init()
+    this.initPromise = this.init()
   }
 
   async init() {
@@ -12,6 +12,9 @@ export class InputManager {
     this.activeTouches = new Map() // Track multiple touches by identifier
     this.steerTouchId = null // ID of the touch being used for steering
     this.steerCenter = { x: 0, y: 0 } // Dynamic center point for steering
+
+    // GamepadInput polled by Game each frame (null without one)
+    this.gamepad = null
     
     this.setupEventListeners()
   }
@@ -43,6 +46,9 @@ export class InputManager {
           document.exitPointerLock()
         }
         break
+      case 'KeyP':
+        if (!event.repeat) window.game?.togglePause()
+        break
       case 'ShiftLeft':
       case 'ShiftRight':
         // Toggle afterburner
@@ -183,6 +189,7 @@ export class InputManager {
     // Use passed deltaTime or fallback to 60fps
     
     let hasSteeringInput = false
+    const pad = this.gamepad && this.gamepad.connected ? this.gamepad.state : null
     
     // Keyboard steering controls
     if (this.keys['KeyA'] || this.keys['ArrowLeft']) {
@@ -195,7 +202,18 @@ export class InputManager {
       hasSteeringInput = true
     }
     
-    // Touch steering controls (only if no keyboard input) - match desktop behavior
+    // Gamepad stick steering (only if no keyboard input) - turn rate follows stick deflection
+    if (!hasSteeringInput && pad && pad.steer !== 0) {
+      const intensity = Math.abs(pad.steer)
+      if (pad.steer < 0) {
+        this.player.steerLeft(deltaTime * intensity)
+      } else {
+        this.player.steerRight(deltaTime * intensity)
+      }
+      hasSteeringInput = true
+    }
+    
+    // Touch steering controls (only if no keyboard or stick input) - match desktop behavior
     if (!hasSteeringInput && this.touchActive && this.touchSteerInput !== 0) {
       if (this.touchSteerInput < 0) {
         // Steering left - same as desktop keyboard behavior
@@ -216,15 +234,23 @@ export class InputManager {
     }
     
     // Laser firing (keyboard or virtual button)
-    if (this.keys['Space'] || (window.game && window.game.hud && window.game.hud.shootButtonPressed)) {
+    if (this.keys['Space'] || (window.game && window.game.hud && window.game.hud.shootButtonPressed) || (pad && pad.fire)) {
       this.player.fireLasers()
     }
     
     // Bomb firing (keyboard or virtual button)
-    if (this.keys['KeyB'] || (window.game && window.game.hud && window.game.hud.bombButtonPressed)) {
+    if (this.keys['KeyB'] || (window.game && window.game.hud && window.game.hud.bombButtonPressed) || (pad && pad.bomb)) {
       this.player.fireBomb()
     }
     
+    // Lock-on (hold to cycle targets), then missiles once a pickup has
+    // stocked the rack
+    const lockHeld = Boolean(this.keys['KeyT'] || (pad && pad.lockTarget))
+    this.player.updateTargetLock(deltaTime, lockHeld)
+    if (this.keys['KeyM'] || (pad && pad.missile)) {
+      this.player.fireMissile()
+    }
+    
     // Only stabilize if no steering input is being given
     if (!hasSteeringInput) {
       this.player.stabilize(deltaTime)
@@ -237,7 +263,12 @@ export class InputManager {
       'Touch (bottom half): Steer Left/Right',
       'Space: Fire Lasers',
       'B: Fire Bomb',
+      'T (hold): Lock On / Cycle Targets',
+      'M: Fire Homing Missile (from pickups)',
       'Shift: Afterburner',
+      'P: Pause',
+      'Gamepad: Left stick steers, RT lasers, LT bomb, A afterburner, A/Start starts, Start pauses',
+      'Gamepad: D-pad left locks on (hold to cycle), D-pad right fires a missile',
       'Fighter jet flies forward automatically!'
     ]
   }
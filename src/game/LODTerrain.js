@@ -166,7 +166,7 @@ export class LODTerrain {
     
     console.log("🌍 LODTerrain initialized with felixpalmer approach");
     
-    this.init();
+    this.initPromise = this.init();
   }
 
   async init() {
@@ -9,7 +9,6 @@ export class LensFlare {
     this.flareElements = [];
     this.sunPosition = new THREE.Vector3();
     this.screenPosition = new THREE.Vector2();
-    this.raycaster = new THREE.Raycaster();
     this.occluded = false;
     
     this.init();
@@ -228,21 +227,8 @@ export class LensFlare {
     const direction = this.sunPosition.clone().sub(this.camera.position).normalize();
     const distance = this.camera.position.distanceTo(this.sunPosition);
     
-    this.raycaster.set(this.camera.position, direction);
-    
-    // Check intersection with terrain chunks
-    const intersections = [];
-    if (terrain.chunks) {
-      for (const [key, chunk] of terrain.chunks.entries()) {
-        if (chunk.mesh) {
-          const intersects = this.raycaster.intersectObject(chunk.mesh);
-          intersections.push(...intersects);
-        }
-      }
-    }
-    
-    // If any intersection is closer than the sun, it's occluded
-    this.occluded = intersections.some(intersection => intersection.distance < distance * 0.8);
+    // Any terrain hit closer than the sun occludes it
+    this.occluded = terrain.raycast(this.camera.position, direction, distance * 0.8) !== null;
   }
 
   updateFlareElements(deltaTime, visibility) {
@@ -4,7 +4,7 @@ import * as THREE from "three";
  * Hierarchical Quadtree Terrain Node
  * Each node can either be a leaf (with mesh) or have 4 children
  */
-class TerrainNode {
+export class TerrainNode {
   constructor(x, z, size, level, parent = null) {
     this.x = x; // World X coordinate
     this.z = z; // World Z coordinate
@@ -363,7 +363,7 @@ export class NewChunkTerrain {
       frameTime: 0,
     };
 
-    this.init();
+    this.initPromise = this.init();
   }
 
   async init() {
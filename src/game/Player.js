@@ -1,11 +1,85 @@
 import * as THREE from "three";
 import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
 import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { FACTIONS } from "@shared/game/ProjectileSystem.js";
+import { BONUS_TYPES } from "./BonusTypes.js";
+import { WeaponLoadout } from "./WeaponLoadout.js";
+import { TargetLock } from "@shared/game/TargetLock.js";
+
+// Player weapons, registered on the game's ProjectileSystem
+const PLAYER_LASER = {
+  capacity: 64,
+  speed: 8000,
+  life: 3,
+  radius: 150, // Generous hit sphere around the beam
+  damage: 25,
+  length: 300,
+  coreRadius: 3,
+  glowRadius: 5,
+  color: 0x00ff00,
+  emissiveIntensity: 0.8,
+  glowOpacity: 0.3,
+  onHit: (laser, enemy) => {
+    console.log("🔫💥 Laser hit an enemy!");
+    window.game?.enemyManager?.createHitEffect(enemy.getPosition());
+  },
+};
+
+const PLAYER_BOMB = {
+  capacity: 16,
+  speed: 12000,
+  life: 0.5, // Fuse: explodes after half a second unless it hits first
+  radius: 100, // Proximity trigger
+  damage: 0, // All damage comes from the blast
+  splashRadius: 300,
+  splashDamage: 9999, // Instant kill
+  detonateOnExpire: true,
+  length: 400,
+  coreRadius: 6,
+  glowRadius: 12,
+  color: 0xff0000, // Bright red
+  glowColor: 0xff4400, // Orange-red glow
+  emissiveIntensity: 4.5,
+  onSplash: (bomb, point, hits) => {
+    console.log(`💣💥 Bomb hit ${hits.length} enemies!`);
+    bomb.owner?.createExplosion(point);
+    for (const { target } of hits) {
+      window.game?.enemyManager?.createHitEffect(target.getPosition());
+    }
+  },
+};
+
+// Homing missile from the pickup rack, guided by the game's MissileSystem
+const PLAYER_MISSILE = {
+  capacity: 16,
+  speed: 5000,
+  life: 4,
+  radius: 120,
+  damage: 100,
+  length: 150,
+  coreRadius: 5,
+  glowRadius: 10,
+  color: 0xff00ff,
+  glowColor: 0xff88ff,
+  emissiveIntensity: 3,
+  onHit: () => {
+    console.log("🚀💥 Missile hit an enemy!");
+  },
+};
 
 export class Player {
-  constructor(scene, camera) {
+  constructor(
+    scene,
+    camera,
+    projectiles = null,
+    particles = null,
+    missiles = null
+  ) {
     this.scene = scene;
     this.camera = camera;
+    this.projectiles = projectiles;
+    this.particles = particles; // Shared ParticleSystem for explosions
+    this.missiles = missiles; // Shared MissileSystem for guided missiles
     this.mesh = null;
     this.velocity = new THREE.Vector3();
     this.position = new THREE.Vector3(0, 850, -4000);
@@ -45,41 +119,44 @@ export class Player {
 
     // Status
     this.health = 100;
+    this.maxHealth = 100;
     this.distanceTraveled = 0;
     this.startZ = -4000;
 
     // Effects
     this.exhaustGlows = [];
 
-    // Laser system
-    this.lasers = [];
+    // Laser system (projectiles live in the shared ProjectileSystem)
     this.laserSpeed = 8000; // Very fast laser speed
     this.lastLaserTime = 0;
     this.laserCooldown = 150; // 150ms between shots
 
     // Bomb system
-    this.bombs = [];
     this.bombSpeed = 12000; // Slower than lasers
     this.lastBombTime = 0;
     this.bombCooldown = 500; // 2 second cooldown between bombs
-    this.explosions = [];
+
+    // Missiles, only while the rack holds some, guided by the lock-on
+    this.missileSpeed = 5000;
+    this.lastMissileTime = 0;
+    this.missileCooldown = 400;
+    this.missileLockCone = Math.cos(Math.PI / 6); // 30 degrees off the nose
+    this.targetLock = new TargetLock();
+
+    // Pickup upgrades on top of the base weapons
+    this.loadout = new WeaponLoadout();
+    this.shieldMesh = null;
 
     // Reusable vectors for performance (avoid allocating new ones each frame)
     this._tempVector1 = new THREE.Vector3();
     this._tempVector2 = new THREE.Vector3();
     this._tempVector3 = new THREE.Vector3();
 
-    // Shared geometries and materials for lasers (reuse instead of creating new ones)
-    this._laserCoreGeometry = null;
-    this._laserGlowGeometry = null;
-    this._laserCoreMaterial = null;
-    this._laserGlowMaterial = null;
-
-    // Shared geometries and materials for bombs
-    this._bombCoreGeometry = null;
-    this._bombGlowGeometry = null;
-    this._bombCoreMaterial = null;
-    this._bombGlowMaterial = null;
+    if (projectiles) {
+      projectiles.ensureType("playerLaser", PLAYER_LASER);
+      projectiles.ensureType("playerBomb", PLAYER_BOMB);
+    }
+    missiles?.registerMissile("playerMissile", PLAYER_MISSILE);
 
     this.loadJetModel();
   }
@@ -291,9 +368,8 @@ export class Player {
       this.position.copy(this.mesh.position);
     }
     this.updateAdvancedEffects(deltaTime);
-    this.updateLasers(deltaTime);
-    this.updateBombs(deltaTime);
-    this.updateExplosions(deltaTime);
+    this.loadout.update(deltaTime);
+    this.updateShield();
 
     // Camera update
     if (window.game && window.game.gameStarted) {
@@ -611,89 +687,32 @@ export class Player {
     this._tempVector1.set(0, 0, 1);
     this._tempVector1.applyQuaternion(this.mesh.quaternion);
 
-    // Bomb spawn position (center front of plane)
-    const bombPosition = new THREE.Vector3(0, 0, 40); // Front center
-
-    // Transform local position to world position - reuse temp vector
-    this._tempVector2.copy(bombPosition);
-    this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
-
-    this.createBomb(this._tempVector2, this._tempVector1);
-  }
+    // Bomb spawn positions (center front of plane, side by side per salvo)
+    const salvo = this.loadout.bombSalvo;
+    for (let i = 0; i < salvo; i++) {
+      const offsetX = (i - (salvo - 1) / 2) * 60;
 
-  createBomb(position, direction) {
-    const bombLength = 400; // Larger than lasers
-
-    // Create shared geometries and materials only once
-    if (!this._bombCoreGeometry) {
-      this._bombCoreGeometry = new THREE.CylinderGeometry(6, 6, bombLength, 8); // Thicker than lasers
-      this._bombGlowGeometry = new THREE.CylinderGeometry(
-        12,
-        12,
-        bombLength,
-        8
-      ); // Much thicker glow
-
-      this._bombCoreMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff0000, // Bright red
-        transparent: true,
-        opacity: 1.0,
-        emissive: 0xff0000,
-        emissiveIntensity: 4.5, // Very bright for bloom
-        metalness: 0,
-        roughness: 1,
-      });
+      // Transform local position to world position - reuse temp vector
+      this._tempVector2.set(offsetX, 0, 40);
+      this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-      this._bombGlowMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff4400, // Orange-red glow
-        transparent: true,
-        opacity: 0.4,
-        emissive: 0xff4400,
-        emissiveIntensity: 3.0,
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
+      this.projectiles?.spawn("playerBomb", this._tempVector2, this._tempVector1, {
+        owner: this,
+        faction: FACTIONS.player,
+        speed: this.bombSpeed,
       });
     }
-
-    // Reuse geometries and materials
-    const core = new THREE.Mesh(this._bombCoreGeometry, this._bombCoreMaterial);
-    const glow = new THREE.Mesh(this._bombGlowGeometry, this._bombGlowMaterial);
-
-    // Position and orient both cylinders
-    core.position.copy(position);
-    glow.position.copy(position);
-
-    // Orient cylinders along the direction vector - reuse temp vector
-    this._tempVector3.set(0, 1, 0);
-    const quaternion = new THREE.Quaternion();
-    quaternion.setFromUnitVectors(this._tempVector3, direction.normalize());
-
-    core.quaternion.copy(quaternion);
-    glow.quaternion.copy(quaternion);
-
-    // Bomb projectile data
-    const bombData = {
-      mesh: core,
-      glow: glow,
-      position: position.clone(),
-      direction: direction.clone().normalize(),
-      velocity: direction.clone().normalize().multiplyScalar(this.bombSpeed),
-      creationTime: Date.now(),
-      exploded: false,
-    };
-
-    this.bombs.push(bombData);
-    this.scene.add(core);
-    this.scene.add(glow);
   }
 
   // Laser firing system
   fireLasers() {
     if (!this.mesh) return;
 
+    const cooldown = this.loadout.isActive("rapidFire")
+      ? this.laserCooldown * BONUS_TYPES.rapidFire.cooldownScale
+      : this.laserCooldown;
     const currentTime = Date.now();
-    if (currentTime - this.lastLaserTime < this.laserCooldown) return;
+    if (currentTime - this.lastLaserTime < cooldown) return;
 
     this.lastLaserTime = currentTime;
 
@@ -712,350 +731,180 @@ export class Player {
       this._tempVector2.copy(localPos);
       this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-      this.createLaser(this._tempVector2, this._tempVector1);
+      this.projectiles?.spawn("playerLaser", this._tempVector2, this._tempVector1, {
+        owner: this,
+        faction: FACTIONS.player,
+        speed: this.laserSpeed,
+      });
     });
+
+    if (this.loadout.isActive("spreadShot")) {
+      this.fireSpreadLasers();
+    }
   }
 
-  createLaser(position, direction) {
-    const laserLength = 300; // Much longer lasers
-
-    // Create shared geometries and materials only once
-    if (!this._laserCoreGeometry) {
-      this._laserCoreGeometry = new THREE.CylinderGeometry(
-        3,
-        3,
-        laserLength,
-        8
-      ); // Reduced segments from 80 to 8
-      this._laserGlowGeometry = new THREE.CylinderGeometry(
-        5,
-        5,
-        laserLength,
-        8
-      );
+  // Two extra lasers fanned out from the nose, one to each side
+  fireSpreadLasers() {
+    const { spreadAngle } = BONUS_TYPES.spreadShot;
 
-      this._laserCoreMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00, // Bright green
-        transparent: true,
-        opacity: 1.0,
-        emissive: 0x00ff00,
-        emissiveIntensity: 0.8,
-        metalness: 0,
-        roughness: 1,
-      });
+    // Plane's up axis to fan the shots around - reuse temp vector
+    this._tempVector3.set(0, 1, 0);
+    this._tempVector3.applyQuaternion(this.mesh.quaternion);
 
-      this._laserGlowMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ff00,
-        transparent: true,
-        opacity: 0.3,
-        emissive: 0x00ff00,
-        emissiveIntensity: 4.2,
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
-      });
-    }
+    this._tempVector2.set(0, 0, 40);
+    this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-    // Reuse geometries and materials
-    const core = new THREE.Mesh(
-      this._laserCoreGeometry,
-      this._laserCoreMaterial
-    );
-    const glow = new THREE.Mesh(
-      this._laserGlowGeometry,
-      this._laserGlowMaterial
-    );
+    for (const side of [-1, 1]) {
+      const direction = this._tempVector1
+        .set(0, 0, 1)
+        .applyQuaternion(this.mesh.quaternion)
+        .applyAxisAngle(this._tempVector3, side * spreadAngle);
 
-    // Position and orient both cylinders
-    core.position.copy(position);
-    glow.position.copy(position);
+      this.projectiles?.spawn("playerLaser", this._tempVector2, direction, {
+        owner: this,
+        faction: FACTIONS.player,
+        speed: this.laserSpeed,
+      });
+    }
+  }
 
-    // Orient cylinders along the direction vector - reuse temp vector
-    this._tempVector3.set(0, 1, 0);
-    const quaternion = new THREE.Quaternion();
-    quaternion.setFromUnitVectors(this._tempVector3, direction.normalize());
-
-    core.quaternion.copy(quaternion);
-    glow.quaternion.copy(quaternion);
-
-    // Laser projectile data
-    const laserData = {
-      mesh: core,
-      glow: glow,
-      position: position.clone(),
-      direction: direction.clone().normalize(),
-      velocity: direction.clone().normalize().multiplyScalar(this.laserSpeed),
-      life: 3000, // 3 seconds lifetime
-      creationTime: Date.now(),
-    };
+  // Lock-on selection, every frame so targets leaving the cone are dropped;
+  // `held` is the lock control, which cycles targets while down
+  updateTargetLock(deltaTime, held) {
+    if (!this.mesh) return;
 
-    this.lasers.push(laserData);
-    this.scene.add(core);
-    this.scene.add(glow);
+    this._tempVector1.set(0, 0, 1);
+    this._tempVector1.applyQuaternion(this.mesh.quaternion);
+    const enemies = window.game?.enemyManager?.enemies ?? [];
+    this.targetLock.update(
+      deltaTime,
+      this.mesh.position,
+      this._tempVector1,
+      enemies,
+      held
+    );
   }
 
-  updateLasers(deltaTime) {
+  // Homing missile from the pickup rack, guided to the locked target, else
+  // the enemy closest to the nose, else straight ahead
+  fireMissile() {
+    if (!this.mesh || !this.missiles || this.loadout.missiles <= 0) return;
+
     const currentTime = Date.now();
+    if (currentTime - this.lastMissileTime < this.missileCooldown) return;
 
-    // Update laser positions and remove expired lasers
-    for (let i = this.lasers.length - 1; i >= 0; i--) {
-      const laser = this.lasers[i];
+    this.lastMissileTime = currentTime;
+    this.loadout.useMissile();
 
-      // Check if laser has expired
-      if (currentTime - laser.creationTime > laser.life) {
-        this.scene.remove(laser.mesh);
-        this.scene.remove(laser.glow);
-        // Don't dispose shared geometries and materials - they're reused
-        this.lasers.splice(i, 1);
-        continue;
-      }
+    // Get plane's forward direction - reuse temp vector
+    this._tempVector1.set(0, 0, 1);
+    this._tempVector1.applyQuaternion(this.mesh.quaternion);
 
-      // Move laser forward
-      laser.position.add(laser.velocity.clone().multiplyScalar(deltaTime));
-
-      // Update laser and glow positions
-      laser.mesh.position.copy(laser.position);
-      laser.glow.position.copy(laser.position);
-
-      // Check collision with enemies
-      if (window.game && window.game.enemyManager) {
-        console.log(`🔫 Checking laser collision at:`, laser.position);
-        const hits = window.game.enemyManager.damageEnemiesInArea(
-          laser.position,
-          150,
-          25
-        ); // Much larger radius
-        if (hits.length > 0) {
-          console.log(`🔫💥 Laser hit ${hits.length} enemies!`);
-          // Remove laser on hit
-          this.scene.remove(laser.mesh);
-          this.scene.remove(laser.glow);
-          this.lasers.splice(i, 1);
-          continue;
-        }
-      } else {
-        console.log(`🔫❌ No enemy manager found for collision check`);
-      }
+    // Missile spawn position (under the fuselage)
+    this._tempVector2.set(0, -20, 40);
+    this._tempVector2.applyMatrix4(this.mesh.matrixWorld);
 
-      // Add slight pulsing effect to make it more visible
-      const pulse = 1 + Math.sin(currentTime * 0.01) * 0.2;
-      laser.mesh.material.emissiveIntensity = 0.8 * pulse;
-      laser.glow.material.opacity = 0.3 * pulse;
-    }
+    const locked = this.targetLock.getLockedTarget();
+    const target = locked ?? this.findMissileTarget(this._tempVector1);
+    this.missiles.fire(this._tempVector2, this._tempVector1, {
+      type: "playerMissile",
+      owner: this,
+      faction: FACTIONS.player,
+      speed: this.missileSpeed,
+      target,
+    });
+    const aim = locked ? "locked" : target ? "nearest target" : "no target";
+    console.log(`🚀 Missile away, ${aim}, ${this.loadout.missiles} left`);
   }
 
-  updateBombs(deltaTime) {
-    const currentTime = Date.now();
+  // Nearest live enemy inside the lock cone around forward, or null
+  findMissileTarget(forward) {
+    const enemies = window.game?.enemyManager?.enemies ?? [];
+    let best = null;
+    let bestDistance = Infinity;
 
-    // Update bomb positions and check for explosions
-    for (let i = this.bombs.length - 1; i >= 0; i--) {
-      const bomb = this.bombs[i];
-
-      // Check if bomb should explode (after 0.5 seconds) or hit enemy
-      if (
-        !bomb.exploded &&
-        (currentTime - bomb.creationTime > 500 ||
-          this.checkBombEnemyCollision(bomb))
-      ) {
-        this.createExplosion(bomb.position.clone());
-
-        // Damage enemies in explosion area
-        if (window.game && window.game.enemyManager) {
-          console.log(`💣 Bomb exploding at:`, bomb.position);
-          const bombHits = window.game.enemyManager.damageEnemiesInArea(
-            bomb.position,
-            300,
-            9999
-          ); // Instant kill damage
-          console.log(`💣💥 Bomb hit ${bombHits.length} enemies!`);
-        }
+    for (const enemy of enemies) {
+      if (enemy.isDestroyed()) continue;
 
-        // Remove bomb visuals
-        this.scene.remove(bomb.mesh);
-        this.scene.remove(bomb.glow);
-        this.bombs.splice(i, 1);
+      this._tempVector3.subVectors(enemy.getPosition(), this.mesh.position);
+      const distance = this._tempVector3.length();
+      if (distance === 0 || distance >= bestDistance) continue;
+      if (this._tempVector3.dot(forward) / distance < this.missileLockCone) {
         continue;
       }
 
-      if (!bomb.exploded) {
-        // Move bomb forward
-        bomb.position.add(bomb.velocity.clone().multiplyScalar(deltaTime));
+      best = enemy;
+      bestDistance = distance;
+    }
 
-        // Update bomb and glow positions
-        bomb.mesh.position.copy(bomb.position);
-        bomb.glow.position.copy(bomb.position);
+    return best;
+  }
 
-        // Add pulsing effect to make it more dramatic
-        const pulse = 1 + Math.sin(currentTime * 0.02) * 0.3;
-        bomb.mesh.material.emissiveIntensity = 1.5 * pulse;
-        bomb.glow.material.opacity = 0.4 * pulse;
-      }
+  // Applies a collected pickup (see BonusTypes.js)
+  applyBonus(type) {
+    switch (type.id) {
+      case "spreadShot":
+      case "rapidFire":
+      case "shield":
+        this.loadout.activate(type.id, type.duration);
+        break;
+      case "homingMissiles":
+        this.loadout.addMissiles(type.missiles);
+        break;
+      case "extraBombs":
+        this.loadout.addBombs(type.bombs);
+        break;
+      case "repair":
+        this.health = Math.min(this.maxHealth, this.health + type.health);
+        break;
+      default:
+        return; // Score only
     }
+    console.log(`${type.icon} ${type.label} picked up`);
   }
 
-  createExplosion(position) {
-    const explosionData = {
-      position: position.clone(),
-      creationTime: Date.now(),
-      duration: 800, // 2 second explosion duration
-      effects: [],
-    };
+  // Translucent bubble around the jet while the shield pickup lasts
+  updateShield() {
+    if (!this.mesh) return;
 
-    // Main explosion sphere (bright core)
-    const coreGeometry = new THREE.SphereGeometry(50, 16, 16);
-    const coreMaterial = new THREE.MeshStandardMaterial({
-      color: 0xffaa00, // Bright orange
-      transparent: true,
-      opacity: 1.0,
-      emissive: 0xffaa00,
-      emissiveIntensity: 3.0, // Very bright for massive bloom
-      metalness: 0,
-      roughness: 1,
-    });
-    const core = new THREE.Mesh(coreGeometry, coreMaterial);
-    core.position.copy(position);
-    this.scene.add(core);
-    explosionData.effects.push({ type: "core", mesh: core });
-
-    // Outer explosion glow
-    const glowGeometry = new THREE.SphereGeometry(100, 12, 12);
-    const glowMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff4400, // Red-orange
-      transparent: true,
-      opacity: 0.6,
-      emissive: 0xff4400,
-      emissiveIntensity: 2.0,
-      blending: THREE.AdditiveBlending,
-      metalness: 0,
-      roughness: 1,
-    });
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    glow.position.copy(position);
-    this.scene.add(glow);
-    explosionData.effects.push({ type: "glow", mesh: glow });
-
-    // Shockwave rings
-    for (let i = 0; i < 3; i++) {
-      const ringGeometry = new THREE.RingGeometry(10 + i * 20, 15 + i * 25, 16);
-      const ringMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffff88, // Bright yellow
-        transparent: true,
-        opacity: 0.8,
-        emissive: 0xffff88,
-        emissiveIntensity: 1.5,
-        side: THREE.DoubleSide,
-        blending: THREE.AdditiveBlending,
-        metalness: 0,
-        roughness: 1,
-      });
-      const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.copy(position);
-      ring.position.y += (i - 1) * 10; // Slightly offset rings
-      this.scene.add(ring);
-      explosionData.effects.push({
-        type: "shockwave",
-        mesh: ring,
-        startTime: Date.now() + i * 20,
-      });
+    const active = this.loadout.isActive("shield");
+    if (active && !this.shieldMesh) {
+      this.shieldMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(120, 24, 16),
+        new THREE.MeshBasicMaterial({
+          color: BONUS_TYPES.shield.color,
+          transparent: true,
+          opacity: 0.25,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false,
+        })
+      );
+      this.mesh.add(this.shieldMesh);
+    }
+    if (this.shieldMesh) {
+      this.shieldMesh.visible = active;
     }
-
-    this.explosions.push(explosionData);
   }
 
-  updateExplosions(deltaTime) {
-    const currentTime = Date.now();
-
-    for (let i = this.explosions.length - 1; i >= 0; i--) {
-      const explosion = this.explosions[i];
-      const age = currentTime - explosion.creationTime;
-      const progress = age / explosion.duration;
-
-      if (progress > 1.0) {
-        // Remove expired explosion
-        explosion.effects.forEach((effect) => {
-          this.scene.remove(effect.mesh);
-          effect.mesh.geometry.dispose();
-          effect.mesh.material.dispose();
-        });
-        this.explosions.splice(i, 1);
-        continue;
-      }
-
-      // Update explosion effects
-      explosion.effects.forEach((effect) => {
-        const mesh = effect.mesh;
-
-        switch (effect.type) {
-          case "core":
-            // Expand and fade core
-            const coreScale = 1 + progress * 3;
-            mesh.scale.setScalar(coreScale);
-            mesh.material.opacity = Math.max(0, 1 - progress * 1.5);
-            mesh.material.emissiveIntensity = Math.max(0, 3.0 * (1 - progress));
-            break;
-
-          case "glow":
-            // Expand glow more slowly
-            const glowScale = 1 + progress * 2;
-            mesh.scale.setScalar(glowScale);
-            mesh.material.opacity = Math.max(0, 0.6 * (1 - progress * 0.8));
-            mesh.material.emissiveIntensity = Math.max(
-              0,
-              2.0 * (1 - progress * 0.5)
-            );
-            break;
-
-          case "shockwave":
-            // Expanding shockwave rings with delay
-            const ringAge =
-              currentTime - (effect.startTime || explosion.creationTime);
-            if (ringAge > 0) {
-              const ringProgress = Math.min(ringAge / 1000, 1); // 1 second ring expansion
-              const ringScale = 1 + ringProgress * 8;
-              mesh.scale.setScalar(ringScale);
-              mesh.material.opacity = Math.max(0, 0.8 * (1 - ringProgress));
-              mesh.material.emissiveIntensity = Math.max(
-                0,
-                1.5 * (1 - ringProgress * 0.7)
-              );
-              mesh.rotation.z += deltaTime * 2; // Rotate for effect
-            }
-            break;
-        }
-      });
-    }
+  createExplosion(position) {
+    this.particles?.spawnExplosion(position);
   }
 
   getTerrainHeightAtPosition(x = null, z = null) {
-    if (
-      window.game &&
-      window.game.terrain &&
-      window.game.terrain.getHeightAtPosition
-    ) {
+    if (window.game && window.game.terrain) {
       const queryX = x !== null ? x : this.mesh.position.x;
       const queryZ = z !== null ? z : this.mesh.position.z;
-      return window.game.terrain.getHeightAtPosition(queryX, queryZ);
+      return window.game.terrain.getHeightAt(queryX, queryZ);
     }
     return 0;
   }
 
-  checkBombEnemyCollision(bomb) {
-    if (!window.game || !window.game.enemyManager) return false;
-
-    // Check if bomb is close to any enemy
-    for (const enemy of window.game.enemyManager.enemies) {
-      if (!enemy.isDestroyed()) {
-        const distance = bomb.position.distanceTo(enemy.getPosition());
-        if (distance < 100) {
-          // 100 unit trigger distance
-          return true;
-        }
-      }
+  takeDamage(damage) {
+    if (this.loadout.isActive("shield")) {
+      console.log(`🛡️ Shield absorbed ${damage} damage`);
+      return false;
     }
-    return false;
-  }
 
-  takeDamage(damage) {
     this.health = Math.max(0, this.health - damage);
     console.log(`💥 Player took ${damage} damage! Health: ${this.health}`);
 
@@ -1082,158 +931,10 @@ export class Player {
 
     const explosionPos = this.mesh.position.clone();
     console.log("💥🔥 Creating player death explosion at:", explosionPos);
-
-    // Main explosion sphere
-    const mainExplosionGeometry = new THREE.SphereGeometry(100, 16, 16);
-    const mainExplosionMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffaa00,
-      transparent: true,
-      opacity: 1.0,
-      blending: THREE.AdditiveBlending,
-    });
-
-    const mainExplosion = new THREE.Mesh(
-      mainExplosionGeometry,
-      mainExplosionMaterial
-    );
-    mainExplosion.position.copy(explosionPos);
-    this.scene.add(mainExplosion);
-
-    // Secondary explosion rings
-    const explosionRings = [];
-    for (let i = 0; i < 5; i++) {
-      const ringGeometry = new THREE.TorusGeometry(50 + i * 30, 10, 8, 16);
-      const ringMaterial = new THREE.MeshBasicMaterial({
-        color: i % 2 === 0 ? 0xff4400 : 0xffff00,
-        transparent: true,
-        opacity: 0.8,
-        blending: THREE.AdditiveBlending,
-      });
-
-      const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.copy(explosionPos);
-      ring.rotation.x = Math.random() * Math.PI;
-      ring.rotation.y = Math.random() * Math.PI;
-      ring.rotation.z = Math.random() * Math.PI;
-
-      explosionRings.push(ring);
-      this.scene.add(ring);
-    }
-
-    // Debris particles
-    const debrisParticles = [];
-    for (let i = 0; i < 30; i++) {
-      const debrisGeometry = new THREE.BoxGeometry(
-        Math.random() * 20 + 5,
-        Math.random() * 20 + 5,
-        Math.random() * 20 + 5
-      );
-      const debrisMaterial = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? 0x444444 : 0x888888,
-        transparent: true,
-        opacity: 1.0,
-      });
-
-      const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
-      debris.position.copy(explosionPos);
-      debris.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2000,
-        (Math.random() - 0.5) * 2000,
-        (Math.random() - 0.5) * 2000
-      );
-      debris.angularVelocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10
-      );
-
-      debrisParticles.push(debris);
-      this.scene.add(debris);
-    }
-
-    // Sparkle effects
-    const sparkles = [];
-    for (let i = 0; i < 50; i++) {
-      const sparkleGeometry = new THREE.SphereGeometry(
-        Math.random() * 5 + 2,
-        4,
-        4
-      );
-      const sparkleMaterial = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? 0xffff00 : 0xff8800,
-        transparent: true,
-        opacity: 1.0,
-        blending: THREE.AdditiveBlending,
-      });
-
-      const sparkle = new THREE.Mesh(sparkleGeometry, sparkleMaterial);
-      sparkle.position.copy(explosionPos);
-      sparkle.velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 1500,
-        (Math.random() - 0.5) * 1500,
-        (Math.random() - 0.5) * 1500
-      );
-
-      sparkles.push(sparkle);
-      this.scene.add(sparkle);
-    }
+    this.particles?.spawnDeathExplosion(explosionPos);
 
     // Hide the player mesh
-    if (this.mesh) {
-      this.mesh.visible = false;
-    }
-
-    // Animate explosion
-    let explosionTime = 0;
-    const animateExplosion = () => {
-      explosionTime += 16; // ~60fps
-      const progress = explosionTime / 3000; // 3 second explosion
-
-      if (progress > 1) {
-        // Clean up explosion effects
-        this.scene.remove(mainExplosion);
-        explosionRings.forEach((ring) => this.scene.remove(ring));
-        debrisParticles.forEach((debris) => this.scene.remove(debris));
-        sparkles.forEach((sparkle) => this.scene.remove(sparkle));
-        return;
-      }
-
-      // Animate main explosion
-      mainExplosion.scale.setScalar(1 + progress * 4);
-      mainExplosion.material.opacity = 1 - progress;
-
-      // Animate rings
-      explosionRings.forEach((ring, index) => {
-        ring.scale.setScalar(1 + progress * (2 + index * 0.5));
-        ring.material.opacity = 0.8 - progress;
-        ring.rotation.x += 0.05;
-        ring.rotation.y += 0.03;
-        ring.rotation.z += 0.02;
-      });
-
-      // Animate debris
-      debrisParticles.forEach((debris) => {
-        debris.position.add(debris.velocity.clone().multiplyScalar(0.016));
-        debris.rotation.x += debris.angularVelocity.x * 0.016;
-        debris.rotation.y += debris.angularVelocity.y * 0.016;
-        debris.rotation.z += debris.angularVelocity.z * 0.016;
-        debris.material.opacity = 1 - progress;
-
-        // Apply gravity to debris
-        debris.velocity.y -= 500 * 0.016;
-      });
-
-      // Animate sparkles
-      sparkles.forEach((sparkle) => {
-        sparkle.position.add(sparkle.velocity.clone().multiplyScalar(0.016));
-        sparkle.material.opacity = 1 - progress;
-        sparkle.scale.setScalar(1 - progress * 0.5);
-      });
-
-      requestAnimationFrame(animateExplosion);
-    };
-
-    animateExplosion();
+    this.mesh.visible = false;
   }
 
   getStats() {
@@ -1,5 +1,22 @@
 import * as THREE from 'three'
 import { Enemy } from './Enemy.js'
+import { FACTIONS } from '@shared/game/ProjectileSystem.js'
+
+// Cylinder lasers, registered on the game's ProjectileSystem
+const CYLINDER_LASER = {
+  capacity: 64,
+  speed: 3000,
+  life: 3,
+  radius: 100, // Hit sphere around the player
+  length: 80,
+  coreRadius: 3,
+  glowRadius: 6,
+  color: 0xff0088,
+  emissiveIntensity: 2.0,
+  onHit: () => {
+    console.log('🟣💥 Purple Cylinder laser hit player!')
+  }
+}
 
 export class PurpleCylinder extends Enemy {
   constructor(scene, position) {
@@ -20,7 +37,6 @@ export class PurpleCylinder extends Enemy {
     this.retreatSpeed = 2500 // Faster retreat
     
     // Attack mechanics
-    this.lasers = []
     this.lastShotTime = 0
     this.shotInterval = 800 // Faster shooting - 0.8 seconds between shots
     this.burstCount = 5 // More shots per burst
@@ -135,6 +151,11 @@ export class PurpleCylinder extends Enemy {
     console.log('🟣 Purple Cylinder spawned at', this.position)
   }
 
+  setProjectiles(projectiles) {
+    super.setProjectiles(projectiles)
+    projectiles?.ensureType('cylinderLaser', CYLINDER_LASER)
+  }
+
   updateAI(deltaTime, playerPosition) {
     this.phaseTimer += deltaTime
     
@@ -259,96 +280,13 @@ export class PurpleCylinder extends Enemy {
     
     const direction = targetPos.sub(shooterPos).normalize()
     
-    // Create laser projectile
-    const laser = this.createLaser(shooterPos, direction)
-    this.lasers.push(laser)
-    this.scene.add(laser.group)
-    
-    console.log('🟣🔫 Purple Cylinder fired laser!')
-  }
-
-  createLaser(startPosition, direction) {
-    const laserGroup = new THREE.Group()
-    
-    // Laser core
-    const coreGeometry = new THREE.CylinderGeometry(3, 3, 80, 6)
-    const coreMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff0088,
-      emissive: 0xff0088,
-      emissiveIntensity: 2.0,
-      transparent: true,
-      opacity: 0.9
+    this.projectiles?.spawn('cylinderLaser', shooterPos, direction, {
+      owner: this,
+      faction: FACTIONS.enemy,
+      damage: this.attackDamage
     })
     
-    const core = new THREE.Mesh(coreGeometry, coreMaterial)
-    core.rotation.z = Math.PI / 2 // Point forward
-    laserGroup.add(core)
-    
-    // Laser glow
-    const glowGeometry = new THREE.CylinderGeometry(6, 6, 80, 6)
-    const glowMaterial = new THREE.MeshBasicMaterial({
-      color: 0xff0088,
-      transparent: true,
-      opacity: 0.4,
-      blending: THREE.AdditiveBlending
-    })
-    
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial)
-    glow.rotation.z = Math.PI / 2
-    laserGroup.add(glow)
-    
-    laserGroup.position.copy(startPosition)
-    laserGroup.lookAt(startPosition.clone().add(direction))
-    
-    return {
-      group: laserGroup,
-      direction: direction.clone(),
-      speed: 3000,
-      life: 3000, // 3 seconds
-      damage: this.attackDamage,
-      startTime: Date.now()
-    }
-  }
-
-  updateLasers(deltaTime, playerPosition) {
-    for (let i = this.lasers.length - 1; i >= 0; i--) {
-      const laser = this.lasers[i]
-      const now = Date.now()
-      
-      // Move laser
-      const movement = laser.direction.clone().multiplyScalar(laser.speed * deltaTime)
-      laser.group.position.add(movement)
-      
-      // Check if laser hit player
-      const distanceToPlayer = laser.group.position.distanceTo(playerPosition)
-      if (distanceToPlayer < 100) {
-        // Hit player
-        console.log('🟣💥 Purple Cylinder laser hit player!')
-        if (this.player && this.player.takeDamage) {
-          this.player.takeDamage(laser.damage)
-        }
-        
-        // Remove laser
-        this.scene.remove(laser.group)
-        this.lasers.splice(i, 1)
-        continue
-      }
-      
-      // Remove old lasers
-      if (now - laser.startTime > laser.life) {
-        this.scene.remove(laser.group)
-        this.lasers.splice(i, 1)
-      }
-    }
-  }
-
-  updateMovement(deltaTime) {
-    super.updateMovement(deltaTime)
-    
-    // Update lasers
-    if (this.player) {
-      this.updateLasers(deltaTime, this.player.mesh.position)
-    }
+    console.log('🟣🔫 Purple Cylinder fired laser!')
   }
 
   updateAnimation(deltaTime) {
@@ -413,14 +351,4 @@ export class PurpleCylinder extends Enemy {
       }
     }, 100)
   }
-
-  destroy() {
-    // Clean up lasers
-    this.lasers.forEach(laser => {
-      this.scene.remove(laser.group)
-    })
-    this.lasers = []
-    
-    super.destroy()
-  }
 }
\ No newline at end of file
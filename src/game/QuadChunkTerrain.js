@@ -286,7 +286,7 @@ export class QuadChunkTerrain {
     
     for (const key of chunksToRemove) {
       const chunk = this.activeChunks.get(key);
-      chunk.destroy();
+      chunk.destroy(this.scene);
       this.activeChunks.delete(key);
     }
     
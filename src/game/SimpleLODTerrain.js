@@ -21,7 +21,7 @@ export class SimpleLODTerrain {
     this.playerPosition = new THREE.Vector3()
     this.lastPlayerChunk = { x: null, z: null }
     
-    this.init()
+    this.initPromise = this.init()
   }
 
   async init() {
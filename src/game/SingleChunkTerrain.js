@@ -7,7 +7,7 @@ export class SingleChunkTerrain {
     this.resolution = 200  // 200x200 vertices
     this.terrain = null
     
-    this.init()
+    this.initPromise = this.init()
   }
 
   init() {
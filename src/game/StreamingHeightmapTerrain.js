@@ -19,7 +19,7 @@ export class StreamingHeightmapTerrain {
     // Player tracking
     this.lastPlayerPosition = new THREE.Vector3();
     this.updateThreshold = 100; // Update when player moves 100m
-    this.init();
+    this.initPromise = this.init();
   }
 
   async init() {
@@ -24,7 +24,7 @@ export class StreamingTerrain {
     // Seed for consistent world generation
     this.worldSeed = Math.random() * 1000;
 
-    this.init();
+    this.initPromise = this.init();
   }
 
   init() {
@@ -0,0 +1,164 @@
+import * as THREE from "three";
+import { createTerrainProvider, getTerrainBackends } from "./TerrainRegistry.js";
+
+const READY_TIMEOUT = 15000;
+const HEIGHT_TOLERANCE = 2;
+// Far enough out to leave any authored heightmap and exercise the fallbacks
+const SAMPLE_POINTS = [
+  [0, 0],
+  [137, -412],
+  [-2500, 1800],
+  [6000, 6000],
+  [-20000, 15000],
+];
+const FLIGHT_PATH = [
+  new THREE.Vector3(0, 400, 0),
+  new THREE.Vector3(600, 420, -900),
+  new THREE.Vector3(2500, 450, -4000),
+];
+
+/**
+ * Checks one registered backend against the TerrainProvider contract in a
+ * throwaway scene. Resolves to { id, passed, checks: [{ name, passed, message }] }.
+ */
+export async function runTerrainConformance(
+  id,
+  { timeout = READY_TIMEOUT } = {}
+) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(65, 1, 0.1, 500000);
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      const message = await fn();
+      checks.push({ name, passed: true, message: message ?? "" });
+    } catch (error) {
+      checks.push({ name, passed: false, message: error.message });
+    }
+  };
+
+  const baseline = countDescendants(scene);
+  let provider = null;
+
+  await check("creates", () => {
+    provider = createTerrainProvider(id, { scene, camera });
+  });
+  if (!provider) {
+    return summarize(id, checks);
+  }
+
+  await check("becomes ready", async () => {
+    const ready = await Promise.race([
+      provider.whenReady().then(() => true),
+      delay(timeout).then(() => false),
+    ]);
+    assert(ready, `not ready after ${timeout}ms`);
+  });
+
+  await check("updates along a flight path", async () => {
+    for (const position of FLIGHT_PATH) {
+      camera.position.copy(position);
+      camera.updateMatrixWorld(true);
+      await provider.update({ position, deltaTime: 1 / 60, camera });
+    }
+  });
+
+  await check("returns finite, repeatable heights", () => {
+    for (const [x, z] of SAMPLE_POINTS) {
+      const height = provider.getHeightAt(x, z);
+      assert(Number.isFinite(height), `height at (${x}, ${z}) is ${height}`);
+      assert(
+        provider.getHeightAt(x, z) === height,
+        `height at (${x}, ${z}) changed between identical queries`
+      );
+    }
+  });
+
+  await check("returns upward unit normals", () => {
+    const normal = new THREE.Vector3();
+    for (const [x, z] of SAMPLE_POINTS) {
+      const result = provider.getNormalAt(x, z, normal);
+      assert(result === normal, "getNormalAt must fill and return target");
+      assert(
+        Math.abs(normal.length() - 1) < 1e-3,
+        `normal at (${x}, ${z}) has length ${normal.length()}`
+      );
+      assert(normal.y > 0, `normal at (${x}, ${z}) points down`);
+    }
+  });
+
+  await check("raycasts onto the height field", () => {
+    const down = new THREE.Vector3(0, -1, 0);
+    for (const [x, z] of SAMPLE_POINTS) {
+      const ground = provider.getHeightAt(x, z);
+      const origin = new THREE.Vector3(x, ground + 1000, z);
+      const hit = provider.raycast(origin, down, 5000);
+      assert(hit, `downward ray at (${x}, ${z}) missed`);
+      assert(
+        Math.abs(hit.point.y - ground) < HEIGHT_TOLERANCE,
+        `hit at y=${hit.point.y.toFixed(2)}, ground is ${ground.toFixed(2)}`
+      );
+    }
+    const [x, z] = SAMPLE_POINTS[0];
+    const above = new THREE.Vector3(x, provider.getHeightAt(x, z) + 10, z);
+    assert(
+      provider.raycast(above, new THREE.Vector3(0, 1, 0), 5000) === null,
+      "upward ray from above ground should miss"
+    );
+  });
+
+  await check("reports stats", () => {
+    const stats = provider.getStats();
+    assert(stats.id === id, "stats.id does not match the backend id");
+    assert(typeof stats.ready === "boolean", "stats.ready must be a boolean");
+    assert(Number.isFinite(stats.chunks), "stats.chunks must be a number");
+    return `${stats.chunks} chunks`;
+  });
+
+  await check("disposes everything it added", () => {
+    provider.dispose();
+    const remaining = countDescendants(scene) - baseline;
+    assert(remaining === 0, `${remaining} objects left in the scene`);
+  });
+
+  return summarize(id, checks);
+}
+
+// Runs every registered backend (or the given ids) one after another
+export async function runAllTerrainConformance(ids, options) {
+  const targets = ids ?? getTerrainBackends().map(({ id }) => id);
+  const results = [];
+  for (const id of targets) {
+    results.push(await runTerrainConformance(id, options));
+  }
+  return results;
+}
+
+function summarize(id, checks) {
+  const passed = checks.every((entry) => entry.passed);
+  console.log(
+    `${passed ? "✅" : "❌"} Terrain backend "${id}": ${
+      checks.filter((entry) => entry.passed).length
+    }/${checks.length} checks passed`
+  );
+  checks
+    .filter((entry) => !entry.passed)
+    .forEach((entry) => console.warn(`   ⚠️ ${entry.name}: ${entry.message}`));
+  return { id, passed, checks };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function countDescendants(object) {
+  let count = 0;
+  object.traverse(() => count++);
+  return count;
+}
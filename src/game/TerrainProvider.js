@@ -0,0 +1,164 @@
+import * as THREE from "three";
+
+const NORMAL_SAMPLE_SPACING = 2;
+const RAYCAST_MIN_STEP = 4;
+const RAYCAST_MAX_STEP = 1000;
+const RAYCAST_REFINE_STEPS = 10;
+
+/**
+ * Common contract every terrain backend in src/game is used through.
+ *
+ * The backends keep their own constructors and quirks; a descriptor from
+ * TerrainRegistry.js adapts them:
+ *   create({ scene, camera })          -> backend instance
+ *   update(backend, context)           -> optional, default update(position)
+ *   getHeight(backend, x, z)           -> optional, default getHeightAtPosition
+ *   getNormal(backend, x, z, target)   -> optional, default central differences
+ *   dispose(backend)                   -> optional, default cleanup()/dispose()
+ *   stats(backend)                     -> optional extra getStats() fields
+ *
+ * World space is Y-up: heights are Y values at (x, z).
+ */
+export class TerrainProvider {
+  constructor(id, descriptor, backend) {
+    this.id = id;
+    this.label = descriptor.label ?? id;
+    this.descriptor = descriptor;
+    this.backend = backend;
+    this.ready = false;
+    this.disposed = false;
+
+    // Backends with async init expose its promise; failures fall back internally
+    this.readyPromise = Promise.resolve(backend.initPromise)
+      .catch((error) => {
+        console.warn(`⚠️ Terrain "${id}" init failed:`, error);
+      })
+      .then(() => {
+        this.ready = true;
+        return this;
+      });
+
+    this._rayPoint = new THREE.Vector3();
+  }
+
+  whenReady() {
+    return this.readyPromise;
+  }
+
+  // context: { position, deltaTime, camera }. May return a promise.
+  update(context) {
+    if (this.disposed) return undefined;
+    if (this.descriptor.update) {
+      return this.descriptor.update(this.backend, context);
+    }
+    return this.backend.update?.(context.position);
+  }
+
+  getHeightAt(x, z) {
+    if (this.descriptor.getHeight) {
+      return this.descriptor.getHeight(this.backend, x, z);
+    }
+    return this.backend.getHeightAtPosition(x, z);
+  }
+
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    if (this.descriptor.getNormal) {
+      return this.descriptor.getNormal(this.backend, x, z, target);
+    }
+
+    const d = NORMAL_SAMPLE_SPACING;
+    const dx = this.getHeightAt(x + d, z) - this.getHeightAt(x - d, z);
+    const dz = this.getHeightAt(x, z + d) - this.getHeightAt(x, z - d);
+    return target.set(-dx, 2 * d, -dz).normalize();
+  }
+
+  // Marches the ray against getHeightAt(), so shader-displaced backends work too.
+  // Returns { point, distance, normal } for the first hit or null.
+  raycast(origin, direction, maxDistance = 20000) {
+    const dir = direction.clone().normalize();
+    const point = this._rayPoint;
+    const heightAbove = (t) => {
+      point.copy(origin).addScaledVector(dir, t);
+      return point.y - this.getHeightAt(point.x, point.z);
+    };
+
+    let previousT = 0;
+    let previousGap = heightAbove(0);
+    if (previousGap <= 0) {
+      return this.createHit(origin, dir, 0);
+    }
+
+    let t = 0;
+    while (t < maxDistance) {
+      // Step proportional to the clearance, so open sky is crossed quickly
+      const step = THREE.MathUtils.clamp(
+        previousGap * 0.5,
+        RAYCAST_MIN_STEP,
+        RAYCAST_MAX_STEP
+      );
+      t = Math.min(t + step, maxDistance);
+      const gap = heightAbove(t);
+
+      if (gap <= 0) {
+        let low = previousT;
+        let high = t;
+        for (let i = 0; i < RAYCAST_REFINE_STEPS; i++) {
+          const mid = (low + high) / 2;
+          if (heightAbove(mid) > 0) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        return this.createHit(origin, dir, high);
+      }
+
+      previousT = t;
+      previousGap = gap;
+    }
+
+    return null;
+  }
+
+  createHit(origin, direction, distance) {
+    const point = origin.clone().addScaledVector(direction, distance);
+    return {
+      point,
+      distance,
+      normal: this.getNormalAt(point.x, point.z),
+    };
+  }
+
+  getStats() {
+    const backend = this.backend;
+    const chunks =
+      backend.chunks?.size ??
+      backend.activeChunks?.size ??
+      backend.tiles?.size ??
+      backend.tiles?.length ??
+      backend.terrainMeshes?.length ??
+      (backend.terrain ? 1 : 0);
+
+    return {
+      id: this.id,
+      label: this.label,
+      ready: this.ready,
+      chunks,
+      ...(backend.getStats?.() ?? {}),
+      ...(this.descriptor.stats?.(backend) ?? {}),
+    };
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    if (this.descriptor.dispose) {
+      this.descriptor.dispose(this.backend);
+    } else if (this.backend.cleanup) {
+      this.backend.cleanup();
+    } else {
+      this.backend.dispose?.();
+    }
+  }
+}
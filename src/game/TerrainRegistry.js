@@ -0,0 +1,148 @@
+import { TerrainProvider } from "./TerrainProvider.js";
+import { ChunkTerrain } from "./ChunkTerrain.js";
+import { ChunkedLODTerrain } from "./ChunkedLODTerrain.js";
+import { DepthMapTerrain } from "./DepthMapTerrain.js";
+import { FelixTerrain } from "./FelixTerrain.js";
+import { HeightmapTerrain } from "./HeightmapTerrain.js";
+import { ImageHeightmapTerrain } from "./ImageHeightmapTerrain.js";
+import { LODTerrain } from "./LODTerrain.js";
+import { NewChunkTerrain } from "./NewChunkTerrain.js";
+import { QuadChunkTerrain } from "./QuadChunkTerrain.js";
+import { SimpleLODTerrain } from "./SimpleLODTerrain.js";
+import { SimpleTerrain } from "./SimpleTerrain.js";
+import { SingleChunkTerrain } from "./SingleChunkTerrain.js";
+import { StreamingHeightmapTerrain } from "./StreamingHeightmapTerrain.js";
+import { StreamingTerrain } from "./StreamingTerrain.js";
+
+export const DEFAULT_TERRAIN_BACKEND = "chunk";
+export const TERRAIN_URL_PARAM = "terrain";
+
+const backends = new Map();
+
+// descriptor: see TerrainProvider for the adapter hooks. `gpu: true` marks a
+// backend whose drawn surface is displaced in a vertex shader, so it can only
+// be checked in a browser.
+export function registerTerrainBackend(id, descriptor) {
+  if (typeof descriptor?.create !== "function") {
+    throw new Error(`Terrain backend "${id}" needs a create() function`);
+  }
+  backends.set(id, descriptor);
+}
+
+export function getTerrainBackends() {
+  return Array.from(backends, ([id, descriptor]) => ({
+    id,
+    label: descriptor.label ?? id,
+    gpu: Boolean(descriptor.gpu),
+  }));
+}
+
+export function hasTerrainBackend(id) {
+  return backends.has(id);
+}
+
+export function createTerrainProvider(id, { scene, camera }) {
+  const descriptor = backends.get(id);
+  if (!descriptor) {
+    throw new Error(
+      `Unknown terrain backend "${id}" (available: ${[...backends.keys()].join(", ")})`
+    );
+  }
+  return new TerrainProvider(id, descriptor, descriptor.create({ scene, camera }));
+}
+
+// ?terrain=<id> picks the backend; unknown ids fall back to the default
+export function resolveTerrainBackendId(search = window.location.search) {
+  const requested = new URLSearchParams(search).get(TERRAIN_URL_PARAM);
+  if (requested && !backends.has(requested)) {
+    console.warn(
+      `⚠️ Unknown terrain backend "${requested}", using "${DEFAULT_TERRAIN_BACKEND}"`
+    );
+    return DEFAULT_TERRAIN_BACKEND;
+  }
+  return requested || DEFAULT_TERRAIN_BACKEND;
+}
+
+// --- Built-in backends ---
+
+const updateWithDeltaTime = (terrain, { deltaTime }) =>
+  terrain.update(deltaTime);
+
+registerTerrainBackend("chunk", {
+  label: "ChunkTerrain (legacy, stable)",
+  create: ({ scene, camera }) => new ChunkTerrain(scene, camera),
+  getHeight: (terrain, x, z) => terrain.getHeightAtPosition(x, z, true),
+});
+
+registerTerrainBackend("new-chunk", {
+  label: "NewChunkTerrain (quadtree)",
+  create: ({ scene, camera }) => new NewChunkTerrain(scene, camera),
+});
+
+registerTerrainBackend("quad-chunk", {
+  label: "QuadChunkTerrain",
+  create: ({ scene, camera }) => new QuadChunkTerrain(scene, camera),
+  getHeight: (terrain, x, z) => terrain.getHeightAtPosition(x, z, true),
+});
+
+registerTerrainBackend("chunked-lod", {
+  label: "ChunkedLODTerrain (tiered heightmap)",
+  create: ({ scene }) => new ChunkedLODTerrain(scene),
+});
+
+registerTerrainBackend("simple-lod", {
+  label: "SimpleLODTerrain",
+  create: ({ scene }) => new SimpleLODTerrain(scene),
+});
+
+registerTerrainBackend("streaming", {
+  label: "StreamingTerrain (procedural chunks)",
+  create: ({ scene }) => new StreamingTerrain(scene),
+});
+
+registerTerrainBackend("streaming-heightmap", {
+  label: "StreamingHeightmapTerrain",
+  create: ({ scene }) => new StreamingHeightmapTerrain(scene),
+});
+
+registerTerrainBackend("heightmap", {
+  label: "HeightmapTerrain (tiled heightmaps)",
+  create: ({ scene }) => new HeightmapTerrain(scene),
+});
+
+registerTerrainBackend("image-heightmap", {
+  label: "ImageHeightmapTerrain (single mesh)",
+  create: ({ scene }) => new ImageHeightmapTerrain(scene),
+  update: (terrain, { position, camera }) =>
+    terrain.update(position, camera?.position),
+});
+
+registerTerrainBackend("depth-map", {
+  label: "DepthMapTerrain",
+  create: ({ scene }) => new DepthMapTerrain(scene),
+});
+
+registerTerrainBackend("single-chunk", {
+  label: "SingleChunkTerrain",
+  create: ({ scene }) => new SingleChunkTerrain(scene),
+});
+
+registerTerrainBackend("felix", {
+  label: "FelixTerrain (GPU geomorph)",
+  gpu: true,
+  create: ({ scene, camera }) => new FelixTerrain(scene, camera),
+  update: updateWithDeltaTime,
+});
+
+registerTerrainBackend("lod", {
+  label: "LODTerrain",
+  gpu: true,
+  create: ({ scene, camera }) => new LODTerrain(scene, camera),
+  update: updateWithDeltaTime,
+});
+
+registerTerrainBackend("simple", {
+  label: "SimpleTerrain",
+  create: ({ scene, camera }) => new SimpleTerrain(scene, camera),
+  update: updateWithDeltaTime,
+});
@@ -0,0 +1,72 @@
+// The player's current weapon configuration on top of the base twin lasers
+// and bomb: timed effects count down in seconds, missiles and the bomb salvo
+// last until used or the flight ends.
+export class WeaponLoadout {
+  constructor() {
+    this.timers = new Map(); // Effect id -> seconds remaining
+    this.missiles = 0;
+    this.maxMissiles = 12;
+    this.bombSalvo = 1; // Bombs released per drop
+    this.maxBombSalvo = 3;
+  }
+
+  update(deltaTime) {
+    for (const [id, remaining] of this.timers) {
+      if (remaining <= deltaTime) {
+        this.timers.delete(id);
+        console.log(`⌛ ${id} wore off`);
+      } else {
+        this.timers.set(id, remaining - deltaTime);
+      }
+    }
+  }
+
+  // Starts a timed effect, or refreshes it; durations don't stack
+  activate(id, duration) {
+    this.timers.set(id, Math.max(duration, this.getRemaining(id)));
+  }
+
+  isActive(id) {
+    return this.timers.has(id);
+  }
+
+  getRemaining(id) {
+    return this.timers.get(id) ?? 0;
+  }
+
+  addMissiles(count) {
+    this.missiles = Math.min(this.maxMissiles, this.missiles + count);
+  }
+
+  // Takes one missile off the rack; false when it is empty
+  useMissile() {
+    if (this.missiles <= 0) return false;
+    this.missiles--;
+    return true;
+  }
+
+  addBombs(count) {
+    this.bombSalvo = Math.min(this.maxBombSalvo, this.bombSalvo + count);
+  }
+
+  // What the HUD shows: timed effects first, then ammo and upgrades
+  getStatus() {
+    const status = [];
+    for (const [id, remaining] of this.timers) {
+      status.push({ id, remaining });
+    }
+    if (this.missiles > 0) {
+      status.push({ id: "homingMissiles", count: this.missiles });
+    }
+    if (this.bombSalvo > 1) {
+      status.push({ id: "extraBombs", count: this.bombSalvo });
+    }
+    return status;
+  }
+
+  reset() {
+    this.timers.clear();
+    this.missiles = 0;
+    this.bombSalvo = 1;
+  }
+}
@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import { BonusManager } from "../src/game/BonusManager.js";
+import { EnemyManager } from "../src/game/EnemyManager.js";
+import { BONUS_TYPES } from "../src/game/BonusTypes.js";
+
+const SPAWNS = 300;
+
+// Repeatable stand-in for Math.random
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function createPlayer() {
+  const mesh = new THREE.Object3D();
+  mesh.position.set(0, 800, 0);
+  return { mesh, applyBonus() {} };
+}
+
+// Share of SPAWNS pickups of each type at the enemy manager's current level
+function spawnShares(bonusManager) {
+  vi.spyOn(Math, "random").mockImplementation(seededRandom(7));
+  const counts = {};
+  for (let i = 0; i < SPAWNS; i++) {
+    bonusManager.spawnBonusItem(
+      bonusManager.player.mesh.position,
+      new THREE.Vector3(0, 0, 1)
+    );
+    const { id } = bonusManager.bonusItems.at(-1).type;
+    counts[id] = (counts[id] ?? 0) + 1;
+  }
+  for (const item of bonusManager.bonusItems) item.destroy();
+  bonusManager.bonusItems = [];
+
+  return Object.fromEntries(
+    Object.keys(BONUS_TYPES).map((id) => [id, (counts[id] ?? 0) / SPAWNS])
+  );
+}
+
+describe("BonusManager", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("shifts pickup odds from score to survival as kills raise the level", () => {
+    const scene = new THREE.Scene();
+    const player = createPlayer();
+    const enemyManager = new EnemyManager(scene, player, null);
+    const bonusManager = new BonusManager(scene, player, enemyManager);
+
+    const early = spawnShares(bonusManager);
+    expect(bonusManager.getDifficultyLevel()).toBe(1);
+
+    enemyManager.enemiesKilled = 25;
+    enemyManager.updateDifficulty();
+    expect(bonusManager.getDifficultyLevel()).toBe(6);
+    const late = spawnShares(bonusManager);
+
+    expect(late.score).toBeLessThan(early.score / 2);
+    expect(late.repair).toBeGreaterThan(early.repair);
+    expect(late.shield).toBeGreaterThan(early.shield);
+  });
+});
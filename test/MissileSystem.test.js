@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { FACTIONS, ProjectileSystem } from "@shared/game/ProjectileSystem.js";
+import { MissileSystem } from "@shared/game/MissileSystem.js";
+
+const STEP = 1 / 60;
+const UP = new THREE.Vector3(0, 1, 0);
+const FORWARD = new THREE.Vector3(0, 0, 1); // The jet flies along +Z here
+
+function createEnemy(x, y, z) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    health: 100,
+    flares: 0,
+    isDestroyed() {
+      return this.health <= 0;
+    },
+    takeDamage(damage) {
+      this.health -= damage;
+      return this.health <= 0;
+    },
+  };
+}
+
+function createSystems(enemies, settings = {}) {
+  const projectiles = new ProjectileSystem(null, {
+    up: UP,
+    getTerrainHeight: () => 0,
+  });
+  projectiles.setTargets(FACTIONS.enemy, () => enemies);
+  const missiles = new MissileSystem(projectiles, null, {
+    up: UP,
+    random: () => 0.25,
+    settings,
+  });
+  return { projectiles, missiles };
+}
+
+function run({ projectiles, missiles }, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    projectiles.update(STEP);
+    missiles.update(STEP);
+  }
+}
+
+describe("MissileSystem in a Y-up world", () => {
+  it("climbs to a target above the flight path", () => {
+    const enemy = createEnemy(0, 2000, 4000);
+    const systems = createSystems([enemy]);
+
+    systems.missiles.fire(new THREE.Vector3(0, 800, 0), FORWARD, {
+      faction: FACTIONS.player,
+      target: enemy,
+    });
+    run(systems, 2);
+
+    expect(enemy.isDestroyed()).toBe(true);
+  });
+
+  it("guides a registered weapon type with its own settings", () => {
+    const enemy = createEnemy(0, 2000, 4000);
+    const systems = createSystems([enemy]);
+    const hits = [];
+    systems.missiles.registerMissile("rackMissile", {
+      damage: 60,
+      onHit: (missile, target) => hits.push(target),
+    });
+
+    const missile = systems.missiles.fire(new THREE.Vector3(0, 800, 0), FORWARD, {
+      type: "rackMissile",
+      faction: FACTIONS.player,
+      target: enemy,
+    });
+    expect(missile.type.name).toBe("rackMissile");
+    expect(systems.missiles.getStats().missiles).toBe(1);
+    run(systems, 2);
+
+    expect(hits).toEqual([enemy]);
+    expect(enemy.health).toBe(40);
+  });
+
+  it("drops flares that fall along -Y", () => {
+    const enemy = createEnemy(0, 800, 1500);
+    enemy.flares = 2;
+    const systems = createSystems([enemy], { decoyChance: 0 });
+
+    const missile = systems.missiles.fire(new THREE.Vector3(0, 800, 0), FORWARD, {
+      target: enemy,
+    });
+    run(systems, STEP);
+    expect(enemy.flares).toBe(1);
+    expect(missile.target).toBe(enemy); // Not fooled this time
+
+    const [flare] = systems.missiles.flares;
+    run(systems, 2); // Popped upward, then falling
+    expect(flare.velocity.y).toBeLessThan(0);
+    expect(flare.position.y).toBeLessThan(800);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { TerrainNode } from "../src/game/NewChunkTerrain.js";
+
+function createMesh(parent) {
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial()
+  );
+  parent.add(mesh);
+  return mesh;
+}
+
+describe("NewChunkTerrain TerrainNode", () => {
+  it("starts as a leaf covering its bounds", () => {
+    const node = new TerrainNode(-512, 256, 1024, 0);
+
+    expect(node.isLeaf()).toBe(true);
+    expect(node.bounds).toEqual({ minX: -512, maxX: 512, minZ: 256, maxZ: 1280 });
+    expect(node.contains(-512, 256)).toBe(true);
+    expect(node.contains(511.9, 1279.9)).toBe(true);
+    expect(node.contains(512, 300)).toBe(false);
+  });
+
+  describe("subdivide", () => {
+    it("creates four half-size quadrants one level deeper", () => {
+      const node = new TerrainNode(0, 0, 1024, 2);
+      node.subdivide();
+
+      expect(node.isLeaf()).toBe(false);
+      expect(node.children).toHaveLength(4);
+      expect(node.children.map(({ x, z }) => [x, z])).toEqual([
+        [0, 0],
+        [512, 0],
+        [0, 512],
+        [512, 512],
+      ]);
+      for (const child of node.children) {
+        expect(child.size).toBe(512);
+        expect(child.level).toBe(3);
+        expect(child.parent).toBe(node);
+        expect(child.isLeaf()).toBe(true);
+      }
+    });
+
+    it("tiles the parent exactly once", () => {
+      const node = new TerrainNode(-300, 100, 64, 0);
+      node.subdivide();
+
+      for (let x = -300; x < -236; x += 3.5) {
+        for (let z = 100; z < 164; z += 3.5) {
+          const owners = node.children.filter((child) => child.contains(x, z));
+          expect(owners).toHaveLength(1);
+        }
+      }
+    });
+
+    it("is a no-op on an already subdivided node", () => {
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.subdivide();
+      const children = node.children;
+      node.subdivide();
+
+      expect(node.children).toBe(children);
+    });
+
+    it("stops rendering the parent and starts a transition when it has a mesh", () => {
+      const scene = new THREE.Scene();
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.mesh = createMesh(scene);
+      node.shouldRender = true;
+      node.subdivide();
+
+      expect(node.shouldRender).toBe(false);
+      expect(node.transitionState).toBe("subdividing");
+      expect(node.transitionProgress).toBe(0);
+      expect(node.mesh.parent).toBe(scene);
+    });
+  });
+
+  describe("merge", () => {
+    it("collapses children back into a renderable leaf", () => {
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.subdivide();
+      node.merge();
+
+      expect(node.isLeaf()).toBe(true);
+      expect(node.children).toBeNull();
+      expect(node.shouldRender).toBe(true);
+    });
+
+    it("removes and disposes child meshes recursively", () => {
+      const scene = new THREE.Scene();
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.subdivide();
+      node.children[3].subdivide();
+
+      const meshes = [
+        ...node.children.slice(0, 3),
+        ...node.children[3].children,
+      ].map((child) => (child.mesh = createMesh(scene)));
+      let disposed = 0;
+      meshes.forEach((mesh) =>
+        mesh.geometry.addEventListener("dispose", () => disposed++)
+      );
+      const grandchildren = node.children[3].children;
+
+      node.merge();
+
+      expect(scene.children).toHaveLength(0);
+      expect(disposed).toBe(meshes.length);
+      expect(grandchildren.every((child) => child.mesh === null)).toBe(true);
+    });
+
+    it("shows the parent mesh again and starts a merge transition", () => {
+      const scene = new THREE.Scene();
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.mesh = createMesh(scene);
+      node.subdivide();
+      node.mesh.visible = false;
+      node.merge();
+
+      expect(node.mesh.visible).toBe(true);
+      expect(node.transitionState).toBe("merging");
+      expect(node.transitionProgress).toBe(0);
+    });
+
+    it("is a no-op on a leaf", () => {
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.merge();
+
+      expect(node.isLeaf()).toBe(true);
+      expect(node.shouldRender).toBe(false);
+      expect(node.transitionState).toBeUndefined();
+    });
+
+    it("can subdivide again after merging", () => {
+      const node = new TerrainNode(0, 0, 256, 0);
+      node.subdivide();
+      const first = node.children;
+      node.merge();
+      node.subdivide();
+
+      expect(node.children).toHaveLength(4);
+      expect(node.children).not.toBe(first);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { ParticleSystem } from "@shared/game/ParticleSystem.js";
+
+const STEP = 1 / 60;
+
+describe("ParticleSystem in a Y-up world", () => {
+  it("drops debris along -Y", () => {
+    const system = new ParticleSystem(null, { up: new THREE.Vector3(0, 1, 0) });
+    const debris = system.emit("debris", {
+      position: new THREE.Vector3(0, 500, 0),
+      gravity: 500,
+      life: 2,
+    });
+
+    for (let i = 0; i < 60; i++) system.update(STEP);
+
+    expect(debris.velocity.y).toBeCloseTo(-500, 5);
+    expect(debris.position.y).toBeLessThan(500);
+    expect(debris.position.z).toBe(0);
+  });
+
+  it("lays bomb shockwaves flat on the ground", () => {
+    const system = new ParticleSystem(null, { up: new THREE.Vector3(0, 1, 0) });
+    system.spawnExplosion(new THREE.Vector3());
+    system.update(STEP);
+
+    const matrix = new THREE.Matrix4();
+    system.layers.ring.mesh.getMatrixAt(0, matrix);
+    const normal = new THREE.Vector3(0, 0, 1).transformDirection(matrix);
+    expect(Math.abs(normal.y)).toBeCloseTo(1, 5);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import * as THREE from "three";
+import { FACTIONS, ProjectileSystem } from "@shared/game/ProjectileSystem.js";
+
+const STEP = 1 / 60;
+const FORWARD = new THREE.Vector3(0, 0, 1); // The jet flies along +Z here
+
+function createTarget(x, y, z, health = 100) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    health,
+    isDestroyed() {
+      return this.health <= 0;
+    },
+    takeDamage(damage) {
+      this.health -= damage;
+      return this.health <= 0;
+    },
+  };
+}
+
+// The root game is Y-up with terrain heights sampled over x/z
+function createSystem({ ground = () => 0, enemies = [], players = [] } = {}) {
+  const system = new ProjectileSystem(null, {
+    up: new THREE.Vector3(0, 1, 0),
+    getTerrainHeight: (position) => ground(position.x, position.z),
+  });
+  system.setTargets(FACTIONS.enemy, () => enemies);
+  system.setTargets(FACTIONS.player, () => players);
+  return system;
+}
+
+function run(system, seconds) {
+  for (let i = 0; i < Math.round(seconds / STEP); i++) {
+    system.update(STEP);
+  }
+}
+
+describe("ProjectileSystem in a Y-up world", () => {
+  it("stops a shot at a hill it would otherwise fly through", () => {
+    const hill = (x, z) => (z > 400 ? 300 : 0);
+    const system = createSystem({ ground: hill });
+    system.registerType("laser", {});
+
+    const laser = system.spawn("laser", new THREE.Vector3(0, 100, 0), FORWARD, {
+      speed: 8000,
+    });
+    run(system, 0.1);
+
+    expect(laser.active).toBe(false);
+  });
+
+  it("ricochets upward off flat ground", () => {
+    const system = createSystem();
+    system.registerType("laser", { maxBounces: 1, life: 5 });
+
+    const laser = system.spawn(
+      "laser",
+      new THREE.Vector3(0, 20, 0),
+      new THREE.Vector3(0, -1, 1),
+      { speed: 1000 }
+    );
+    run(system, 0.1);
+
+    expect(laser.bounces).toBe(1);
+    expect(laser.velocity.y).toBeGreaterThan(0);
+    expect(laser.position.y).toBeGreaterThan(0);
+  });
+
+  it("lets enemy fire hit the player but not other enemies", () => {
+    const turret = createTarget(0, 0, 0);
+    const orb = createTarget(0, 0, 150);
+    const player = createTarget(0, 0, 400);
+    const system = createSystem({
+      ground: () => -100,
+      enemies: [turret, orb],
+      players: [player],
+    });
+    system.registerType("turretLaser", { speed: 8000, radius: 80, damage: 20 });
+
+    system.spawn("turretLaser", turret.position, FORWARD, {
+      owner: turret,
+      faction: FACTIONS.enemy,
+    });
+    run(system, 0.1);
+
+    expect(orb.health).toBe(100);
+    expect(player.health).toBe(80);
+  });
+
+  it("lets an onUpdate hook steer toward the spawn target", () => {
+    const enemy = createTarget(500, 100, 500);
+    const system = createSystem({ enemies: [enemy] });
+    system.registerType("missile", {
+      speed: 3000,
+      damage: 100,
+      radius: 50,
+      onUpdate: (missile) => {
+        const speed = missile.velocity.length();
+        missile.velocity
+          .subVectors(missile.target.position, missile.position)
+          .setLength(speed);
+      },
+    });
+
+    const missile = system.spawn("missile", new THREE.Vector3(0, 100, 0), FORWARD, {
+      faction: FACTIONS.player,
+      target: enemy,
+    });
+    run(system, 0.5);
+
+    expect(enemy.health).toBe(0);
+    expect(missile.active).toBe(false);
+    expect(missile.target).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, expect, it, vi } from "vitest";
+import { getTerrainBackends } from "../src/game/TerrainRegistry.js";
+import { runTerrainConformance } from "../src/game/TerrainConformance.js";
+
+// Headless: no window.game, and asset fetches fail over to procedural heights
+vi.stubGlobal("window", {});
+
+const BACKEND_TIMEOUT = 60000;
+
+describe("TerrainProvider conformance", () => {
+  for (const { id, label, gpu } of getTerrainBackends()) {
+    // GPU backends show as skipped; run runTerrainConformance() in a browser
+    it.skipIf(gpu)(
+      `${label}${gpu ? " (GPU only)" : ""}`,
+      async () => {
+        const { checks } = await runTerrainConformance(id, { timeout: 5000 });
+        expect(checks.filter((check) => !check.passed)).toEqual([]);
+      },
+      BACKEND_TIMEOUT
+    );
+  }
+});
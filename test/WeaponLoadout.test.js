@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { WeaponLoadout } from "../src/game/WeaponLoadout.js";
+import {
+  BONUS_TYPES,
+  getBonusWeight,
+  pickBonusType,
+} from "../src/game/BonusTypes.js";
+
+describe("WeaponLoadout", () => {
+  it("runs timed effects out and refreshes rather than stacks them", () => {
+    const loadout = new WeaponLoadout();
+    loadout.activate("rapidFire", 10);
+    loadout.update(6);
+    loadout.activate("rapidFire", 10);
+    loadout.update(9);
+
+    expect(loadout.isActive("rapidFire")).toBe(true);
+    expect(loadout.getRemaining("rapidFire")).toBeCloseTo(1, 5);
+
+    loadout.update(1);
+    expect(loadout.isActive("rapidFire")).toBe(false);
+  });
+
+  it("caps the missile rack and bomb salvo", () => {
+    const loadout = new WeaponLoadout();
+    loadout.addMissiles(10);
+    loadout.addMissiles(10);
+    loadout.addBombs(5);
+
+    expect(loadout.missiles).toBe(loadout.maxMissiles);
+    expect(loadout.bombSalvo).toBe(loadout.maxBombSalvo);
+
+    for (let i = 0; i < loadout.maxMissiles; i++) loadout.useMissile();
+    expect(loadout.useMissile()).toBe(false);
+  });
+
+  it("lists what the HUD should show", () => {
+    const loadout = new WeaponLoadout();
+    expect(loadout.getStatus()).toEqual([]);
+
+    loadout.activate("shield", 10);
+    loadout.addMissiles(4);
+    loadout.addBombs(1);
+
+    expect(loadout.getStatus()).toEqual([
+      { id: "shield", remaining: 10 },
+      { id: "homingMissiles", count: 4 },
+      { id: "extraBombs", count: 2 },
+    ]);
+  });
+});
+
+describe("Bonus pickup odds", () => {
+  it("favour survival pickups over score as difficulty rises", () => {
+    const { score, repair, shield } = BONUS_TYPES;
+
+    expect(getBonusWeight(score, 5)).toBeLessThan(getBonusWeight(score, 1));
+    expect(getBonusWeight(repair, 5)).toBeGreaterThan(getBonusWeight(repair, 1));
+    expect(getBonusWeight(shield, 5)).toBeGreaterThan(getBonusWeight(shield, 1));
+    expect(getBonusWeight(score, 100)).toBe(0);
+  });
+
+  it("picks by weight", () => {
+    const types = Object.values(BONUS_TYPES);
+    const total = types.reduce((sum, type) => sum + getBonusWeight(type), 0);
+
+    expect(pickBonusType(1, () => 0)).toBe(types[0]);
+    expect(pickBonusType(1, () => 0.999999)).toBe(types[types.length - 1]);
+    // Just past the first type's share lands on the second
+    const firstShare = getBonusWeight(types[0]) / total;
+    expect(pickBonusType(1, () => firstShare + 1e-6)).toBe(types[1]);
+  });
+
+  it("never drops score pickups at high difficulty", () => {
+    for (let i = 0; i < 100; i++) {
+      expect(pickBonusType(20, () => i / 100)).not.toBe(BONUS_TYPES.score);
+    }
+  });
+});
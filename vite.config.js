@@ -0,0 +1,11 @@
+import { defineConfig } from "vite";
+import { fileURLToPath } from "node:url";
+
+export default defineConfig({
+  resolve: {
+    // Game modules shared with lod-terrain
+    alias: {
+      "@shared": fileURLToPath(new URL("./shared", import.meta.url)),
+    },
+  },
+});